@@ -1,18 +1,33 @@
 // AI Assistant Chat API Endpoint
 const { AIAssistant } = require('../../lib/ai-assistant');
 const { MemoryService } = require('../../lib/memory-service');
-const { NLPParser } = require('../../lib/nlp-parser');
+const { UserManager } = require('../../lib/user-manager');
+const { EncryptionService } = require('../../lib/encryption');
+const { ApiKeyManager, hasScope } = require('../../lib/api-key-manager');
+const { authenticateRequest } = require('../../lib/auth-middleware');
+const { createRepository } = require('../../lib/repository');
+const { ConfigManager } = require('../../lib/config-manager');
+const { UsageMeter } = require('../../lib/usage-meter');
+const { ActionLedger, needsConfirmation } = require('../../lib/assistant-actions');
+const {
+  handleDirectIntent,
+  runAssistantAction,
+  settleAssistantAction,
+  trackAssistantAction,
+  undoAssistantAction
+} = require('../../lib/assistant-handlers');
 
 let aiAssistant = null;
 let memoryService = null;
-let nlpParser = null;
+const configManager = new ConfigManager();
+// Shared with the confirm, cancel and undo routes in api/index.js
+const actions = new ActionLedger();
 
 // Initialize services
-function initializeServices(database) {
+function initializeServices(database, usageMeter) {
   if (!aiAssistant) {
-    aiAssistant = new AIAssistant(database);
+    aiAssistant = new AIAssistant(database, null, { usageMeter, actions });
     memoryService = new MemoryService(database);
-    nlpParser = new NLPParser();
   }
 }
 
@@ -20,7 +35,7 @@ module.exports = async (req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -37,30 +52,87 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Get user ID from token or use default
-    const userId = req.user?.id || 'default';
-
     // Initialize database and services
-    const DatabaseService = require('../../lib/database-neon');
-    const database = new DatabaseService();
+    const database = createRepository();
     await database.initialize();
     
-    initializeServices(database);
+    const usageMeter = new UsageMeter(database, configManager.getUsageConfig());
+    initializeServices(database, usageMeter);
+
+    // Resolve the user from the Bearer token or, when the apiKeys feature is on, an assistant-scoped API key
+    const encryption = new EncryptionService();
+    const apiKeyManager = configManager.isFeatureEnabled('apiKeys') ? new ApiKeyManager(database, encryption) : null;
+    const user = await authenticateRequest(req, new UserManager(database, encryption), apiKeyManager);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (user.api_key && !hasScope(user.api_key.scopes, 'assistant', req.method)) {
+      return res.status(403).json({ error: 'API key is not allowed to access assistant' });
+    }
+    const userId = user.id;
+
+    const quota = await usageMeter.checkQuota(userId, ['tokens']);
+    if (quota) {
+      return res.status(429).json({ success: false, error: quota.message, quota });
+    }
 
-    // First, try NLP parsing for quick response
-    const nlpResult = nlpParser.parse(message);
+    // Keyword parsing first, with the LLM as a fallback when the parser is unsure. Answers
+    // to an earlier question are merged into the request that asked it.
+    const understood = await aiAssistant.understandTurn(userId, message, sessionId);
+
+    // Ask for whatever the request still needs; nothing runs until it is complete
+    if (understood.prompt) {
+      await memoryService.storeConversation(userId, message, understood.prompt.text, understood.intent, understood.entities, sessionId);
+
+      return res.json({
+        success: true,
+        response: understood.prompt.text,
+        action: understood.prompt.action,
+        data: understood.entities,
+        intent: understood.intent,
+        entities: understood.entities,
+        missing: understood.missing,
+        source: understood.source
+      });
+    }
     
-    // If NLP parsing has high confidence and clear intent, handle directly
-    if (nlpResult.confidence > 0.8 && nlpResult.intent !== 'UNKNOWN') {
-      const response = await handleDirectIntent(nlpResult, userId, database);
+    // "undo that", or a yes or no to an action waiting for confirmation
+    if (['UNDO', 'CONFIRM', 'REJECT'].includes(understood.intent)) {
+      const response = understood.intent === 'UNDO'
+        ? await undoAssistantAction(actions, userId, database)
+        : await settleAssistantAction(actions, userId, understood.entities.token, understood.intent === 'CONFIRM', database);
+
+      await memoryService.storeConversation(userId, message, response.text, understood.intent, understood.entities, sessionId);
+
+      return res.json({
+        success: true,
+        response: response.text,
+        action: response.action,
+        data: response.data,
+        actionResult: response.actionResult,
+        undo: response.undo || null,
+        intent: understood.intent,
+        source: understood.source
+      });
+    }
+
+    // If the intent is clear and confident, handle directly
+    if (understood.confidence > 0.8 && understood.intent !== 'UNKNOWN') {
+      const response = await handleDirectIntent(understood, userId, database);
+      const { pendingAction, undo } = trackAssistantAction(actions, response, userId, sessionId);
+
+      // Several events matched: keep the request so "the one on Friday" narrows it down
+      if (response.clarify) {
+        aiAssistant.getDialogue(userId, sessionId).hold(understood);
+      }
       
       // Store conversation
       await memoryService.storeConversation(
         userId, 
         message, 
         response.text, 
-        nlpResult.intent, 
-        nlpResult.entities, 
+        understood.intent, 
+        understood.entities, 
         sessionId
       );
       
@@ -69,15 +141,17 @@ module.exports = async (req, res) => {
         response: response.text,
         action: response.action,
         data: response.data,
-        intent: nlpResult.intent,
-        entities: nlpResult.entities,
-        confidence: nlpResult.confidence,
-        source: 'nlp'
+        pendingAction,
+        undo,
+        intent: understood.intent,
+        entities: understood.entities,
+        confidence: understood.confidence,
+        source: understood.source
       });
     }
 
-    // For complex queries or low confidence, use AI Assistant
-    const aiResponse = await aiAssistant.processMessage(userId, message, sessionId);
+    // For vague requests, let the AI Assistant reply from what was understood
+    const aiResponse = await aiAssistant.processMessage(userId, message, sessionId, understood);
     
     if (!aiResponse.success) {
       return res.status(400).json({
@@ -86,10 +160,13 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Execute action if needed
-    if (aiResponse.action) {
-      const actionResult = await executeAction(aiResponse.action, aiResponse.data, userId, database);
-      aiResponse.actionResult = actionResult;
+    // Changes proposed from a vague request wait for a yes; anything else runs now
+    let pendingAction = null;
+    let undo = null;
+    if (needsConfirmation(aiResponse.action)) {
+      ({ pendingAction } = trackAssistantAction(actions, { ...aiResponse, text: aiResponse.response }, userId, sessionId));
+    } else if (aiResponse.action) {
+      ({ actionResult: aiResponse.actionResult, undo } = await runAssistantAction(actions, aiResponse.action, aiResponse.data, userId, database));
     }
 
     return res.json({
@@ -98,6 +175,8 @@ module.exports = async (req, res) => {
       action: aiResponse.action,
       data: aiResponse.data,
       actionResult: aiResponse.actionResult,
+      pendingAction,
+      undo,
       intent: aiResponse.intent,
       entities: aiResponse.entities,
       source: 'ai'
@@ -112,257 +191,4 @@ module.exports = async (req, res) => {
   }
 };
 
-/**
- * Handle direct intent from NLP parser
- */
-async function handleDirectIntent(nlpResult, userId, database) {
-  const { intent, entities } = nlpResult;
-
-  switch (intent) {
-    case 'CREATE':
-      return handleCreateEvent(entities, userId, database);
-    
-    case 'QUERY':
-      return handleQuerySchedule(entities, userId, database);
-    
-    case 'MODIFY':
-      return handleModifyEvent(entities, userId, database);
-    
-    case 'DELETE':
-      return handleDeleteEvent(entities, userId, database);
-    
-    default:
-      return {
-        text: "I understand you want to " + intent.toLowerCase() + " something, but I need more details. Can you be more specific?",
-        action: null,
-        data: entities
-      };
-  }
-}
-
-/**
- * Handle event creation
- */
-async function handleCreateEvent(entities, userId, database) {
-  // Validate required fields
-  if (!entities.date) {
-    return {
-      text: "What day would you like to schedule this event?",
-      action: 'REQUEST_DATE',
-      data: entities
-    };
-  }
-
-  if (!entities.time) {
-    return {
-      text: "What time should the event start?",
-      action: 'REQUEST_TIME',
-      data: entities
-    };
-  }
-
-  // Create the event
-  const eventData = {
-    id: generateEventId(),
-    user_id: userId,
-    title: entities.title || 'New Event',
-    description: entities.description || '',
-    date: entities.date,
-    time: entities.time || '09:00',
-    type: entities.eventType || 'other',
-    location: entities.location || null,
-    all_day: entities.duration >= 480, // 8+ hours = all day
-    created_at: new Date()
-  };
-
-  try {
-    const createdEvent = await database.createCalendarEvent(eventData);
-    
-    const eventDate = new Date(entities.date + 'T' + entities.time);
-    const dateStr = eventDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-    const timeStr = eventDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-    
-    return {
-      text: `Perfect! I've scheduled "${entities.title}" for ${dateStr} at ${timeStr}.`,
-      action: 'EVENT_CREATED',
-      data: { event: createdEvent, original: entities }
-    };
-
-  } catch (error) {
-    console.error('Error creating event:', error);
-    return {
-      text: "I had trouble creating that event. Please try again.",
-      action: 'ERROR',
-      data: { error: error.message }
-    };
-  }
-}
-
-/**
- * Handle schedule queries
- */
-async function handleQuerySchedule(entities, userId, database) {
-  try {
-    let startDate, endDate;
-    
-    if (entities.date) {
-      startDate = entities.date;
-      endDate = entities.date;
-    } else {
-      // Default to today
-      startDate = new Date().toISOString().split('T')[0];
-      endDate = startDate;
-    }
-    
-    const events = await database.getEventsByDateRange(userId, startDate, endDate);
-    
-    if (events.length === 0) {
-      const dayStr = startDate === endDate ? 
-        new Date(startDate).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' }) :
-        'that period';
-      
-      return {
-        text: `You have no events scheduled for ${dayStr}. Would you like to add something?`,
-        action: 'SHOW_EMPTY_SCHEDULE',
-        data: { startDate, endDate }
-      };
-    }
-    
-    let responseText = `Here's your schedule:\n\n`;
-    for (const event of events) {
-      const eventTime = event.time ? 
-        new Date('2000-01-01T' + event.time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) :
-        'All day';
-      responseText += `• ${event.title} at ${eventTime}\n`;
-      if (event.location) responseText += `  📍 ${event.location}\n`;
-    }
-    
-    return {
-      text: responseText,
-      action: 'SHOW_SCHEDULE',
-      data: { events, startDate, endDate }
-    };
-
-  } catch (error) {
-    console.error('Error querying schedule:', error);
-    return {
-      text: "I had trouble checking your schedule. Please try again.",
-      action: 'ERROR',
-      data: { error: error.message }
-    };
-  }
-}
-
-/**
- * Handle event modifications
- */
-async function handleModifyEvent(entities, userId, database) {
-  return {
-    text: "I'd be happy to help you modify an event. Which event would you like to change?",
-    action: 'REQUEST_EVENT_SELECTION',
-    data: entities
-  };
-}
-
-/**
- * Handle event deletion
- */
-async function handleDeleteEvent(entities, userId, database) {
-  return {
-    text: "I can help you cancel an event. Which event would you like to remove?",
-    action: 'REQUEST_EVENT_SELECTION',
-    data: entities
-  };
-}
-
-/**
- * Execute actions based on AI response
- */
-async function executeAction(action, data, userId, database) {
-  switch (action) {
-    case 'CONFIRM_CREATE_EVENT':
-      return await createEventFromData(data, userId, database);
-    
-    case 'SHOW_SCHEDULE':
-      return await getScheduleData(data, userId, database);
-    
-    case 'REQUEST_DATE':
-    case 'REQUEST_TIME':
-    case 'REQUEST_EVENT_SELECTION':
-      // These actions require user interaction, no backend execution needed
-      return { type: 'user_input_required', data };
-    
-    default:
-      return { type: 'no_action', message: 'No action required' };
-  }
-}
-
-/**
- * Create event from AI-parsed data
- */
-async function createEventFromData(data, userId, database) {
-  try {
-    const eventData = {
-      id: generateEventId(),
-      user_id: userId,
-      title: data.title || 'New Event',
-      description: data.description || '',
-      date: data.date,
-      time: data.time || '09:00',
-      type: data.eventType || 'other',
-      location: data.location || null,
-      all_day: data.duration >= 480,
-      created_at: new Date()
-    };
-
-    const createdEvent = await database.createCalendarEvent(eventData);
-    
-    return {
-      type: 'event_created',
-      event: createdEvent,
-      success: true
-    };
-
-  } catch (error) {
-    console.error('Error creating event from data:', error);
-    return {
-      type: 'error',
-      success: false,
-      error: error.message
-    };
-  }
-}
-
-/**
- * Get schedule data for display
- */
-async function getScheduleData(data, userId, database) {
-  try {
-    const events = await database.getEventsByDateRange(userId, data.startDate, data.endDate);
-    
-    return {
-      type: 'schedule_data',
-      events: events,
-      dateRange: {
-        start: data.startDate,
-        end: data.endDate
-      },
-      success: true
-    };
-
-  } catch (error) {
-    console.error('Error getting schedule data:', error);
-    return {
-      type: 'error',
-      success: false,
-      error: error.message
-    };
-  }
-}
-
-/**
- * Generate unique event ID
- */
-function generateEventId() {
-  return 'evt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
\ No newline at end of file
+module.exports.actions = actions;
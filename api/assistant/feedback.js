@@ -1,7 +1,14 @@
 // AI Assistant Feedback API
 const { MemoryService } = require('../../lib/memory-service');
+const { UserManager } = require('../../lib/user-manager');
+const { EncryptionService } = require('../../lib/encryption');
+const { ApiKeyManager, hasScope } = require('../../lib/api-key-manager');
+const { authenticateRequest } = require('../../lib/auth-middleware');
+const { createRepository } = require('../../lib/repository');
+const { ConfigManager } = require('../../lib/config-manager');
 
 let memoryService = null;
+const configManager = new ConfigManager();
 
 function initializeService(database) {
   if (!memoryService) {
@@ -13,7 +20,7 @@ module.exports = async (req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -39,14 +46,22 @@ module.exports = async (req, res) => {
     }
 
     // Initialize database and services
-    const DatabaseService = require('../../lib/database-neon');
-    const database = new DatabaseService();
+    const database = createRepository();
     await database.initialize();
     
     initializeService(database);
 
-    // Get user ID from token or use default
-    const userId = req.user?.id || 'default';
+    // Resolve the user from the Bearer token or, when the apiKeys feature is on, an assistant-scoped API key
+    const encryption = new EncryptionService();
+    const apiKeyManager = configManager.isFeatureEnabled('apiKeys') ? new ApiKeyManager(database, encryption) : null;
+    const user = await authenticateRequest(req, new UserManager(database, encryption), apiKeyManager);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (user.api_key && !hasScope(user.api_key.scopes, 'assistant', req.method)) {
+      return res.status(403).json({ error: 'API key is not allowed to access assistant' });
+    }
+    const userId = user.id;
 
     // Store the feedback
     const feedback = {
@@ -4,17 +4,76 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
+const { ConfigManager } = require('../lib/config-manager');
+const { MemoryStore, createRateLimiter, defaultKeyGenerator } = require('../lib/rate-limiter');
+const { authenticateRequest, requireAuth, requireScope } = require('../lib/auth-middleware');
+const { createRepository } = require('../lib/repository');
+const { EncryptionService } = require('../lib/encryption');
+const { UserManager } = require('../lib/user-manager');
+const { ApiKeyManager } = require('../lib/api-key-manager');
+const { settleAssistantAction, undoAssistantAction } = require('../lib/assistant-handlers');
+const assistantChat = require('./assistant/chat');
 
 const app = express();
 
+// Vercel sits in front of the function, so client IPs come from X-Forwarded-For
+app.set('trust proxy', 1);
+
+// Rate limiting; the in-memory store is per function instance
+const configManager = new ConfigManager();
+const rateLimitConfig = configManager.getSecurityConfig().rateLimit;
+const rateLimitStore = new MemoryStore();
+
+// Account lookups for rate limit keys, connected once per function instance
+let authServices = null;
+
+function getAuthServices() {
+  if (!authServices) {
+    authServices = (async () => {
+      const database = createRepository();
+      await database.initialize();
+      const encryption = new EncryptionService();
+      return {
+        database,
+        userManager: new UserManager(database, encryption),
+        apiKeyManager: configManager.isFeatureEnabled('apiKeys') ? new ApiKeyManager(database, encryption) : null
+      };
+    })().catch(error => {
+      authServices = null;
+      throw error;
+    });
+  }
+  return authServices;
+}
+
+// Rate limit buckets follow the authenticated user or API key, falling back to the client IP (as in server.js)
+async function rateLimitKey(req) {
+  try {
+    const { userManager, apiKeyManager } = await getAuthServices();
+    const user = await authenticateRequest(req, userManager, apiKeyManager);
+    return defaultKeyGenerator({ ip: req.ip, user });
+  } catch (error) {
+    return defaultKeyGenerator({ ip: req.ip });
+  }
+}
+
+// Sets req.user from the Bearer token or an X-API-Key header, as server.js does
+async function authenticate(req, res, next) {
+  try {
+    const { userManager, apiKeyManager } = await getAuthServices();
+    return requireAuth(() => userManager, () => apiKeyManager)(req, res, next);
+  } catch (error) {
+    return next(error);
+  }
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from root directory
-app.use(express.static(path.join(__dirname, '..')));
-app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
+// Serve the frontend assets; uploaded files only go out through /api/files/:fileId
+app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // HTML file serving routes
 const serveHtmlFile = (filePath) => (req, res) => {
@@ -41,6 +100,84 @@ function simpleDecrypt(encrypted) {
   return Buffer.from(encrypted, 'base64').toString();
 }
 
+app.use('/api', createRateLimiter({
+  name: 'api',
+  windowMs: rateLimitConfig.windowMs,
+  max: rateLimitConfig.max,
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey
+}));
+
+// Assistant chat, with the same stricter bucket as server.js
+app.all('/api/assistant/chat', createRateLimiter({
+  name: 'assistant-chat',
+  ...rateLimitConfig.assistantChat,
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey,
+  message: 'Too many assistant messages, please slow down.'
+}), assistantChat);
+
+/**
+ * Confirm, cancel and undo for assistant changes. Pending actions and undo history live in
+ * the chat handler's in-memory ledger, so they only work on the function instance that
+ * answered the chat message; anywhere else the token reads as expired (410 ACTION_EXPIRED)
+ * and nothing runs.
+ */
+app.use('/api/assistant', authenticate, requireScope('assistant'));
+
+function sendExpired(res, response) {
+  return res.status(410).json({ error: response.text, code: 'ACTION_EXPIRED' });
+}
+
+app.post('/api/assistant/actions/:token/confirm', async (req, res) => {
+  try {
+    const { database } = await getAuthServices();
+    const response = await settleAssistantAction(assistantChat.actions, req.user.id, req.params.token, true, database);
+    if (!response.action) {
+      return sendExpired(res, response);
+    }
+    return res.json({
+      success: response.action === 'ACTION_CONFIRMED',
+      response: response.text,
+      action: response.action,
+      data: response.data,
+      actionResult: response.actionResult,
+      undo: response.undo || null
+    });
+  } catch (error) {
+    console.error('Assistant action confirm error:', error);
+    return res.status(500).json({ error: 'Failed to run the action' });
+  }
+});
+
+app.delete('/api/assistant/actions/:token', async (req, res) => {
+  try {
+    const { database } = await getAuthServices();
+    const response = await settleAssistantAction(assistantChat.actions, req.user.id, req.params.token, false, database);
+    if (!response.action) {
+      return sendExpired(res, response);
+    }
+    return res.json({ success: true, response: response.text, action: response.action });
+  } catch (error) {
+    console.error('Assistant action cancel error:', error);
+    return res.status(500).json({ error: 'Failed to cancel the action' });
+  }
+});
+
+app.post('/api/assistant/undo', async (req, res) => {
+  try {
+    const { database } = await getAuthServices();
+    const response = await undoAssistantAction(assistantChat.actions, req.user.id, database, req.body.id || null);
+    if (!response.action) {
+      return sendExpired(res, response);
+    }
+    return res.json({ success: response.action === 'ACTION_UNDONE', response: response.text, action: response.action, data: response.data });
+  } catch (error) {
+    console.error('Assistant undo error:', error);
+    return res.status(500).json({ error: 'Failed to undo the action' });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -84,7 +221,13 @@ app.post('/api/config/setup', async (req, res) => {
 });
 
 // User Authentication (simplified for serverless)
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', createRateLimiter({
+  name: 'login',
+  ...rateLimitConfig.login,
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey,
+  message: 'Too many login attempts, please try again later.'
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -177,6 +320,24 @@ app.post('/api/upload', async (req, res) => {
   }
 });
 
+// Download an uploaded file; only its owner can read it (as in server.js)
+app.get('/api/files/:fileId', authenticate, requireScope('tasks'), async (req, res) => {
+  try {
+    const { database } = await getAuthServices();
+    const file = await database.getFileById(parseInt(req.params.fileId));
+
+    if (!file || file.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.type(file.mimetype || 'application/octet-stream');
+    res.sendFile(path.resolve(file.path));
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({ error: 'Failed to retrieve file' });
+  }
+});
+
 // Catch-all route for API
 app.all('/api/*', (req, res) => {
   res.status(404).json({ error: 'API endpoint not found' });
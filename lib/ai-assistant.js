@@ -1,59 +1,129 @@
 // AI Assistant Service for Natural Language Calendar Management
 const { EncryptionService } = require('./encryption');
 const { Logger } = require('./logger');
+const { NLPParser } = require('./nlp-parser');
+const { IntentClassifier } = require('./intent-classifier');
+const { DialogueState } = require('./dialogue-state');
+const { ActionLedger, eventTimingFromEntities } = require('./assistant-actions');
+const { describeEvent } = require('./event-resolver');
+const { DEFAULT_TIMEZONE, todayInZone } = require('./timezones');
+
+// NLPParser results at or below this confidence go to the LLM, when one is configured
+const NLP_CONFIDENCE_THRESHOLD = 0.8;
+
+// Replies that steer the assistant rather than ask it for something. They only count as
+// short standalone replies, so "ok, also add lunch tomorrow" and "revert the meeting to
+// 3pm" are new requests.
+const UNDO_PATTERN = /^\s*(undo|revert|take (that|it) back)(\s+(that|it))?(,?\s*please)?\s*[.!]?\s*$/i;
+const YES_PATTERN = /^\s*(yes|yep|yeah|sure|ok(ay)?|confirm|do it|go ahead|correct|that's right)(,?\s*please)?\s*[.!]?\s*$/i;
+const NO_PATTERN = /^\s*(no|nope|don't|do not|never\s?mind)(,?\s*thanks)?\s*[.!]?\s*$/i;
 
 class AIAssistant {
-    constructor(database, openaiApiKey = null) {
+    constructor(database, openaiApiKey = null, options = {}) {
         this.database = database;
         this.logger = new Logger();
         this.encryption = new EncryptionService();
         this.apiKey = openaiApiKey || process.env.OPENAI_API_KEY;
         
-        // Intent patterns for natural language understanding
-        this.intents = {
-            CREATE_EVENT: {
-                patterns: ['schedule', 'add', 'create', 'set up', 'book', 'plan', 'make', 'arrange'],
-                entities: ['date', 'time', 'title', 'duration', 'description', 'participants']
-            },
-            MODIFY_EVENT: {
-                patterns: ['change', 'move', 'reschedule', 'update', 'edit', 'modify', 'postpone'],
-                entities: ['event_id', 'new_date', 'new_time', 'new_title']
-            },
-            DELETE_EVENT: {
-                patterns: ['cancel', 'delete', 'remove', 'clear'],
-                entities: ['event_id', 'date', 'title']
-            },
-            QUERY_SCHEDULE: {
-                patterns: ['what', 'when', 'show', 'list', 'free', 'available', 'busy', 'have'],
-                entities: ['date_range', 'category', 'time_period']
-            },
-            REMINDER: {
-                patterns: ['remind', 'alert', 'notify'],
-                entities: ['event_id', 'time_before', 'method']
-            }
-        };
+        // Keyword parsing first; the LLM only sees messages the parser is unsure about
+        this.nlpParser = new NLPParser();
+        this.classifier = options.classifier || new IntentClassifier({ apiKey: this.apiKey, usageMeter: options.usageMeter });
 
-        // Context memory for conversation continuity
+        // Dialogue state per user and chat session, for requests still missing details
         this.conversationContext = new Map();
+
+        // Actions waiting for a yes, and how to undo the ones that ran
+        this.actions = options.actions || new ActionLedger();
         
         // User memory cache
         this.userMemoryCache = new Map();
     }
 
     /**
-     * Process natural language input and return structured response
+     * Work out { intent, entities, confidence, source } for a message: NLPParser when it
+     * is confident, otherwise the LLM, falling back to the NLP guess without a key or on errors.
+     */
+    async understand(message, userId = null, timezone = null) {
+        const zone = timezone || await this.getTimezone(userId);
+        const parsed = { ...this.nlpParser.parse(message, { timezone: zone }), source: 'nlp' };
+
+        if (parsed.intent !== 'UNKNOWN' && parsed.confidence > NLP_CONFIDENCE_THRESHOLD) {
+            return parsed;
+        }
+
+        const classified = await this.classifier.classify(message, { userId, timezone: zone });
+        return classified || parsed;
+    }
+
+    // Relative dates ("tomorrow") are resolved in the user's time zone
+    async getTimezone(userId) {
+        if (!userId || !this.database) {
+            return DEFAULT_TIMEZONE;
+        }
+        try {
+            return await this.database.getUserTimezone(userId);
+        } catch (error) {
+            this.logger.error('Error fetching user timezone:', error);
+            return DEFAULT_TIMEZONE;
+        }
+    }
+
+    /**
+     * understand() within the session's dialogue: answers to an earlier question are
+     * merged into the pending request, and `prompt` is set while required slots are missing.
+     * "undo that" comes back as UNDO, and a yes or no to a pending action as CONFIRM or
+     * REJECT with its `token` in entities.
+     */
+    async understandTurn(userId, message, sessionId = null) {
+        const dialogue = this.getDialogue(userId, sessionId);
+        const control = { entities: {}, confidence: 1, rawInput: message, source: 'nlp', missing: [], prompt: null, continued: true };
+
+        if (UNDO_PATTERN.test(message)) {
+            return { ...control, intent: 'UNDO' };
+        }
+
+        const pending = this.actions.latestPending(userId, sessionId);
+        if (pending && (YES_PATTERN.test(message) || NO_PATTERN.test(message))) {
+            return { ...control, intent: YES_PATTERN.test(message) ? 'CONFIRM' : 'REJECT', entities: { token: pending.token } };
+        }
+
+        const timezone = await this.getTimezone(userId);
+        if (dialogue.isCollecting()) {
+            const answer = this.nlpParser.parse(message, { timezone });
+            if (!dialogue.startsNewRequest(answer, this.nlpParser.hasIntentKeyword(message, answer.intent))) {
+                return dialogue.answer(message, answer);
+            }
+        }
+
+        return dialogue.start(await this.understand(message, userId, timezone));
+    }
+
+    getDialogue(userId, sessionId = null) {
+        const key = sessionId ? `${userId}-${sessionId}` : userId;
+
+        // Only sessions with a pending request are worth keeping
+        for (const [otherKey, dialogue] of this.conversationContext) {
+            if (otherKey !== key && !dialogue.isCollecting()) {
+                this.conversationContext.delete(otherKey);
+            }
+        }
+
+        if (!this.conversationContext.has(key)) {
+            this.conversationContext.set(key, new DialogueState());
+        }
+        return this.conversationContext.get(key);
+    }
+
+    /**
+     * Process natural language input and return structured response. Pass the
+     * result of understand() when the caller already has it.
      */
-    async processMessage(userId, message, sessionId = null) {
+    async processMessage(userId, message, sessionId = null, understood = null) {
         try {
             // Load user context and memory
             const userContext = await this.getUserContext(userId);
-            const conversationHistory = await this.getConversationHistory(userId, sessionId);
             
-            // Detect intent from message
-            const intent = this.detectIntent(message);
-            
-            // Extract entities from message
-            const entities = await this.extractEntities(message, intent);
+            const { intent, entities } = understood || await this.understand(message, userId);
             
             // Generate appropriate response based on intent
             const response = await this.generateResponse(intent, entities, userContext);
@@ -83,235 +153,23 @@ class AIAssistant {
         }
     }
 
-    /**
-     * Detect the user's intent from their message
-     */
-    detectIntent(message) {
-        const lowerMessage = message.toLowerCase();
-        let highestScore = 0;
-        let detectedIntent = 'UNKNOWN';
-        
-        for (const [intentName, intentData] of Object.entries(this.intents)) {
-            let score = 0;
-            for (const pattern of intentData.patterns) {
-                if (lowerMessage.includes(pattern)) {
-                    score += 1;
-                }
-            }
-            
-            if (score > highestScore) {
-                highestScore = score;
-                detectedIntent = intentName;
-            }
-        }
-        
-        // If no clear intent, try to infer from question words
-        if (detectedIntent === 'UNKNOWN') {
-            if (lowerMessage.startsWith('what') || lowerMessage.startsWith('when') || 
-                lowerMessage.includes('show') || lowerMessage.includes('list')) {
-                detectedIntent = 'QUERY_SCHEDULE';
-            }
-        }
-        
-        return detectedIntent;
-    }
-
-    /**
-     * Extract entities (dates, times, titles, etc.) from the message
-     */
-    async extractEntities(message, intent) {
-        const entities = {};
-        
-        // Extract date and time using various patterns
-        const dateTime = this.extractDateTime(message);
-        if (dateTime.date) entities.date = dateTime.date;
-        if (dateTime.time) entities.time = dateTime.time;
-        if (dateTime.duration) entities.duration = dateTime.duration;
-        
-        // Extract event title/description
-        const title = this.extractTitle(message, intent);
-        if (title) entities.title = title;
-        
-        // Extract participants (people mentioned)
-        const participants = this.extractParticipants(message);
-        if (participants.length > 0) entities.participants = participants;
-        
-        // Extract location if mentioned
-        const location = this.extractLocation(message);
-        if (location) entities.location = location;
-        
-        return entities;
-    }
-
-    /**
-     * Extract date and time from natural language
-     */
-    extractDateTime(message) {
-        const result = { date: null, time: null, duration: null };
-        const lower = message.toLowerCase();
-        
-        // Common date patterns
-        const today = new Date();
-        
-        // Tomorrow
-        if (lower.includes('tomorrow')) {
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            result.date = tomorrow.toISOString().split('T')[0];
-        }
-        // Today
-        else if (lower.includes('today')) {
-            result.date = today.toISOString().split('T')[0];
-        }
-        // Next week
-        else if (lower.includes('next week')) {
-            const nextWeek = new Date(today);
-            nextWeek.setDate(nextWeek.getDate() + 7);
-            result.date = nextWeek.toISOString().split('T')[0];
-        }
-        // Next Monday, Tuesday, etc.
-        else {
-            const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            for (let i = 0; i < days.length; i++) {
-                if (lower.includes('next ' + days[i])) {
-                    const daysUntil = (i - today.getDay() + 7) % 7 || 7;
-                    const targetDate = new Date(today);
-                    targetDate.setDate(targetDate.getDate() + daysUntil);
-                    result.date = targetDate.toISOString().split('T')[0];
-                    break;
-                }
-            }
-        }
-        
-        // Time patterns
-        const timeRegex = /(\d{1,2})\s*(:|\.)?(\d{2})?\s*(am|pm|AM|PM)?/g;
-        const timeMatch = timeRegex.exec(message);
-        if (timeMatch) {
-            let hours = parseInt(timeMatch[1]);
-            const minutes = timeMatch[3] ? parseInt(timeMatch[3]) : 0;
-            const period = timeMatch[4]?.toLowerCase();
-            
-            if (period === 'pm' && hours < 12) hours += 12;
-            if (period === 'am' && hours === 12) hours = 0;
-            
-            result.time = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-        }
-        
-        // Common time expressions
-        if (lower.includes('noon')) result.time = '12:00';
-        if (lower.includes('midnight')) result.time = '00:00';
-        if (lower.includes('morning') && !result.time) result.time = '09:00';
-        if (lower.includes('afternoon') && !result.time) result.time = '14:00';
-        if (lower.includes('evening') && !result.time) result.time = '18:00';
-        
-        // Duration patterns
-        const durationRegex = /(\d+)\s*(hour|hr|minute|min)/gi;
-        const durationMatch = durationRegex.exec(message);
-        if (durationMatch) {
-            const value = parseInt(durationMatch[1]);
-            const unit = durationMatch[2].toLowerCase();
-            if (unit.includes('hour')) {
-                result.duration = value * 60; // Convert to minutes
-            } else {
-                result.duration = value;
-            }
-        }
-        
-        return result;
-    }
-
-    /**
-     * Extract event title from the message
-     */
-    extractTitle(message, intent) {
-        // Remove common intent words to isolate the title
-        let title = message;
-        
-        // Remove time-related phrases
-        title = title.replace(/tomorrow|today|next week|next \w+day/gi, '');
-        title = title.replace(/at \d+:?\d*\s*(am|pm)?/gi, '');
-        title = title.replace(/\d+\s*(hour|hr|minute|min)s?/gi, '');
-        
-        // Remove intent keywords
-        const intentKeywords = this.intents[intent]?.patterns || [];
-        for (const keyword of intentKeywords) {
-            const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-            title = title.replace(regex, '');
-        }
-        
-        // Clean up extra spaces and common words
-        title = title.replace(/\s+/g, ' ').trim();
-        title = title.replace(/^(a|an|the|my|for|with)\s+/i, '');
-        
-        // Capitalize first letter
-        if (title) {
-            title = title.charAt(0).toUpperCase() + title.slice(1);
-        }
-        
-        return title || 'New Event';
-    }
-
-    /**
-     * Extract participants from the message
-     */
-    extractParticipants(message) {
-        const participants = [];
-        
-        // Look for "with" followed by names
-        const withRegex = /with\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g;
-        let match;
-        while ((match = withRegex.exec(message)) !== null) {
-            participants.push(match[1]);
-        }
-        
-        // Look for email addresses
-        const emailRegex = /[\w.-]+@[\w.-]+\.\w+/g;
-        while ((match = emailRegex.exec(message)) !== null) {
-            participants.push(match[0]);
-        }
-        
-        return participants;
-    }
-
-    /**
-     * Extract location from the message
-     */
-    extractLocation(message) {
-        // Look for "at" or "in" followed by a location
-        const locationRegex = /(?:at|in)\s+([A-Z][A-Za-z\s]+?)(?:\s+(?:at|on|for|with)|$)/;
-        const match = locationRegex.exec(message);
-        
-        if (match) {
-            // Filter out time-related words that might be caught
-            const location = match[1].trim();
-            if (!location.match(/\d+:?\d*\s*(am|pm)?/i)) {
-                return location;
-            }
-        }
-        
-        return null;
-    }
-
     /**
      * Generate appropriate response based on intent and entities
      */
     async generateResponse(intent, entities, userContext) {
         switch (intent) {
-            case 'CREATE_EVENT':
+            case 'CREATE':
                 return this.generateCreateEventResponse(entities, userContext);
                 
-            case 'QUERY_SCHEDULE':
+            case 'QUERY':
                 return this.generateQueryResponse(entities, userContext);
                 
-            case 'MODIFY_EVENT':
+            case 'MODIFY':
                 return this.generateModifyResponse(entities, userContext);
                 
-            case 'DELETE_EVENT':
+            case 'DELETE':
                 return this.generateDeleteResponse(entities, userContext);
                 
-            case 'REMINDER':
-                return this.generateReminderResponse(entities, userContext);
-                
             default:
                 return {
                     text: "I'm not sure what you'd like me to do. You can ask me to schedule events, show your calendar, or modify existing events.",
@@ -334,7 +192,9 @@ class AIAssistant {
             };
         }
         
-        if (!entities.time) {
+        // Durations of a day or more ("for 3 days") make an all-day event, which needs no time
+        const timing = eventTimingFromEntities(entities);
+        if (!timing.allDay && !entities.time) {
             return {
                 text: "What time should the event start?",
                 action: 'REQUEST_TIME',
@@ -343,14 +203,22 @@ class AIAssistant {
         }
         
         // Build confirmation message
-        const eventDate = new Date(entities.date + 'T' + entities.time);
-        const dateStr = eventDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-        const timeStr = eventDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-        
-        let confirmMsg = `I'll schedule "${entities.title}" for ${dateStr} at ${timeStr}`;
-        
-        if (entities.duration) {
-            confirmMsg += ` (${entities.duration} minutes)`;
+        let confirmMsg;
+        if (timing.allDay) {
+            confirmMsg = `I'll schedule ${describeEvent({ title: entities.title, date: entities.date, all_day: true, end_date: timing.endDate })}`;
+        } else {
+            const eventDate = new Date(entities.date + 'T' + entities.time);
+            const dateStr = eventDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+            const timeStr = eventDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+            confirmMsg = `I'll schedule "${entities.title}" for ${dateStr} at ${timeStr}`;
+
+            if (entities.endTime) {
+                const endStr = new Date(entities.date + 'T' + entities.endTime)
+                    .toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+                confirmMsg += ` until ${endStr}`;
+            } else if (entities.duration) {
+                confirmMsg += ` (${entities.duration} minutes)`;
+            }
         }
         
         if (entities.participants && entities.participants.length > 0) {
@@ -383,8 +251,8 @@ class AIAssistant {
             startDate = entities.date;
             endDate = entities.date;
         } else {
-            // Default to today
-            startDate = new Date().toISOString().split('T')[0];
+            // Default to today on the user's calendar
+            startDate = todayInZone(userContext.timezone);
             endDate = startDate;
         }
         
@@ -425,10 +293,19 @@ class AIAssistant {
             };
         }
         
+        const changes = { date: entities.newDate, time: entities.newTime, title: entities.newTitle };
+        if (!changes.date && !changes.time && !changes.title) {
+            return {
+                text: "I'll help you modify that event. What changes would you like to make?",
+                action: 'REQUEST_CHANGE',
+                data: entities
+            };
+        }
+
         return {
-            text: "I'll help you modify that event. What changes would you like to make?",
-            action: 'MODIFY_EVENT',
-            data: entities
+            text: `Are you sure you want to change "${entities.title || 'this event'}"?`,
+            action: 'CONFIRM_MODIFY_EVENT',
+            data: { ...entities, changes }
         };
     }
 
@@ -451,19 +328,6 @@ class AIAssistant {
         };
     }
 
-    /**
-     * Generate response for setting reminders
-     */
-    generateReminderResponse(entities, userContext) {
-        const timeBefore = entities.time_before || '15 minutes';
-        
-        return {
-            text: `I'll set a reminder ${timeBefore} before the event.`,
-            action: 'SET_REMINDER',
-            data: entities
-        };
-    }
-
     /**
      * Get user context and preferences
      */
@@ -507,10 +371,10 @@ class AIAssistant {
         try {
             await this.database.storeConversation({
                 user_id: userId,
-                message: message,
-                response: response.text,
+                user_message: message,
+                assistant_response: response.text,
                 intent: intent,
-                entities: JSON.stringify(entities),
+                entities: entities,
                 created_at: new Date()
             });
         } catch (error) {
@@ -0,0 +1,160 @@
+const { v4: uuidv4 } = require('uuid');
+
+// 'read' allows GET requests everywhere; the others grant full access to one area
+const API_KEY_SCOPES = ['read', 'tasks', 'events', 'assistant'];
+
+class ApiKeyManager {
+  constructor(database, encryption) {
+    this.database = database;
+    this.encryption = encryption;
+  }
+
+  /**
+   * Issue a new key. The plaintext key is only returned here; just its hash is stored.
+   */
+  async createKey(userId, { name, scopes }) {
+    try {
+      if (!name || !String(name).trim()) {
+        throw new Error('API key name is required');
+      }
+
+      const normalizedScopes = normalizeScopes(scopes);
+      const key = this.encryption.generateApiKey();
+      const id = uuidv4();
+      const createdAt = new Date().toISOString();
+
+      await this.database.run(
+        'INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, scopes, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [id, userId, String(name).trim(), key.slice(0, 12), this.encryption.hash(key), normalizedScopes.join(','), createdAt]
+      );
+
+      return {
+        id,
+        name: String(name).trim(),
+        key,
+        prefix: key.slice(0, 12),
+        scopes: normalizedScopes,
+        created_at: createdAt
+      };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  async listKeys(userId) {
+    try {
+      const keys = await this.database.all(
+        `SELECT id, name, key_prefix, scopes, created_at, last_used_at
+         FROM api_keys
+         WHERE user_id = ? AND revoked_at IS NULL
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      return keys.map(key => ({ ...key, scopes: parseScopes(key.scopes) }));
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  async revokeKey(userId, keyId) {
+    try {
+      const key = await this.database.get(
+        'SELECT id FROM api_keys WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [keyId, userId]
+      );
+
+      if (!key) {
+        return false;
+      }
+
+      await this.database.run(
+        'UPDATE api_keys SET revoked_at = ? WHERE id = ?',
+        [new Date().toISOString(), keyId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the user behind a plaintext key, or null when the key is unknown or revoked
+   */
+  async verifyKey(key) {
+    try {
+      if (!key) {
+        return null;
+      }
+
+      const apiKey = await this.database.get(
+        'SELECT id, user_id, scopes FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+        [this.encryption.hash(key)]
+      );
+
+      if (!apiKey) {
+        return null;
+      }
+
+      const user = await this.database.get(
+        'SELECT id, email, name, timezone FROM users WHERE id = ?',
+        [apiKey.user_id]
+      );
+
+      if (!user) {
+        return null;
+      }
+
+      await this.database.run(
+        'UPDATE api_keys SET last_used_at = ? WHERE id = ?',
+        [new Date().toISOString(), apiKey.id]
+      );
+
+      return {
+        ...user,
+        api_key: { id: apiKey.id, scopes: parseScopes(apiKey.scopes) }
+      };
+    } catch (error) {
+      console.error('API key verification error:', error);
+      throw error;
+    }
+  }
+}
+
+function parseScopes(scopes) {
+  return String(scopes || '').split(',').filter(Boolean);
+}
+
+function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : parseScopes(scopes);
+
+  if (list.length === 0) {
+    throw new Error(`At least one scope is required (${API_KEY_SCOPES.join(', ')})`);
+  }
+
+  const invalid = list.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown API key scope: ${invalid.join(', ')}`);
+  }
+
+  return [...new Set(list)];
+}
+
+/**
+ * Whether a key's scopes allow a request with the given method against an area
+ */
+function hasScope(scopes, area, method = 'GET') {
+  if (scopes.includes(area)) {
+    return true;
+  }
+  return scopes.includes('read') && ['GET', 'HEAD'].includes(String(method).toUpperCase());
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  ApiKeyManager,
+  hasScope
+};
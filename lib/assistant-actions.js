@@ -0,0 +1,293 @@
+// Confirmation tokens and undo history for calendar changes made by the chat assistant
+const crypto = require('crypto');
+const { moveEventToDate, toDateString } = require('./recurrence');
+const { deleteEventInScope, eventOwnerId, resolveEventTarget, updateEventInScope } = require('./event-scope');
+const { findMatchingEvents } = require('./event-resolver');
+const { addDays } = require('./timezones');
+
+const CONFIRMATION_TTL = 5 * 60 * 1000;
+const UNDO_WINDOW = 10 * 60 * 1000;
+// NLPParser reads "all day" as 8 hours; an event that long or longer is an all-day one
+const ALL_DAY_MINUTES = 8 * 60;
+const DAY_MINUTES = 24 * 60;
+
+// Assistant actions named CONFIRM_* change data and wait for a yes before they run
+function needsConfirmation(action) {
+  return typeof action === 'string' && action.startsWith('CONFIRM_');
+}
+
+/**
+ * In-memory, like the realtime audio tickets: a restart forgets pending confirmations
+ * and undo history, which only ever cost the user a retyped request.
+ *
+ * Pending actions are { token, userId, sessionId, action, data, summary, expiresAt }.
+ * Undo entries are { id, userId, action, description, inverse, expiresAt }, where
+ * `inverse` is an operation applyInverse() understands.
+ */
+class ActionLedger {
+  constructor(options = {}) {
+    this.confirmationTtl = options.confirmationTtl || CONFIRMATION_TTL;
+    this.undoWindow = options.undoWindow || UNDO_WINDOW;
+    this.pending = new Map();
+    this.history = new Map(); // userId -> undo entries, newest last
+  }
+
+  // Hold an action until the user confirms it; returns { token, expiresIn } in seconds
+  propose(userId, { action, data, summary = null, sessionId = null }) {
+    this.prune();
+    const token = crypto.randomBytes(16).toString('hex');
+    this.pending.set(token, { token, userId, sessionId, action, data, summary, expiresAt: Date.now() + this.confirmationTtl });
+    return { token, expiresIn: Math.round(this.confirmationTtl / 1000) };
+  }
+
+  // Single use: the pending action for `token` if it belongs to the user and has not expired
+  take(userId, token) {
+    const entry = this.pending.get(token);
+    if (!entry || entry.userId !== userId) {
+      return null;
+    }
+    this.pending.delete(token);
+    return entry.expiresAt > Date.now() ? entry : null;
+  }
+
+  // The newest pending action in a chat session, for "yes" and "no" replies
+  latestPending(userId, sessionId = null) {
+    this.prune();
+    const entries = Array.from(this.pending.values())
+      .filter(entry => entry.userId === userId && entry.sessionId === sessionId);
+    return entries[entries.length - 1] || null;
+  }
+
+  // Remember how to revert an executed action; returns { id, expiresIn } in seconds
+  record(userId, { action, description, inverse }) {
+    this.prune();
+    const entry = { id: crypto.randomBytes(8).toString('hex'), userId, action, description, inverse, expiresAt: Date.now() + this.undoWindow };
+    const entries = this.history.get(userId) || [];
+    entries.push(entry);
+    this.history.set(userId, entries);
+    return { id: entry.id, expiresIn: Math.round(this.undoWindow / 1000) };
+  }
+
+  // Removes and returns the undo entry `id`, or the newest one, while still inside the window
+  takeUndo(userId, id = null) {
+    this.prune();
+    const entries = this.history.get(userId) || [];
+    const index = id ? entries.findIndex(entry => entry.id === id) : entries.length - 1;
+    if (index < 0) {
+      return null;
+    }
+    return entries.splice(index, 1)[0];
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt <= now) {
+        this.pending.delete(token);
+      }
+    }
+    for (const [userId, entries] of this.history) {
+      const live = entries.filter(entry => entry.expiresAt > now);
+      if (live.length) {
+        this.history.set(userId, live);
+      } else {
+        this.history.delete(userId);
+      }
+    }
+  }
+}
+
+// A calendar_events row in the shape Repository.createEvent/updateEvent take
+function eventRowToData(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    description: row.description,
+    date: toDateString(row.date),
+    time: row.time,
+    endDate: row.end_date ? toDateString(row.end_date) : null,
+    endTime: row.end_time,
+    type: row.type,
+    color: row.color,
+    location: row.location,
+    allDay: Boolean(row.all_day),
+    timezone: row.timezone,
+    recurring: Boolean(row.recurring),
+    recurringType: row.recurring_type,
+    rrule: row.rrule,
+    exdates: row.exdates,
+    seriesId: row.series_id,
+    recurrenceId: row.recurrence_id ? toDateString(row.recurrence_id) : null,
+    icalUid: row.ical_uid,
+    taskId: row.task_id
+  };
+}
+
+/**
+ * Start and end fields for an event created from parsed { date, time, endTime, duration }
+ * entities. ALL_DAY_MINUTES or more makes it all-day, across as many days as the
+ * duration covers ("for 3 days"); otherwise a stated end time or duration sets its end.
+ */
+function eventTimingFromEntities(entities, defaultTime = null) {
+  const duration = Number(entities.duration) || null;
+  if (duration >= ALL_DAY_MINUTES) {
+    const days = Math.max(1, Math.ceil(duration / DAY_MINUTES));
+    return { time: null, allDay: true, endDate: addDays(entities.date, days - 1) };
+  }
+
+  return {
+    time: entities.time || defaultTime,
+    allDay: false,
+    endTime: entities.endTime || null,
+    durationMinutes: duration || undefined
+  };
+}
+
+/**
+ * Inverse operations, or an array of them applied in order:
+ *   { type: 'delete_event', eventId }          - undoes a create
+ *   { type: 'restore_event', event }           - undoes a delete; `event` is the deleted row
+ *   { type: 'update_event', event }            - undoes an edit; `event` is the row before it
+ *   { type: 'remove_exdate', eventId, date }   - brings back a cancelled occurrence of a series
+ */
+async function applyInverse(database, userId, inverse) {
+  if (Array.isArray(inverse)) {
+    for (const step of inverse) {
+      await applyInverse(database, userId, step);
+    }
+    return null;
+  }
+
+  switch (inverse.type) {
+    case 'delete_event': {
+      const event = await database.getEventById(inverse.eventId);
+      if (!event || event.user_id !== userId) {
+        throw new Error('That event no longer exists');
+      }
+      return database.deleteEvent(inverse.eventId);
+    }
+
+    case 'restore_event':
+      return database.createEvent(eventRowToData(inverse.event));
+
+    case 'update_event': {
+      const event = await database.getEventById(inverse.event.id);
+      if (!event || event.user_id !== userId) {
+        throw new Error('That event no longer exists');
+      }
+      return database.updateEvent(inverse.event.id, eventRowToData(inverse.event));
+    }
+
+    case 'remove_exdate': {
+      const series = await database.getEventById(inverse.eventId);
+      if (!series || series.user_id !== userId) {
+        throw new Error('That event no longer exists');
+      }
+      return database.removeEventExdate(inverse.eventId, inverse.date);
+    }
+
+    default:
+      throw new Error(`Unknown inverse operation: ${inverse.type}`);
+  }
+}
+
+/**
+ * Edit the event or single occurrence a resolveEventTarget() target points at,
+ * returning { event, inverse }. Occurrences only ever change on their own ("this").
+ */
+async function updateEventWithInverse(database, target, eventData) {
+  const { event: row, series, occurrenceDate } = target;
+  const event = await updateEventInScope(database, target, eventData, null, 'this');
+
+  if (row || !series) {
+    return { event, inverse: { type: 'update_event', event: row } };
+  }
+  // A new override row now stands in for the occurrence
+  return {
+    event,
+    inverse: [
+      { type: 'delete_event', eventId: event.id },
+      { type: 'remove_exdate', eventId: series.id, date: occurrenceDate }
+    ]
+  };
+}
+
+// Delete the event or single occurrence, returning { event, inverse } with the removed row
+async function deleteEventWithInverse(database, target) {
+  const { event: row, series, occurrenceDate } = target;
+
+  if (series && occurrenceDate) {
+    await deleteEventInScope(database, target, 'this');
+    // An override row already came with the occurrence's EXDATE, so restoring it is enough
+    return row
+      ? { event: row, inverse: { type: 'restore_event', event: row } }
+      : { event: { ...series, date: occurrenceDate }, inverse: { type: 'remove_exdate', eventId: series.id, date: occurrenceDate } };
+  }
+
+  const deleted = await deleteEventInScope(database, target, 'this');
+  return { event: deleted, inverse: { type: 'restore_event', event: deleted } };
+}
+
+/**
+ * The event a confirmed chat action targets: `eventId` when the handler resolved one,
+ * otherwise the single event matching the { title, date, time } reference.
+ */
+async function resolveActionTarget(database, userId, data) {
+  let eventId = data.eventId;
+
+  if (!eventId) {
+    const matches = await findMatchingEvents(database, userId, data);
+    if (matches.length !== 1) {
+      throw new Error(matches.length ? 'More than one event matches' : 'No matching event found');
+    }
+    eventId = matches[0].id;
+  }
+
+  const target = await resolveEventTarget(database, eventId);
+  if (!target || eventOwnerId(target) !== userId) {
+    throw new Error('Event not found');
+  }
+  return target;
+}
+
+/**
+ * Move or rename an event for the chat assistant. `changes` is { date, time, title }.
+ * Returns { event, previous, inverse }; `previous` is the event as it was.
+ */
+async function rescheduleEvent(database, userId, data, changes) {
+  const target = await resolveActionTarget(database, userId, data);
+  const current = target.event || target.series;
+  const previous = moveEventToDate(current, target.occurrenceDate || current.date);
+
+  const eventData = {
+    title: changes.title || current.title,
+    description: current.description,
+    date: changes.date || toDateString(previous.date),
+    time: changes.time || current.time,
+    type: current.type || 'other',
+    color: current.color || 'blue',
+    location: current.location,
+    allDay: Boolean(current.all_day) && !changes.time
+  };
+
+  const { event, inverse } = await updateEventWithInverse(database, target, eventData);
+  return { event, previous, inverse };
+}
+
+// Cancel an event (or one occurrence) for the chat assistant; returns { event, inverse }
+async function cancelEvent(database, userId, data) {
+  const target = await resolveActionTarget(database, userId, data);
+  return deleteEventWithInverse(database, target);
+}
+
+module.exports = {
+  ALL_DAY_MINUTES,
+  ActionLedger,
+  applyInverse,
+  cancelEvent,
+  eventRowToData,
+  eventTimingFromEntities,
+  needsConfirmation,
+  rescheduleEvent
+};
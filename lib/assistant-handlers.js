@@ -0,0 +1,473 @@
+/**
+ * Chat handling shared by server.js and the serverless api/assistant/chat.js:
+ * answers to understood requests (create, query, change, cancel, plan), and the
+ * confirm and undo flow around the assistant's ActionLedger.
+ *
+ * Handlers return { text, action, data } for the chat reply; ones that change the
+ * calendar add `description` and `inverse` so the change can be undone.
+ */
+
+const {
+  ALL_DAY_MINUTES,
+  applyInverse,
+  cancelEvent,
+  eventTimingFromEntities,
+  needsConfirmation,
+  rescheduleEvent
+} = require('./assistant-actions');
+const { describeEvent, findMatchingEvents, formatDay, formatTime } = require('./event-resolver');
+const {
+  checkTimeSlot,
+  describeConflicts,
+  describeSlot,
+  describeWindow,
+  findConflicts,
+  getAvailability,
+  suggestSlots
+} = require('./availability');
+const { moveEventToDate } = require('./recurrence');
+const { acceptPlan, describePlan, planTasks } = require('./task-scheduler');
+const { addDays, eventDurationMinutes, todayInZone, withEventTimes } = require('./timezones');
+
+function generateEventId() {
+  return 'evt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+async function handleDirectIntent(nlpResult, userId, database) {
+  const { intent, entities } = nlpResult;
+
+  switch (intent) {
+    case 'CREATE':
+      return await handleCreateEvent(entities, userId, database);
+    case 'QUERY':
+      return await handleQuerySchedule(entities, userId, database);
+    case 'MODIFY':
+      return await handleModifyEvent(entities, userId, database);
+    case 'DELETE':
+      return await handleDeleteEvent(entities, userId, database);
+    case 'PLAN':
+      return await handlePlanDay(entities, userId, database);
+    default:
+      return {
+        text: "I understand you want to " + intent.toLowerCase() + " something, but I need more details.",
+        action: null,
+        data: entities
+      };
+  }
+}
+
+async function handleCreateEvent(entities, userId, database) {
+  // All-day and multi-day events (8+ hours) need no start time
+  if (!entities.date || (!entities.time && !(entities.duration >= ALL_DAY_MINUTES))) {
+    return {
+      text: !entities.date ? "What day would you like to schedule this?" : "What time should it start?",
+      action: !entities.date ? 'REQUEST_DATE' : 'REQUEST_TIME',
+      data: entities
+    };
+  }
+
+  const eventData = {
+    id: generateEventId(),
+    userId,
+    title: entities.title || 'New Event',
+    description: entities.description || '',
+    date: entities.date,
+    // A parsed end time or duration sets how long it lasts
+    ...eventTimingFromEntities(entities),
+    type: entities.eventType || 'other',
+    location: entities.location || null
+  };
+
+  try {
+    const createdEvent = withEventTimes(await database.createEvent(eventData));
+    const conflicts = await findConflicts(database, userId, createdEvent);
+    const suggestions = conflicts.length
+      ? await suggestSlots(database, userId, {
+        date: createdEvent.date,
+        time: createdEvent.time,
+        durationMinutes: eventDurationMinutes(createdEvent),
+        excludeEventId: createdEvent.id
+      })
+      : [];
+    const warning = conflicts.length ? ` ${describeConflicts(conflicts, suggestions)}` : '';
+
+    return {
+      text: `Perfect! I've scheduled ${describeEvent(createdEvent)}.${warning}`,
+      action: 'EVENT_CREATED',
+      data: { event: createdEvent, original: entities, conflicts, suggestions },
+      description: `scheduled ${describeEvent(createdEvent)}`,
+      inverse: { type: 'delete_event', eventId: createdEvent.id }
+    };
+  } catch (error) {
+    return {
+      text: "I had trouble creating that event. Please try again.",
+      action: 'ERROR',
+      data: { error: error.message }
+    };
+  }
+}
+
+async function handleQuerySchedule(entities, userId, database) {
+  try {
+    // "Today" is the user's today, not the server's
+    const startDate = entities.date || todayInZone(await database.getUserTimezone(userId));
+    const endDate = startDate;
+
+    if (entities.availability) {
+      return await handleAvailabilityQuery(entities, startDate, userId, database);
+    }
+    
+    const events = await database.getEventsByDateRange(userId, startDate, endDate);
+    
+    if (events.length === 0) {
+      const dayStr = new Date(`${startDate}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+      return {
+        text: `You have no events scheduled for ${dayStr}. Would you like to add something?`,
+        action: 'SHOW_EMPTY_SCHEDULE',
+        data: { startDate, endDate }
+      };
+    }
+    
+    let responseText = `Here's your schedule:\n\n`;
+    for (const event of events) {
+      const eventTime = event.time ? 
+        new Date('2000-01-01T' + event.time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) :
+        'All day';
+      responseText += `• ${event.title} at ${eventTime}\n`;
+    }
+    
+    return {
+      text: responseText,
+      action: 'SHOW_SCHEDULE',
+      data: { events, startDate, endDate }
+    };
+  } catch (error) {
+    return {
+      text: "I had trouble checking your schedule. Please try again.",
+      action: 'ERROR',
+      data: { error: error.message }
+    };
+  }
+}
+
+// "Am I free at 3pm tomorrow?" checks that time; "when am I free Thursday?" lists the open slots
+async function handleAvailabilityQuery(entities, date, userId, database) {
+  const durationMinutes = Number(entities.duration) || 60;
+
+  if (entities.time) {
+    const check = await checkTimeSlot(database, userId, { date, time: entities.time, endTime: entities.endTime, durationMinutes });
+    const when = `${formatDay(date)} at ${formatTime(entities.time)}`;
+    const nearby = check.suggestions.length ? ` The nearest open times are ${check.suggestions.map(describeSlot).join('; ')}.` : '';
+    return {
+      text: check.free
+        ? `Yes, you're free on ${when}.`
+        : `No, you have ${check.conflicts.map(block => `"${block.title}"`).join(' and ')} then.${nearby}`,
+      action: 'SHOW_AVAILABILITY',
+      data: { date, time: entities.time, ...check }
+    };
+  }
+
+  const { days } = await getAvailability(database, userId, { startDate: date, minimumMinutes: Number(entities.duration) || 30 });
+  const [day] = days;
+  let text;
+  if (day.free.length) {
+    text = `You're free on ${formatDay(date)}: ${day.free.map(describeWindow).join(', ')}.`;
+  } else {
+    const suggestions = await suggestSlots(database, userId, { date: addDays(date, 1), durationMinutes });
+    const nearby = suggestions.length ? ` The next open times are ${suggestions.map(describeSlot).join('; ')}.` : '';
+    text = day.working
+      ? `You're fully booked on ${formatDay(date)}.${nearby}`
+      : `${formatDay(date)} is outside your working hours.${nearby}`;
+  }
+
+  return { text, action: 'SHOW_AVAILABILITY', data: { date, ...day } };
+}
+
+// "Plan my day/week": propose blocks for open tasks and offer to book them
+async function handlePlanDay(entities, userId, database) {
+  const startDate = entities.date || todayInZone(await database.getUserTimezone(userId));
+  const endDate = entities.period === 'week' ? addDays(startDate, 6) : startDate;
+  const plan = await planTasks(database, userId, { startDate, endDate });
+  const when = entities.period === 'week' ? `the week of ${formatDay(startDate)}` : formatDay(startDate);
+
+  if (plan.blocks.length === 0) {
+    return {
+      text: plan.unscheduled.length
+        ? `I couldn't fit your open tasks into ${when}; there isn't enough free time.`
+        : 'You have no open tasks to plan.',
+      action: 'SHOW_PLAN',
+      data: { plan }
+    };
+  }
+
+  const skipped = plan.unscheduled.length
+    ? `\n\nNo room for: ${plan.unscheduled.map(task => `"${task.title}"`).join(', ')}.`
+    : '';
+  return {
+    text: `Here's a plan for ${when}:\n\n${describePlan(plan)}${skipped}\n\nShall I add these to your calendar?`,
+    action: 'CONFIRM_SCHEDULE_TASKS',
+    data: { blocks: plan.blocks, plan }
+  };
+}
+
+/**
+ * The one event a MODIFY or DELETE request refers to, as { event }, or { response }
+ * to send instead: not found, or a clarifying question when several events match.
+ */
+async function resolveReferencedEvent(entities, userId, database) {
+  const matches = await findMatchingEvents(database, userId, entities);
+
+  if (matches.length === 0) {
+    return {
+      response: {
+        text: `I couldn't find ${entities.title ? `"${entities.title}"` : 'that event'} on your calendar.`,
+        action: 'EVENT_NOT_FOUND',
+        data: entities
+      }
+    };
+  }
+
+  if (matches.length > 1) {
+    const choices = matches.slice(0, 5).map(event => `• ${describeEvent(event)}`).join('\n');
+    return {
+      response: {
+        text: `I found ${matches.length} events that match. Which one do you mean?\n\n${choices}`,
+        action: 'REQUEST_EVENT_SELECTION',
+        data: { ...entities, matches: matches.slice(0, 5) },
+        clarify: true
+      }
+    };
+  }
+
+  return { event: matches[0] };
+}
+
+async function handleModifyEvent(entities, userId, database) {
+  const changes = { date: entities.newDate, time: entities.newTime, title: entities.newTitle };
+  if (!changes.date && !changes.time && !changes.title) {
+    return { text: 'What would you like to change about it?', action: 'REQUEST_CHANGE', data: entities };
+  }
+
+  try {
+    const { event, response } = await resolveReferencedEvent(entities, userId, database);
+    if (response) {
+      return response;
+    }
+
+    const updated = {
+      ...moveEventToDate(event, changes.date || event.date),
+      title: changes.title || event.title,
+      time: changes.time || event.time,
+      all_day: event.all_day && !changes.time
+    };
+    return {
+      text: `Change ${describeEvent(event)} to ${describeEvent(updated)}?`,
+      action: 'CONFIRM_MODIFY_EVENT',
+      data: { eventId: event.id, changes }
+    };
+  } catch (error) {
+    return {
+      text: "I had trouble finding that event. Please try again.",
+      action: 'ERROR',
+      data: { error: error.message }
+    };
+  }
+}
+
+async function handleDeleteEvent(entities, userId, database) {
+  try {
+    const { event, response } = await resolveReferencedEvent(entities, userId, database);
+    if (response) {
+      return response;
+    }
+
+    return {
+      text: `Cancel ${describeEvent(event)}?`,
+      action: 'CONFIRM_DELETE_EVENT',
+      data: { eventId: event.id }
+    };
+  } catch (error) {
+    return {
+      text: "I had trouble finding that event. Please try again.",
+      action: 'ERROR',
+      data: { error: error.message }
+    };
+  }
+}
+
+// Destructive or uncertain actions wait for a yes; executed ones can be undone for a while.
+// `actions` is the assistant's ActionLedger.
+function trackAssistantAction(actions, response, userId, sessionId) {
+  if (needsConfirmation(response.action)) {
+    const pendingAction = actions.propose(userId, {
+      action: response.action,
+      data: response.data,
+      summary: response.text,
+      sessionId
+    });
+    return { pendingAction, undo: null };
+  }
+
+  if (response.inverse) {
+    const undo = actions.record(userId, {
+      action: response.action,
+      description: response.description,
+      inverse: response.inverse
+    });
+    return { pendingAction: null, undo };
+  }
+
+  return { pendingAction: null, undo: null };
+}
+
+async function runAssistantAction(actions, action, data, userId, database) {
+  const { inverse, description, ...actionResult } = await executeAction(action, data, userId, database);
+  const undo = inverse ? actions.record(userId, { action, description, inverse }) : null;
+  return { actionResult, description, undo };
+}
+
+// Runs (or drops) a pending action; `action` is null when the token is unknown or expired
+async function settleAssistantAction(actions, userId, token, confirmed, database) {
+  const pending = actions.take(userId, token);
+  if (!pending) {
+    return { text: 'That request has expired. Could you ask again?', action: null };
+  }
+
+  if (!confirmed) {
+    return { text: "Okay, I won't do that.", action: 'ACTION_CANCELLED', data: { action: pending.action } };
+  }
+
+  const { actionResult, description, undo } = await runAssistantAction(actions, pending.action, pending.data, userId, database);
+  if (actionResult.type === 'no_action') {
+    return { text: "Sorry, I can't do that from chat yet.", action: 'ERROR', actionResult };
+  }
+  if (!actionResult.success) {
+    return { text: 'I had trouble doing that. Please try again.', action: 'ERROR', actionResult };
+  }
+
+  const text = description.charAt(0).toUpperCase() + description.slice(1);
+  return { text: `Done. ${text}.`, action: 'ACTION_CONFIRMED', data: pending.data, actionResult, undo };
+}
+
+// `action` is null when there is nothing left to undo
+async function undoAssistantAction(actions, userId, database, id = null) {
+  const entry = actions.takeUndo(userId, id);
+  if (!entry) {
+    return { text: "There's nothing I can undo right now.", action: null };
+  }
+
+  try {
+    await applyInverse(database, userId, entry.inverse);
+    return { text: `I've undone that: ${entry.description}.`, action: 'ACTION_UNDONE', data: { action: entry.action } };
+  } catch (error) {
+    return { text: `I couldn't undo that. ${error.message}.`, action: 'ERROR', data: { error: error.message } };
+  }
+}
+
+async function executeAction(action, data, userId, database) {
+  switch (action) {
+    case 'CONFIRM_CREATE_EVENT':
+      return await createEventFromData(data, userId, database);
+    case 'CONFIRM_MODIFY_EVENT':
+      return await modifyEventFromData(data, userId, database);
+    case 'CONFIRM_DELETE_EVENT':
+      return await deleteEventFromData(data, userId, database);
+    case 'CONFIRM_SCHEDULE_TASKS':
+      return await scheduleTasksFromData(data, userId, database);
+    case 'SHOW_SCHEDULE':
+      return await getScheduleData(data, userId, database);
+    default:
+      return { type: 'no_action' };
+  }
+}
+
+async function createEventFromData(data, userId, database) {
+  try {
+    const eventData = {
+      id: generateEventId(),
+      userId,
+      title: data.title || 'New Event',
+      description: data.description || '',
+      date: data.date,
+      ...eventTimingFromEntities(data, '09:00'),
+      type: data.eventType || 'other',
+      location: data.location || null
+    };
+
+    const createdEvent = withEventTimes(await database.createEvent(eventData));
+    return {
+      type: 'event_created',
+      event: createdEvent,
+      conflicts: await findConflicts(database, userId, createdEvent),
+      success: true,
+      description: `scheduled ${describeEvent(createdEvent)}`,
+      inverse: { type: 'delete_event', eventId: createdEvent.id }
+    };
+  } catch (error) {
+    return { type: 'error', success: false, error: error.message };
+  }
+}
+
+async function modifyEventFromData(data, userId, database) {
+  try {
+    const { event, previous, inverse } = await rescheduleEvent(database, userId, data, data.changes || {});
+    return {
+      type: 'event_updated',
+      event: withEventTimes(event),
+      success: true,
+      description: `changed ${describeEvent(previous)} to ${describeEvent(event)}`,
+      inverse
+    };
+  } catch (error) {
+    return { type: 'error', success: false, error: error.message };
+  }
+}
+
+async function deleteEventFromData(data, userId, database) {
+  try {
+    const { event, inverse } = await cancelEvent(database, userId, data);
+    return {
+      type: 'event_deleted',
+      event,
+      success: true,
+      description: `cancelled ${describeEvent(event)}`,
+      inverse
+    };
+  } catch (error) {
+    return { type: 'error', success: false, error: error.message };
+  }
+}
+
+async function scheduleTasksFromData(data, userId, database) {
+  try {
+    const { events, conflicts, inverse } = await acceptPlan(database, userId, data.blocks);
+    return {
+      type: 'tasks_scheduled',
+      events,
+      conflicts,
+      success: true,
+      description: `added time for ${events.length} ${events.length === 1 ? 'task' : 'tasks'} to your calendar`,
+      inverse
+    };
+  } catch (error) {
+    return { type: 'error', success: false, error: error.message };
+  }
+}
+
+async function getScheduleData(data, userId, database) {
+  try {
+    const events = await database.getEventsByDateRange(userId, data.startDate, data.endDate);
+    return { type: 'schedule_data', events, dateRange: { start: data.startDate, end: data.endDate }, success: true };
+  } catch (error) {
+    return { type: 'error', success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  executeAction,
+  handleDirectIntent,
+  runAssistantAction,
+  settleAssistantAction,
+  trackAssistantAction,
+  undoAssistantAction
+};
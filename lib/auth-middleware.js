@@ -0,0 +1,100 @@
+// Request authentication shared by the Express server and the serverless handlers
+const { hasScope } = require('./api-key-manager');
+
+// Credential lookups are cached per request, so the rate limiter and the route's
+// auth middleware share a single database round trip. Failed lookups are not cached:
+// the next caller tries again, and the error reaches the route's error handling.
+const credentialCache = new WeakMap();
+
+function cachedLookup(req, kind, lookup) {
+  let entry = credentialCache.get(req);
+  if (!entry) {
+    entry = {};
+    credentialCache.set(req, entry);
+  }
+  if (!entry[kind]) {
+    const pending = Promise.resolve().then(lookup);
+    pending.catch(() => {
+      if (entry[kind] === pending) {
+        delete entry[kind];
+      }
+    });
+    entry[kind] = pending;
+  }
+  return entry[kind];
+}
+
+function extractBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function extractApiKey(req) {
+  const header = req.headers?.['x-api-key'];
+  return header ? String(header).trim() : null;
+}
+
+/**
+ * Resolve the user behind a request, or null when it carries no valid credentials.
+ * Lookup failures (e.g. the database being down) reject rather than read as no user.
+ * A bearer token wins over an X-API-Key header; keys are only checked when an
+ * ApiKeyManager is given, and the resolved user then carries `api_key.scopes`.
+ */
+async function authenticateRequest(req, userManager, apiKeyManager = null) {
+  const token = extractBearerToken(req);
+  if (token) {
+    return await cachedLookup(req, 'bearer', () => userManager.findTokenUser(token));
+  }
+
+  const apiKey = apiKeyManager && extractApiKey(req);
+  if (apiKey) {
+    return await cachedLookup(req, 'apiKey', () => apiKeyManager.verifyKey(apiKey));
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware that sets req.user or responds 401.
+ * Takes getters because the services are created lazily, after the routes are registered.
+ * Leave out getApiKeyManager for routes that need a signed-in session (e.g. managing keys).
+ */
+function requireAuth(getUserManager, getApiKeyManager = null) {
+  return async (req, res, next) => {
+    try {
+      const user = await authenticateRequest(req, getUserManager(), getApiKeyManager && getApiKeyManager());
+
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Express middleware limiting API key requests to keys scoped for an area.
+ * Session-authenticated requests always pass.
+ */
+function requireScope(area) {
+  return (req, res, next) => {
+    const scopes = req.user?.api_key?.scopes;
+    if (scopes && !hasScope(scopes, area, req.method)) {
+      return res.status(403).json({ error: `API key is not allowed to access ${area}` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticateRequest,
+  extractApiKey,
+  extractBearerToken,
+  requireAuth,
+  requireScope
+};
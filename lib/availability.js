@@ -0,0 +1,307 @@
+/**
+ * Free/busy time for a user: timed events and open tasks with a due time are busy,
+ * and free time is what is left of their working hours. Slots are reported in the
+ * user's zone with explicit offsets, like event `start` and `end`.
+ *
+ * All-day events are listed but do not make the user busy, the way holidays and
+ * reminders show on shared calendars.
+ */
+
+const { formatDay, formatTime } = require('./event-resolver');
+const { addDays, eventInstants, resolveTimeZone, toZonedISOString, zonedTimeToUtc } = require('./timezones');
+
+// Monday to Friday, 9 to 5; `days` uses Date.getDay() numbers (0 is Sunday)
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+// Tasks have no length; one with a due time is busy for this long from then
+const TASK_BLOCK_MINUTES = 30;
+const MAX_RANGE_DAYS = 31;
+// How far ahead of the requested day suggestions look for open time
+const SUGGESTION_DAYS = 7;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function invalidAvailability(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_AVAILABILITY';
+  return error;
+}
+
+/**
+ * { start, end, days } working hours with defaults filled in; throws
+ * INVALID_AVAILABILITY for malformed times, an end before the start or bad days.
+ */
+function normalizeWorkingHours(hours = {}) {
+  const result = { ...DEFAULT_WORKING_HOURS, ...(hours || {}) };
+  if (!TIME_PATTERN.test(result.start) || !TIME_PATTERN.test(result.end)) {
+    throw invalidAvailability('Working hours must be HH:MM times');
+  }
+  if (result.end <= result.start) {
+    throw invalidAvailability('Working hours must end after they start');
+  }
+  if (!Array.isArray(result.days) || !result.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw invalidAvailability('Working days must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+  return { start: result.start, end: result.end, days: [...new Set(result.days)].sort((a, b) => a - b) };
+}
+
+async function getWorkingHours(database, userId) {
+  const user = await database.getUserById(userId);
+  return normalizeWorkingHours(user?.preferences?.workingHours);
+}
+
+/**
+ * Busy blocks between two dates, as { type: 'event' | 'task', id, title, start, end }
+ * with Date instants, sorted by start, plus the all-day events that cover the range.
+ */
+async function loadBusyBlocks(database, userId, startDate, endDate, { zone, excludeEventId = null } = {}) {
+  const events = await database.getEventsByDateRange(userId, startDate, endDate);
+  const tasks = await database.getTasksByDateRange(userId, startDate, endDate);
+
+  const blocks = events
+    .filter(event => event.time && !event.all_day && event.id !== excludeEventId)
+    .map(event => ({
+      type: 'event',
+      id: event.id,
+      title: event.title,
+      start: new Date(event.start_at),
+      end: new Date(event.end_at)
+    }));
+
+  tasks
+    .filter(task => task.due_time && task.status !== 'completed')
+    .forEach(task => {
+      const start = zonedTimeToUtc(task.due_date, task.due_time, zone);
+      blocks.push({
+        type: 'task',
+        id: task.id,
+        title: task.title,
+        start,
+        end: new Date(start.getTime() + TASK_BLOCK_MINUTES * 60000)
+      });
+    });
+
+  return {
+    blocks: blocks.sort((a, b) => a.start - b.start),
+    allDayEvents: events.filter(event => event.all_day || !event.time)
+  };
+}
+
+// Gaps of at least `minimumMinutes` between the busy blocks inside [windowStart, windowEnd)
+function freeWindows(blocks, windowStart, windowEnd, minimumMinutes) {
+  const free = [];
+  let cursor = windowStart;
+  for (const block of blocks) {
+    if (block.end <= cursor || block.start >= windowEnd) {
+      continue;
+    }
+    if (block.start > cursor) {
+      free.push({ start: cursor, end: block.start });
+    }
+    cursor = new Date(Math.max(cursor, block.end));
+  }
+  if (cursor < windowEnd) {
+    free.push({ start: cursor, end: windowEnd });
+  }
+  return free.filter(slot => slot.end - slot.start >= minimumMinutes * 60000);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Free and busy Date intervals for each day from startDate to endDate
+function availabilityByDay(blocks, { startDate, endDate, hours, zone, minimumMinutes }) {
+  const days = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const working = hours.days.includes(weekday(date));
+    // Non-working days have no free time, but still list what is booked on them
+    const windowStart = zonedTimeToUtc(date, working ? hours.start : '00:00', zone);
+    const windowEnd = working ? zonedTimeToUtc(date, hours.end, zone) : zonedTimeToUtc(addDays(date, 1), '00:00', zone);
+    days.push({
+      date,
+      working,
+      free: working ? freeWindows(blocks, windowStart, windowEnd, minimumMinutes) : [],
+      busy: blocks.filter(block => block.start < windowEnd && block.end > windowStart)
+    });
+  }
+  return days;
+}
+
+function formatSlot(slot, zone) {
+  return { start: toZonedISOString(slot.start, zone), end: toZonedISOString(slot.end, zone) };
+}
+
+function formatBlock(block, zone) {
+  return { type: block.type, id: block.id, title: block.title, ...formatSlot(block, zone) };
+}
+
+/**
+ * Free/busy for GET /api/availability and "when am I free" in chat:
+ * { timezone, workingHours, days: [{ date, working, free, busy, allDay }] }.
+ * `free` only holds gaps of at least `minimumMinutes`.
+ */
+async function getAvailability(database, userId, {
+  startDate,
+  endDate = startDate,
+  minimumMinutes = 30,
+  workingHours = null,
+  timezone = null
+}) {
+  if (endDate < startDate) {
+    throw invalidAvailability('endDate must not be before startDate');
+  }
+  if (addDays(startDate, MAX_RANGE_DAYS - 1) < endDate) {
+    throw invalidAvailability(`Availability covers at most ${MAX_RANGE_DAYS} days`);
+  }
+  if (!(minimumMinutes > 0)) {
+    throw invalidAvailability('minimumMinutes must be a positive number');
+  }
+
+  const zone = resolveTimeZone(timezone || await database.getUserTimezone(userId));
+  const hours = workingHours ? normalizeWorkingHours(workingHours) : await getWorkingHours(database, userId);
+  const { blocks, allDayEvents } = await loadBusyBlocks(database, userId, startDate, endDate, { zone });
+
+  return {
+    timezone: zone,
+    workingHours: hours,
+    days: availabilityByDay(blocks, { startDate, endDate, hours, zone, minimumMinutes }).map(day => ({
+      date: day.date,
+      working: day.working,
+      free: day.free.map(slot => formatSlot(slot, zone)),
+      busy: day.busy.map(block => formatBlock(block, zone)),
+      allDay: allDayEvents
+        .filter(event => event.date <= day.date && day.date <= (event.end_date || event.date))
+        .map(event => ({ id: event.id, title: event.title }))
+    }))
+  };
+}
+
+/**
+ * Free time as Date windows for callers that fit things into it, like the task
+ * scheduler: { timezone, workingHours, days: [{ date, working, free, busy }] }
+ */
+async function freeTimeByDay(database, userId, { startDate, endDate = startDate, minimumMinutes = 1 }) {
+  const zone = resolveTimeZone(await database.getUserTimezone(userId));
+  const hours = await getWorkingHours(database, userId);
+  const { blocks } = await loadBusyBlocks(database, userId, startDate, endDate, { zone });
+  return {
+    timezone: zone,
+    workingHours: hours,
+    days: availabilityByDay(blocks, { startDate, endDate, hours, zone, minimumMinutes })
+  };
+}
+
+/**
+ * Busy blocks a timed event (with start_at and end_at, as withEventTimes gives them)
+ * overlaps, in the event's zone. All-day events never conflict.
+ */
+async function findConflicts(database, userId, event) {
+  if (event.all_day || !event.time) {
+    return [];
+  }
+
+  const start = new Date(event.start_at);
+  const end = new Date(event.end_at);
+  // Task due times are on the user's clock, whatever zone the event was entered in
+  const { blocks } = await loadBusyBlocks(database, userId, event.date, event.end_date || event.date, {
+    zone: resolveTimeZone(await database.getUserTimezone(userId)),
+    excludeEventId: event.id
+  });
+
+  return blocks
+    .filter(block => block.start < end && block.end > start)
+    .map(block => formatBlock(block, resolveTimeZone(event.timezone)));
+}
+
+/**
+ * Up to `count` open slots of `durationMinutes` within working hours, nearest to
+ * `date` `time` first (the start of the working day when no time is given), over the
+ * next SUGGESTION_DAYS days. Slots never start in the past.
+ */
+async function suggestSlots(database, userId, {
+  date,
+  time = null,
+  durationMinutes = 60,
+  count = 3,
+  excludeEventId = null,
+  now = new Date()
+}) {
+  const zone = resolveTimeZone(await database.getUserTimezone(userId));
+  const hours = await getWorkingHours(database, userId);
+  const endDate = addDays(date, SUGGESTION_DAYS - 1);
+  const { blocks } = await loadBusyBlocks(database, userId, date, endDate, { zone, excludeEventId });
+
+  const target = zonedTimeToUtc(date, time || hours.start, zone).getTime();
+  const length = durationMinutes * 60000;
+  const candidates = [];
+
+  availabilityByDay(blocks, { startDate: date, endDate, hours, zone, minimumMinutes: durationMinutes })
+    .forEach(day => day.free.forEach(slot => {
+      const earliest = Math.max(slot.start.getTime(), now.getTime());
+      const latest = slot.end.getTime() - length;
+      if (earliest > latest) {
+        return;
+      }
+      // The closest start to the target inside this window
+      const start = Math.min(Math.max(target, earliest), latest);
+      candidates.push({ start: new Date(start), end: new Date(start + length) });
+    }));
+
+  return candidates
+    .sort((a, b) => Math.abs(a.start - target) - Math.abs(b.start - target))
+    .slice(0, count)
+    .map(slot => formatSlot(slot, zone));
+}
+
+/**
+ * Whether `date` `time` is open for `durationMinutes` (or until `endTime`):
+ * { free, conflicts, suggestions }, with the nearest open slots when it is not.
+ */
+async function checkTimeSlot(database, userId, { date, time, endTime = null, durationMinutes = 60, now = new Date() }) {
+  const timezone = await database.getUserTimezone(userId);
+  const { startAt, endAt, endDate } = eventInstants({ date, time, timezone, endTime, durationMinutes });
+  const conflicts = await findConflicts(database, userId, {
+    date, time, timezone, end_date: endDate, start_at: startAt, end_at: endAt
+  });
+
+  const suggestions = conflicts.length
+    ? await suggestSlots(database, userId, { date, time, durationMinutes: Math.round((endAt - startAt) / 60000), now })
+    : [];
+  return { free: conflicts.length === 0, conflicts, suggestions };
+}
+
+function slotTime(instant) {
+  return formatTime(instant.slice(11, 16));
+}
+
+// "Tuesday, May 6 at 4:00 PM" for a slot's start
+function describeSlot(slot) {
+  return `${formatDay(slot.start.slice(0, 10))} at ${slotTime(slot.start)}`;
+}
+
+// "9:00 AM - 10:30 AM"
+function describeWindow(slot) {
+  return `${slotTime(slot.start)} - ${slotTime(slot.end)}`;
+}
+
+// The chat warning for an event that overlaps `conflicts`, offering `suggestions` instead
+function describeConflicts(conflicts, suggestions = []) {
+  const overlaps = conflicts.map(block => `"${block.title}" (${describeWindow(block)})`).join(', ');
+  const nearby = suggestions.length ? ` The nearest open times are ${suggestions.map(describeSlot).join('; ')}.` : '';
+  return `Heads up: it overlaps ${overlaps}.${nearby}`;
+}
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  TASK_BLOCK_MINUTES,
+  checkTimeSlot,
+  describeConflicts,
+  describeSlot,
+  describeWindow,
+  findConflicts,
+  freeTimeByDay,
+  getAvailability,
+  getWorkingHours,
+  normalizeWorkingHours,
+  suggestSlots
+};
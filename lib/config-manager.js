@@ -43,7 +43,16 @@ class ConfigManager {
         sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
         rateLimit: {
           windowMs: 15 * 60 * 1000, // 15 minutes
-          max: 100 // limit each IP to 100 requests per windowMs
+          max: 100, // limit each user, API key or IP to 100 requests per windowMs
+          // Stricter buckets for brute-forceable or expensive endpoints
+          login: {
+            windowMs: 15 * 60 * 1000,
+            max: 10
+          },
+          assistantChat: {
+            windowMs: 60 * 1000, // 1 minute
+            max: 20
+          }
         }
       },
       upload: {
@@ -61,11 +70,30 @@ class ConfigManager {
           maxFiles: 5
         }
       },
+      usage: {
+        // Per-user quotas on paid OpenAI usage (UTC day and month); 0 means unlimited
+        daily: {
+          tokens: 200000,
+          audioSeconds: 30 * 60 // 30 minutes of voice
+        },
+        monthly: {
+          tokens: 3000000,
+          audioSeconds: 10 * 60 * 60 // 10 hours of voice
+        }
+      },
+      mail: {
+        transport: 'console', // 'console' or 'file'
+        from: 'Daily Vibe <no-reply@daily-vibe.local>',
+        dir: './data/mail'
+      },
       features: {
         userRegistration: true,
         fileUpload: true,
         apiKeys: true,
-        sessions: true
+        sessions: true,
+        // Off by default: the console and file transports deliver no real mail, so new
+        // accounts could not sign in. Turn on (REQUIRE_EMAIL_VERIFICATION) with a real transport.
+        emailVerification: false
       }
     };
   }
@@ -81,7 +109,17 @@ class ConfigManager {
       'DB_PATH': 'database.path',
       'UPLOAD_DIR': 'upload.uploadDir',
       'MAX_FILE_SIZE': 'upload.maxFileSize',
-      'CORS_ORIGIN': 'server.cors.origin'
+      'CORS_ORIGIN': 'server.cors.origin',
+      'MAIL_TRANSPORT': 'mail.transport',
+      'MAIL_FROM': 'mail.from',
+      'MAIL_DIR': 'mail.dir',
+      'REQUIRE_EMAIL_VERIFICATION': 'features.emailVerification',
+      'RATE_LIMIT_WINDOW_MS': 'security.rateLimit.windowMs',
+      'RATE_LIMIT_MAX': 'security.rateLimit.max',
+      'USAGE_DAILY_TOKENS': 'usage.daily.tokens',
+      'USAGE_DAILY_AUDIO_SECONDS': 'usage.daily.audioSeconds',
+      'USAGE_MONTHLY_TOKENS': 'usage.monthly.tokens',
+      'USAGE_MONTHLY_AUDIO_SECONDS': 'usage.monthly.audioSeconds'
     };
 
     for (const [envKey, configPath] of Object.entries(envMappings)) {
@@ -133,6 +171,25 @@ class ConfigManager {
       this.config.upload.maxFileSize = parseInt(this.config.upload.maxFileSize, 10);
     }
     
+    for (const key of ['windowMs', 'max']) {
+      if (typeof this.config.security.rateLimit[key] === 'string') {
+        this.config.security.rateLimit[key] = parseInt(this.config.security.rateLimit[key], 10);
+      }
+    }
+
+    for (const period of ['daily', 'monthly']) {
+      const limits = this.config.usage?.[period] || {};
+      for (const key of ['tokens', 'audioSeconds']) {
+        if (typeof limits[key] === 'string') {
+          limits[key] = parseInt(limits[key], 10);
+        }
+      }
+    }
+
+    if (typeof this.config.features.emailVerification === 'string') {
+      this.config.features.emailVerification = ['true', '1'].includes(this.config.features.emailVerification.toLowerCase());
+    }
+
     if (typeof this.config.security.bcryptRounds === 'string') {
       this.config.security.bcryptRounds = parseInt(this.config.security.bcryptRounds, 10);
     }
@@ -240,6 +297,14 @@ class ConfigManager {
     return this.config.logging;
   }
 
+  getMailConfig() {
+    return this.config.mail || {};
+  }
+
+  getUsageConfig() {
+    return this.config.usage || {};
+  }
+
   getFeaturesConfig() {
     return this.config.features;
   }
@@ -0,0 +1,152 @@
+// Per-session dialogue state for the chat assistant: remembers a create, modify or
+// delete request that is missing details and merges follow-up answers into it
+const { ALL_DAY_MINUTES } = require('./assistant-actions');
+
+const DEFAULT_TTL = 10 * 60 * 1000;
+
+// Slots each intent needs before its action may run; `change` is filled by any CHANGE_FIELDS entity
+const REQUIRED_SLOTS = {
+  CREATE: ['date', 'time'],
+  MODIFY: ['title', 'change'],
+  DELETE: ['title']
+};
+
+const CHANGE_FIELDS = ['newDate', 'newTime', 'newTitle'];
+
+const SLOT_PROMPTS = {
+  date: { text: 'What day would you like to schedule this event?', action: 'REQUEST_DATE' },
+  time: { text: 'What time should the event start?', action: 'REQUEST_TIME' },
+  title: {
+    MODIFY: { text: 'Which event would you like to change?', action: 'REQUEST_EVENT_SELECTION' },
+    DELETE: { text: 'Which event would you like to cancel?', action: 'REQUEST_EVENT_SELECTION' }
+  },
+  change: { text: 'What would you like to change about it?', action: 'REQUEST_CHANGE' }
+};
+
+// Titles NLPParser falls back to when a message names no event ("cancel it")
+const PLACEHOLDER_TITLES = ['new event', 'it', 'that', 'this', 'one', 'my'];
+
+const ABANDON_PATTERN = /^\s*(never\s?mind|forget (it|that|about it)|stop|no thanks?)\b/i;
+
+function hasValue(entities, key) {
+  const value = entities[key];
+  if (key === 'title') {
+    return !!value && !PLACEHOLDER_TITLES.includes(String(value).toLowerCase());
+  }
+  return !!value;
+}
+
+function missingSlots(intent, entities) {
+  return (REQUIRED_SLOTS[intent] || []).filter(slot => {
+    if (slot === 'change') {
+      return !CHANGE_FIELDS.some(field => hasValue(entities, field));
+    }
+    // All-day and multi-day events ("for 3 days") have no start time to ask for
+    if (slot === 'time' && entities.duration >= ALL_DAY_MINUTES) {
+      return false;
+    }
+    return !hasValue(entities, slot);
+  });
+}
+
+function promptFor(intent, slot) {
+  const prompt = SLOT_PROMPTS[slot];
+  return prompt[intent] || prompt;
+}
+
+/**
+ * Two states: `idle`, or `collecting` while a request waits for slots. Each turn
+ * comes back as the understood result plus:
+ *   missing   - required slots still empty
+ *   prompt    - { text, action } to send instead of running anything, or null
+ *   continued - whether the message answered an earlier question
+ */
+class DialogueState {
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.pending = null;
+    this.expiresAt = 0;
+  }
+
+  get state() {
+    return this.pending && Date.now() < this.expiresAt ? 'collecting' : 'idle';
+  }
+
+  isCollecting() {
+    return this.state === 'collecting';
+  }
+
+  /**
+   * Whether a message parsed while collecting is a new request rather than an answer:
+   * only when it names a different intent outright ("what's on Friday?" mid-booking).
+   */
+  startsNewRequest(answer, hasIntentKeyword) {
+    return hasIntentKeyword && answer.intent !== this.pending.intent;
+  }
+
+  // Begin a fresh request, remembering it if slots are missing
+  start(understood) {
+    return this.track({ ...understood, continued: false });
+  }
+
+  // Merge a follow-up into the pending request; what the user already said is kept
+  answer(message, answer) {
+    if (ABANDON_PATTERN.test(message)) {
+      this.clear();
+      return {
+        ...answer,
+        intent: 'UNKNOWN',
+        entities: {},
+        missing: [],
+        prompt: { text: "Okay, I've dropped that.", action: null },
+        continued: true
+      };
+    }
+
+    const { intent, entities, confidence, source } = this.pending;
+    const merged = { ...entities };
+
+    // "Friday at 4pm" in reply to "What would you like to change?" is the new date and time
+    const answered = missingSlots(intent, entities)[0] === 'change'
+      ? { newDate: answer.entities.date, newTime: answer.entities.time }
+      : answer.entities;
+
+    for (const [key, value] of Object.entries(answered)) {
+      if (value && !hasValue(merged, key)) {
+        merged[key] = value;
+      }
+    }
+
+    return this.track({ intent, entities: merged, confidence, source, rawInput: message, continued: true });
+  }
+
+  track(turn) {
+    const missing = REQUIRED_SLOTS[turn.intent] ? missingSlots(turn.intent, turn.entities) : [];
+
+    if (missing.length === 0) {
+      this.clear();
+      return { ...turn, missing, prompt: null };
+    }
+
+    this.pending = turn;
+    this.expiresAt = Date.now() + this.ttl;
+    return { ...turn, missing, prompt: promptFor(turn.intent, missing[0]) };
+  }
+
+  // Keep a complete request open while the user picks between several matching events
+  hold(turn) {
+    this.pending = turn;
+    this.expiresAt = Date.now() + this.ttl;
+  }
+
+  clear() {
+    this.pending = null;
+    this.expiresAt = 0;
+  }
+}
+
+module.exports = {
+  DialogueState,
+  REQUIRED_SLOTS,
+  missingSlots
+};
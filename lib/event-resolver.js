@@ -0,0 +1,99 @@
+// Finds the calendar event a chat message refers to ("cancel my dentist appointment")
+const { eventSpanDays, toDateString } = require('./recurrence');
+const { addDays, todayInZone } = require('./timezones');
+
+// Without a date, look this far ahead for the event
+const LOOKAHEAD_DAYS = 60;
+
+// Words that do not help tell events apart
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'our', 'your', 'on', 'at', 'to', 'for', 'with', 'in', 'of', 'and',
+  'this', 'that', 'it', 'one', 'new', 'event'
+]);
+
+function titleWords(title) {
+  return String(title || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Events (with recurring series expanded to occurrences) that best match a
+ * reference of { title, date, time, eventType }, as NLPParser or the LLM extract it.
+ *
+ * The date narrows the search to that day, otherwise the next LOOKAHEAD_DAYS. Title
+ * words must overlap and only the best-overlapping events are kept. A time narrows
+ * further when some event starts then; parsers guess times from words like "lunch",
+ * so a time no event has is ignored. Returns [] when nothing identifies an event.
+ */
+async function findMatchingEvents(database, userId, reference, options = {}) {
+  const today = options.today || todayInZone(await database.getUserTimezone(userId));
+  const words = titleWords(reference.title);
+  const typeWords = titleWords(reference.eventType);
+
+  if (words.length === 0 && !reference.date && !reference.time) {
+    return [];
+  }
+
+  const startDate = reference.date || today;
+  const endDate = reference.date || addDays(today, LOOKAHEAD_DAYS);
+  let matches = await database.getEventsByDateRange(userId, startDate, endDate);
+
+  if (words.length > 0) {
+    const scored = matches.map(event => {
+      const eventWords = titleWords(event.title);
+      return { event, score: words.filter(word => eventWords.includes(word)).length };
+    });
+    const best = Math.max(0, ...scored.map(entry => entry.score));
+
+    // "Cancel my meeting" names the type rather than the title; events created with that type still match
+    matches = best > 0
+      ? scored.filter(entry => entry.score === best).map(entry => entry.event)
+      : matches.filter(event => typeWords.length > 0 && typeWords.includes(String(event.type).toLowerCase()));
+  }
+
+  if (reference.time) {
+    const atTime = matches.filter(event => event.time && event.time.slice(0, 5) === reference.time);
+    if (atTime.length > 0 || words.length === 0) {
+      matches = atTime;
+    }
+  }
+
+  return matches;
+}
+
+function formatDay(date) {
+  return new Date(`${toDateString(date)}T00:00:00Z`)
+    .toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function formatTime(time) {
+  return new Date(`2000-01-01T${time.slice(0, 5)}:00Z`)
+    .toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+}
+
+/**
+ * "Dentist on Tuesday, May 6 at 3:00 PM", or "Conference from Monday, May 12 to
+ * Wednesday, May 14" for multi-day events; for confirmations and clarifying questions
+ */
+function describeEvent(event) {
+  const allDay = !event.time || event.all_day;
+  if (eventSpanDays(event) > 1 && (allDay || event.end_time)) {
+    return allDay
+      ? `"${event.title}" from ${formatDay(event.date)} to ${formatDay(event.end_date)}`
+      : `"${event.title}" from ${formatDay(event.date)} at ${formatTime(event.time)} to ${formatDay(event.end_date)} at ${formatTime(event.end_time)}`;
+  }
+  if (allDay) {
+    return `"${event.title}" on ${formatDay(event.date)} (all day)`;
+  }
+  return `"${event.title}" on ${formatDay(event.date)} at ${formatTime(event.time)}`;
+}
+
+module.exports = {
+  describeEvent,
+  findMatchingEvents,
+  formatDay,
+  formatTime,
+  titleWords
+};
@@ -0,0 +1,179 @@
+const {
+  formatExdates,
+  getEventRule,
+  moveEventToDate,
+  parseExdates,
+  parseOccurrenceId,
+  toDateString
+} = require('./recurrence');
+const { keepEventLength } = require('./timezones');
+
+/**
+ * Edits and deletes of recurring events, shared by the HTTP API and voice tools.
+ * `scope` is "this" (one occurrence), "following" (it and later ones) or "all".
+ */
+const EVENT_SCOPES = ['this', 'following', 'all'];
+
+function eventOwnerId(target) {
+  return (target.event || target.series).user_id;
+}
+
+/**
+ * Work out what an event id points at: a plain event or series row, an expanded
+ * occurrence ("<seriesId>::<date>"), or an override row for a single occurrence.
+ * Returns { event, series, occurrenceDate } or null when nothing matches.
+ */
+async function resolveEventTarget(database, eventId) {
+  const occurrence = parseOccurrenceId(eventId);
+
+  if (occurrence) {
+    const series = await database.getEventById(occurrence.seriesId);
+    return series ? { event: null, series, occurrenceDate: occurrence.date } : null;
+  }
+
+  const event = await database.getEventById(eventId);
+  if (!event) {
+    return null;
+  }
+
+  if (event.series_id) {
+    const series = await database.getEventById(event.series_id);
+    return { event, series: series || null, occurrenceDate: toDateString(event.recurrence_id) };
+  }
+
+  return { event, series: event.rrule || event.recurring ? event : null, occurrenceDate: null };
+}
+
+function newEventId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function seriesRecurrence(series) {
+  return {
+    recurring: !!series.recurring,
+    recurringType: series.recurring_type || null,
+    rrule: series.rrule || null
+  };
+}
+
+// Rows split off a series keep its zone and length unless the edit changes them
+function seriesTiming(series, eventData) {
+  return {
+    timezone: eventData.timezone || series.timezone,
+    ...keepEventLength(series, eventData)
+  };
+}
+
+const NON_RECURRING = { recurring: false, recurringType: null, rrule: null };
+
+async function updateEventInScope(database, target, eventData, recurrence, scope) {
+  const { event, series, occurrenceDate } = target;
+
+  // Plain events, and override rows whose series is gone, are updated in place
+  if (!series) {
+    return await database.updateEvent(event.id, { ...eventData, ...(recurrence || NON_RECURRING) });
+  }
+
+  if (scope === 'this' && occurrenceDate) {
+    if (event) {
+      return await database.updateEvent(event.id, { ...eventData, ...NON_RECURRING });
+    }
+
+    const override = await database.createEvent({
+      ...eventData,
+      ...seriesTiming(series, eventData),
+      ...NON_RECURRING,
+      id: newEventId(),
+      userId: series.user_id,
+      date: eventData.date || occurrenceDate,
+      seriesId: series.id,
+      recurrenceId: occurrenceDate
+    });
+    await database.addEventExdate(series.id, occurrenceDate);
+    return override;
+  }
+
+  const seriesStart = toDateString(series.date);
+  const rule = getEventRule(series);
+
+  if (scope === 'following' && occurrenceDate) {
+    const { before, after } = rule.splitAt(seriesStart, occurrenceDate);
+
+    if (before) {
+      // End the original series the day before, and start a new one from this occurrence
+      await database.updateEventRule(series.id, before.toString());
+
+      const unchanged = !recurrence || recurrence.rrule === rule.toString();
+      const nextRecurrence = unchanged
+        ? (after ? { recurring: true, recurringType: after.toLegacyType(), rrule: after.toString() } : NON_RECURRING)
+        : recurrence;
+
+      const newSeries = await database.createEvent({
+        ...eventData,
+        ...seriesTiming(series, eventData),
+        ...nextRecurrence,
+        id: newEventId(),
+        userId: series.user_id,
+        date: eventData.date || occurrenceDate,
+        exdates: formatExdates(parseExdates(series.exdates).filter(date => date >= occurrenceDate))
+      });
+      await database.moveEventOverrides(series.id, newSeries.id, occurrenceDate);
+      return newSeries;
+    }
+  }
+
+  // Editing the whole series from one of its occurrences keeps it anchored to its first date
+  const date = occurrenceDate && (!eventData.date || eventData.date === occurrenceDate)
+    ? seriesStart
+    : eventData.date;
+
+  // An end date given for the occurrence moves back with it
+  const endDate = eventData.endDate && eventData.date && date !== eventData.date
+    ? moveEventToDate({ date: eventData.date, end_date: eventData.endDate }, date).end_date
+    : eventData.endDate;
+
+  return await database.updateEvent(series.id, {
+    ...eventData,
+    date,
+    endDate,
+    ...(recurrence || seriesRecurrence(series))
+  });
+}
+
+async function deleteEventInScope(database, target, scope) {
+  const { event, series, occurrenceDate } = target;
+
+  if (!series) {
+    return await database.deleteEvent(event.id);
+  }
+
+  if (scope === 'this' && occurrenceDate) {
+    // Cancelling a single occurrence: the EXDATE hides it, and any override row goes away
+    await database.addEventExdate(series.id, occurrenceDate);
+    if (event) {
+      await database.deleteEvent(event.id);
+    }
+    return;
+  }
+
+  if (scope === 'following' && occurrenceDate) {
+    const rule = getEventRule(series);
+    const { before } = rule.splitAt(toDateString(series.date), occurrenceDate);
+
+    if (before) {
+      await database.updateEventRule(series.id, before.toString());
+      await database.deleteEventOverrides(series.id, occurrenceDate);
+      return;
+    }
+  }
+
+  return await database.deleteEvent(series.id);
+}
+
+module.exports = {
+  EVENT_SCOPES,
+  deleteEventInScope,
+  eventOwnerId,
+  resolveEventTarget,
+  updateEventInScope
+};
@@ -0,0 +1,457 @@
+// iCalendar (RFC 5545) parsing for calendar imports and serialization for feeds
+const { RecurrenceRule, getEventRule, parseExdates, toDateString } = require('./recurrence');
+const { DEFAULT_TIMEZONE, addDays, isValidTimeZone, zonedParts, zonedTimeToUtc } = require('./timezones');
+
+const PRODUCT_ID = '-//Daily Vibe//Calendar//EN';
+const UID_DOMAIN = 'daily-vibe';
+
+/**
+ * Unfold continuation lines and split a content line into name, params and value
+ */
+function parseContentLines(text) {
+    const unfolded = String(text)
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n/g, '\n')
+        .replace(/\r/g, '\n')
+        .replace(/\n[ \t]/g, '');
+
+    return unfolded
+        .split('\n')
+        .filter(line => line.trim().length > 0)
+        .map(parseContentLine)
+        .filter(Boolean);
+}
+
+function parseContentLine(line) {
+    // The value starts at the first colon that is not inside a quoted parameter
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const eq = param.indexOf('=');
+        if (eq === -1) continue;
+        params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+    return String(value || '')
+        .replace(/\\[nN]/g, '\n')
+        .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into { date, time, allDay, timezone }.
+ * UTC ("Z") values are converted to `timezone`, the importing user's zone. TZID and
+ * floating times are kept as written; `timezone` is the TZID when it is an IANA zone,
+ * and null for floating times and other TZIDs (the user's zone then applies).
+ */
+function parseDateValue(value, params = {}, timezone = DEFAULT_TIMEZONE) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid date value: ${value}`);
+    }
+
+    const [, year, month, day, hours, minutes, seconds = '00', utc] = match;
+
+    if (params.VALUE === 'DATE' || hours === undefined) {
+        return { date: `${year}-${month}-${day}`, time: null, allDay: true };
+    }
+
+    if (utc) {
+        const local = zonedParts(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds), timezone);
+        return { date: local.date, time: local.time.slice(0, 5), allDay: false, timezone };
+    }
+
+    return {
+        date: `${year}-${month}-${day}`,
+        time: `${hours}:${minutes}`,
+        allDay: false,
+        timezone: isValidTimeZone(params.TZID) ? params.TZID : null
+    };
+}
+
+/**
+ * Group content lines into components, keeping nested components (VALARM) out of their parent
+ */
+/**
+ * RFC 5545 DURATION ("PT1H30M", "P2D", "P1W") in minutes; negative durations are rejected
+ */
+function parseDuration(value) {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match || value.trim() === 'P' || /T$/.test(value.trim())) {
+        throw new Error(`Invalid DURATION: ${value}`);
+    }
+    const [, weeks, days, hours, minutes] = match.map(part => Number(part) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+/**
+ * The end of a VEVENT from DTEND or DURATION as { endDate, endTime, durationMinutes },
+ * in the start's zone. All-day DTENDs are exclusive, so the last day is the one before.
+ */
+function parseEventEnd(component, start, timezone) {
+    const dtend = getProperty(component, 'DTEND');
+    const duration = getProperty(component, 'DURATION');
+    const none = { endDate: null, endTime: null, durationMinutes: null };
+
+    if (dtend) {
+        const end = parseDateValue(dtend.value, dtend.params, timezone);
+        if (start.allDay) {
+            return { ...none, endDate: end.allDay ? addDays(end.date, -1) : end.date };
+        }
+
+        const startZone = start.timezone || timezone;
+        const endZone = end.timezone || timezone;
+        const local = endZone === startZone
+            ? end
+            : zonedParts(zonedTimeToUtc(end.date, end.time, endZone), startZone);
+        const endTime = local.time.slice(0, 5);
+        // Zero-length events (DTEND equal to DTSTART) get the default length instead
+        if (`${local.date}T${endTime}` <= `${start.date}T${start.time}`) {
+            return none;
+        }
+        return { ...none, endDate: local.date, endTime };
+    }
+
+    if (duration) {
+        const minutes = parseDuration(duration.value);
+        if (start.allDay) {
+            return { ...none, endDate: addDays(start.date, Math.max(1, Math.ceil(minutes / (24 * 60))) - 1) };
+        }
+        return { ...none, durationMinutes: minutes || null };
+    }
+
+    return none;
+}
+
+function parseComponents(lines) {
+    const root = { type: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    for (const line of lines) {
+        const current = stack[stack.length - 1];
+
+        if (line.name === 'BEGIN') {
+            const component = { type: line.value.trim().toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (line.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            current.properties.push(line);
+        }
+    }
+
+    return root;
+}
+
+function getProperty(component, name) {
+    return component.properties.find(prop => prop.name === name) || null;
+}
+
+function getProperties(component, name) {
+    return component.properties.filter(prop => prop.name === name);
+}
+
+function mapTodoPriority(value) {
+    const priority = parseInt(value, 10);
+    if (!priority) return 'medium';
+    if (priority <= 4) return 'high';
+    if (priority === 5) return 'medium';
+    return 'low';
+}
+
+function mapTodoStatus(value) {
+    switch ((value || '').toUpperCase()) {
+        case 'COMPLETED':
+            return 'completed';
+        case 'IN-PROCESS':
+            return 'progress';
+        default:
+            return 'todo';
+    }
+}
+
+/**
+ * Convert a VEVENT component into calendar_events fields
+ */
+function parseEvent(component, timezone) {
+    const summary = getProperty(component, 'SUMMARY');
+    const dtstart = getProperty(component, 'DTSTART');
+
+    if (!summary || !unescapeText(summary.value).trim()) {
+        throw new Error('VEVENT is missing SUMMARY');
+    }
+    if (!dtstart) {
+        throw new Error('VEVENT is missing DTSTART');
+    }
+
+    const start = parseDateValue(dtstart.value, dtstart.params, timezone);
+    const end = parseEventEnd(component, start, timezone);
+    const uid = getProperty(component, 'UID');
+    const description = getProperty(component, 'DESCRIPTION');
+    const location = getProperty(component, 'LOCATION');
+    const rruleProp = getProperty(component, 'RRULE');
+    const recurrenceIdProp = getProperty(component, 'RECURRENCE-ID');
+
+    const rrule = rruleProp ? RecurrenceRule.parse(rruleProp.value).toString() : null;
+    const exdates = getProperties(component, 'EXDATE')
+        .flatMap(prop => prop.value.split(',').map(value => parseDateValue(value, prop.params, timezone).date));
+
+    return {
+        uid: uid ? uid.value.trim() : null,
+        title: unescapeText(summary.value).trim(),
+        description: description ? unescapeText(description.value) : null,
+        location: location ? unescapeText(location.value) : null,
+        date: start.date,
+        time: start.time,
+        allDay: start.allDay,
+        timezone: start.timezone || null,
+        ...end,
+        rrule,
+        exdates,
+        recurrenceId: recurrenceIdProp
+            ? parseDateValue(recurrenceIdProp.value, recurrenceIdProp.params, timezone).date
+            : null,
+        cancelled: (getProperty(component, 'STATUS')?.value || '').toUpperCase() === 'CANCELLED'
+    };
+}
+
+/**
+ * Convert a VTODO component into tasks fields
+ */
+function parseTodo(component, timezone) {
+    const summary = getProperty(component, 'SUMMARY');
+
+    if (!summary || !unescapeText(summary.value).trim()) {
+        throw new Error('VTODO is missing SUMMARY');
+    }
+
+    const uid = getProperty(component, 'UID');
+    const description = getProperty(component, 'DESCRIPTION');
+    const due = getProperty(component, 'DUE');
+    const dueValue = due ? parseDateValue(due.value, due.params, timezone) : null;
+
+    return {
+        uid: uid ? uid.value.trim() : null,
+        title: unescapeText(summary.value).trim(),
+        description: description ? unescapeText(description.value) : null,
+        priority: mapTodoPriority(getProperty(component, 'PRIORITY')?.value),
+        status: mapTodoStatus(getProperty(component, 'STATUS')?.value),
+        dueDate: dueValue ? dueValue.date : null,
+        dueTime: dueValue ? dueValue.time : null
+    };
+}
+
+/**
+ * Parse an .ics document. Each item is { type, data } on success or { type, uid, title, error }
+ * when the component could not be understood, so callers can report per-item results.
+ */
+function parseICalendar(text, { timezone = DEFAULT_TIMEZONE } = {}) {
+    const root = parseComponents(parseContentLines(text));
+    const calendars = root.components.filter(component => component.type === 'VCALENDAR');
+
+    if (calendars.length === 0) {
+        throw new Error('No VCALENDAR found in file');
+    }
+
+    const items = [];
+    for (const calendar of calendars) {
+        for (const component of calendar.components) {
+            if (component.type !== 'VEVENT' && component.type !== 'VTODO') continue;
+
+            const type = component.type === 'VEVENT' ? 'event' : 'task';
+            try {
+                items.push({ type, data: type === 'event' ? parseEvent(component, timezone) : parseTodo(component, timezone) });
+            } catch (error) {
+                items.push({
+                    type,
+                    uid: getProperty(component, 'UID')?.value || null,
+                    title: getProperty(component, 'SUMMARY') ? unescapeText(getProperty(component, 'SUMMARY').value) : null,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    return items;
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+function formatDateValue(date) {
+    return toDateString(date).replace(/-/g, '');
+}
+
+function formatDateTimeValue(date, time) {
+    const [hours = '00', minutes = '00', seconds = '00'] = String(time).split(':');
+    return `${formatDateValue(date)}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.slice(0, 2).padStart(2, '0')}`;
+}
+
+function formatTimestamp(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * DATE for all-day items. Times in an event's zone are written with its TZID (an IANA
+ * name, which calendar apps resolve without a VTIMEZONE block) or as UTC; items
+ * without a zone, like tasks, stay floating.
+ */
+function dateProperty(name, date, time, timezone = null) {
+    if (!time) {
+        return `${name};VALUE=DATE:${formatDateValue(date)}`;
+    }
+    if (timezone === 'UTC') {
+        return `${name}:${formatDateTimeValue(date, time)}Z`;
+    }
+    return timezone
+        ? `${name};TZID=${timezone}:${formatDateTimeValue(date, time)}`
+        : `${name}:${formatDateTimeValue(date, time)}`;
+}
+
+function eventUid(event) {
+    return event.ical_uid || `${event.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Serialize a calendar_events row (series, override or one-off) into VEVENT lines
+ */
+function serializeEvent(event, seriesById, now) {
+    const time = event.all_day ? null : event.time;
+    const series = event.series_id ? seriesById.get(event.series_id) : null;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${series ? eventUid(series) : eventUid(event)}`,
+        `DTSTAMP:${now}`,
+        dateProperty('DTSTART', event.date, time, event.timezone),
+        `SUMMARY:${escapeText(event.title)}`
+    ];
+
+    // DTEND is exclusive: the day after an all-day event's last day
+    if (event.end_date && (!time || event.end_time)) {
+        lines.push(time
+            ? dateProperty('DTEND', event.end_date, event.end_time, event.timezone)
+            : dateProperty('DTEND', addDays(toDateString(event.end_date), 1), null));
+    }
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.type) lines.push(`CATEGORIES:${escapeText(event.type)}`);
+
+    if (series && event.recurrence_id) {
+        lines.push(dateProperty('RECURRENCE-ID', event.recurrence_id, series.all_day ? null : series.time, series.timezone));
+    }
+
+    let rule = null;
+    try {
+        rule = getEventRule(event);
+    } catch (error) {
+        rule = null;
+    }
+
+    if (rule) {
+        lines.push(`RRULE:${rule.toString()}`);
+        for (const exdate of parseExdates(event.exdates)) {
+            lines.push(dateProperty('EXDATE', exdate, time, event.timezone));
+        }
+    }
+
+    if (event.updated_at) lines.push(`LAST-MODIFIED:${formatTimestamp(event.updated_at)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Dated tasks are published as events so calendar apps that ignore VTODO still show them
+ */
+function serializeTask(task, now) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${task.ical_uid || `task-${task.id}@${UID_DOMAIN}`}`,
+        `DTSTAMP:${now}`,
+        dateProperty('DTSTART', task.due_date, task.due_time),
+        `SUMMARY:${escapeText(task.status === 'completed' ? `✓ ${task.title}` : task.title)}`,
+        'CATEGORIES:Task'
+    ];
+
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (task.updated_at) lines.push(`LAST-MODIFIED:${formatTimestamp(task.updated_at)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document from calendar_events and tasks rows
+ */
+function buildICalendar({ name = 'Daily Vibe', events = [], tasks = [] } = {}) {
+    const now = formatTimestamp(Date.now());
+    const seriesById = new Map(events.map(event => [event.id, event]));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        lines.push(...serializeEvent(event, seriesById, now));
+    }
+    for (const task of tasks.filter(task => task.due_date)) {
+        lines.push(...serializeTask(task, now));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildICalendar,
+    parseICalendar,
+    parseDateValue,
+    unescapeText
+};
@@ -0,0 +1,134 @@
+// LLM fallback for understanding chat messages the keyword NLPParser is unsure about
+const OpenAI = require('openai');
+const { Logger } = require('./logger');
+const { NLPParser } = require('./nlp-parser');
+const { DEFAULT_TIMEZONE, todayInZone } = require('./timezones');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const INTENTS = ['CREATE', 'MODIFY', 'DELETE', 'QUERY', 'PLAN', 'UNKNOWN'];
+const EVENT_TYPES = ['meeting', 'meal', 'appointment', 'personal', 'travel', 'work', 'social'];
+
+const nullable = (type, extra = {}) => ({ type: [type, 'null'], ...extra });
+
+// Mirrors NLPParser.parse() entities so handleDirectIntent can consume either; strict mode needs every key
+const INTENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['intent', 'confidence', 'entities'],
+  properties: {
+    intent: { type: 'string', enum: INTENTS },
+    confidence: { type: 'number', description: 'How sure you are about the intent, 0 to 1' },
+    entities: {
+      type: 'object',
+      additionalProperties: false,
+      required: [
+        'title', 'date', 'time', 'endTime', 'duration', 'location', 'participants',
+        'eventType', 'priority', 'description', 'newTitle', 'newDate', 'newTime', 'availability'
+      ],
+      properties: {
+        title: nullable('string', { description: 'Event title without date or time words' }),
+        date: nullable('string', { description: 'YYYY-MM-DD' }),
+        time: nullable('string', { description: 'Start time, 24-hour HH:MM' }),
+        endTime: nullable('string', { description: 'End time, 24-hour HH:MM' }),
+        duration: nullable('integer', { description: 'Length in minutes' }),
+        location: nullable('string'),
+        participants: { type: 'array', items: { type: 'string' } },
+        eventType: nullable('string', { enum: [...EVENT_TYPES, null] }),
+        priority: nullable('string', { enum: ['high', 'medium', 'low', null] }),
+        description: nullable('string'),
+        newTitle: nullable('string', { description: 'For MODIFY: the new title' }),
+        newDate: nullable('string', { description: 'For MODIFY: the new date, YYYY-MM-DD' }),
+        newTime: nullable('string', { description: 'For MODIFY: the new start time, HH:MM' }),
+        availability: nullable('boolean', { description: 'For QUERY: true when asking about free time rather than listing events' })
+      }
+    }
+  }
+};
+
+const SYSTEM_PROMPT = [
+  'You extract calendar intents from a user message for a calendar assistant.',
+  'CREATE adds an event, MODIFY changes one, DELETE cancels one, QUERY asks about the schedule or free time.',
+  'PLAN asks to fit open tasks into free time ("plan my day"); its date is the first day to plan.',
+  'Use UNKNOWN when the message is not a calendar request.',
+  'Resolve relative dates ("tomorrow", "next Friday") against today and use null for anything not stated.'
+].join(' ');
+
+class IntentClassifier {
+  constructor(options = {}) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    this.client = options.client || (apiKey ? new OpenAI({ apiKey }) : null);
+    this.model = options.model || process.env.OPENAI_INTENT_MODEL || DEFAULT_MODEL;
+    this.usageMeter = options.usageMeter || null;
+    this.logger = new Logger();
+    this.nlpParser = new NLPParser();
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * Returns { intent, entities, confidence, source: 'llm' } in the NLPParser.parse()
+   * shape, or null when no model is configured or the call fails.
+   */
+  async classify(message, { userId = null, now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!this.client) {
+      return null;
+    }
+
+    try {
+      // Relative dates resolve against the user's calendar day, not the server's
+      const today = todayInZone(timezone, now);
+      const weekday = now.toLocaleDateString('en-US', { weekday: 'long', timeZone: timezone });
+      const completion = await this.client.chat.completions.create({
+        model: this.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: `${SYSTEM_PROMPT} Today is ${weekday} ${today} (${timezone}).` },
+          { role: 'user', content: message }
+        ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'calendar_intent', strict: true, schema: INTENT_SCHEMA }
+        }
+      });
+
+      if (this.usageMeter && userId && completion.usage) {
+        await this.usageMeter.recordChatCompletion(userId, completion.usage, completion.model || this.model);
+      }
+
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error('Model returned no content');
+      }
+      return this.normalize(JSON.parse(content), message);
+    } catch (error) {
+      this.logger.error('LLM intent classification failed:', error.message);
+      return null;
+    }
+  }
+
+  normalize(result, message) {
+    const entities = {};
+    for (const [key, value] of Object.entries(result.entities || {})) {
+      if (value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+        entities[key] = value;
+      }
+    }
+
+    return {
+      intent: INTENTS.includes(result.intent) ? result.intent : 'UNKNOWN',
+      entities: this.nlpParser.validateAndCleanEntities(entities),
+      confidence: Math.max(0, Math.min(1, Number(result.confidence) || 0)),
+      rawInput: message,
+      source: 'llm'
+    };
+  }
+}
+
+module.exports = {
+  INTENT_SCHEMA,
+  IntentClassifier
+};
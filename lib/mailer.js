@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Transports deliver a fully built message ({ from, to, subject, text, html, date }).
+ * Anything with an async send(message) method can be plugged in (SMTP, SendGrid, ...).
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+}
+
+// Writes each message as a JSON file, so local testing can read links out of it
+class FileTransport {
+  constructor({ dir = './data/mail' } = {}) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.ensureDir(this.dir);
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(this.dir, `${id}.json`);
+    await fs.writeJson(filePath, message, { spaces: 2 });
+
+    return { id, path: filePath };
+  }
+}
+
+class Mailer {
+  constructor(transport, { from = 'Daily Vibe <no-reply@daily-vibe.local>' } = {}) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text, html = null }) {
+    if (!to || !subject || !text) {
+      throw new Error('Mail requires to, subject and text');
+    }
+
+    return await this.transport.send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      date: new Date().toISOString()
+    });
+  }
+}
+
+function createMailer(config = {}) {
+  let transport;
+
+  switch (config.transport) {
+    case 'file':
+      transport = new FileTransport({ dir: config.dir });
+      break;
+    case 'console':
+    default:
+      transport = new ConsoleTransport();
+  }
+
+  return new Mailer(transport, { from: config.from });
+}
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  Mailer,
+  createMailer
+};
@@ -125,9 +125,10 @@ class MemoryService {
     }
 
     /**
-     * Store conversation with intelligent context extraction
+     * Store conversation with intelligent context extraction. `channel` is 'text'
+     * for assistant chat and 'voice' for realtime audio sessions.
      */
-    async storeConversation(userId, message, response, intent, entities, sessionId = null) {
+    async storeConversation(userId, message, response, intent, entities, sessionId = null, channel = 'text') {
         try {
             const conversation = {
                 user_id: userId,
@@ -135,8 +136,9 @@ class MemoryService {
                 user_message: message,
                 assistant_response: response,
                 intent: intent,
-                entities: JSON.stringify(entities),
+                entities: entities,
                 context_score: this.calculateContextScore(message, intent, entities),
+                channel: channel,
                 created_at: new Date()
             };
             
@@ -362,7 +364,7 @@ class MemoryService {
      */
     async analyzeSchedulingPatterns(userId) {
         try {
-            const events = await this.database.getUserEvents(userId, 30); // Last 30 days
+            const events = await this.database.getRecentEvents(userId, 30); // Last 30 days
             
             const patterns = {
                 preferredTimes: [],
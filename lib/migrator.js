@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { resolveTypes } = require('./schema');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILENAME_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Applies numbered migrations (migrations/NNN_name.js exporting up(db) and down(db))
+ * and records them in schema_migrations. `db` is an adapter or Repository with
+ * query/get and a `dialect`, so the same files run on SQLite and Postgres.
+ *
+ * SQLite runs each migration in a transaction. The Postgres adapters do not pin a
+ * connection (pool or HTTP), so a migration that fails there is left unrecorded
+ * and should be safe to run again.
+ */
+class Migrator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || MIGRATIONS_DIR;
+    this.logger = options.logger || console;
+  }
+
+  async loadMigrations() {
+    const files = (await fs.readdir(this.directory)).filter(file => FILENAME_PATTERN.test(file));
+    const migrations = files.map(file => {
+      const [, version, name] = file.match(FILENAME_PATTERN);
+      const { up, down } = require(path.join(this.directory, file));
+
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version, name, up, down };
+    });
+
+    migrations.sort((a, b) => Number(a.version) - Number(b.version));
+    migrations.forEach((migration, index) => {
+      if (index > 0 && Number(migration.version) === Number(migrations[index - 1].version)) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+    return migrations;
+  }
+
+  async ensureTable() {
+    await this.db.query(resolveTypes(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at {timestamp} DEFAULT {now}
+      )
+    `, this.db.dialect));
+  }
+
+  async appliedMigrations() {
+    await this.ensureTable();
+    const { rows } = await this.db.query('SELECT version, name, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  async status() {
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.appliedMigrations()]);
+
+    const known = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.get(version)?.applied_at || null
+    }));
+    // Versions recorded in the database whose files are gone
+    const missing = [...applied.values()]
+      .filter(row => !migrations.some(migration => migration.version === row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true }));
+
+    return [...known, ...missing];
+  }
+
+  /**
+   * Apply pending migrations in order, up to and including `to` when given.
+   * Returns the migrations that ran.
+   */
+  async up({ to = null } = {}) {
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.appliedMigrations()]);
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === null || Number(migration.version) <= Number(to))
+    );
+
+    for (const migration of pending) {
+      await this.run(migration, 'up', () => this.db.query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date()]
+      ));
+    }
+    return pending;
+  }
+
+  /**
+   * Revert applied migrations, newest first: the last `steps` of them, or every
+   * one above version `to`. Returns the migrations that were reverted.
+   */
+  async down({ steps = 1, to = null } = {}) {
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.appliedMigrations()]);
+    const missing = [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version));
+    if (missing.length > 0) {
+      throw new Error(`Cannot revert: migration files missing for ${missing.join(', ')}`);
+    }
+
+    const appliedNewestFirst = migrations.filter(migration => applied.has(migration.version)).reverse();
+    const targets = to === null
+      ? appliedNewestFirst.slice(0, steps)
+      : appliedNewestFirst.filter(migration => Number(migration.version) > Number(to));
+
+    for (const migration of targets) {
+      await this.run(migration, 'down', () => this.db.query(
+        'DELETE FROM schema_migrations WHERE version = ?',
+        [migration.version]
+      ));
+    }
+    return targets;
+  }
+
+  // `record` updates schema_migrations inside the same transaction as the migration
+  async run(migration, direction, record) {
+    const label = `${migration.version}_${migration.name}`;
+    const transactional = this.db.dialect === 'sqlite';
+
+    this.logger.log(`Migrating ${direction}: ${label}`);
+    if (transactional) {
+      await this.db.query('BEGIN');
+    }
+
+    try {
+      await migration[direction](this.db);
+      await record();
+      if (transactional) {
+        await this.db.query('COMMIT');
+      }
+    } catch (error) {
+      if (transactional) {
+        await this.db.query('ROLLBACK');
+      }
+      throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  Migrator
+};
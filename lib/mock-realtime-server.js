@@ -0,0 +1,175 @@
+// Local stand-in for the OpenAI Realtime API, used for offline development and tests
+const WebSocket = require('ws');
+
+// 100ms of PCM16 silence at 24kHz
+const SILENCE_CHUNK = Buffer.alloc(4800).toString('base64');
+
+const DEFAULT_REPLY = 'This is the mock realtime assistant.';
+const MOCK_INPUT_TOKENS = 100;
+
+/**
+ * Speaks the subset of the realtime event protocol that RealtimeAudioService and
+ * the browser client use. Each response.create plays the next scripted turn:
+ *   { text: 'Sure, done.' }                                    -> transcript and audio deltas
+ *   { functionCalls: [{ name: 'create_task', arguments: {} }] } -> function_call_arguments.done
+ * When the script runs out, a fixed text reply is used. Committed audio is
+ * "transcribed" as the next queued `hear()` text, if any.
+ */
+class MockRealtimeServer {
+  constructor(options = {}) {
+    this.turns = [...(options.turns || [])];
+    this.transcripts = [...(options.transcripts || [])];
+    this.received = []; // Every event clients sent, for assertions
+    this.wss = null;
+    this.counter = 0;
+  }
+
+  async listen(port = 0, host = '127.0.0.1') {
+    this.wss = new WebSocket.Server({ port, host });
+    await new Promise((resolve, reject) => {
+      this.wss.once('listening', resolve);
+      this.wss.once('error', reject);
+    });
+
+    this.wss.on('connection', ws => this.handleConnection(ws));
+    const address = this.wss.address();
+    return `ws://${host}:${address.port}`;
+  }
+
+  async close() {
+    if (!this.wss) {
+      return;
+    }
+    this.wss.clients.forEach(client => client.terminate());
+    await new Promise(resolve => this.wss.close(resolve));
+    this.wss = null;
+  }
+
+  queue(...turns) {
+    this.turns.push(...turns);
+  }
+
+  hear(...transcripts) {
+    this.transcripts.push(...transcripts);
+  }
+
+  nextId(prefix) {
+    this.counter += 1;
+    return `${prefix}_mock_${this.counter}`;
+  }
+
+  send(ws, event) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ event_id: this.nextId('event'), ...event }));
+    }
+  }
+
+  handleConnection(ws) {
+    const session = { id: this.nextId('sess'), object: 'realtime.session', model: 'mock-realtime' };
+    const state = { session, audioBytes: 0 };
+
+    this.send(ws, { type: 'session.created', session });
+
+    ws.on('message', data => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (error) {
+        this.send(ws, { type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } });
+        return;
+      }
+
+      this.received.push(event);
+      this.handleEvent(ws, state, event);
+    });
+  }
+
+  handleEvent(ws, state, event) {
+    switch (event.type) {
+      case 'session.update':
+        Object.assign(state.session, event.session);
+        this.send(ws, { type: 'session.updated', session: state.session });
+        break;
+
+      case 'input_audio_buffer.append':
+        state.audioBytes += Buffer.from(event.audio || '', 'base64').length;
+        break;
+
+      case 'input_audio_buffer.commit': {
+        const itemId = this.nextId('item');
+        this.send(ws, { type: 'input_audio_buffer.committed', item_id: itemId, previous_item_id: null });
+        this.send(ws, {
+          type: 'conversation.item.created',
+          item: { id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript: null }] }
+        });
+        if (this.transcripts.length) {
+          this.send(ws, {
+            type: 'conversation.item.input_audio_transcription.completed',
+            item_id: itemId,
+            content_index: 0,
+            transcript: this.transcripts.shift()
+          });
+        }
+        state.audioBytes = 0;
+        break;
+      }
+
+      case 'input_audio_buffer.clear':
+        state.audioBytes = 0;
+        this.send(ws, { type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'conversation.item.create':
+        this.send(ws, { type: 'conversation.item.created', item: { id: this.nextId('item'), ...event.item } });
+        break;
+
+      case 'response.create':
+        this.respond(ws, this.turns.shift() || { text: DEFAULT_REPLY });
+        break;
+
+      case 'response.cancel':
+        this.send(ws, { type: 'response.cancelled' });
+        break;
+
+      default:
+        this.send(ws, { type: 'error', error: { type: 'invalid_request_error', message: `Unknown event type: ${event.type}` } });
+    }
+  }
+
+  respond(ws, turn) {
+    const response = { id: this.nextId('resp'), object: 'realtime.response', status: 'in_progress', output: [] };
+    this.send(ws, { type: 'response.created', response });
+
+    (turn.functionCalls || []).forEach((call, index) => {
+      const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {});
+      const item = { id: this.nextId('item'), type: 'function_call', call_id: call.callId || this.nextId('call'), name: call.name, arguments: args };
+      response.output.push(item);
+      this.send(ws, {
+        type: 'response.function_call_arguments.done',
+        response_id: response.id,
+        item_id: item.id,
+        output_index: index,
+        call_id: item.call_id,
+        name: item.name,
+        arguments: args
+      });
+    });
+
+    if (turn.text) {
+      const item = { id: this.nextId('item'), type: 'message', role: 'assistant', content: [{ type: 'audio', transcript: turn.text }] };
+      const position = { response_id: response.id, item_id: item.id, output_index: response.output.length, content_index: 0 };
+      response.output.push(item);
+      this.send(ws, { type: 'response.audio_transcript.delta', ...position, delta: turn.text });
+      this.send(ws, { type: 'response.audio.delta', ...position, delta: SILENCE_CHUNK });
+      this.send(ws, { type: 'response.audio.done', ...position });
+      this.send(ws, { type: 'response.audio_transcript.done', ...position, transcript: turn.text });
+    }
+
+    // Rough token counts so usage metering has something to record
+    const outputTokens = Math.ceil((turn.text || '').length / 4) + (turn.functionCalls || []).length * 20;
+    const usage = { total_tokens: MOCK_INPUT_TOKENS + outputTokens, input_tokens: MOCK_INPUT_TOKENS, output_tokens: outputTokens };
+    this.send(ws, { type: 'response.done', response: { ...response, status: 'completed', usage } });
+  }
+}
+
+module.exports = { MockRealtimeServer };
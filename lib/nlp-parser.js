@@ -1,5 +1,6 @@
 // Advanced Natural Language Parser for Calendar Events
 const { Logger } = require('./logger');
+const { DEFAULT_TIMEZONE, zonedParts } = require('./timezones');
 
 class NLPParser {
     constructor() {
@@ -72,6 +73,7 @@ class NLPParser {
             /(\d+)\s*(minute|min)s?/gi,
             /(?:for\s+)?(\d+)\s*h(?:our)?s?/gi,
             /(half|quarter)\s*(hour|hr)/gi,
+            /(\d+)[\s-]*(day)s?\b/gi,
             /(all\s+day|full\s+day)/gi
         ];
         
@@ -83,7 +85,7 @@ class NLPParser {
             ],
             MODIFY: [
                 'change', 'move', 'reschedule', 'update', 'edit', 'modify', 'shift', 
-                'postpone', 'delay', 'advance', 'push', 'pull', 'adjust'
+                'postpone', 'delay', 'advance', 'push', 'pull', 'adjust', 'rename'
             ],
             DELETE: [
                 'cancel', 'delete', 'remove', 'clear', 'drop', 'eliminate', 'scratch'
@@ -94,6 +96,12 @@ class NLPParser {
             ]
         };
         
+        // Nouns that name an event without saying what to do with it ("cancel my meeting")
+        this.weakIntentKeywords = ['new', 'meeting', 'appointment', 'event'];
+        
+        // "Plan my day" asks to fit open tasks into free time rather than to create an event
+        this.planPattern = /\b(plan|organi[sz]e|schedule)\s+(out\s+)?(my|the)\s+(day|week|tasks|to-?dos?)\b|\bauto-?schedule\b/i;
+        
         // Common event types and their patterns
         this.eventTypes = {
             MEETING: ['meeting', 'call', 'conference', 'session', 'discussion', 'standup', 'sync'],
@@ -115,10 +123,22 @@ class NLPParser {
     /**
      * Parse natural language input and extract structured information
      */
-    parse(input) {
+    parse(input, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+        // "Today" and "in 2 hours" are read off the user's wall clock
+        this.reference = { timezone, now };
+
+        const intent = this.extractIntent(input);
+        let entities;
+        if (intent === 'MODIFY') {
+            entities = this.extractModification(input);
+        } else if (intent === 'PLAN') {
+            entities = this.extractPlan(input);
+        } else {
+            entities = this.extractEntities(input);
+        }
         const result = {
-            intent: this.extractIntent(input),
-            entities: this.extractEntities(input),
+            intent,
+            entities,
             confidence: 0,
             rawInput: input
         };
@@ -135,6 +155,10 @@ class NLPParser {
      * Extract intent from the input
      */
     extractIntent(input) {
+        if (this.planPattern.test(input)) {
+            return 'PLAN';
+        }
+
         const lower = input.toLowerCase();
         let intentScores = {};
         
@@ -142,13 +166,14 @@ class NLPParser {
         for (const [intent, keywords] of Object.entries(this.intentKeywords)) {
             let score = 0;
             keywords.forEach(keyword => {
+                const weight = this.weakIntentKeywords.includes(keyword) ? 0.5 : 1;
                 // Exact word match
                 if (lower.includes(' ' + keyword + ' ') || lower.startsWith(keyword + ' ') || lower.endsWith(' ' + keyword)) {
-                    score += 2;
+                    score += 2 * weight;
                 }
                 // Partial match
                 else if (lower.includes(keyword)) {
-                    score += 1;
+                    score += weight;
                 }
             });
             intentScores[intent] = score;
@@ -218,9 +243,50 @@ class NLPParser {
         const recurrence = this.extractRecurrence(input);
         if (recurrence) entities.recurrence = recurrence;
         
+        // "Am I free Thursday afternoon?" asks for open time rather than a list of events
+        if (/\b(free|available|availability|busy|open slots?)\b/i.test(input)) {
+            entities.availability = true;
+        }
+        
+        return entities;
+    }
+
+    /**
+     * Entities for a MODIFY request. "Move the 3pm standup to Friday at 4pm" names the
+     * event before the last "to" and the change after it: date and time describe the
+     * event as it is now, and newDate, newTime or newTitle what it should become.
+     */
+    extractModification(input) {
+        const match = /^(.*\S)\s+(?:to|until|till)\s+(.+)$/i.exec(input.trim());
+        if (!match) {
+            return this.extractEntities(input);
+        }
+
+        const entities = this.extractEntities(match[1]);
+        const change = this.extractDateTime(match[2]);
+        if (change.date) entities.newDate = change.date;
+        if (change.time) entities.newTime = change.time;
+
+        // "Rename the standup to Daily sync"
+        if (!change.date && !change.time) {
+            const newTitle = match[2].replace(/^["'“]+|["'”.!?]+$/g, '').trim();
+            if (newTitle) entities.newTitle = newTitle;
+        }
+
         return entities;
     }
 
+    /**
+     * Entities for a PLAN request: the first day to plan (today unless one is named)
+     * and whether to plan just that day or the week from it
+     */
+    extractPlan(input) {
+        return {
+            date: this.extractDate(input) || this.referenceDate().toISOString().split('T')[0],
+            period: /\bweek\b/i.test(input) ? 'week' : 'day'
+        };
+    }
+
     /**
      * Extract date and time information
      */
@@ -239,18 +305,26 @@ class NLPParser {
         return result;
     }
 
+    /**
+     * Today in the reference zone, as UTC midnight so date arithmetic ignores the server's zone
+     */
+    referenceDate() {
+        const { timezone, now } = this.reference || {};
+        return new Date(`${zonedParts(now || new Date(), timezone).date}T00:00:00Z`);
+    }
+
     /**
      * Extract date from input
      */
     extractDate(input) {
         const lower = input.toLowerCase();
-        const today = new Date();
+        const today = this.referenceDate();
         
         // Check for relative day expressions
         for (const [phrase, daysOffset] of Object.entries(this.datePatterns.RELATIVE_DAYS)) {
             if (lower.includes(phrase)) {
                 const targetDate = new Date(today);
-                targetDate.setDate(targetDate.getDate() + daysOffset);
+                targetDate.setUTCDate(targetDate.getUTCDate() + daysOffset);
                 return targetDate.toISOString().split('T')[0];
             }
         }
@@ -261,9 +335,9 @@ class NLPParser {
             const targetWeekday = nextWeekdayMatch[1];
             const dayIndex = this.datePatterns.WEEKDAYS.indexOf(targetWeekday);
             if (dayIndex !== -1) {
-                const daysUntil = (dayIndex - today.getDay() + 7) % 7 || 7;
+                const daysUntil = (dayIndex - today.getUTCDay() + 7) % 7 || 7;
                 const targetDate = new Date(today);
-                targetDate.setDate(targetDate.getDate() + daysUntil);
+                targetDate.setUTCDate(targetDate.getUTCDate() + daysUntil);
                 return targetDate.toISOString().split('T')[0];
             }
         }
@@ -274,10 +348,10 @@ class NLPParser {
             const targetWeekday = thisWeekdayMatch[1];
             const dayIndex = this.datePatterns.WEEKDAYS.indexOf(targetWeekday);
             if (dayIndex !== -1) {
-                let daysUntil = dayIndex - today.getDay();
+                let daysUntil = dayIndex - today.getUTCDay();
                 if (daysUntil <= 0) daysUntil += 7; // Next week if already passed
                 const targetDate = new Date(today);
-                targetDate.setDate(targetDate.getDate() + daysUntil);
+                targetDate.setUTCDate(targetDate.getUTCDate() + daysUntil);
                 return targetDate.toISOString().split('T')[0];
             }
         }
@@ -286,10 +360,10 @@ class NLPParser {
         for (let i = 0; i < this.datePatterns.WEEKDAYS.length; i++) {
             const dayName = this.datePatterns.WEEKDAYS[i];
             if (lower.includes(dayName)) {
-                let daysUntil = i - today.getDay();
+                let daysUntil = i - today.getUTCDay();
                 if (daysUntil <= 0) daysUntil += 7; // Next week if already passed or today
                 const targetDate = new Date(today);
-                targetDate.setDate(targetDate.getDate() + daysUntil);
+                targetDate.setUTCDate(targetDate.getUTCDate() + daysUntil);
                 return targetDate.toISOString().split('T')[0];
             }
         }
@@ -310,12 +384,12 @@ class NLPParser {
             const monthIndex = this.datePatterns.MONTHS.indexOf(monthName);
             
             if (monthIndex !== -1 && day >= 1 && day <= 31) {
-                const year = today.getFullYear();
-                const targetDate = new Date(year, monthIndex, day);
+                const year = today.getUTCFullYear();
+                const targetDate = new Date(Date.UTC(year, monthIndex, day));
                 
                 // If the date has passed this year, assume next year
                 if (targetDate < today) {
-                    targetDate.setFullYear(year + 1);
+                    targetDate.setUTCFullYear(year + 1);
                 }
                 
                 return targetDate.toISOString().split('T')[0];
@@ -452,17 +526,12 @@ class NLPParser {
      * Parse relative time expressions
      */
     parseRelativeTime(match) {
-        const now = new Date();
+        const { timezone, now = new Date() } = this.reference || {};
         const value = parseInt(match[1]);
         const unit = match[2].toLowerCase();
+        const minutes = unit.includes('hour') ? value * 60 : unit.includes('minute') ? value : 0;
         
-        if (unit.includes('hour')) {
-            now.setHours(now.getHours() + value);
-        } else if (unit.includes('minute')) {
-            now.setMinutes(now.getMinutes() + value);
-        }
-        
-        return `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+        return zonedParts(new Date(now).getTime() + minutes * 60000, timezone).time.slice(0, 5);
     }
 
     /**
@@ -507,8 +576,10 @@ class NLPParser {
         
         let totalMinutes = 0;
         
-        // First value
-        if (unit1.includes('hour')) {
+        // First value; "3 days" is a multi-day event
+        if (unit1 === 'day') {
+            totalMinutes += value1 * 24 * 60;
+        } else if (unit1.includes('hour')) {
             totalMinutes += value1 * 60;
         } else if (unit1.includes('minute')) {
             totalMinutes += value1;
@@ -538,10 +609,11 @@ class NLPParser {
         title = title.replace(/\b(today|tomorrow|yesterday|next\s+\w+|this\s+\w+)\b/gi, '');
         title = title.replace(/\b\w+day\b/gi, '');
         title = title.replace(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/g, '');
+        title = title.replace(/\b(starting|beginning)\b/gi, '');
         
         // Remove duration expressions
-        title = title.replace(/\b\d+\s+(hour|hr|minute|min)s?\b/gi, '');
-        title = title.replace(/\b(for|lasting|duration)\s+\d+\s+(hour|hr|minute|min)s?\b/gi, '');
+        title = title.replace(/\b(for|lasting|duration)\s+\d+[\s-]*(hour|hr|minute|min|day)s?\b/gi, '');
+        title = title.replace(/\b\d+[\s-]*(hour|hr|minute|min|day)s?\b/gi, '');
         
         // Remove location expressions
         title = title.replace(/\b(at|in|on)\s+[A-Z][A-Za-z\s]+/gi, '');
@@ -558,10 +630,11 @@ class NLPParser {
         
         // Clean up and format
         title = title.replace(/\s+/g, ' ').trim();
-        title = title.replace(/^(a|an|the)\s+/i, '');
+        title = title.replace(/^((a|an|the|my|our)\b\s*)+/i, '');
         
-        // Remove leading/trailing punctuation
+        // Remove leading/trailing punctuation, and prepositions left over from removed phrases
         title = title.replace(/^[^\w]+|[^\w]+$/g, '');
+        title = title.replace(/(\s+(on|at|to|for|with|in|from|by))+$/i, '');
         
         // Capitalize first letter
         if (title && title.length > 0) {
@@ -711,7 +784,7 @@ class NLPParser {
                 const year = parseInt(parts[2]);
                 const month = parseInt(parts[0]) - 1; // JS months are 0-based
                 const day = parseInt(parts[1]);
-                return new Date(year, month, day).toISOString().split('T')[0];
+                return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
             }
         } else if (match[0].includes('-')) {
             // YYYY-MM-DD
@@ -720,10 +793,10 @@ class NLPParser {
             // Month DD, YYYY
             const monthName = match[1].toLowerCase();
             const day = parseInt(match[2]);
-            const year = match[3] ? parseInt(match[3]) : new Date().getFullYear();
+            const year = match[3] ? parseInt(match[3]) : this.referenceDate().getUTCFullYear();
             const monthIndex = this.datePatterns.MONTHS.indexOf(monthName);
             
-            return new Date(year, monthIndex, day).toISOString().split('T')[0];
+            return new Date(Date.UTC(year, monthIndex, day)).toISOString().split('T')[0];
         }
         
         return null;
@@ -781,13 +854,13 @@ class NLPParser {
     calculateConfidence(result) {
         let confidence = 0.5; // Base confidence
         
-        // Boost confidence for recognized intent
-        if (result.intent !== 'UNKNOWN') {
+        // Boost confidence only when the intent came from the message, not the CREATE default
+        if (result.intent !== 'UNKNOWN' && this.hasIntentKeyword(result.rawInput, result.intent)) {
             confidence += 0.2;
         }
-        
-        // Boost confidence for each extracted entity
-        const entityCount = Object.keys(result.entities).length;
+
+        // Boost confidence for each extracted entity (every message gets a default priority)
+        const entityCount = Object.keys(result.entities).filter(key => key !== 'priority' || result.entities.priority !== 'medium').length;
         confidence += entityCount * 0.1;
         
         // Boost confidence for critical entities
@@ -798,6 +871,20 @@ class NLPParser {
         // Cap confidence at 1.0
         return Math.min(confidence, 1.0);
     }
+
+    /**
+     * Whether the input mentions one of the intent's keywords or opens with a question word
+     */
+    hasIntentKeyword(input, intent) {
+        const lower = input.toLowerCase();
+        if (intent === 'QUERY' && lower.match(/^(what|when|where|who|how|which)/)) {
+            return true;
+        }
+        if (intent === 'PLAN') {
+            return this.planPattern.test(input);
+        }
+        return (this.intentKeywords[intent] || []).some(keyword => lower.includes(keyword));
+    }
 }
 
 module.exports = { NLPParser };
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Fixed-window rate limiting for Express routes.
+ *
+ * Stores only need increment(key, windowMs) -> { count, resetTime } and reset(key),
+ * so the in-memory store can be replaced by a shared one (e.g. Redis) when the app
+ * runs on more than one instance.
+ */
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    // Drop expired windows periodically; unref so the timer never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref?.();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetTime <= now) {
+      entry = { count: 0, resetTime: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetTime: entry.resetTime };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetTime <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+// Authenticated callers are limited per user or API key, everyone else per IP.
+// Only a key record from ApiKeyManager.verifyKey counts as an API key.
+function defaultKeyGenerator(req) {
+  const apiKey = req.user?.api_key;
+  if (apiKey && typeof apiKey === 'object' && apiKey.id) {
+    return `key:${apiKey.id}`;
+  }
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Create rate limiting middleware. Sends RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers, and 429 with Retry-After once the
+ * bucket is exhausted. `name` separates buckets that share a store.
+ */
+function createRateLimiter({
+  name = 'default',
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  store = new MemoryStore(),
+  keyGenerator = defaultKeyGenerator,
+  message = 'Too many requests, please try again later.'
+} = {}) {
+  return async (req, res, next) => {
+    try {
+      const key = `${name}:${await keyGenerator(req)}`;
+      const { count, resetTime } = await store.increment(key, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+
+      res.setHeader('RateLimit-Limit', String(max));
+      res.setHeader('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.setHeader('RateLimit-Reset', String(resetSeconds));
+      res.setHeader('RateLimit-Policy', `${max};w=${Math.ceil(windowMs / 1000)}`);
+
+      if (count > max) {
+        res.setHeader('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: message, retryAfter: resetSeconds });
+      }
+
+      next();
+    } catch (error) {
+      // A broken store should not take the API down with it
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  createRateLimiter,
+  defaultKeyGenerator
+};
@@ -1,11 +1,24 @@
-// Real-time Audio Service for OpenAI Realtime API integration
+// Real-time Audio Service for OpenAI Realtime API integration (or any provider speaking the same protocol)
 const WebSocket = require('ws');
+const crypto = require('crypto');
 const OpenAI = require('openai');
 const { Logger } = require('./logger');
+const { VoiceToolRegistry } = require('./voice-tools');
+const { createRealtimeProvider } = require('./realtime-providers');
+const { DEFAULT_TIMEZONE, todayInZone } = require('./timezones');
 
 class RealtimeAudioService {
-    constructor(openaiApiKey = null) {
-        this.apiKey = openaiApiKey || process.env.OPENAI_API_KEY;
+    constructor(openaiApiKey = null, options = {}) {
+        this.provider = options.provider || createRealtimeProvider({ apiKey: openaiApiKey }); // Realtime backend (REALTIME_PROVIDER)
+        this.database = options.database || null; // Repository used by the calendar function calls
+        this.tools = options.tools || new VoiceToolRegistry();
+        this.memoryService = options.memoryService || null; // Stores voice transcripts as conversations
+        this.transcripts = new Map(); // Voice turn being captured per client, stored once answered
+        this.usageMeter = options.usageMeter || null; // Meters tokens and audio seconds, enforces quotas
+        this.audioBytes = new Map(); // Audio streamed per client since the last metered response
+        this.authenticate = options.authenticate || null; // async (req) => user, for Authorization: Bearer upgrades
+        this.tickets = new Map(); // Single-use connection tickets: ticket -> { userId, expiresAt }
+        this.ticketTtl = 60 * 1000; // Tickets must be redeemed within a minute
         this.logger = new Logger();
         this.connections = new Map(); // Track client connections
         this.openaiConnections = new Map(); // Track OpenAI connections
@@ -15,6 +28,7 @@ class RealtimeAudioService {
         this.connectionLocks = new Map(); // Prevent concurrent connections per client
         this.sessionTimers = new Map(); // Track session renewal timers
         this.sessionStartTimes = new Map(); // Track when sessions started
+        this.pendingFunctionResponses = new Set(); // Clients waiting to answer with function results
         this.maxReconnectAttempts = 3;
         this.reconnectDelay = 1000; // Start with 1 second
         this.maxConnectionsPerMinute = 10; // Rate limit per client
@@ -30,16 +44,37 @@ class RealtimeAudioService {
         
         const wss = new WebSocket.Server({ 
             server,
-            path: '/api/realtime-audio'
+            path: '/api/realtime-audio',
+            // Reject unauthenticated upgrades before any OpenAI connection is opened
+            verifyClient: (info, done) => {
+                this.authenticateUpgrade(info.req)
+                    .then(userId => {
+                        if (!userId) {
+                            this.logger.warn(`Rejected unauthenticated audio connection from ${info.req.socket.remoteAddress}`);
+                            return done(false, 401, 'Unauthorized');
+                        }
+                        return this.checkQuota(userId).then(quota => {
+                            if (quota) {
+                                this.logger.warn(`Rejected audio connection for ${userId}: ${quota.period} ${quota.metric} quota exhausted`);
+                                return done(false, 429, 'Usage quota exceeded');
+                            }
+                            info.req.userId = userId;
+                            done(true);
+                        });
+                    })
+                    .catch(error => {
+                        this.logger.error('Error authenticating audio connection:', error);
+                        done(false, 500, 'Authentication failed');
+                    });
+            }
         });
 
         console.log('WebSocket server created, waiting for connections...');
 
         wss.on('connection', (ws, req) => {
             const clientId = this.generateClientId();
-            const userId = this.extractUserId(req);
-            const clientIp = req.socket.remoteAddress;
-            const rateLimitKey = userId !== 'anonymous' ? `user_${userId}` : `ip_${clientIp}`;
+            const userId = req.userId;
+            const rateLimitKey = `user_${userId}`;
             
             // Check rate limiting
             if (!this.checkRateLimit(rateLimitKey)) {
@@ -146,7 +181,7 @@ class RealtimeAudioService {
     }
 
     /**
-     * Connect to OpenAI Realtime API with exponential backoff
+     * Connect to the realtime provider (OpenAI unless configured otherwise) with exponential backoff
      */
     async connectToOpenAI(clientId) {
         try {
@@ -156,8 +191,8 @@ class RealtimeAudioService {
                 return existingWs;
             }
 
-            if (!this.apiKey) {
-                throw new Error('OpenAI API key not configured');
+            if (!this.provider.isConfigured()) {
+                throw new Error(`Realtime provider ${this.provider.name} is not configured`);
             }
 
             // Check reconnection attempts
@@ -176,17 +211,12 @@ class RealtimeAudioService {
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
 
-            this.logger.info(`Connecting to OpenAI Realtime API for client ${clientId} (attempt ${attempts + 1})`);
+            this.logger.info(`Connecting to ${this.provider.name} realtime provider for client ${clientId} (attempt ${attempts + 1})`);
             
             // Increment attempt counter
             this.reconnectAttempts.set(clientId, attempts + 1);
             
-            const openaiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'OpenAI-Beta': 'realtime=v1'
-                }
-            });
+            const openaiWs = await this.provider.connect();
 
             return new Promise((resolve, reject) => {
                 const connectionTimeout = setTimeout(() => {
@@ -196,7 +226,7 @@ class RealtimeAudioService {
 
                 openaiWs.on('open', () => {
                     clearTimeout(connectionTimeout);
-                    this.logger.info(`Connected to OpenAI Realtime API for ${clientId}`);
+                    this.logger.info(`Connected to ${this.provider.name} realtime provider for ${clientId}`);
                     
                     // Reset reconnection attempts on successful connection
                     this.reconnectAttempts.delete(clientId);
@@ -275,20 +305,46 @@ class RealtimeAudioService {
             
             case 'response.created':
                 this.logger.info(`Response created for ${clientId}`);
+                // Server VAD starts responses on its own, so track them here too
+                this.activeResponses.set(clientId, true);
                 break;
             
             case 'response.audio.delta':
                 // Audio response chunk - forward to client for playback
+                this.countAudio(clientId, message.delta);
                 break;
             
             case 'response.audio.done':
                 this.logger.info(`Audio response completed for ${clientId}`);
                 break;
             
+            case 'conversation.item.input_audio_transcription.completed':
+                this.recordTranscript(clientId, 'user', message.transcript);
+                break;
+            
+            case 'response.audio_transcript.done':
+                this.recordTranscript(clientId, 'assistant', message.transcript);
+                break;
+            
+            case 'response.text.done':
+                this.recordTranscript(clientId, 'assistant', message.text);
+                break;
+            
             case 'response.done':
                 this.logger.info(`Full response completed for ${clientId}`);
                 // Clear active response
                 this.activeResponses.delete(clientId);
+                // A spoken answer closes the turn; function-call-only responses are followed by one
+                if (this.transcripts.get(clientId)?.assistantText.length) {
+                    this.storeTranscript(clientId);
+                }
+                this.meterResponse(clientId, message.response?.usage);
+                // Function results arrived while this response was still running
+                if (this.pendingFunctionResponses.delete(clientId)) {
+                    this.createResponse(clientId).catch(error => {
+                        this.logger.error(`Error answering function call for ${clientId}:`, error);
+                    });
+                }
                 break;
             
             case 'conversation.item.created':
@@ -335,78 +391,183 @@ class RealtimeAudioService {
     }
 
     /**
-     * Handle function calls from OpenAI
+     * Handle function calls from OpenAI. Every call gets a function_call_output item,
+     * including failures, so the model never reports a change that was not saved.
      */
     async handleFunctionCall(clientId, message) {
+        const { name, call_id: callId } = message;
+        let output;
+
         try {
-            const { name, arguments: args } = message;
-            
-            switch (name) {
-                case 'create_calendar_event':
-                    await this.handleCreateEvent(clientId, args);
-                    break;
-                    
-                case 'query_calendar_events':
-                    await this.handleQueryEvents(clientId, args);
-                    break;
-                    
-                default:
-                    this.logger.warn(`Unknown function call: ${name}`);
-                    this.sendError(clientId, `Unknown function: ${name}`);
+            if (!this.tools.has(name)) {
+                this.logger.warn(`Unknown function call: ${name}`);
+            }
+            const args = parseFunctionArguments(message.arguments);
+            const userId = this.getCalendarUser(clientId);
+
+            this.logger.info(`Running voice tool ${name} for ${clientId}`);
+            this.recordFunctionCall(clientId, name, args);
+            output = await this.tools.execute(name, { database: this.database, userId }, args);
+        } catch (error) {
+            this.logger.error(`Error handling function call ${name} for ${clientId}:`, error.message);
+            output = { success: false, error: error.message };
+        }
+
+        try {
+            await this.sendFunctionOutput(clientId, callId, output);
+
+            if (output.success && this.tools.isMutation(name)) {
+                // Let the UI refresh its task and event lists
+                this.forwardToClient(clientId, { type: 'calendar.updated', function: name, result: output });
             }
         } catch (error) {
-            this.logger.error(`Error handling function call for ${clientId}:`, error);
+            this.logger.error(`Error sending function output for ${clientId}:`, error);
             this.sendError(clientId, 'Error processing calendar request');
         }
+        return output;
+    }
+
+    currentTurn(clientId) {
+        if (!this.transcripts.has(clientId)) {
+            this.transcripts.set(clientId, { userText: [], assistantText: [], functions: [], entities: {} });
+        }
+        return this.transcripts.get(clientId);
+    }
+
+    recordTranscript(clientId, role, transcript) {
+        const text = (transcript || '').trim();
+        if (text) {
+            this.currentTurn(clientId)[role === 'user' ? 'userText' : 'assistantText'].push(text);
+        }
     }
 
     /**
-     * Handle create calendar event function call
+     * Keep the tool name as the turn's intent and its arguments as entities, so
+     * memory learning sees voice requests the same way as parsed text chat.
      */
-    async handleCreateEvent(clientId, args) {
-        try {
-            // TODO: Integrate with actual calendar service
-            this.logger.info(`Creating event for ${clientId}:`, args);
-            
-            // For now, just log the request and send success response
-            // In a full implementation, this would call the calendar API
-            const response = {
-                type: 'response.create',
-                response: {
-                    modalities: ['text'],
-                    instructions: `Event "${args.title}" scheduled for ${args.date} at ${args.time}`
-                }
-            };
-            
-            this.forwardToClient(clientId, response);
-        } catch (error) {
-            this.logger.error(`Error creating event for ${clientId}:`, error);
-            throw error;
+    recordFunctionCall(clientId, name, args) {
+        const turn = this.currentTurn(clientId);
+        turn.functions.push(name);
+
+        for (const [field, entity] of Object.entries(VOICE_ENTITY_FIELDS)) {
+            if (typeof args[field] === 'string' && args[field].trim()) {
+                turn.entities[entity] = args[field].trim();
+            }
         }
     }
 
     /**
-     * Handle query calendar events function call
+     * Store the captured voice turn through the memory service with channel 'voice'.
+     * Reads everything synchronously so it can run while a connection is cleaned up.
      */
-    async handleQueryEvents(clientId, args) {
-        try {
-            // TODO: Integrate with actual calendar service
-            this.logger.info(`Querying events for ${clientId}:`, args);
-            
-            // For now, just log the request and send mock response
-            const response = {
-                type: 'response.create', 
-                response: {
-                    modalities: ['text'],
-                    instructions: `Looking up events for ${args.start_date}${args.end_date ? ' to ' + args.end_date : ''}`
+    storeTranscript(clientId) {
+        const turn = this.transcripts.get(clientId);
+        const connection = this.connections.get(clientId);
+        this.transcripts.delete(clientId);
+
+        if (!turn || !this.memoryService || !connection || !connection.userId || connection.userId === 'anonymous') {
+            return Promise.resolve(null);
+        }
+        if (!turn.userText.length && !turn.assistantText.length) {
+            return Promise.resolve(null);
+        }
+
+        const intent = turn.functions.length ? turn.functions[turn.functions.length - 1] : 'UNKNOWN';
+        const entities = turn.functions.length ? { ...turn.entities, functions: turn.functions } : turn.entities;
+
+        return this.memoryService.storeConversation(
+            connection.userId,
+            turn.userText.join(' '),
+            turn.assistantText.join(' '),
+            intent,
+            entities,
+            clientId,
+            'voice'
+        ).catch(error => {
+            this.logger.error(`Error storing transcript for ${clientId}:`, error);
+            return null;
+        });
+    }
+
+    async checkQuota(userId) {
+        return this.usageMeter ? this.usageMeter.checkQuota(userId) : null;
+    }
+
+    countAudio(clientId, base64Audio) {
+        if (this.usageMeter && base64Audio) {
+            this.audioBytes.set(clientId, (this.audioBytes.get(clientId) || 0) + Buffer.byteLength(base64Audio, 'base64'));
+        }
+    }
+
+    /**
+     * Record a response's token usage plus the audio streamed since the last one,
+     * then end the session if that used up the user's quota. Session audio is PCM16
+     * at 24kHz, so audio seconds are bytes / 48000.
+     */
+    meterResponse(clientId, usage = null) {
+        const connection = this.connections.get(clientId);
+        const audioSeconds = (this.audioBytes.get(clientId) || 0) / PCM16_BYTES_PER_SECOND;
+        this.audioBytes.delete(clientId);
+
+        if (!this.usageMeter || !connection || !connection.userId || (!usage && !audioSeconds)) {
+            return Promise.resolve(null);
+        }
+
+        const userId = connection.userId;
+        const model = this.provider.model || this.provider.name;
+
+        return this.usageMeter.recordRealtimeResponse(userId, usage || {}, audioSeconds, model)
+            .then(() => this.checkQuota(userId))
+            .then(quota => {
+                if (quota && this.connections.has(clientId)) {
+                    this.logger.warn(`Ending audio session ${clientId}: ${quota.period} ${quota.metric} quota exhausted`);
+                    this.sendError(clientId, quota.message);
+                    this.cleanupConnection(clientId);
                 }
-            };
-            
-            this.forwardToClient(clientId, response);
-        } catch (error) {
-            this.logger.error(`Error querying events for ${clientId}:`, error);
-            throw error;
+                return quota;
+            })
+            .catch(error => {
+                this.logger.error(`Error metering usage for ${clientId}:`, error);
+                return null;
+            });
+    }
+
+    /**
+     * Return a function result to the model and ask it to respond. If the response
+     * that made the call is still running, answer once it is done.
+     */
+    async sendFunctionOutput(clientId, callId, output) {
+        const openaiWs = await this.ensureOpenAIConnection(clientId);
+
+        openaiWs.send(JSON.stringify({
+            type: 'conversation.item.create',
+            item: {
+                type: 'function_call_output',
+                call_id: callId,
+                output: JSON.stringify(output)
+            }
+        }));
+
+        if (this.activeResponses.has(clientId)) {
+            this.pendingFunctionResponses.add(clientId);
+        } else {
+            await this.createResponse(clientId);
+        }
+    }
+
+    /**
+     * Resolve the signed-in user for a connection; calendar calls need one
+     */
+    getCalendarUser(clientId) {
+        const connection = this.connections.get(clientId);
+
+        if (!this.database) {
+            throw new Error('Calendar storage is not available');
         }
+        if (!connection || !connection.userId || connection.userId === 'anonymous') {
+            throw new Error('The user must sign in before the calendar can be changed by voice');
+        }
+        return connection.userId;
     }
 
     /**
@@ -519,11 +680,23 @@ class RealtimeAudioService {
         }
     }
 
+    /**
+     * The signed-in user's time zone, so "tomorrow" said by voice is the user's tomorrow
+     */
+    async getTimezone(clientId) {
+        try {
+            return await this.database.getUserTimezone(this.getCalendarUser(clientId));
+        } catch (error) {
+            return DEFAULT_TIMEZONE;
+        }
+    }
+
     /**
      * Update session configuration
      */
     async updateSession(clientId, sessionConfig) {
         const openaiWs = await this.ensureOpenAIConnection(clientId);
+        const timezone = await this.getTimezone(clientId);
         
         const defaultConfig = {
             modalities: ['text', 'audio'],
@@ -540,40 +713,18 @@ class RealtimeAudioService {
                 prefix_padding_ms: 300,
                 silence_duration_ms: 200
             },
-            tools: [
-                {
-                    type: 'function',
-                    name: 'create_calendar_event',
-                    description: 'Create a new calendar event',
-                    parameters: {
-                        type: 'object',
-                        properties: {
-                            title: { type: 'string' },
-                            date: { type: 'string' },
-                            time: { type: 'string' },
-                            duration: { type: 'number' },
-                            description: { type: 'string' }
-                        },
-                        required: ['title', 'date', 'time']
-                    }
-                },
-                {
-                    type: 'function',
-                    name: 'query_calendar_events',
-                    description: 'Query calendar events for a date range',
-                    parameters: {
-                        type: 'object',
-                        properties: {
-                            start_date: { type: 'string' },
-                            end_date: { type: 'string' }
-                        },
-                        required: ['start_date']
-                    }
-                }
-            ]
+            tools: this.tools.getDefinitions()
         };
 
-        const mergedConfig = { ...defaultConfig, ...sessionConfig };
+        const mergedConfig = {
+            ...defaultConfig,
+            ...sessionConfig,
+            // Only tools with a server-side executor can be offered to the model
+            tools: defaultConfig.tools,
+            instructions: `${sessionConfig?.instructions || defaultConfig.instructions} ` +
+                `Today is ${todayInZone(timezone)} in the user's time zone (${timezone}). ` +
+                'Use YYYY-MM-DD dates and 24-hour HH:MM times in that zone in function calls.'
+        };
         
         openaiWs.send(JSON.stringify({
             type: 'session.update',
@@ -591,6 +742,7 @@ class RealtimeAudioService {
             type: 'input_audio_buffer.append',
             audio: audioData.audio
         }));
+        this.countAudio(clientId, audioData.audio);
     }
 
     /**
@@ -734,6 +886,10 @@ class RealtimeAudioService {
      */
     cleanupConnection(clientId) {
         this.logger.info(`Cleaning up connection for ${clientId}`);
+
+        // Keep whatever was said before the connection dropped
+        this.storeTranscript(clientId);
+        this.meterResponse(clientId);
         
         // Close OpenAI connection gracefully
         const openaiWs = this.openaiConnections.get(clientId);
@@ -748,6 +904,7 @@ class RealtimeAudioService {
 
         // Clear active response
         this.activeResponses.delete(clientId);
+        this.pendingFunctionResponses.delete(clientId);
 
         // Clear reconnection attempts
         this.reconnectAttempts.delete(clientId);
@@ -779,13 +936,44 @@ class RealtimeAudioService {
     }
 
     /**
-     * Extract user ID from request
+     * Mint a single-use ticket for opening the WebSocket. Browsers cannot send an
+     * Authorization header on the upgrade request, so they fetch one over REST first.
+     */
+    issueTicket(userId) {
+        const now = Date.now();
+        for (const [ticket, entry] of this.tickets) {
+            if (entry.expiresAt <= now) {
+                this.tickets.delete(ticket);
+            }
+        }
+
+        const ticket = crypto.randomBytes(32).toString('base64url');
+        this.tickets.set(ticket, { userId, expiresAt: now + this.ticketTtl });
+        return { ticket, expiresIn: Math.floor(this.ticketTtl / 1000) };
+    }
+
+    redeemTicket(ticket) {
+        const entry = this.tickets.get(ticket);
+        this.tickets.delete(ticket);
+        return entry && entry.expiresAt > Date.now() ? entry.userId : null;
+    }
+
+    /**
+     * Resolve the user for an upgrade request from `?ticket=` or an Authorization
+     * Bearer JWT. Returns null when neither is valid.
      */
-    extractUserId(req) {
-        // Extract from query params, headers, or JWT token
-        return req.url?.includes('userId=') ? 
-            new URLSearchParams(req.url.split('?')[1]).get('userId') : 
-            'anonymous';
+    async authenticateUpgrade(req) {
+        const query = req.url && req.url.includes('?') ? req.url.slice(req.url.indexOf('?') + 1) : '';
+        const ticket = new URLSearchParams(query).get('ticket');
+
+        if (ticket) {
+            return this.redeemTicket(ticket);
+        }
+        if (this.authenticate && req.headers.authorization) {
+            const user = await this.authenticate(req);
+            return user ? user.id : null;
+        }
+        return null;
     }
 
     /**
@@ -817,10 +1005,13 @@ class RealtimeAudioService {
     }
 
     /**
-     * Get comprehensive connection statistics with session monitoring
+     * Get comprehensive connection statistics with session monitoring.
+     * Counts cover every connection; per-connection and per-session details are only
+     * listed for `userId`'s own connections, and none without a userId.
      */
-    getStats() {
+    getStats(userId = null) {
         const now = Date.now();
+        const isOwn = (clientId) => userId !== null && this.connections.get(clientId)?.userId === userId;
         
         // Calculate session ages and renewal needs
         const sessionStats = Array.from(this.sessionStartTimes.entries()).map(([clientId, startTime]) => {
@@ -857,9 +1048,8 @@ class RealtimeAudioService {
             healthStatus: this.getHealthStatus(sessionStats),
             
             // Detailed connection info
-            connections: Array.from(this.connections.entries()).map(([id, conn]) => ({
+            connections: Array.from(this.connections.entries()).filter(([id]) => isOwn(id)).map(([id, conn]) => ({
                 id,
-                userId: conn.userId,
                 connected: Date.now() - conn.startTime,
                 active: conn.isActive,
                 reconnectAttempts: this.reconnectAttempts.get(id) || 0,
@@ -870,7 +1060,7 @@ class RealtimeAudioService {
             })),
             
             // Session details
-            sessions: sessionStats
+            sessions: sessionStats.filter(session => isOwn(session.clientId))
         };
     }
 
@@ -897,4 +1087,34 @@ class RealtimeAudioService {
     }
 }
 
+// 24kHz mono 16-bit audio, the format requested in session.update
+const PCM16_BYTES_PER_SECOND = 24000 * 2;
+
+// Voice tool arguments that map onto the entities memory learning understands
+const VOICE_ENTITY_FIELDS = {
+    title: 'title',
+    new_title: 'title',
+    date: 'date',
+    due_date: 'date',
+    new_date: 'date',
+    time: 'time',
+    due_time: 'time',
+    new_time: 'time',
+    location: 'location'
+};
+
+function parseFunctionArguments(args) {
+    if (!args) {
+        return {};
+    }
+    if (typeof args !== 'string') {
+        return args;
+    }
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        throw new Error('Function arguments are not valid JSON');
+    }
+}
+
 module.exports = { RealtimeAudioService };
\ No newline at end of file
@@ -0,0 +1,87 @@
+// Backends for RealtimeAudioService: each one opens a WebSocket that speaks the realtime event protocol
+const WebSocket = require('ws');
+const { MockRealtimeServer } = require('./mock-realtime-server');
+
+const OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-realtime-preview-2024-10-01';
+
+class OpenAIRealtimeProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_REALTIME_MODEL || DEFAULT_OPENAI_MODEL;
+    this.url = options.url || OPENAI_REALTIME_URL;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async connect() {
+    return new WebSocket(`${this.url}?model=${encodeURIComponent(this.model)}`, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'OpenAI-Beta': 'realtime=v1'
+      }
+    });
+  }
+
+  async close() {}
+}
+
+/**
+ * Connects to a MockRealtimeServer. Without a URL, one is started in-process on
+ * first use so `REALTIME_PROVIDER=mock npm start` works with no other setup.
+ */
+class MockRealtimeProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.url = options.url || process.env.REALTIME_MOCK_URL || null;
+    this.server = null;
+    this.ready = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async connect() {
+    if (!this.url) {
+      if (!this.ready) {
+        this.server = new MockRealtimeServer();
+        this.ready = this.server.listen();
+      }
+      return new WebSocket(await this.ready);
+    }
+    return new WebSocket(this.url);
+  }
+
+  async close() {
+    if (this.server) {
+      await this.server.close();
+      this.server = null;
+      this.ready = null;
+    }
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIRealtimeProvider,
+  mock: MockRealtimeProvider
+};
+
+function createRealtimeProvider(options = {}) {
+  const name = (options.name || process.env.REALTIME_PROVIDER || 'openai').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown realtime provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  MockRealtimeProvider,
+  OpenAIRealtimeProvider,
+  createRealtimeProvider
+};
@@ -0,0 +1,585 @@
+// Recurrence Rules (RFC 5545 RRULE) for Calendar Events
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const LEGACY_TYPES = {
+    daily: 'DAILY',
+    weekly: 'WEEKLY',
+    monthly: 'MONTHLY',
+    yearly: 'YEARLY'
+};
+const OCCURRENCE_SEPARATOR = '::';
+const MAX_PERIODS = 5000; // Guard against runaway expansion: periods scanned past the range start
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurrenceRule {
+    constructor({ freq, interval = 1, byDay = [], byMonthDay = [], byMonth = [], count = null, until = null }) {
+        this.freq = freq;
+        this.interval = interval;
+        this.byDay = byDay;
+        this.byMonthDay = byMonthDay;
+        this.byMonth = byMonth;
+        this.count = count;
+        this.until = until;
+    }
+
+    /**
+     * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10")
+     */
+    static parse(rrule) {
+        if (!rrule || typeof rrule !== 'string') {
+            throw new Error('Recurrence rule is required');
+        }
+
+        const body = rrule.trim().replace(/^RRULE:/i, '');
+        const options = {};
+
+        for (const part of body.split(';')) {
+            if (!part) continue;
+            const [rawKey, rawValue] = part.split('=');
+            const key = (rawKey || '').trim().toUpperCase();
+            const value = (rawValue || '').trim().toUpperCase();
+
+            if (!value) {
+                throw new Error(`Recurrence rule part "${part}" has no value`);
+            }
+
+            switch (key) {
+                case 'FREQ':
+                    if (!FREQUENCIES.includes(value)) {
+                        throw new Error(`Unsupported recurrence frequency: ${value}`);
+                    }
+                    options.freq = value;
+                    break;
+
+                case 'INTERVAL':
+                    options.interval = RecurrenceRule.parsePositiveInt(value, 'INTERVAL');
+                    break;
+
+                case 'COUNT':
+                    options.count = RecurrenceRule.parsePositiveInt(value, 'COUNT');
+                    break;
+
+                case 'UNTIL':
+                    options.until = RecurrenceRule.parseUntil(value);
+                    break;
+
+                case 'BYDAY':
+                    options.byDay = value.split(',').map(day => RecurrenceRule.parseByDay(day));
+                    break;
+
+                case 'BYMONTHDAY':
+                    options.byMonthDay = value.split(',').map(day => {
+                        const num = parseInt(day, 10);
+                        if (isNaN(num) || num === 0 || num < -31 || num > 31) {
+                            throw new Error(`Invalid BYMONTHDAY value: ${day}`);
+                        }
+                        return num;
+                    });
+                    break;
+
+                case 'BYMONTH':
+                    options.byMonth = value.split(',').map(month => {
+                        const num = parseInt(month, 10);
+                        if (isNaN(num) || num < 1 || num > 12) {
+                            throw new Error(`Invalid BYMONTH value: ${month}`);
+                        }
+                        return num;
+                    });
+                    break;
+
+                case 'WKST':
+                    // Weeks always start on Monday here; accepted for compatibility
+                    break;
+
+                default:
+                    throw new Error(`Unsupported recurrence rule part: ${key}`);
+            }
+        }
+
+        if (!options.freq) {
+            throw new Error('Recurrence rule must include FREQ');
+        }
+
+        if (options.count && options.until) {
+            throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+        }
+
+        return new RecurrenceRule(options);
+    }
+
+    /**
+     * Build a rule from the legacy recurring_type column ("daily", "weekly", ...)
+     */
+    static fromLegacy(recurringType) {
+        const freq = LEGACY_TYPES[(recurringType || '').toLowerCase()];
+        return freq ? new RecurrenceRule({ freq }) : null;
+    }
+
+    /**
+     * Build a rule from an API payload ({ freq, interval, byDay, count, until })
+     */
+    static fromObject(recurrence) {
+        const parts = [`FREQ=${String(recurrence.freq || '').toUpperCase()}`];
+
+        if (recurrence.interval && parseInt(recurrence.interval, 10) > 1) {
+            parts.push(`INTERVAL=${recurrence.interval}`);
+        }
+        if (Array.isArray(recurrence.byDay) && recurrence.byDay.length > 0) {
+            parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+        }
+        if (Array.isArray(recurrence.byMonthDay) && recurrence.byMonthDay.length > 0) {
+            parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(',')}`);
+        }
+        if (recurrence.count) {
+            parts.push(`COUNT=${recurrence.count}`);
+        }
+        if (recurrence.until) {
+            parts.push(`UNTIL=${String(recurrence.until).replace(/-/g, '')}`);
+        }
+
+        return RecurrenceRule.parse(parts.join(';'));
+    }
+
+    static parsePositiveInt(value, name) {
+        const num = parseInt(value, 10);
+        if (isNaN(num) || num < 1 || String(num) !== value) {
+            throw new Error(`Invalid ${name} value: ${value}`);
+        }
+        return num;
+    }
+
+    static parseUntil(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+        if (!match) {
+            throw new Error(`Invalid UNTIL value: ${value}`);
+        }
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        if (isNaN(parseDate(date))) {
+            throw new Error(`Invalid UNTIL value: ${value}`);
+        }
+        return date;
+    }
+
+    static parseByDay(value) {
+        const match = value.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) {
+            throw new Error(`Invalid BYDAY value: ${value}`);
+        }
+        const ordinal = match[1] ? parseInt(match[1], 10) : null;
+        if (ordinal !== null && (ordinal === 0 || ordinal < -5 || ordinal > 5)) {
+            throw new Error(`Invalid BYDAY value: ${value}`);
+        }
+        return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal };
+    }
+
+    /**
+     * Serialize back to an RRULE string (without the "RRULE:" prefix)
+     */
+    toString() {
+        const parts = [`FREQ=${this.freq}`];
+
+        if (this.interval > 1) parts.push(`INTERVAL=${this.interval}`);
+        if (this.byMonth.length > 0) parts.push(`BYMONTH=${this.byMonth.join(',')}`);
+        if (this.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${this.byMonthDay.join(',')}`);
+        if (this.byDay.length > 0) {
+            parts.push('BYDAY=' + this.byDay
+                .map(day => `${day.ordinal || ''}${WEEKDAY_CODES[day.weekday]}`)
+                .join(','));
+        }
+        if (this.count) parts.push(`COUNT=${this.count}`);
+        if (this.until) parts.push(`UNTIL=${this.until.replace(/-/g, '')}`);
+
+        return parts.join(';');
+    }
+
+    /**
+     * Legacy recurring_type equivalent of this rule
+     */
+    toLegacyType() {
+        return this.freq.toLowerCase();
+    }
+
+    /**
+     * List occurrence dates (YYYY-MM-DD) between rangeStart and rangeEnd, inclusive.
+     * Expansion starts at the first period overlapping the range; COUNT is always counted
+     * from dtstart, so COUNT rules still walk the periods before it.
+     */
+    between(dtstart, rangeStart, rangeEnd, exdates = []) {
+        const start = parseDate(toDateString(dtstart));
+        const from = parseDate(toDateString(rangeStart));
+        const to = parseDate(toDateString(rangeEnd));
+        const until = this.until ? parseDate(this.until) : null;
+        const excluded = new Set(exdates.map(toDateString));
+        const results = [];
+        let produced = 0;
+
+        if (isNaN(start) || isNaN(from) || isNaN(to)) {
+            return results;
+        }
+
+        const firstInRange = Math.max(0, this.periodIndex(start, from));
+        const lastInRange = this.periodIndex(start, to);
+
+        for (let period = this.count ? 0 : firstInRange; period <= lastInRange && period < firstInRange + MAX_PERIODS; period++) {
+            const candidates = this.periodCandidates(start, period);
+
+            if (candidates === null) break;
+
+            for (const candidate of candidates) {
+                if (candidate < start) continue;
+                if (until !== null && candidate > until) return results;
+                if (candidate > to) return results;
+
+                produced++;
+                if (candidate >= from && !excluded.has(formatDate(candidate))) {
+                    results.push(formatDate(candidate));
+                }
+                if (this.count && produced >= this.count) return results;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Split the series at an occurrence date for "this and following" changes.
+     * `before` ends the day before splitDate (null when nothing remains before it);
+     * `after` continues from splitDate with whatever COUNT is left (null when exhausted).
+     */
+    splitAt(dtstart, splitDate) {
+        const split = parseDate(toDateString(splitDate));
+        if (isNaN(split)) {
+            throw new Error(`Invalid split date: ${splitDate}`);
+        }
+
+        const lastBefore = formatDate(split - DAY_MS);
+        const produced = this.between(dtstart, dtstart, lastBefore).length;
+
+        const before = produced === 0 ? null : new RecurrenceRule({
+            ...this,
+            count: null,
+            until: this.until && this.until < lastBefore ? this.until : lastBefore
+        });
+
+        const remaining = this.count ? this.count - produced : null;
+        const after = remaining !== null && remaining < 1 ? null : new RecurrenceRule({
+            ...this,
+            count: remaining
+        });
+
+        return { before, after };
+    }
+
+    /**
+     * The period (as counted by periodCandidates) that contains `day`; negative before dtstart
+     */
+    periodIndex(start, day) {
+        const startDate = new Date(start);
+        const date = new Date(day);
+        let elapsed;
+
+        switch (this.freq) {
+            case 'DAILY':
+                elapsed = Math.floor((day - start) / DAY_MS);
+                break;
+
+            case 'WEEKLY': {
+                const weekStart = (time, weekday) => time - ((weekday + 6) % 7) * DAY_MS;
+                elapsed = Math.floor((weekStart(day, date.getUTCDay()) - weekStart(start, startDate.getUTCDay())) / (7 * DAY_MS));
+                break;
+            }
+
+            case 'MONTHLY':
+                elapsed = (date.getUTCFullYear() - startDate.getUTCFullYear()) * 12 + date.getUTCMonth() - startDate.getUTCMonth();
+                break;
+
+            case 'YEARLY':
+                elapsed = date.getUTCFullYear() - startDate.getUTCFullYear();
+                break;
+
+            default:
+                return -1;
+        }
+
+        return Math.floor(elapsed / this.interval);
+    }
+
+    /**
+     * Candidate dates (UTC ms, ascending) for the Nth period after dtstart
+     */
+    periodCandidates(start, period) {
+        const startDate = new Date(start);
+        const step = period * this.interval;
+
+        switch (this.freq) {
+            case 'DAILY': {
+                const day = start + step * DAY_MS;
+                return this.matchesFilters(day) ? [day] : [];
+            }
+
+            case 'WEEKLY': {
+                // Monday of dtstart's week, shifted by the interval
+                const mondayOffset = (startDate.getUTCDay() + 6) % 7;
+                const weekStart = start - mondayOffset * DAY_MS + step * 7 * DAY_MS;
+                const weekdays = this.byDay.length > 0
+                    ? this.byDay.map(day => day.weekday)
+                    : [startDate.getUTCDay()];
+
+                return weekdays
+                    .map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS)
+                    .sort((a, b) => a - b)
+                    .filter(day => this.matchesMonth(day));
+            }
+
+            case 'MONTHLY': {
+                const monthIndex = startDate.getUTCMonth() + step;
+                const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+                const month = monthIndex % 12;
+                if (year > 9999) return null;
+                return this.monthCandidates(year, month, startDate);
+            }
+
+            case 'YEARLY': {
+                const year = startDate.getUTCFullYear() + step;
+                if (year > 9999) return null;
+                const months = this.byMonth.length > 0
+                    ? this.byMonth.map(month => month - 1)
+                    : [startDate.getUTCMonth()];
+
+                return months
+                    .sort((a, b) => a - b)
+                    .flatMap(month => this.monthCandidates(year, month, startDate));
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Candidate days inside a single month, honouring BYMONTHDAY and BYDAY.
+     * With both, a day has to match each of them (RFC 5545), e.g. Friday the 13th.
+     */
+    monthCandidates(year, month, startDate) {
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const monthDays = this.byMonthDay.length > 0 ? new Set() : null;
+        const weekdays = this.byDay.length > 0 ? new Set() : null;
+
+        if (monthDays) {
+            for (const monthDay of this.byMonthDay) {
+                const day = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+                if (day >= 1 && day <= daysInMonth) monthDays.add(day);
+            }
+        }
+
+        if (weekdays) {
+            for (const { weekday, ordinal } of this.byDay) {
+                const matching = [];
+                for (let day = 1; day <= daysInMonth; day++) {
+                    if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+                        matching.push(day);
+                    }
+                }
+
+                if (ordinal === null) {
+                    matching.forEach(day => weekdays.add(day));
+                } else {
+                    const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                    if (day) weekdays.add(day);
+                }
+            }
+        }
+
+        let days;
+        if (monthDays && weekdays) {
+            days = Array.from(monthDays).filter(day => weekdays.has(day));
+        } else if (monthDays || weekdays) {
+            days = Array.from(monthDays || weekdays);
+        } else {
+            // Months without dtstart's day (e.g. the 31st) are skipped, per RFC 5545
+            const day = startDate.getUTCDate();
+            days = day <= daysInMonth ? [day] : [];
+        }
+
+        return days
+            .sort((a, b) => a - b)
+            .map(day => Date.UTC(year, month, day));
+    }
+
+    matchesFilters(day) {
+        const date = new Date(day);
+
+        if (this.byDay.length > 0 && !this.byDay.some(d => d.weekday === date.getUTCDay())) {
+            return false;
+        }
+        if (this.byMonthDay.length > 0 && !this.byMonthDay.includes(date.getUTCDate())) {
+            return false;
+        }
+        return this.matchesMonth(day);
+    }
+
+    matchesMonth(day) {
+        return this.byMonth.length === 0 || this.byMonth.includes(new Date(day).getUTCMonth() + 1);
+    }
+}
+
+/**
+ * Resolve the recurrence rule stored on an event row, if any
+ */
+function getEventRule(event) {
+    if (event.rrule) {
+        return RecurrenceRule.parse(event.rrule);
+    }
+    if (event.recurring && event.recurring_type) {
+        return RecurrenceRule.fromLegacy(event.recurring_type);
+    }
+    return null;
+}
+
+/**
+ * Expand a single event row into the occurrences that fall inside a date range
+ */
+function expandEvent(event, rangeStart, rangeEnd) {
+    const eventDate = toDateString(event.date);
+    let rule = null;
+
+    try {
+        rule = getEventRule(event);
+    } catch (error) {
+        // A malformed rule should not hide the event; treat it as a one-off
+        rule = null;
+    }
+
+    // Multi-day events show up in every range they overlap, even one that starts after them
+    const spanDays = eventSpanDays(event);
+
+    if (!rule) {
+        const lastDay = shiftDate(eventDate, spanDays - 1);
+        const inRange = eventDate <= toDateString(rangeEnd) && lastDay >= toDateString(rangeStart);
+        return inRange ? [{ ...event, date: eventDate }] : [];
+    }
+
+    // Cancelled and individually moved occurrences are listed in EXDATE
+    const lookback = shiftDate(toDateString(rangeStart), 1 - spanDays);
+    return rule.between(eventDate, lookback, rangeEnd, parseExdates(event.exdates)).map(date => ({
+        ...moveEventToDate(event, date),
+        id: makeOccurrenceId(event.id, date),
+        series_id: event.id,
+        recurrence_id: date
+    }));
+}
+
+// `event` starting on `date` instead, lasting as many days as before
+function moveEventToDate(event, date) {
+    const moved = { ...event, date: toDateString(date) };
+    if (event.end_date) {
+        moved.end_date = shiftDate(moved.date, daysBetween(toDateString(event.date), toDateString(event.end_date)));
+    }
+    return moved;
+}
+
+/**
+ * Calendar days an event covers, from `date` through `end_date`. A timed event
+ * that ends at midnight does not cover the day it ends on.
+ */
+function eventSpanDays(event) {
+    if (!event.end_date) {
+        return 1;
+    }
+
+    const days = daysBetween(toDateString(event.date), toDateString(event.end_date));
+    const endsAtMidnight = !event.all_day && event.time && String(event.end_time || '').startsWith('00:00');
+    return Math.max(1, endsAtMidnight ? days : days + 1);
+}
+
+/**
+ * Expand a list of event rows and sort the occurrences chronologically
+ */
+function expandEvents(events, rangeStart, rangeEnd) {
+    return events
+        .flatMap(event => expandEvent(event, rangeStart, rangeEnd))
+        .sort((a, b) => {
+            if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+            return String(a.time || '').localeCompare(String(b.time || ''));
+        });
+}
+
+/**
+ * Occurrence IDs are "<series id>::<YYYY-MM-DD>" so they survive re-expansion
+ */
+function makeOccurrenceId(seriesId, date) {
+    return `${seriesId}${OCCURRENCE_SEPARATOR}${toDateString(date)}`;
+}
+
+function parseOccurrenceId(id) {
+    const index = String(id).lastIndexOf(OCCURRENCE_SEPARATOR);
+    if (index === -1) {
+        return null;
+    }
+
+    const seriesId = id.slice(0, index);
+    const date = id.slice(index + OCCURRENCE_SEPARATOR.length);
+    if (!seriesId || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return null;
+    }
+
+    return { seriesId, date };
+}
+
+/**
+ * EXDATE values are stored as a comma-separated list of YYYY-MM-DD dates
+ */
+function parseExdates(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(date => toDateString(String(date).trim())).filter(Boolean);
+}
+
+function formatExdates(dates) {
+    const unique = Array.from(new Set(parseExdates(dates))).sort();
+    return unique.length > 0 ? unique.join(',') : null;
+}
+
+/**
+ * Normalize a DATE column (string or Date) to YYYY-MM-DD
+ */
+function toDateString(value) {
+    if (value instanceof Date) {
+        // pg parses DATE columns as local midnight
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).split('T')[0];
+}
+
+function parseDate(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
+    if (!match) return NaN;
+    const time = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    return formatDate(time) === dateStr ? time : NaN;
+}
+
+function formatDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+function shiftDate(dateStr, days) {
+    return formatDate(parseDate(dateStr) + days * DAY_MS);
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((parseDate(toDate) - parseDate(fromDate)) / DAY_MS);
+}
+
+module.exports = {
+    RecurrenceRule,
+    eventSpanDays,
+    expandEvent,
+    expandEvents,
+    formatExdates,
+    getEventRule,
+    makeOccurrenceId,
+    moveEventToDate,
+    parseExdates,
+    parseOccurrenceId,
+    toDateString
+};
@@ -0,0 +1,1051 @@
+const { expandEvents, formatExdates, parseExdates, toDateString } = require('./recurrence');
+const { DEFAULT_TIMEZONE, eventInstants, keepEventLength, withEventTimes } = require('./timezones');
+
+/**
+ * Data access for the whole app, written once against an adapter:
+ * lib/database.js (SQLite locally, or node-postgres) and lib/database-neon.js (Neon).
+ *
+ * Adapters provide query/get/all/run with "?" placeholders and a `dialect`.
+ * Rows are normalized so both backends return the same shapes: DATE columns as
+ * YYYY-MM-DD, TIME as HH:MM:SS, timestamps as ISO strings, real booleans,
+ * numbers and parsed JSON.
+ */
+class Repository {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  get dialect() {
+    return this.adapter.dialect;
+  }
+
+  async initialize(options) {
+    return await this.adapter.initialize(options);
+  }
+
+  // Raw SQL passthrough for services that own their tables (UserManager, ApiKeyManager)
+  async query(sql, params = []) {
+    return await this.adapter.query(sql, params);
+  }
+
+  async get(sql, params = []) {
+    return await this.adapter.get(sql, params);
+  }
+
+  async all(sql, params = []) {
+    return await this.adapter.all(sql, params);
+  }
+
+  async run(sql, params = []) {
+    return await this.adapter.run(sql, params);
+  }
+
+  async healthCheck() {
+    return await this.adapter.healthCheck();
+  }
+
+  async close() {
+    return await this.adapter.close();
+  }
+
+  async one(sql, params = []) {
+    const row = await this.adapter.get(sql, params);
+    return row ? normalizeRow(row) : null;
+  }
+
+  async many(sql, params = []) {
+    const rows = await this.adapter.all(sql, params);
+    return rows.map(normalizeRow);
+  }
+
+  // User management methods
+  async createUser(userData) {
+    try {
+      return await this.one(
+        `INSERT INTO users (id, email, password_hash, name, avatar, preferences, timezone, timezone_set)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         RETURNING id, email, name, avatar, preferences, timezone, created_at`,
+        [
+          userData.id, userData.email, userData.passwordHash, userData.name,
+          userData.avatar || null, JSON.stringify(userData.preferences || {}),
+          userData.timezone || DEFAULT_TIMEZONE, Boolean(userData.timezone)
+        ]
+      );
+    } catch (error) {
+      console.error('Error creating user:', error);
+      throw error;
+    }
+  }
+
+  async getUserByEmail(email) {
+    try {
+      return await this.one('SELECT * FROM users WHERE email = ?', [email]);
+    } catch (error) {
+      console.error('Error fetching user by email:', error);
+      throw error;
+    }
+  }
+
+  async getUserById(userId) {
+    try {
+      return await this.one(
+        'SELECT id, email, name, avatar, preferences, timezone, created_at FROM users WHERE id = ?',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error fetching user by ID:', error);
+      throw error;
+    }
+  }
+
+  // The user's IANA zone; events and relative dates default to it
+  async getUserTimezone(userId) {
+    try {
+      const row = await this.one('SELECT timezone FROM users WHERE id = ?', [userId]);
+      return row?.timezone || DEFAULT_TIMEZONE;
+    } catch (error) {
+      console.error('Error fetching user timezone:', error);
+      throw error;
+    }
+  }
+
+  // Marks the zone as the user's choice, even when it is the 'UTC' default
+  async setUserTimezone(userId, timezone) {
+    try {
+      return await this.one(
+        'UPDATE users SET timezone = ?, timezone_set = ?, updated_at = ? WHERE id = ? RETURNING id, timezone',
+        [timezone, true, new Date(), userId]
+      );
+    } catch (error) {
+      console.error('Error updating user timezone:', error);
+      throw error;
+    }
+  }
+
+  async updateUserPreference(userId, key, value) {
+    try {
+      const user = await this.getUserById(userId);
+      const preferences = { ...(user?.preferences || {}), [key]: value };
+
+      await this.run(
+        'UPDATE users SET preferences = ?, updated_at = ? WHERE id = ?',
+        [JSON.stringify(preferences), new Date(), userId]
+      );
+    } catch (error) {
+      console.error('Error updating user preference:', error);
+      throw error;
+    }
+  }
+
+  // User data methods (key-value store); values are stored as JSON
+  async getUserData(userId) {
+    try {
+      const rows = await this.many('SELECT key, value FROM user_data WHERE user_id = ?', [userId]);
+      return rows.reduce((data, row) => {
+        data[row.key] = parseJson(row.value);
+        return data;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching user data:', error);
+      throw error;
+    }
+  }
+
+  async setUserData(userId, key, value) {
+    try {
+      const now = new Date();
+      return await this.one(
+        `INSERT INTO user_data (user_id, key, value, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (user_id, key)
+         DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at
+         RETURNING *`,
+        [userId, key, JSON.stringify(value === undefined ? null : value), now, now]
+      );
+    } catch (error) {
+      console.error('Error setting user data:', error);
+      throw error;
+    }
+  }
+
+  async deleteUserData(userId, key) {
+    try {
+      const result = await this.run('DELETE FROM user_data WHERE user_id = ? AND key = ?', [userId, key]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting user data:', error);
+      throw error;
+    }
+  }
+
+  // File methods
+  async storeFile(fileData) {
+    try {
+      return await this.one(
+        `INSERT INTO files (filename, originalname, mimetype, size, path, url, user_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         RETURNING *`,
+        [
+          fileData.filename, fileData.originalname, fileData.mimetype, fileData.size,
+          fileData.path, fileData.url, fileData.userId || 'default', new Date()
+        ]
+      );
+    } catch (error) {
+      console.error('Error storing file:', error);
+      throw error;
+    }
+  }
+
+  async getFileById(fileId) {
+    try {
+      return await this.one('SELECT * FROM files WHERE id = ?', [fileId]);
+    } catch (error) {
+      console.error('Error fetching file:', error);
+      throw error;
+    }
+  }
+
+  async getUserFiles(userId) {
+    try {
+      return await this.many('SELECT * FROM files WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+    } catch (error) {
+      console.error('Error fetching user files:', error);
+      throw error;
+    }
+  }
+
+  async deleteFile(fileId) {
+    try {
+      return await this.one('DELETE FROM files WHERE id = ? RETURNING *', [fileId]);
+    } catch (error) {
+      console.error('Error deleting file:', error);
+      throw error;
+    }
+  }
+
+  // Task management methods
+  async createTask(taskData) {
+    try {
+      const now = new Date();
+      return await this.one(
+        `INSERT INTO tasks (
+          id, user_id, title, description, priority, category, status,
+          due_date, due_time, due_datetime, estimated_minutes, ical_uid, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING *`,
+        [
+          taskData.id, taskData.userId || 'default', taskData.title, taskData.description || null,
+          taskData.priority || 'medium', taskData.category || 'personal', taskData.status || 'todo',
+          taskData.dueDate || null, taskData.dueTime || null, taskData.dueDateTime || null,
+          taskData.estimatedMinutes || null, taskData.icalUid || null, now, now
+        ]
+      );
+    } catch (error) {
+      console.error('Error creating task:', error);
+      throw error;
+    }
+  }
+
+  async getTaskById(taskId) {
+    try {
+      return await this.one('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    } catch (error) {
+      console.error('Error fetching task by ID:', error);
+      throw error;
+    }
+  }
+
+  async getUserTasks(userId = 'default', status = null) {
+    try {
+      if (status) {
+        return await this.many(
+          'SELECT * FROM tasks WHERE user_id = ? AND status = ? ORDER BY created_at DESC',
+          [userId, status]
+        );
+      }
+      return await this.many('SELECT * FROM tasks WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+    } catch (error) {
+      console.error('Error fetching user tasks:', error);
+      throw error;
+    }
+  }
+
+  async getTasksWithAttachments(userId = 'default', status = null) {
+    try {
+      const tasks = await this.getUserTasks(userId, status);
+      if (tasks.length === 0) {
+        return [];
+      }
+
+      const attachments = await this.many(
+        `SELECT ta.task_id, f.id, f.filename, f.originalname, '/api/files/' || f.id AS url, f.size, f.mimetype
+         FROM task_attachments ta
+         JOIN files f ON f.id = ta.file_id
+         WHERE ta.task_id IN (${tasks.map(() => '?').join(', ')})
+         ORDER BY ta.created_at ASC, ta.id ASC`,
+        tasks.map(task => task.id)
+      );
+
+      return tasks.map(task => ({
+        ...task,
+        attachments: attachments
+          .filter(attachment => attachment.task_id === task.id)
+          .map(({ task_id, ...file }) => file)
+      }));
+    } catch (error) {
+      console.error('Error fetching tasks with attachments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Partial update; accepts the camelCase fields used by createTask.
+   * Returns the updated task, or null when it does not exist.
+   */
+  async updateTask(taskId, updates) {
+    try {
+      const fields = Object.entries(TASK_FIELDS).filter(([key]) => updates[key] !== undefined);
+      if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      const setClause = fields.map(([, column]) => `${column} = ?`).join(', ');
+      return await this.one(
+        `UPDATE tasks SET ${setClause}, updated_at = ? WHERE id = ? RETURNING *`,
+        [...fields.map(([key]) => updates[key]), new Date(), taskId]
+      );
+    } catch (error) {
+      console.error('Error updating task:', error);
+      throw error;
+    }
+  }
+
+  async updateTaskStatus(taskId, status) {
+    return await this.updateTask(taskId, { status });
+  }
+
+  // Attachment links are removed by ON DELETE CASCADE
+  async deleteTask(taskId) {
+    try {
+      return await this.one('DELETE FROM tasks WHERE id = ? RETURNING *', [taskId]);
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      throw error;
+    }
+  }
+
+  async findTaskByUid(userId, icalUid) {
+    try {
+      return await this.one('SELECT * FROM tasks WHERE user_id = ? AND ical_uid = ?', [userId, icalUid]);
+    } catch (error) {
+      console.error('Error fetching task by UID:', error);
+      throw error;
+    }
+  }
+
+  async getTaskStats(userId) {
+    try {
+      const rows = await this.many(
+        'SELECT status, COUNT(*) as count FROM tasks WHERE user_id = ? GROUP BY status',
+        [userId]
+      );
+
+      const stats = { total: 0, todo: 0, progress: 0, completed: 0 };
+      rows.forEach(row => {
+        stats[row.status] = row.count;
+        stats.total += row.count;
+      });
+      return stats;
+    } catch (error) {
+      console.error('Error fetching task stats:', error);
+      throw error;
+    }
+  }
+
+  async getTasksByDateRange(userId, startDate, endDate) {
+    try {
+      return await this.many(
+        `SELECT * FROM tasks
+         WHERE user_id = ? AND due_date >= ? AND due_date <= ?
+         ORDER BY due_date ASC, due_time ASC`,
+        [userId, startDate, endDate]
+      );
+    } catch (error) {
+      console.error('Error fetching tasks by date range:', error);
+      throw error;
+    }
+  }
+
+  // Task attachment methods; attachments link uploaded files to tasks
+  async addTaskAttachment(taskId, fileId) {
+    try {
+      return await this.one(
+        'INSERT INTO task_attachments (task_id, file_id, created_at) VALUES (?, ?, ?) RETURNING *',
+        [taskId, fileId, new Date()]
+      );
+    } catch (error) {
+      console.error('Error adding task attachment:', error);
+      throw error;
+    }
+  }
+
+  async getTaskAttachments(taskId) {
+    try {
+      return await this.many(
+        `SELECT f.id, f.filename, f.originalname, '/api/files/' || f.id AS url, f.size, f.mimetype
+         FROM task_attachments ta
+         JOIN files f ON f.id = ta.file_id
+         WHERE ta.task_id = ?
+         ORDER BY ta.created_at ASC, ta.id ASC`,
+        [taskId]
+      );
+    } catch (error) {
+      console.error('Error fetching task attachments:', error);
+      throw error;
+    }
+  }
+
+  async removeTaskAttachment(taskId, fileId) {
+    try {
+      return await this.one(
+        'DELETE FROM task_attachments WHERE task_id = ? AND file_id = ? RETURNING *',
+        [taskId, fileId]
+      );
+    } catch (error) {
+      console.error('Error removing task attachment:', error);
+      throw error;
+    }
+  }
+
+  // Calendar event management methods
+
+  /**
+   * `date` and `time` are wall-clock values in `timezone` (the user's zone when
+   * left out). The end comes from `endDate`/`endTime` or `durationMinutes` (an hour
+   * by default); start_at and end_at are derived from them.
+   */
+  async createEvent(eventData) {
+    try {
+      const now = new Date();
+      const userId = eventData.userId || 'default';
+      const timezone = eventData.timezone || await this.getUserTimezone(userId);
+      const { startAt, endAt, endDate, endTime } = eventInstants({
+        date: eventData.date,
+        time: eventData.time,
+        allDay: eventData.allDay,
+        timezone,
+        endDate: eventData.endDate,
+        endTime: eventData.endTime,
+        durationMinutes: eventData.durationMinutes
+      });
+
+      return await this.one(
+        `INSERT INTO calendar_events (
+          id, user_id, title, description, date, time, end_date, end_time, type, color,
+          location, all_day, recurring, recurring_type, rrule, exdates, series_id,
+          recurrence_id, ical_uid, task_id, timezone, start_at, end_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING *`,
+        [
+          eventData.id, userId, eventData.title, eventData.description || null,
+          eventData.date, eventData.time || null, endDate, endTime, eventData.type || 'other',
+          eventData.color || 'blue', eventData.location || null, Boolean(eventData.allDay),
+          Boolean(eventData.recurring), eventData.recurringType || null, eventData.rrule || null,
+          eventData.exdates || null, eventData.seriesId || null, eventData.recurrenceId || null, eventData.icalUid || null,
+          eventData.taskId || null, timezone, startAt, endAt, now, now
+        ]
+      );
+    } catch (error) {
+      console.error('Error creating event:', error);
+      throw error;
+    }
+  }
+
+  async getEventById(eventId) {
+    try {
+      return await this.one('SELECT * FROM calendar_events WHERE id = ?', [eventId]);
+    } catch (error) {
+      console.error('Error fetching event by ID:', error);
+      throw error;
+    }
+  }
+
+  // Stored rows (series are not expanded); use getEventsByDateRange for occurrences
+  async getUserEvents(userId = 'default') {
+    try {
+      return await this.many(
+        'SELECT * FROM calendar_events WHERE user_id = ? ORDER BY date ASC, time ASC',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error fetching user events:', error);
+      throw error;
+    }
+  }
+
+  async getRecentEvents(userId, daysBack = 30) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysBack);
+
+      return await this.many(
+        'SELECT * FROM calendar_events WHERE user_id = ? AND date >= ? ORDER BY date DESC, time DESC',
+        [userId, toDateString(cutoffDate)]
+      );
+    } catch (error) {
+      console.error('Error retrieving recent events:', error);
+      throw error;
+    }
+  }
+
+  async getEventsByDateRange(userId, startDate, endDate) {
+    try {
+      // Recurring series and multi-day events that started before the range may still reach into it
+      const events = await this.many(
+        `SELECT * FROM calendar_events
+         WHERE user_id = ?
+           AND date <= ?
+           AND (COALESCE(end_date, date) >= ? OR rrule IS NOT NULL OR recurring = ?)
+         ORDER BY date ASC, time ASC`,
+        [userId, endDate, startDate, true]
+      );
+      // Occurrences repeat on the wall clock, so each gets instants for its own date
+      return expandEvents(events, startDate, endDate).map(withEventTimes);
+    } catch (error) {
+      console.error('Error retrieving events by date range:', error);
+      throw error;
+    }
+  }
+
+  // Tasks that already have time set aside for them on or after `fromDate`
+  async getScheduledTaskIds(userId, fromDate) {
+    try {
+      const rows = await this.many(
+        `SELECT DISTINCT task_id FROM calendar_events
+         WHERE user_id = ? AND task_id IS NOT NULL AND COALESCE(end_date, date) >= ?`,
+        [userId, fromDate]
+      );
+      return rows.map(row => row.task_id);
+    } catch (error) {
+      console.error('Error fetching scheduled task IDs:', error);
+      throw error;
+    }
+  }
+
+  // Keeps the event's zone and length unless `timezone` or the end fields change them
+  async updateEvent(eventId, eventData) {
+    try {
+      const existing = await this.getEventById(eventId);
+      const timezone = eventData.timezone || existing?.timezone || DEFAULT_TIMEZONE;
+      const { startAt, endAt, endDate, endTime } = eventInstants({
+        date: eventData.date,
+        time: eventData.time,
+        allDay: eventData.allDay,
+        timezone,
+        ...keepEventLength(existing, eventData)
+      });
+
+      return await this.one(
+        `UPDATE calendar_events
+         SET title = ?, description = ?, date = ?, time = ?, end_date = ?, end_time = ?, type = ?,
+             color = ?, location = ?, all_day = ?, recurring = ?, recurring_type = ?, rrule = ?,
+             timezone = ?, start_at = ?, end_at = ?, updated_at = ?
+         WHERE id = ?
+         RETURNING *`,
+        [
+          eventData.title, eventData.description || null, eventData.date, eventData.time || null,
+          endDate, endTime, eventData.type || 'other', eventData.color || 'blue', eventData.location || null,
+          Boolean(eventData.allDay), Boolean(eventData.recurring), eventData.recurringType || null,
+          eventData.rrule || null, timezone, startAt, endAt, new Date(), eventId
+        ]
+      );
+    } catch (error) {
+      console.error('Error updating event:', error);
+      throw error;
+    }
+  }
+
+  async deleteEvent(eventId) {
+    try {
+      // Deleting a series also removes its per-occurrence overrides
+      const rows = await this.many(
+        'DELETE FROM calendar_events WHERE id = ? OR series_id = ? RETURNING *',
+        [eventId, eventId]
+      );
+      return rows.find(event => event.id === eventId) || null;
+    } catch (error) {
+      console.error('Error deleting event:', error);
+      throw error;
+    }
+  }
+
+  async findEventByUid(userId, icalUid, recurrenceId = null) {
+    try {
+      if (recurrenceId) {
+        return await this.one(
+          'SELECT * FROM calendar_events WHERE user_id = ? AND ical_uid = ? AND recurrence_id = ?',
+          [userId, icalUid, recurrenceId]
+        );
+      }
+      return await this.one(
+        'SELECT * FROM calendar_events WHERE user_id = ? AND ical_uid = ? AND recurrence_id IS NULL',
+        [userId, icalUid]
+      );
+    } catch (error) {
+      console.error('Error fetching event by UID:', error);
+      throw error;
+    }
+  }
+
+  async updateEventRule(eventId, rrule) {
+    try {
+      return await this.one(
+        'UPDATE calendar_events SET rrule = ?, updated_at = ? WHERE id = ? RETURNING *',
+        [rrule, new Date(), eventId]
+      );
+    } catch (error) {
+      console.error('Error updating event rule:', error);
+      throw error;
+    }
+  }
+
+  async addEventExdate(eventId, date) {
+    try {
+      const event = await this.getEventById(eventId);
+      if (!event) return null;
+
+      const exdates = formatExdates([...parseExdates(event.exdates), date]);
+      return await this.one(
+        'UPDATE calendar_events SET exdates = ?, updated_at = ? WHERE id = ? RETURNING *',
+        [exdates, new Date(), eventId]
+      );
+    } catch (error) {
+      console.error('Error adding event exception:', error);
+      throw error;
+    }
+  }
+
+  async removeEventExdate(eventId, date) {
+    try {
+      const event = await this.getEventById(eventId);
+      if (!event) return null;
+
+      const exdates = formatExdates(parseExdates(event.exdates).filter(exdate => exdate !== date));
+      return await this.one(
+        'UPDATE calendar_events SET exdates = ?, updated_at = ? WHERE id = ? RETURNING *',
+        [exdates, new Date(), eventId]
+      );
+    } catch (error) {
+      console.error('Error removing event exception:', error);
+      throw error;
+    }
+  }
+
+  async deleteEventOverrides(seriesId, fromDate) {
+    try {
+      return await this.many(
+        'DELETE FROM calendar_events WHERE series_id = ? AND recurrence_id >= ? RETURNING *',
+        [seriesId, fromDate]
+      );
+    } catch (error) {
+      console.error('Error deleting event overrides:', error);
+      throw error;
+    }
+  }
+
+  async moveEventOverrides(seriesId, newSeriesId, fromDate) {
+    try {
+      return await this.many(
+        `UPDATE calendar_events SET series_id = ?, updated_at = ?
+         WHERE series_id = ? AND recurrence_id >= ?
+         RETURNING *`,
+        [newSeriesId, new Date(), seriesId, fromDate]
+      );
+    } catch (error) {
+      console.error('Error moving event overrides:', error);
+      throw error;
+    }
+  }
+
+  // Calendar feed (ICS subscription) methods
+  async setCalendarFeedToken(userId, tokenHash) {
+    try {
+      return await this.one(
+        `INSERT INTO calendar_feeds (user_id, token_hash, created_at)
+         VALUES (?, ?, ?)
+         ON CONFLICT (user_id) DO UPDATE SET
+           token_hash = EXCLUDED.token_hash,
+           created_at = EXCLUDED.created_at,
+           last_accessed_at = NULL
+         RETURNING *`,
+        [userId, tokenHash, new Date()]
+      );
+    } catch (error) {
+      console.error('Error saving calendar feed token:', error);
+      throw error;
+    }
+  }
+
+  async getCalendarFeed(userId) {
+    try {
+      return await this.one('SELECT * FROM calendar_feeds WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('Error fetching calendar feed:', error);
+      throw error;
+    }
+  }
+
+  async touchCalendarFeed(userId) {
+    try {
+      await this.run('UPDATE calendar_feeds SET last_accessed_at = ? WHERE user_id = ?', [new Date(), userId]);
+    } catch (error) {
+      console.error('Error updating calendar feed access time:', error);
+      throw error;
+    }
+  }
+
+  async deleteCalendarFeed(userId) {
+    try {
+      return await this.one('DELETE FROM calendar_feeds WHERE user_id = ? RETURNING *', [userId]);
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      throw error;
+    }
+  }
+
+  // AI Assistant Methods
+
+  // User context and memory methods
+  async storeUserMemory(memory) {
+    try {
+      return await this.one(
+        `INSERT INTO user_context (
+          user_id, context_key, context_value, category, relevance_score,
+          created_at, last_accessed, access_count
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (user_id, context_key)
+        DO UPDATE SET
+          context_value = EXCLUDED.context_value,
+          relevance_score = EXCLUDED.relevance_score,
+          last_accessed = EXCLUDED.last_accessed,
+          access_count = user_context.access_count + 1
+        RETURNING *`,
+        [
+          memory.user_id, memory.memory_key, memory.memory_value, memory.category,
+          memory.relevance_score, memory.created_at || new Date(), memory.last_accessed || new Date(),
+          memory.access_count || 1
+        ]
+      );
+    } catch (error) {
+      console.error('Error storing user memory:', error);
+      throw error;
+    }
+  }
+
+  async getUserMemory(userId, key) {
+    try {
+      return await this.one(
+        'SELECT * FROM user_context WHERE user_id = ? AND context_key = ?',
+        [userId, key]
+      );
+    } catch (error) {
+      console.error('Error retrieving user memory:', error);
+      throw error;
+    }
+  }
+
+  async getUserMemoriesByCategory(userId, category, limit = 50) {
+    try {
+      return await this.many(
+        `SELECT * FROM user_context
+         WHERE user_id = ? AND category = ?
+         ORDER BY relevance_score DESC, last_accessed DESC
+         LIMIT ?`,
+        [userId, category, limit]
+      );
+    } catch (error) {
+      console.error('Error retrieving memories by category:', error);
+      throw error;
+    }
+  }
+
+  async getAllUserMemories(userId) {
+    try {
+      return await this.many(
+        'SELECT * FROM user_context WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error retrieving all user memories:', error);
+      throw error;
+    }
+  }
+
+  async updateMemoryAccessStats(userId, key, accessCount, lastAccessed) {
+    try {
+      await this.run(
+        'UPDATE user_context SET access_count = ?, last_accessed = ? WHERE user_id = ? AND context_key = ?',
+        [accessCount, lastAccessed, userId, key]
+      );
+    } catch (error) {
+      console.error('Error updating memory access stats:', error);
+      throw error;
+    }
+  }
+
+  async deleteOldMemories(cutoffDate, category, minRelevance) {
+    try {
+      const result = await this.run(
+        'DELETE FROM user_context WHERE created_at < ? AND category = ? AND relevance_score < ?',
+        [cutoffDate, category, minRelevance]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error deleting old memories:', error);
+      throw error;
+    }
+  }
+
+  // Conversation methods
+  async storeConversation(conversation) {
+    try {
+      const row = await this.one(
+        `INSERT INTO conversations (
+          user_id, session_id, user_message, assistant_response,
+          intent, entities, context_score, channel, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id`,
+        [
+          conversation.user_id, conversation.session_id || null, conversation.user_message,
+          conversation.assistant_response, conversation.intent || null,
+          JSON.stringify(conversation.entities || {}), conversation.context_score ?? 1.0,
+          conversation.channel || 'text', conversation.created_at || new Date()
+        ]
+      );
+      return row.id;
+    } catch (error) {
+      console.error('Error storing conversation:', error);
+      throw error;
+    }
+  }
+
+  async getConversationHistory(userId, sessionId = null, limit = 10) {
+    try {
+      let rows;
+      if (sessionId) {
+        rows = await this.many(
+          `SELECT * FROM conversations
+           WHERE user_id = ? AND session_id = ?
+           ORDER BY created_at DESC, id DESC
+           LIMIT ?`,
+          [userId, sessionId, limit]
+        );
+      } else {
+        rows = await this.many(
+          'SELECT * FROM conversations WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+          [userId, limit]
+        );
+      }
+      return rows.reverse(); // Return in chronological order
+    } catch (error) {
+      console.error('Error retrieving conversation history:', error);
+      throw error;
+    }
+  }
+
+  // AI events tracking
+  async logAIEvent(eventLog) {
+    try {
+      const row = await this.one(
+        `INSERT INTO ai_events_log (
+          user_id, natural_query, parsed_intent, parsed_entities,
+          event_id, success, error_message, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id`,
+        [
+          eventLog.user_id, eventLog.natural_query, eventLog.parsed_intent || null,
+          JSON.stringify(eventLog.parsed_entities || {}), eventLog.event_id || null,
+          Boolean(eventLog.success), eventLog.error_message || null, new Date()
+        ]
+      );
+      return row.id;
+    } catch (error) {
+      console.error('Error logging AI event:', error);
+      throw error;
+    }
+  }
+
+  // Usage metering
+  async recordUsage(usage) {
+    try {
+      const row = await this.one(
+        `INSERT INTO usage_records (
+          user_id, channel, model, input_tokens, output_tokens, total_tokens, audio_seconds, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id`,
+        [
+          usage.userId, usage.channel, usage.model || null, usage.inputTokens || 0,
+          usage.outputTokens || 0, usage.totalTokens || 0, usage.audioSeconds || 0,
+          usage.createdAt || new Date()
+        ]
+      );
+      return row.id;
+    } catch (error) {
+      console.error('Error recording usage:', error);
+      throw error;
+    }
+  }
+
+  // Totals per channel since the given time
+  async getUsageSince(userId, since) {
+    try {
+      const rows = await this.many(
+        `SELECT channel, COUNT(*) as requests, SUM(total_tokens) as tokens, SUM(audio_seconds) as audio_seconds
+         FROM usage_records
+         WHERE user_id = ? AND created_at >= ?
+         GROUP BY channel`,
+        [userId, since]
+      );
+      return rows.map(row => ({
+        channel: row.channel,
+        requests: Number(row.requests),
+        tokens: Number(row.tokens || 0),
+        audioSeconds: Number(row.audio_seconds || 0)
+      }));
+    } catch (error) {
+      console.error('Error fetching usage:', error);
+      throw error;
+    }
+  }
+
+  async storeFeedback(feedback) {
+    try {
+      const row = await this.one(
+        `INSERT INTO user_feedback (user_id, conversation_id, feedback_type, feedback_text, created_at)
+         VALUES (?, ?, ?, ?, ?)
+         RETURNING id`,
+        [
+          feedback.user_id, feedback.message_id || null, feedback.feedback,
+          feedback.feedback_text || null, feedback.created_at || new Date()
+        ]
+      );
+      return row.id;
+    } catch (error) {
+      console.error('Error storing feedback:', error);
+      throw error;
+    }
+  }
+
+  // Helper methods for AI
+  async getUserContext(userId) {
+    try {
+      const memories = await this.many(
+        `SELECT context_key, context_value, category, relevance_score
+         FROM user_context
+         WHERE user_id = ?
+         ORDER BY relevance_score DESC, last_accessed DESC
+         LIMIT 50`,
+        [userId]
+      );
+      const user = await this.getUserById(userId);
+
+      return {
+        userId,
+        memories: memories.reduce((acc, memory) => {
+          acc[memory.context_key] = {
+            value: memory.context_value,
+            category: memory.category,
+            relevance: memory.relevance_score
+          };
+          return acc;
+        }, {}),
+        preferences: user?.preferences || {},
+        timezone: user?.timezone || DEFAULT_TIMEZONE
+      };
+    } catch (error) {
+      console.error('Error retrieving user context:', error);
+      return { userId, memories: {}, preferences: {}, timezone: DEFAULT_TIMEZONE };
+    }
+  }
+}
+
+// camelCase task fields accepted by createTask/updateTask, mapped to their columns
+const TASK_FIELDS = {
+  title: 'title',
+  description: 'description',
+  priority: 'priority',
+  category: 'category',
+  status: 'status',
+  dueDate: 'due_date',
+  dueTime: 'due_time',
+  dueDateTime: 'due_datetime',
+  estimatedMinutes: 'estimated_minutes'
+};
+
+const DATE_COLUMNS = new Set(['date', 'end_date', 'due_date', 'recurrence_id']);
+const TIME_COLUMNS = new Set(['time', 'end_time', 'due_time']);
+const BOOLEAN_COLUMNS = new Set(['all_day', 'recurring', 'success', 'email_verified']);
+const JSON_COLUMNS = new Set(['preferences', 'entities', 'parsed_entities']);
+const NUMBER_COLUMNS = new Set(['count', 'relevance_score', 'context_score']);
+const TIMESTAMP_COLUMNS = new Set(['due_datetime', 'last_accessed']);
+
+function normalizeRow(row) {
+  const normalized = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null || value === undefined) {
+      normalized[column] = value;
+    } else if (DATE_COLUMNS.has(column)) {
+      normalized[column] = toDateString(value);
+    } else if (TIME_COLUMNS.has(column)) {
+      normalized[column] = /^\d{2}:\d{2}$/.test(value) ? `${value}:00` : String(value);
+    } else if (BOOLEAN_COLUMNS.has(column)) {
+      normalized[column] = value === true || value === 1 || value === '1' || value === 't';
+    } else if (JSON_COLUMNS.has(column)) {
+      normalized[column] = typeof value === 'string' ? parseJson(value) : value;
+    } else if (NUMBER_COLUMNS.has(column)) {
+      normalized[column] = Number(value);
+    } else if (column.endsWith('_at') || TIMESTAMP_COLUMNS.has(column)) {
+      normalized[column] = toTimestamp(value);
+    } else {
+      normalized[column] = value;
+    }
+  }
+
+  return normalized;
+}
+
+// SQLite's CURRENT_TIMESTAMP is "YYYY-MM-DD HH:MM:SS" in UTC
+function toTimestamp(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(date.getTime()) ? text : date.toISOString();
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Pick the adapter from DATABASE_URL: sqlite:// (or unset) uses SQLite,
+ * Postgres URLs use Neon unless DATABASE_DRIVER=pg selects node-postgres.
+ */
+function createRepository(databaseUrl = process.env.DATABASE_URL) {
+  if (!databaseUrl || databaseUrl.startsWith('sqlite://') || process.env.DATABASE_DRIVER === 'pg') {
+    const { DatabaseService } = require('./database');
+    return new Repository(new DatabaseService(databaseUrl));
+  }
+
+  const NeonDatabaseService = require('./database-neon');
+  return new Repository(new NeonDatabaseService(databaseUrl));
+}
+
+module.exports = {
+  Repository,
+  createRepository,
+  normalizeRow
+};
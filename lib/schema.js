@@ -0,0 +1,97 @@
+// Dialect helpers for migrations, which run against both SQLite and Postgres/Neon.
+// Column types written as {placeholders} are resolved per dialect.
+
+const TYPES = {
+  sqlite: {
+    serial: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    timestamp: 'DATETIME',
+    json: 'TEXT',
+    decimal: 'REAL',
+    // ISO 8601 in UTC, the same text the Repository writes
+    now: "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"
+  },
+  postgres: {
+    serial: 'SERIAL PRIMARY KEY',
+    timestamp: 'TIMESTAMPTZ',
+    json: 'JSONB',
+    decimal: 'DECIMAL(3,2)',
+    now: 'CURRENT_TIMESTAMP'
+  }
+};
+
+const CONSTRAINT_PATTERN = /^(UNIQUE|FOREIGN KEY|PRIMARY KEY|CHECK)\b/i;
+
+function resolveTypes(definition, dialect) {
+  return definition.replace(/\{(\w+)\}/g, (match, type) => TYPES[dialect][type]);
+}
+
+function columnEntries(table) {
+  return table.columns.map(entry => (typeof entry === 'string' ? { definition: entry } : entry));
+}
+
+function createTableStatement(table, dialect) {
+  const lines = columnEntries(table).map(entry => resolveTypes(entry.definition, dialect));
+  return `CREATE TABLE IF NOT EXISTS ${table.name} (\n  ${lines.join(',\n  ')}\n)`;
+}
+
+/**
+ * Table specs list columns in order. Entries that start with a constraint
+ * keyword are table constraints; everything else is a column. `addDefault`
+ * overrides the default used when a column is added to an existing table.
+ */
+async function createTable(db, table) {
+  await db.query(createTableStatement(table, db.dialect));
+}
+
+async function dropTable(db, tableName) {
+  await db.query(`DROP TABLE IF EXISTS ${tableName}`);
+}
+
+async function addMissingColumns(db, table) {
+  const existing = new Set(await listColumns(db, table.name));
+
+  for (const entry of columnEntries(table)) {
+    if (CONSTRAINT_PATTERN.test(entry.definition)) {
+      continue;
+    }
+
+    const [name] = entry.definition.split(/\s+/);
+    if (existing.has(name)) {
+      continue;
+    }
+
+    // Columns added later cannot be UNIQUE or PRIMARY KEY in SQLite
+    let definition = resolveTypes(entry.definition, db.dialect).replace(/\s+(UNIQUE|PRIMARY KEY)\b/gi, '');
+    if (entry.addDefault) {
+      definition = definition.replace(/DEFAULT\s+\S+/i, `DEFAULT ${entry.addDefault}`);
+    }
+    // SQLite only allows constant defaults on added columns
+    if (db.dialect === 'sqlite') {
+      definition = definition.replace(/\s+DEFAULT\s+\(.*\)$/i, '');
+    }
+
+    await db.query(`ALTER TABLE ${table.name} ADD COLUMN ${definition}`);
+  }
+}
+
+async function listColumns(db, tableName) {
+  if (db.dialect === 'sqlite') {
+    const { rows } = await db.query(`PRAGMA table_info(${tableName})`);
+    return rows.map(row => row.name);
+  }
+
+  const { rows } = await db.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_name = ? AND table_schema = current_schema()',
+    [tableName]
+  );
+  return rows.map(row => row.column_name);
+}
+
+module.exports = {
+  addMissingColumns,
+  createTable,
+  createTableStatement,
+  dropTable,
+  listColumns,
+  resolveTypes
+};
@@ -0,0 +1,190 @@
+/**
+ * Fits open tasks into free calendar time. planTasks() proposes time blocks without
+ * changing anything, so the user can review, trim or move them; acceptPlan() books
+ * the blocks they keep as events linked to their tasks.
+ *
+ * Tasks with a due time already hold that time on the calendar and are left out, as
+ * are tasks with a block booked on or after the plan's first day.
+ */
+
+const { describeSlot, describeWindow, findConflicts, freeTimeByDay } = require('./availability');
+const { addDays, toZonedISOString, withEventTimes, zonedParts } = require('./timezones');
+
+// Tasks without an effort estimate get this much time
+const DEFAULT_TASK_MINUTES = 30;
+// Blocks start on the quarter hour
+const SLOT_STEP = 15 * 60000;
+const MAX_PLAN_DAYS = 14;
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function invalidPlan(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PLAN';
+  return error;
+}
+
+// Highest priority first, then soonest due (undated tasks last), then oldest
+function compareTasks(a, b) {
+  const rank = task => PRIORITY_RANK[task.priority] ?? PRIORITY_RANK.medium;
+  return rank(a) - rank(b)
+    || (a.due_date || '9999-12-31').localeCompare(b.due_date || '9999-12-31')
+    || new Date(a.created_at) - new Date(b.created_at);
+}
+
+function roundUp(time) {
+  return Math.ceil(time / SLOT_STEP) * SLOT_STEP;
+}
+
+/**
+ * A proposed plan: { timezone, startDate, endDate, blocks, unscheduled }. Tasks are
+ * placed in priority and due-date order, each in the earliest free slot long enough
+ * for its estimate (tasks are not split) and, when it falls due within the plan, no
+ * later than its due date. Blocks are { taskId, title, priority, dueDate, date, time,
+ * durationMinutes, start, end }, in time order; `unscheduled` says why a task did not fit.
+ */
+async function planTasks(database, userId, { startDate, endDate = startDate, taskIds = null, now = new Date() }) {
+  if (![startDate, endDate].every(date => DATE_PATTERN.test(date || ''))) {
+    throw invalidPlan('startDate and endDate must be YYYY-MM-DD dates');
+  }
+  if (endDate < startDate) {
+    throw invalidPlan('endDate must not be before startDate');
+  }
+  if (addDays(startDate, MAX_PLAN_DAYS - 1) < endDate) {
+    throw invalidPlan(`Plans cover at most ${MAX_PLAN_DAYS} days`);
+  }
+
+  const { timezone, days } = await freeTimeByDay(database, userId, { startDate, endDate });
+  const scheduled = new Set(await database.getScheduledTaskIds(userId, startDate));
+  const tasks = (await database.getUserTasks(userId))
+    .filter(task => task.status !== 'completed' && !task.due_time && !scheduled.has(task.id))
+    .filter(task => !taskIds || taskIds.includes(task.id))
+    .sort(compareTasks);
+
+  // Free windows in time order; each block placed takes time off the front of one
+  const windows = days.flatMap(day => day.free.map(slot => ({
+    date: day.date,
+    start: roundUp(Math.max(slot.start.getTime(), now.getTime())),
+    end: slot.end.getTime()
+  })));
+
+  const blocks = [];
+  const unscheduled = [];
+  for (const task of tasks) {
+    const minutes = Number(task.estimated_minutes) || DEFAULT_TASK_MINUTES;
+    const length = minutes * 60000;
+    // Overdue tasks have no deadline left to meet; they just go first
+    const deadline = task.due_date && task.due_date >= startDate ? task.due_date : null;
+    const fits = windows.filter(window => window.end - window.start >= length);
+    const window = fits.find(candidate => !deadline || candidate.date <= deadline);
+
+    if (!window) {
+      unscheduled.push({
+        taskId: task.id,
+        title: task.title,
+        reason: fits.length ? 'No free time before it is due' : `No free ${minutes}-minute slot`
+      });
+      continue;
+    }
+
+    const start = window.start;
+    window.start = roundUp(start + length);
+    const local = zonedParts(start, timezone);
+    blocks.push({
+      taskId: task.id,
+      title: task.title,
+      priority: task.priority,
+      dueDate: task.due_date || null,
+      date: local.date,
+      time: local.time.slice(0, 5),
+      durationMinutes: minutes,
+      start: toZonedISOString(start, timezone),
+      end: toZonedISOString(start + length, timezone)
+    });
+  }
+
+  return {
+    timezone,
+    startDate,
+    endDate,
+    blocks: blocks.sort((a, b) => new Date(a.start) - new Date(b.start)),
+    unscheduled
+  };
+}
+
+function generateEventId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Book `blocks` ({ taskId, date, time, durationMinutes }, as planTasks() returns
+ * them, possibly edited) as events linked to their tasks. Every block is checked
+ * before any is booked. Returns { events, conflicts, inverse }: `conflicts` lists
+ * events whose time has been taken since the plan was made, and `inverse` deletes
+ * the booked events again (see applyInverse in assistant-actions).
+ */
+async function acceptPlan(database, userId, blocks) {
+  if (!Array.isArray(blocks) || blocks.length === 0) {
+    throw invalidPlan('blocks must be a non-empty array');
+  }
+
+  const tasks = [];
+  for (const block of blocks) {
+    const task = block && block.taskId ? await database.getTaskById(block.taskId) : null;
+    if (!task || task.user_id !== userId) {
+      throw invalidPlan(`Task not found: ${block && block.taskId}`);
+    }
+    if (!DATE_PATTERN.test(block.date || '') || !TIME_PATTERN.test(block.time || '') || !(Number(block.durationMinutes) > 0)) {
+      throw invalidPlan(`The block for "${task.title}" needs a date, a time and durationMinutes`);
+    }
+    tasks.push(task);
+  }
+
+  const events = [];
+  for (const [index, block] of blocks.entries()) {
+    const task = tasks[index];
+    events.push(withEventTimes(await database.createEvent({
+      id: generateEventId(),
+      userId,
+      title: task.title,
+      description: task.description,
+      date: block.date,
+      time: block.time,
+      durationMinutes: Number(block.durationMinutes),
+      type: 'other',
+      color: 'green',
+      taskId: task.id
+    })));
+  }
+
+  const conflicts = [];
+  for (const event of events) {
+    const overlaps = await findConflicts(database, userId, event);
+    if (overlaps.length) {
+      conflicts.push({ eventId: event.id, title: event.title, overlaps });
+    }
+  }
+
+  return {
+    events,
+    conflicts,
+    inverse: events.map(event => ({ type: 'delete_event', eventId: event.id }))
+  };
+}
+
+// The plan as chat lines: "• 9:00 AM - 9:30 AM: Write report", with the day when it spans several
+function describePlan(plan) {
+  const multiDay = plan.startDate !== plan.endDate;
+  return plan.blocks
+    .map(block => `• ${multiDay ? describeSlot(block) : describeWindow(block)}: ${block.title}`)
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_TASK_MINUTES,
+  acceptPlan,
+  describePlan,
+  planTasks
+};
@@ -0,0 +1,259 @@
+/**
+ * IANA time zone helpers built on Intl, so no tz database ships with the app.
+ *
+ * Events keep their wall-clock `date` and `time` plus the zone they were entered in;
+ * `start_at` and `end_at` are the matching instants. Recurrences repeat on the wall
+ * clock, so a 9:00 standup stays at 9:00 across DST changes.
+ */
+
+const { toDateString } = require('./recurrence');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_EVENT_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function isValidTimeZone(zone) {
+  if (!zone || typeof zone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The zone itself when valid, otherwise UTC; stored values are validated, so this only guards old data
+function resolveTimeZone(zone) {
+  return isValidTimeZone(zone) ? zone : DEFAULT_TIMEZONE;
+}
+
+function formatterFor(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(zone);
+}
+
+/**
+ * What a wall clock in `zone` shows at `instant`: { date: 'YYYY-MM-DD', time: 'HH:MM:SS' }
+ */
+function zonedParts(instant, zone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of formatterFor(resolveTimeZone(zone)).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+  const hour = parts.hour === '24' ? '00' : parts.hour;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+// Minutes `zone` is ahead of UTC at `instant` (negative west of Greenwich)
+function offsetMinutes(instant, zone = DEFAULT_TIMEZONE) {
+  const time = Math.floor(new Date(instant).getTime() / 1000) * 1000;
+  const { date, time: clock } = zonedParts(time, zone);
+  return Math.round((Date.parse(`${date}T${clock}Z`) - time) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function normalizeTime(time) {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(time || '00:00').split(':');
+  return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.slice(0, 2).padStart(2, '0')}`;
+}
+
+/**
+ * The instant a wall clock in `zone` reads `date` `time`. Times skipped by a DST
+ * change move forward by the gap; times that happen twice resolve to the first.
+ */
+function zonedTimeToUtc(date, time, zone = DEFAULT_TIMEZONE) {
+  const wall = Date.parse(`${date}T${normalizeTime(time)}Z`);
+  if (Number.isNaN(wall)) {
+    throw new Error(`Invalid date or time: ${date} ${time}`);
+  }
+
+  const offset = offsetMinutes(wall, zone);
+  let guess = wall - offset * 60000;
+  const guessOffset = offsetMinutes(guess, zone);
+  if (guessOffset === offset) {
+    return new Date(guess);
+  }
+
+  guess -= (guessOffset - offset) * 60000;
+  const nextOffset = offsetMinutes(guess, zone);
+  if (guessOffset === nextOffset) {
+    return new Date(guess);
+  }
+  return new Date(wall - Math.min(guessOffset, nextOffset) * 60000);
+}
+
+// "2025-05-06T15:00:00+02:00": the instant as the zone's wall clock, with its offset
+function toZonedISOString(instant, zone = DEFAULT_TIMEZONE) {
+  const { date, time } = zonedParts(instant, zone);
+  return `${date}T${time}${formatOffset(offsetMinutes(instant, zone))}`;
+}
+
+function todayInZone(zone = DEFAULT_TIMEZONE, now = new Date()) {
+  return zonedParts(now, zone).date;
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+function invalidRange() {
+  const error = new Error('An event must end after it starts');
+  error.code = 'INVALID_EVENT_RANGE';
+  return error;
+}
+
+/**
+ * Where an event starts and ends in its zone: { startAt, endAt } instants and the
+ * wall-clock { endDate, endTime }. All-day events run from midnight on `date` to
+ * midnight after `endDate`. Timed events end at `endDate` `endTime` when either is
+ * given (an end time before the start on the same day means the next day), otherwise
+ * `durationMinutes` after the start. Ends before the start throw INVALID_EVENT_RANGE.
+ */
+function eventInstants({
+  date,
+  time,
+  allDay = false,
+  timezone = DEFAULT_TIMEZONE,
+  endDate = null,
+  endTime = null,
+  durationMinutes = DEFAULT_EVENT_MINUTES
+}) {
+  const zone = resolveTimeZone(timezone);
+  if (allDay || !time) {
+    const lastDay = endDate ? toDateString(endDate) : date;
+    if (lastDay < date) {
+      throw invalidRange();
+    }
+    return {
+      startAt: zonedTimeToUtc(date, '00:00', zone),
+      endAt: zonedTimeToUtc(addDays(lastDay, 1), '00:00', zone),
+      endDate: lastDay,
+      endTime: null
+    };
+  }
+
+  const startAt = zonedTimeToUtc(date, time, zone);
+  let endAt;
+  if (endDate || endTime) {
+    endAt = zonedTimeToUtc(endDate ? toDateString(endDate) : date, endTime || time, zone);
+    if (!endDate && endAt <= startAt) {
+      endAt = zonedTimeToUtc(addDays(date, 1), endTime, zone);
+    }
+  } else {
+    endAt = new Date(startAt.getTime() + (Number(durationMinutes) || DEFAULT_EVENT_MINUTES) * 60000);
+  }
+
+  if (endAt <= startAt) {
+    throw invalidRange();
+  }
+  const end = zonedParts(endAt, zone);
+  return { startAt, endAt, endDate: end.date, endTime: end.time };
+}
+
+// Length of a stored timed event; rows written before start_at/end_at existed get the default
+function eventDurationMinutes(event) {
+  if (!event.start_at || !event.end_at) {
+    return DEFAULT_EVENT_MINUTES;
+  }
+  return Math.round((new Date(event.end_at) - new Date(event.start_at)) / 60000);
+}
+
+/**
+ * End fields for moving `existing` to `eventData`'s date and time: explicit ones in
+ * `eventData` win, otherwise timed events keep their duration and all-day events
+ * their number of days.
+ */
+function keepEventLength(existing, eventData) {
+  const { endDate, endTime, durationMinutes } = eventData;
+  if (endDate || endTime || durationMinutes || !existing) {
+    return { endDate, endTime, durationMinutes };
+  }
+
+  if (eventData.allDay || !eventData.time) {
+    return existing.all_day && existing.end_date
+      ? { endDate: addDays(eventData.date, daysBetween(toDateString(existing.date), toDateString(existing.end_date))) }
+      : {};
+  }
+  return existing.all_day ? {} : { durationMinutes: eventDurationMinutes(existing) };
+}
+
+/**
+ * An event row with its times spelled out for API responses: `start` and `end` carry
+ * the event zone's offset ("2025-05-06T15:00:00+02:00"), `start_at` and `end_at` are
+ * UTC, `end_date` and `end_time` are the wall-clock end (the last day, for all-day
+ * events), and `timezone` names the zone. Expanded occurrences get their own date's instants.
+ */
+function withEventTimes(event) {
+  if (!event) {
+    return event;
+  }
+
+  const timezone = resolveTimeZone(event.timezone);
+  const allDay = Boolean(event.all_day) || !event.time;
+  const { startAt, endAt, endDate, endTime } = eventInstants({
+    date: toDateString(event.date),
+    time: event.time,
+    allDay,
+    timezone,
+    endDate: event.end_date || null,
+    // Rows from before end times were stored only know their duration
+    endTime: event.end_date && !allDay ? event.end_time : null,
+    durationMinutes: eventDurationMinutes(event)
+  });
+
+  return {
+    ...event,
+    timezone,
+    end_date: endDate,
+    end_time: endTime,
+    start_at: startAt.toISOString(),
+    end_at: endAt.toISOString(),
+    start: toZonedISOString(startAt, timezone),
+    end: toZonedISOString(endAt, timezone)
+  };
+}
+
+module.exports = {
+  DEFAULT_EVENT_MINUTES,
+  DEFAULT_TIMEZONE,
+  addDays,
+  eventDurationMinutes,
+  eventInstants,
+  formatOffset,
+  isValidTimeZone,
+  keepEventLength,
+  offsetMinutes,
+  resolveTimeZone,
+  todayInZone,
+  toZonedISOString,
+  withEventTimes,
+  zonedParts,
+  zonedTimeToUtc
+};
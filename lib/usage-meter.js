@@ -0,0 +1,132 @@
+/**
+ * Per-user metering of paid OpenAI usage (chat completions and realtime voice)
+ * with daily and monthly quotas. Periods are calendar days and months in UTC.
+ *
+ * Quotas come from ConfigManager.getUsageConfig():
+ *   { daily: { tokens, audioSeconds }, monthly: { tokens, audioSeconds } }
+ * A limit of 0 (or missing) means unlimited.
+ */
+
+const PERIODS = ['daily', 'monthly'];
+
+const METRIC_LABELS = {
+  tokens: 'assistant',
+  audioSeconds: 'voice'
+};
+
+function periodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'daily') {
+    const day = now.getUTCDate();
+    return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+  }
+  return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+class UsageMeter {
+  constructor(database, quotas = {}) {
+    this.database = database;
+    this.quotas = quotas;
+  }
+
+  async record(userId, { channel, model = null, inputTokens = 0, outputTokens = 0, totalTokens = null, audioSeconds = 0 }) {
+    return this.database.recordUsage({
+      userId,
+      channel,
+      model,
+      inputTokens,
+      outputTokens,
+      totalTokens: totalTokens ?? inputTokens + outputTokens,
+      audioSeconds
+    });
+  }
+
+  // `usage` as returned by the chat completions API
+  recordChatCompletion(userId, usage = {}, model = null) {
+    return this.record(userId, {
+      channel: 'chat',
+      model,
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens
+    });
+  }
+
+  // `usage` from a realtime response.done event, plus the audio streamed in both directions
+  recordRealtimeResponse(userId, usage = {}, audioSeconds = 0, model = null) {
+    return this.record(userId, {
+      channel: 'voice',
+      model,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      totalTokens: usage.total_tokens,
+      audioSeconds
+    });
+  }
+
+  /**
+   * Usage and limits for each period, e.g.
+   * { daily: { start, resetsAt, tokens, audioSeconds, requests, limits, channels }, monthly: {...} }
+   */
+  async getUsage(userId, now = new Date()) {
+    const usage = {};
+
+    for (const period of PERIODS) {
+      const { start, end } = periodBounds(period, now);
+      const channels = await this.database.getUsageSince(userId, start);
+      const limits = this.quotas[period] || {};
+
+      usage[period] = {
+        start: start.toISOString(),
+        resetsAt: end.toISOString(),
+        tokens: channels.reduce((sum, row) => sum + row.tokens, 0),
+        audioSeconds: Math.round(channels.reduce((sum, row) => sum + row.audioSeconds, 0) * 10) / 10,
+        requests: channels.reduce((sum, row) => sum + row.requests, 0),
+        limits: { tokens: limits.tokens || null, audioSeconds: limits.audioSeconds || null },
+        channels
+      };
+    }
+    return usage;
+  }
+
+  /**
+   * The first exhausted quota among `metrics`, or null when the user may continue.
+   * The returned `message` is meant to be shown to the user as-is.
+   */
+  async checkQuota(userId, metrics = ['tokens', 'audioSeconds'], now = new Date()) {
+    const usage = await this.getUsage(userId, now);
+
+    for (const period of PERIODS) {
+      for (const metric of metrics) {
+        const limit = usage[period].limits[metric];
+        if (limit && usage[period][metric] >= limit) {
+          return {
+            period,
+            metric,
+            used: usage[period][metric],
+            limit,
+            resetsAt: usage[period].resetsAt,
+            message: quotaMessage(period, metric, usage[period].resetsAt)
+          };
+        }
+      }
+    }
+    return null;
+  }
+}
+
+function quotaMessage(period, metric, resetsAt) {
+  const allowance = period === 'daily' ? "today's" : "this month's";
+  const when = period === 'daily'
+    ? 'at midnight UTC'
+    : `on ${new Date(resetsAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' })}`;
+  return `You've used all of ${allowance} ${METRIC_LABELS[metric]} allowance. It resets ${when} — ` +
+    'your calendar and tasks still work as usual in the meantime.';
+}
+
+module.exports = {
+  UsageMeter,
+  periodBounds
+};
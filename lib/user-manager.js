@@ -1,16 +1,34 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./timezones');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const REFRESH_REUSE_GRACE_MS = 30 * 1000; // the replaced refresh token still works this long
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MIN_PASSWORD_LENGTH = 8;
 
 class UserManager {
-  constructor(database, encryption) {
+  constructor(database, encryption, { mailer = null, requireEmailVerification = false } = {}) {
     this.database = database;
     this.encryption = encryption;
+    this.mailer = mailer;
+    this.requireEmailVerification = requireEmailVerification;
+    this.refreshGraceMs = REFRESH_REUSE_GRACE_MS;
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
   }
 
-  async createUser({ email, password, name }) {
+  async createUser({ email, password, name, timezone }) {
     try {
+      const timezoneSet = Boolean(timezone);
+      timezone = timezone || DEFAULT_TIMEZONE;
+      if (!isValidTimeZone(timezone)) {
+        throw new Error(`Unknown time zone: ${timezone}`);
+      }
+
       // Check if user already exists
       const existingUser = await this.database.get(
         'SELECT * FROM users WHERE email = ?',
@@ -24,14 +42,13 @@ class UserManager {
       // Hash password
       const passwordHash = await bcrypt.hash(password, 12);
       
-      // Generate user ID and API key
       const userId = uuidv4();
-      const apiKey = this.encryption.generateApiKey();
 
-      // Create user
+      // Create user; accounts only start out unverified when verification is enforced
+      const emailVerified = !this.requireEmailVerification;
       await this.database.run(
-        'INSERT INTO users (id, email, password_hash, name, api_key) VALUES (?, ?, ?, ?, ?)',
-        [userId, email, passwordHash, name, apiKey]
+        'INSERT INTO users (id, email, password_hash, name, email_verified, timezone, timezone_set) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [userId, email, passwordHash, name, emailVerified, timezone, timezoneSet]
       );
 
       // Return user without password
@@ -39,7 +56,9 @@ class UserManager {
         id: userId,
         email,
         name,
-        apiKey
+        emailVerified,
+        timezone,
+        timezoneSet
       };
     } catch (error) {
       console.error('Error creating user:', error);
@@ -47,7 +66,7 @@ class UserManager {
     }
   }
 
-  async authenticate(email, password) {
+  async authenticate(email, password, client = {}) {
     try {
       // Find user by email
       const user = await this.database.get(
@@ -65,29 +84,39 @@ class UserManager {
         throw new Error('Invalid credentials');
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email },
-        this.jwtSecret,
-        { expiresIn: '24h' }
-      );
+      if (this.requireEmailVerification && !user.email_verified) {
+        const error = new Error('Email address has not been verified');
+        error.code = 'EMAIL_NOT_VERIFIED';
+        throw error;
+      }
 
-      // Store session
+      // Each login is a session (one per device); its refresh token rotates on every use
       const sessionId = uuidv4();
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-      
+      const refreshSecret = this.encryption.generateRandomToken();
+      const token = this.signAccessToken(user, sessionId);
+      const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
       await this.database.run(
-        'INSERT INTO sessions (id, user_id, token, expires_at) VALUES (?, ?, ?, ?)',
-        [sessionId, user.id, token, expiresAt.toISOString()]
+        `INSERT INTO sessions (id, user_id, token, refresh_token_hash, user_agent, ip_address, expires_at, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          sessionId, user.id, token, this.encryption.hash(refreshSecret),
+          client.userAgent || null, client.ipAddress || null,
+          expiresAt.toISOString(), new Date().toISOString()
+        ]
       );
 
       return {
         token,
+        refreshToken: `${sessionId}.${refreshSecret}`,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
         user: {
           id: user.id,
           email: user.email,
           name: user.name,
-          apiKey: user.api_key
+          timezone: user.timezone,
+          // False while the account is on the default zone, so the app may adopt the browser's
+          timezoneSet: Boolean(user.timezone_set)
         }
       };
     } catch (error) {
@@ -96,38 +125,325 @@ class UserManager {
     }
   }
 
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, sid: sessionId },
+      this.jwtSecret,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  /**
+   * Exchange a refresh token ("<sessionId>.<secret>") for a new access/refresh pair.
+   * Presenting a refresh token that was already rotated means it leaked, so the
+   * whole session is revoked. The token replaced by the last rotation still works for
+   * refreshGraceMs, so tabs refreshing at the same moment do not log each other out.
+   */
+  async refresh(refreshToken, client = {}) {
+    try {
+      const [sessionId, secret] = String(refreshToken || '').split('.');
+      if (!sessionId || !secret) {
+        throw new Error('Invalid refresh token');
+      }
+      const secretHash = this.encryption.hash(secret);
+
+      // The update only applies while the hash it replaces is still current; losing that
+      // race to a concurrent refresh re-reads the session and tries again
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const session = await this.database.get(
+          'SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?',
+          [sessionId, new Date().toISOString()]
+        );
+
+        if (!session) {
+          throw new Error('Invalid refresh token');
+        }
+
+        const rotatedAgo = Date.now() - new Date(session.last_used_at).getTime();
+        const isCurrent = hashesMatch(secretHash, session.refresh_token_hash);
+        const isRecent = hashesMatch(secretHash, session.previous_refresh_token_hash) && rotatedAgo < this.refreshGraceMs;
+
+        if (!isCurrent && !isRecent) {
+          await this.revokeSession(session.user_id, session.id);
+          throw new Error('Refresh token reuse detected; session revoked');
+        }
+
+        const user = await this.database.get(
+          'SELECT id, email, name, timezone FROM users WHERE id = ?',
+          [session.user_id]
+        );
+
+        if (!user) {
+          throw new Error('User not found');
+        }
+
+        const nextSecret = this.encryption.generateRandomToken();
+        const token = this.signAccessToken(user, session.id);
+
+        const result = await this.database.run(
+          `UPDATE sessions SET token = ?, refresh_token_hash = ?, previous_refresh_token_hash = ?, last_used_at = ?,
+             user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+           WHERE id = ? AND refresh_token_hash = ?`,
+          [
+            token, this.encryption.hash(nextSecret), session.refresh_token_hash, new Date().toISOString(),
+            client.userAgent || null, client.ipAddress || null, session.id, session.refresh_token_hash
+          ]
+        );
+
+        if (result.rowCount > 0) {
+          return {
+            token,
+            refreshToken: `${session.id}.${nextSecret}`,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+          };
+        }
+      }
+
+      throw new Error('Invalid refresh token');
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      throw error;
+    }
+  }
+
   async verifyToken(token) {
     try {
       if (!token) {
         throw new Error('No token provided');
       }
 
-      // Check if token exists in sessions
-      const session = await this.database.get(
-        'SELECT * FROM sessions WHERE token = ? AND expires_at > ?',
-        [token, new Date().toISOString()]
+      const user = await this.findTokenUser(token);
+      if (!user) {
+        throw new Error('Invalid or expired token');
+      }
+      return user;
+    } catch (error) {
+      console.error('Token verification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The user behind an access token, or null when it is invalid, expired or its session
+   * was revoked. Every API request resolves its caller this way, so bad tokens are not
+   * logged; database errors still throw.
+   */
+  async findTokenUser(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      return null;
+    }
+
+    // The session behind the token must still be active
+    const session = await this.database.get(
+      'SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?',
+      [decoded.sid, new Date().toISOString()]
+    );
+
+    if (!session || session.user_id !== decoded.userId) {
+      return null;
+    }
+
+    const user = await this.database.get(
+      'SELECT id, email, name, timezone FROM users WHERE id = ?',
+      [decoded.userId]
+    );
+
+    return user ? { ...user, session_id: session.id } : null;
+  }
+
+  /**
+   * Single-purpose account tokens ("<payload>.<hmac>") for emailed links.
+   * The signature also covers the password hash (reset) or the email address
+   * (verification), so a reset link stops working once it has been used.
+   */
+  createAccountToken(user, purpose, ttlMs) {
+    const payload = Buffer.from(JSON.stringify({
+      sub: user.id,
+      purpose,
+      exp: Date.now() + ttlMs
+    })).toString('base64url');
+
+    const signature = this.encryption.createHmac(this.accountTokenData(payload, user, purpose), this.jwtSecret);
+    return `${payload}.${signature}`;
+  }
+
+  accountTokenData(payload, user, purpose) {
+    const binding = purpose === 'password_reset' ? user.password_hash : user.email;
+    return `${payload}.${purpose}.${binding}`;
+  }
+
+  async verifyAccountToken(token, purpose) {
+    const [payload, signature] = String(token || '').split('.');
+
+    let claims = null;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      // Malformed payload, handled below
+    }
+
+    if (!claims || claims.purpose !== purpose || !(claims.exp > Date.now()) || !signature) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const user = await this.database.get('SELECT * FROM users WHERE id = ?', [claims.sub]);
+    if (!user) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const data = this.accountTokenData(payload, user, purpose);
+    const expected = this.encryption.createHmac(data, this.jwtSecret);
+    if (signature.length !== expected.length || !this.encryption.verifyHmac(data, signature, this.jwtSecret)) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return user;
+  }
+
+  async sendMail(message) {
+    if (!this.mailer) {
+      throw new Error('Mailer is not configured');
+    }
+    return await this.mailer.send(message);
+  }
+
+  /**
+   * Email a password reset link. Unknown addresses are ignored so the
+   * response never reveals whether an account exists.
+   */
+  async requestPasswordReset(email, baseUrl) {
+    try {
+      const user = await this.database.get('SELECT * FROM users WHERE email = ?', [email]);
+      if (!user) {
+        return;
+      }
+
+      const token = this.createAccountToken(user, 'password_reset', PASSWORD_RESET_TTL_MS);
+      const link = `${baseUrl}/reset-password.html?token=${encodeURIComponent(token)}`;
+
+      await this.sendMail({
+        to: user.email,
+        subject: 'Reset your Daily Vibe password',
+        text: `Hi ${user.name || 'there'},\n\nUse the link below to choose a new password. It expires in 1 hour.\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p><a href="${link}">Choose a new password</a>. The link expires in 1 hour.</p><p>If you did not request this, you can ignore this email.</p>`
+      });
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password from a reset token and sign the user out everywhere
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+
+      const user = await this.verifyAccountToken(token, 'password_reset');
+      const passwordHash = await bcrypt.hash(newPassword, 12);
+      const now = new Date().toISOString();
+
+      // Receiving the reset email proves the address, so it counts as verified too
+      await this.database.run(
+        `UPDATE users SET password_hash = ?, email_verified = ?, email_verified_at = COALESCE(email_verified_at, ?), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [passwordHash, true, now, user.id]
       );
 
-      if (!session) {
-        throw new Error('Invalid or expired token');
+      await this.database.run(
+        'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [now, user.id]
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Password reset error:', error);
+      throw error;
+    }
+  }
+
+  async sendVerificationEmail(user, baseUrl) {
+    try {
+      const token = this.createAccountToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+      const link = `${baseUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+      await this.sendMail({
+        to: user.email,
+        subject: 'Verify your Daily Vibe email address',
+        text: `Hi ${user.name || 'there'},\n\nConfirm your email address to finish setting up your account. The link expires in 24 hours.\n\n${link}`,
+        html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p><a href="${link}">Confirm your email address</a> to finish setting up your account. The link expires in 24 hours.</p>`
+      });
+    } catch (error) {
+      console.error('Verification email error:', error);
+      throw error;
+    }
+  }
+
+  // Resend a verification link; unknown or already verified addresses are ignored
+  async resendVerificationEmail(email, baseUrl) {
+    const user = await this.database.get('SELECT * FROM users WHERE email = ?', [email]);
+    if (user && !user.email_verified) {
+      await this.sendVerificationEmail(user, baseUrl);
+    }
+  }
+
+  async verifyEmail(token) {
+    try {
+      const user = await this.verifyAccountToken(token, 'email_verification');
+
+      if (!user.email_verified) {
+        await this.database.run(
+          'UPDATE users SET email_verified = ?, email_verified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [true, new Date().toISOString(), user.id]
+        );
       }
 
-      // Verify JWT
-      const decoded = jwt.verify(token, this.jwtSecret);
-      
-      // Get user data
-      const user = await this.database.get(
-        'SELECT id, email, name, api_key FROM users WHERE id = ?',
-        [decoded.userId]
+      return { id: user.id, email: user.email, name: user.name };
+    } catch (error) {
+      console.error('Email verification error:', error);
+      throw error;
+    }
+  }
+
+  async listSessions(userId) {
+    try {
+      return await this.database.all(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY last_used_at DESC`,
+        [userId, new Date().toISOString()]
       );
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw error;
+    }
+  }
 
-      if (!user) {
-        throw new Error('User not found');
+  async revokeSession(userId, sessionId) {
+    try {
+      const session = await this.database.get(
+        'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [sessionId, userId]
+      );
+
+      if (!session) {
+        return false;
       }
 
-      return user;
+      await this.database.run(
+        'UPDATE sessions SET revoked_at = ? WHERE id = ?',
+        [new Date().toISOString(), sessionId]
+      );
+      return true;
     } catch (error) {
-      console.error('Token verification error:', error);
+      console.error('Error revoking session:', error);
       throw error;
     }
   }
@@ -135,7 +451,7 @@ class UserManager {
   async getUserById(userId) {
     try {
       const user = await this.database.get(
-        'SELECT id, email, name, api_key, created_at FROM users WHERE id = ?',
+        'SELECT id, email, name, timezone, created_at FROM users WHERE id = ?',
         [userId]
       );
 
@@ -185,6 +501,9 @@ class UserManager {
     try {
       // Delete user sessions
       await this.database.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+
+      // Delete user API keys
+      await this.database.run('DELETE FROM api_keys WHERE user_id = ?', [userId]);
       
       // Delete user data
       await this.database.run('DELETE FROM user_data WHERE user_id = ?', [userId]);
@@ -204,7 +523,10 @@ class UserManager {
 
   async logout(token) {
     try {
-      await this.database.run('DELETE FROM sessions WHERE token = ?', [token]);
+      const decoded = jwt.decode(token);
+      if (decoded?.sid) {
+        await this.revokeSession(decoded.userId, decoded.sid);
+      }
       return { success: true };
     } catch (error) {
       console.error('Logout error:', error);
@@ -221,4 +543,22 @@ class UserManager {
   }
 }
 
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Constant-time comparison of two hex hashes; a missing hash never matches
+function hashesMatch(hash, expected) {
+  if (!expected) {
+    return false;
+  }
+  const left = Buffer.from(hash);
+  const right = Buffer.from(String(expected));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
 module.exports = { UserManager };
@@ -0,0 +1,567 @@
+const {
+  EVENT_SCOPES,
+  deleteEventInScope,
+  eventOwnerId,
+  resolveEventTarget,
+  updateEventInScope
+} = require('./event-scope');
+
+/**
+ * Tools the realtime voice assistant can call. Each tool has the JSON schema sent
+ * to the model in session.update and an executor that runs on the server with
+ * { database, userId } for the connection's user. Executors throw on bad input;
+ * the caller turns that into a failed function_call_output.
+ */
+class VoiceToolRegistry {
+  constructor(tools = DEFAULT_TOOLS) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  register(tool) {
+    if (!tool.name || !tool.description || !tool.parameters || typeof tool.execute !== 'function') {
+      throw new Error('Voice tools need a name, description, parameters schema and execute function');
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  // Tool definitions in the shape session.update expects
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      type: 'function',
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  // Whether a successful call changed data the UI shows
+  isMutation(name) {
+    return Boolean(this.tools.get(name)?.mutates);
+  }
+
+  async execute(name, context, args) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Unknown function: ${name}`);
+    }
+    return await tool.execute(context, args || {});
+  }
+}
+
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const TASK_STATUSES = ['todo', 'progress', 'completed'];
+const DAY_PERIODS = {
+  morning: ['08:00', '12:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '21:00'],
+  day: ['08:00', '18:00']
+};
+const DAY_MINUTES = 24 * 60;
+
+const DATE = { type: 'string', description: 'YYYY-MM-DD' };
+const TIME = { type: 'string', description: 'HH:MM, 24-hour' };
+const EVENT_REFERENCE = {
+  event_id: { type: 'string', description: 'id from query_calendar_events' },
+  title: { type: 'string', description: 'Current title (or part of it), when event_id is unknown' },
+  date: { type: 'string', description: 'Current date of the event (YYYY-MM-DD), when event_id is unknown' },
+  scope: {
+    type: 'string',
+    enum: EVENT_SCOPES,
+    description: 'For repeating events: this occurrence (default), this and following, or all'
+  }
+};
+const TASK_REFERENCE = {
+  task_id: { type: 'string', description: 'id from list_tasks or query_calendar_events' },
+  title: { type: 'string', description: 'Task title (or part of it), when task_id is unknown' }
+};
+
+const DEFAULT_TOOLS = [
+  {
+    name: 'create_calendar_event',
+    description: 'Create a new calendar event',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        date: DATE,
+        time: { type: 'string', description: 'HH:MM, 24-hour; omit for all-day events' },
+        duration: { type: 'number', description: 'Length in minutes, default 60' },
+        end_date: { type: 'string', description: 'YYYY-MM-DD last day, for events spanning several days' },
+        end_time: { type: 'string', description: 'HH:MM, 24-hour; overrides duration' },
+        description: { type: 'string' },
+        location: { type: 'string' }
+      },
+      required: ['title', 'date']
+    },
+    async execute({ database, userId }, args) {
+      const time = args.time ? parseTimeArgument(args.time, 'time') : null;
+      if (args.duration !== undefined && !(Number(args.duration) > 0)) {
+        throw new Error('duration must be a positive number of minutes');
+      }
+
+      const event = await database.createEvent({
+        id: generateRecordId(),
+        userId,
+        title: requireText(args.title, 'title'),
+        description: args.description || null,
+        date: parseDateArgument(args.date, 'date'),
+        time,
+        endDate: args.end_date ? parseDateArgument(args.end_date, 'end_date') : null,
+        endTime: time && args.end_time ? parseTimeArgument(args.end_time, 'end_time') : null,
+        durationMinutes: args.duration ? Number(args.duration) : undefined,
+        location: args.location || null,
+        allDay: !time
+      });
+
+      return { success: true, event: summarizeEvent(event) };
+    }
+  },
+  {
+    name: 'query_calendar_events',
+    description: 'List calendar events and tasks due in a date range',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_date: DATE,
+        end_date: { type: 'string', description: 'YYYY-MM-DD, defaults to start_date' }
+      },
+      required: ['start_date']
+    },
+    async execute({ database, userId }, args) {
+      const startDate = parseDateArgument(args.start_date, 'start_date');
+      const endDate = args.end_date ? parseDateArgument(args.end_date, 'end_date') : startDate;
+
+      if (endDate < startDate) {
+        throw new Error('end_date must not be before start_date');
+      }
+
+      const [events, tasks] = await Promise.all([
+        database.getEventsByDateRange(userId, startDate, endDate),
+        database.getTasksByDateRange(userId, startDate, endDate)
+      ]);
+
+      return {
+        success: true,
+        start_date: startDate,
+        end_date: endDate,
+        events: events.map(summarizeEvent),
+        tasks: tasks.map(summarizeTask)
+      };
+    }
+  },
+  {
+    name: 'update_calendar_event',
+    description: 'Reschedule or edit an event; only the fields given change',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        ...EVENT_REFERENCE,
+        new_title: { type: 'string' },
+        new_date: DATE,
+        new_time: TIME,
+        all_day: { type: 'boolean' },
+        location: { type: 'string' },
+        description: { type: 'string' }
+      }
+    },
+    async execute({ database, userId }, args) {
+      const target = await findEventTarget(database, userId, args);
+      const scope = parseScope(args.scope);
+      const current = target.event || target.series;
+      const allDay = args.all_day !== undefined ? Boolean(args.all_day) : Boolean(current.all_day) && !args.new_time;
+
+      const eventData = {
+        title: args.new_title ? requireText(args.new_title, 'new_title') : current.title,
+        description: args.description !== undefined ? args.description : current.description,
+        date: args.new_date ? parseDateArgument(args.new_date, 'new_date') : (target.occurrenceDate || current.date),
+        time: allDay ? null : (args.new_time ? parseTimeArgument(args.new_time, 'new_time') : current.time),
+        type: current.type || 'other',
+        color: current.color || 'blue',
+        location: args.location !== undefined ? args.location : current.location,
+        allDay
+      };
+      if (!eventData.allDay && !eventData.time) {
+        throw new Error('new_time is required to change an all-day event into a timed one');
+      }
+
+      const event = await updateEventInScope(database, target, eventData, null, scope);
+      return { success: true, scope, event: summarizeEvent(event) };
+    }
+  },
+  {
+    name: 'delete_calendar_event',
+    description: 'Cancel (delete) an event',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: EVENT_REFERENCE
+    },
+    async execute({ database, userId }, args) {
+      const target = await findEventTarget(database, userId, args);
+      const scope = parseScope(args.scope);
+      const current = target.event || target.series;
+
+      await deleteEventInScope(database, target, scope);
+      return {
+        success: true,
+        scope,
+        deleted: summarizeEvent({ ...current, date: target.occurrenceDate || current.date })
+      };
+    }
+  },
+  {
+    name: 'create_task',
+    description: 'Add a task to the to-do list',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        due_date: DATE,
+        due_time: TIME,
+        priority: { type: 'string', enum: TASK_PRIORITIES }
+      },
+      required: ['title']
+    },
+    async execute({ database, userId }, args) {
+      const title = requireText(args.title, 'title');
+      const due = parseDueArguments(args);
+
+      const task = await database.createTask({
+        id: generateRecordId(),
+        userId,
+        title,
+        description: args.description || null,
+        priority: parsePriority(args.priority) || 'medium',
+        ...due
+      });
+
+      return { success: true, task: summarizeTask(task) };
+    }
+  },
+  {
+    name: 'list_tasks',
+    description: 'List tasks, optionally only those with a given status',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: TASK_STATUSES }
+      }
+    },
+    async execute({ database, userId }, args) {
+      const status = args.status ? parseStatus(args.status) : null;
+      const tasks = await database.getUserTasks(userId, status);
+      return { success: true, tasks: tasks.map(summarizeTask) };
+    }
+  },
+  {
+    name: 'complete_task',
+    description: 'Mark a task as done',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: TASK_REFERENCE
+    },
+    async execute({ database, userId }, args) {
+      const task = await findTask(database, userId, args, { openOnly: true });
+      const updated = await database.updateTask(task.id, { status: 'completed' });
+      return { success: true, task: summarizeTask(updated) };
+    }
+  },
+  {
+    name: 'update_task',
+    description: 'Edit a task: rename it, change its due date, priority or status',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        ...TASK_REFERENCE,
+        new_title: { type: 'string' },
+        description: { type: 'string' },
+        due_date: DATE,
+        due_time: TIME,
+        priority: { type: 'string', enum: TASK_PRIORITIES },
+        status: { type: 'string', enum: TASK_STATUSES }
+      }
+    },
+    async execute({ database, userId }, args) {
+      const task = await findTask(database, userId, args);
+      const updates = {
+        title: args.new_title ? requireText(args.new_title, 'new_title') : undefined,
+        description: args.description,
+        priority: parsePriority(args.priority),
+        status: args.status ? parseStatus(args.status) : undefined
+      };
+
+      if (args.due_date || args.due_time) {
+        Object.assign(updates, parseDueArguments({
+          due_date: args.due_date || task.due_date,
+          due_time: args.due_time || (args.due_date ? null : task.due_time)
+        }));
+      }
+      if (Object.values(updates).every(value => value === undefined)) {
+        throw new Error('Nothing to change: give new_title, description, due_date, due_time, priority or status');
+      }
+
+      const updated = await database.updateTask(task.id, updates);
+      return { success: true, task: summarizeTask(updated) };
+    }
+  },
+  {
+    name: 'delete_task',
+    description: 'Delete a task',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: TASK_REFERENCE
+    },
+    async execute({ database, userId }, args) {
+      const task = await findTask(database, userId, args);
+      await database.deleteTask(task.id);
+      return { success: true, deleted: summarizeTask(task) };
+    }
+  },
+  {
+    name: 'find_free_time',
+    description: 'Find free slots on a day, e.g. "when am I free Thursday afternoon"',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: DATE,
+        period: { type: 'string', enum: Object.keys(DAY_PERIODS), description: 'Defaults to day (08:00-18:00)' },
+        start_time: { type: 'string', description: 'HH:MM; overrides the start of period' },
+        end_time: { type: 'string', description: 'HH:MM; overrides the end of period' },
+        duration_minutes: { type: 'number', description: 'Shortest useful slot, default 30' }
+      },
+      required: ['date']
+    },
+    async execute({ database, userId }, args) {
+      const date = parseDateArgument(args.date, 'date');
+      const period = args.period || 'day';
+      if (!DAY_PERIODS[period]) {
+        throw new Error(`period must be one of ${Object.keys(DAY_PERIODS).join(', ')}`);
+      }
+
+      const windowStart = toMinutes(args.start_time ? parseTimeArgument(args.start_time, 'start_time') : DAY_PERIODS[period][0]);
+      const windowEnd = toMinutes(args.end_time ? parseTimeArgument(args.end_time, 'end_time') : DAY_PERIODS[period][1]);
+      const minimum = args.duration_minutes ? Number(args.duration_minutes) : 30;
+      if (windowEnd <= windowStart) {
+        throw new Error('end_time must be after start_time');
+      }
+      if (!(minimum > 0)) {
+        throw new Error('duration_minutes must be a positive number');
+      }
+
+      const events = await database.getEventsByDateRange(userId, date, date);
+      // Timed events spanning several days are busy from their start to their end, clipped to this day
+      const busy = events
+        .filter(event => event.time && !event.all_day)
+        .map(event => ({
+          title: event.title,
+          start: event.date < date ? 0 : toMinutes(event.time),
+          end: event.end_date > date ? DAY_MINUTES : toMinutes(event.end_time)
+        }))
+        .sort((a, b) => a.start - b.start);
+
+      const free = [];
+      let cursor = windowStart;
+      for (const slot of busy) {
+        if (slot.start - cursor >= minimum && slot.start > cursor) {
+          free.push({ start: cursor, end: Math.min(slot.start, windowEnd) });
+        }
+        cursor = Math.max(cursor, slot.end);
+        if (cursor >= windowEnd) break;
+      }
+      if (windowEnd - cursor >= minimum) {
+        free.push({ start: cursor, end: windowEnd });
+      }
+
+      return {
+        success: true,
+        date,
+        window: { start: fromMinutes(windowStart), end: fromMinutes(windowEnd) },
+        free: free.filter(slot => slot.end - slot.start >= minimum)
+          .map(slot => ({ start: fromMinutes(slot.start), end: fromMinutes(slot.end) })),
+        busy: busy
+          .filter(slot => slot.end > windowStart && slot.start < windowEnd)
+          .map(slot => ({ title: slot.title, start: fromMinutes(slot.start), end: fromMinutes(slot.end) })),
+        all_day_events: events.filter(event => event.all_day || !event.time).map(event => event.title)
+      };
+    }
+  }
+];
+
+/**
+ * Find the event a voice command refers to, by id or by title on a date.
+ * Ambiguous matches are reported back so the model can ask which one.
+ */
+async function findEventTarget(database, userId, args) {
+  let eventId = args.event_id;
+
+  if (!eventId) {
+    const title = requireText(args.title, 'event_id or title');
+    const date = parseDateArgument(args.date, 'date');
+    const events = await database.getEventsByDateRange(userId, date, date);
+    const matches = events.filter(event => event.title.toLowerCase().includes(title.toLowerCase()));
+
+    if (matches.length === 0) {
+      throw new Error(`No event matching "${title}" on ${date}`);
+    }
+    if (matches.length > 1) {
+      const options = matches.map(event => `${event.title} at ${event.time ? event.time.slice(0, 5) : 'all day'} (id ${event.id})`);
+      throw new Error(`Several events match "${title}" on ${date}: ${options.join('; ')}. Ask which one and pass its event_id.`);
+    }
+    eventId = matches[0].id;
+  }
+
+  const target = await resolveEventTarget(database, eventId);
+  if (!target || eventOwnerId(target) !== userId) {
+    throw new Error('Event not found');
+  }
+  return target;
+}
+
+async function findTask(database, userId, args, { openOnly = false } = {}) {
+  if (args.task_id) {
+    const task = await database.getTaskById(args.task_id);
+    if (!task || task.user_id !== userId) {
+      throw new Error('Task not found');
+    }
+    return task;
+  }
+
+  const title = requireText(args.title, 'task_id or title').toLowerCase();
+  const tasks = await database.getUserTasks(userId);
+  const candidates = tasks.filter(task => !openOnly || task.status !== 'completed');
+  // Prefer an exact title over partial matches
+  const exact = candidates.filter(task => task.title.toLowerCase() === title);
+  const matches = exact.length > 0 ? exact : candidates.filter(task => task.title.toLowerCase().includes(title));
+
+  if (matches.length === 0) {
+    throw new Error(`No ${openOnly ? 'open ' : ''}task matching "${args.title}"`);
+  }
+  if (matches.length > 1) {
+    const options = matches.map(task => `${task.title} (id ${task.id})`);
+    throw new Error(`Several tasks match "${args.title}": ${options.join('; ')}. Ask which one and pass its task_id.`);
+  }
+  return matches[0];
+}
+
+function parseDueArguments(args) {
+  const dueDate = args.due_date ? parseDateArgument(args.due_date, 'due_date') : null;
+  const dueTime = args.due_time ? parseTimeArgument(args.due_time, 'due_time') : null;
+
+  if (dueTime && !dueDate) {
+    throw new Error('due_date is required when due_time is given');
+  }
+  return {
+    dueDate,
+    dueTime,
+    dueDateTime: dueDate ? new Date(`${dueDate}T${dueTime || '23:59'}`) : null
+  };
+}
+
+function parseScope(scope) {
+  if (scope === undefined) {
+    return 'this';
+  }
+  if (!EVENT_SCOPES.includes(scope)) {
+    throw new Error(`scope must be one of ${EVENT_SCOPES.join(', ')}`);
+  }
+  return scope;
+}
+
+function parsePriority(priority) {
+  if (priority === undefined) {
+    return undefined;
+  }
+  if (!TASK_PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of ${TASK_PRIORITIES.join(', ')}`);
+  }
+  return priority;
+}
+
+function parseStatus(status) {
+  if (!TASK_STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${TASK_STATUSES.join(', ')}`);
+  }
+  return status;
+}
+
+function requireText(value, name) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new Error(`${name} is required`);
+  }
+  return value.trim();
+}
+
+function parseDateArgument(value, name) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? value.trim() : null;
+  const parsed = date ? new Date(`${date}T00:00:00Z`) : null;
+  // Rejects impossible dates such as 2025-02-30
+  if (!parsed || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+}
+
+function parseTimeArgument(value, name) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${name} must be a time in HH:MM format`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+  const clamped = Math.min(total, 24 * 60 - 1);
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+function generateRecordId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// Only the fields the model needs to describe the result
+function summarizeEvent(event) {
+  return {
+    id: event.id,
+    title: event.title,
+    date: event.date,
+    time: event.time ? event.time.slice(0, 5) : null,
+    end_date: event.end_date || null,
+    end_time: event.end_time ? event.end_time.slice(0, 5) : null,
+    all_day: Boolean(event.all_day),
+    location: event.location || null
+  };
+}
+
+function summarizeTask(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    due_date: task.due_date || null,
+    due_time: task.due_time ? task.due_time.slice(0, 5) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_TOOLS,
+  VoiceToolRegistry
+};
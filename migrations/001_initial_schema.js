@@ -0,0 +1,238 @@
+const { addMissingColumns, createTable, dropTable } = require('../lib/schema');
+
+/**
+ * Baseline schema. Databases created before migrations existed already have
+ * some of these tables, so this migration creates what is missing and adds
+ * columns older installs lack; later migrations make plain changes.
+ */
+
+// Tables in creation order (see lib/schema.js for the spec format)
+const TABLES = [
+  {
+    name: 'users',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'email TEXT UNIQUE NOT NULL',
+      'password_hash TEXT NOT NULL',
+      'name TEXT NOT NULL',
+      'avatar TEXT',
+      "preferences {json} DEFAULT '{}'",
+      'api_key TEXT',
+      // Users created before email verification existed are treated as verified
+      { definition: 'email_verified BOOLEAN DEFAULT FALSE', addDefault: 'TRUE' },
+      'email_verified_at {timestamp}',
+      'created_at {timestamp} DEFAULT {now}',
+      'updated_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    name: 'sessions',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'user_id TEXT NOT NULL',
+      'token TEXT UNIQUE',
+      'refresh_token_hash TEXT',
+      'user_agent TEXT',
+      'ip_address TEXT',
+      'expires_at {timestamp}',
+      'last_used_at {timestamp}',
+      'revoked_at {timestamp}',
+      'created_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    name: 'api_keys',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'user_id TEXT NOT NULL',
+      'name TEXT NOT NULL',
+      'key_prefix TEXT NOT NULL',
+      'key_hash TEXT UNIQUE NOT NULL',
+      'scopes TEXT NOT NULL',
+      'created_at {timestamp} DEFAULT {now}',
+      'last_used_at {timestamp}',
+      'revoked_at {timestamp}'
+    ]
+  },
+  {
+    name: 'user_data',
+    columns: [
+      'id {serial}',
+      'user_id TEXT NOT NULL',
+      'key TEXT NOT NULL',
+      'value TEXT',
+      'created_at {timestamp} DEFAULT {now}',
+      'updated_at {timestamp} DEFAULT {now}',
+      'UNIQUE(user_id, key)'
+    ]
+  },
+  {
+    name: 'files',
+    columns: [
+      'id {serial}',
+      "user_id TEXT DEFAULT 'default'",
+      'filename TEXT NOT NULL',
+      'originalname TEXT',
+      'mimetype TEXT',
+      'size INTEGER',
+      'path TEXT',
+      'url TEXT',
+      'created_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    // No foreign key on user_id, tasks may belong to the 'default' user
+    name: 'tasks',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      "user_id TEXT NOT NULL DEFAULT 'default'",
+      'title TEXT NOT NULL',
+      'description TEXT',
+      "priority TEXT NOT NULL DEFAULT 'medium'",
+      "category TEXT NOT NULL DEFAULT 'personal'",
+      "status TEXT NOT NULL DEFAULT 'todo'",
+      'due_date DATE',
+      'due_time TIME',
+      'due_datetime {timestamp}',
+      'ical_uid TEXT',
+      'created_at {timestamp} DEFAULT {now}',
+      'updated_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    name: 'task_attachments',
+    columns: [
+      'id {serial}',
+      'task_id TEXT NOT NULL',
+      'file_id INTEGER NOT NULL',
+      'created_at {timestamp} DEFAULT {now}',
+      'FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE',
+      'FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE'
+    ]
+  },
+  {
+    name: 'calendar_events',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      "user_id TEXT NOT NULL DEFAULT 'default'",
+      'title TEXT NOT NULL',
+      'description TEXT',
+      'date DATE NOT NULL',
+      'time TIME',
+      "type TEXT DEFAULT 'other'",
+      "color TEXT DEFAULT 'blue'",
+      'location TEXT',
+      'all_day BOOLEAN DEFAULT FALSE',
+      'recurring BOOLEAN DEFAULT FALSE',
+      'recurring_type TEXT',
+      'rrule TEXT',
+      // Exceptions: EXDATE list on the series, plus override rows for moved/edited occurrences
+      'exdates TEXT',
+      'series_id TEXT',
+      'recurrence_id DATE',
+      // iCalendar UIDs let repeated .ics imports detect items that already exist
+      'ical_uid TEXT',
+      'created_at {timestamp} DEFAULT {now}',
+      'updated_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    // Tokenized ICS subscriptions
+    name: 'calendar_feeds',
+    columns: [
+      'user_id TEXT PRIMARY KEY',
+      'token_hash TEXT NOT NULL',
+      'created_at {timestamp} DEFAULT {now}',
+      'last_accessed_at {timestamp}'
+    ]
+  },
+  {
+    // AI memory
+    name: 'user_context',
+    columns: [
+      'id {serial}',
+      'user_id TEXT NOT NULL',
+      'context_key TEXT NOT NULL',
+      'context_value TEXT',
+      "category TEXT DEFAULT 'contextual'",
+      'relevance_score {decimal} DEFAULT 1.0',
+      'created_at {timestamp} DEFAULT {now}',
+      'last_accessed {timestamp} DEFAULT {now}',
+      'access_count INTEGER DEFAULT 1',
+      'UNIQUE(user_id, context_key)'
+    ]
+  },
+  {
+    // AI chat history
+    name: 'conversations',
+    columns: [
+      'id {serial}',
+      'user_id TEXT NOT NULL',
+      'session_id TEXT',
+      'user_message TEXT NOT NULL',
+      'assistant_response TEXT NOT NULL',
+      'intent TEXT',
+      "entities {json} DEFAULT '{}'",
+      'context_score {decimal} DEFAULT 1.0',
+      'created_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    // AI-generated events
+    name: 'ai_events_log',
+    columns: [
+      'id {serial}',
+      'user_id TEXT NOT NULL',
+      'natural_query TEXT NOT NULL',
+      'parsed_intent TEXT',
+      "parsed_entities {json} DEFAULT '{}'",
+      'event_id TEXT',
+      'success BOOLEAN DEFAULT FALSE',
+      'error_message TEXT',
+      'created_at {timestamp} DEFAULT {now}'
+    ]
+  },
+  {
+    name: 'user_feedback',
+    columns: [
+      'id {serial}',
+      'user_id TEXT NOT NULL',
+      'conversation_id INTEGER',
+      'feedback_type TEXT NOT NULL', // 'positive', 'negative', 'correction'
+      'feedback_text TEXT',
+      'created_at {timestamp} DEFAULT {now}',
+      'FOREIGN KEY (conversation_id) REFERENCES conversations(id)'
+    ]
+  }
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_calendar_events_series ON calendar_events(series_id)',
+  'CREATE INDEX IF NOT EXISTS idx_calendar_events_user_date ON calendar_events(user_id, date)',
+  'CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id)',
+  'CREATE INDEX IF NOT EXISTS idx_user_context_user_id ON user_context(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_user_context_category ON user_context(category)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_session_id ON conversations(session_id)',
+  'CREATE INDEX IF NOT EXISTS idx_ai_events_log_user_id ON ai_events_log(user_id)'
+];
+
+async function up(db) {
+  for (const table of TABLES) {
+    await createTable(db, table);
+    await addMissingColumns(db, table);
+  }
+
+  for (const statement of INDEXES) {
+    await db.query(statement);
+  }
+}
+
+async function down(db) {
+  for (const table of [...TABLES].reverse()) {
+    await dropTable(db, table.name);
+  }
+}
+
+module.exports = { up, down };
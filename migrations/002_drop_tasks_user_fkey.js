@@ -0,0 +1,16 @@
+/**
+ * Early Postgres deployments created tasks with a foreign key to users, which
+ * rejects tasks owned by the 'default' user. SQLite never had the constraint.
+ */
+async function up(db) {
+  if (db.dialect !== 'postgres') {
+    return;
+  }
+
+  await db.query('ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_user_id_fkey');
+}
+
+// Not restored: existing 'default' tasks would violate it
+async function down() {}
+
+module.exports = { up, down };
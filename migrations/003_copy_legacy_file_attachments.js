@@ -0,0 +1,30 @@
+/**
+ * Neon deployments used to copy attachments into file_attachments; they now
+ * link uploaded files through task_attachments. The legacy table is kept.
+ */
+async function up(db) {
+  if (db.dialect !== 'postgres') {
+    return;
+  }
+
+  const legacy = await db.get("SELECT to_regclass('file_attachments') AS name");
+  if (!legacy?.name) {
+    return;
+  }
+
+  await db.query(`
+    INSERT INTO task_attachments (task_id, file_id, created_at)
+    SELECT fa.task_id, f.id, fa.created_at
+    FROM file_attachments fa
+    JOIN files f ON f.filename = fa.filename
+    JOIN tasks t ON t.id = fa.task_id
+    WHERE NOT EXISTS (
+      SELECT 1 FROM task_attachments ta WHERE ta.task_id = fa.task_id AND ta.file_id = f.id
+    )
+  `);
+}
+
+// file_attachments is left untouched by up, so there is nothing to undo
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+/**
+ * Records where a conversation happened: 'text' for assistant chat, 'voice'
+ * for realtime audio sessions.
+ */
+async function up(db) {
+  await db.query("ALTER TABLE conversations ADD COLUMN channel TEXT NOT NULL DEFAULT 'text'");
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE conversations DROP COLUMN channel');
+}
+
+module.exports = { up, down };
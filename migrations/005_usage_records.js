@@ -0,0 +1,31 @@
+const { createTable, dropTable } = require('../lib/schema');
+
+/**
+ * One row per metered OpenAI call: a chat completion or a realtime voice
+ * response. Quotas sum these per user over the current day and month.
+ */
+const USAGE_RECORDS = {
+  name: 'usage_records',
+  columns: [
+    'id {serial}',
+    'user_id TEXT NOT NULL',
+    'channel TEXT NOT NULL',
+    'model TEXT',
+    'input_tokens INTEGER DEFAULT 0',
+    'output_tokens INTEGER DEFAULT 0',
+    'total_tokens INTEGER DEFAULT 0',
+    'audio_seconds REAL DEFAULT 0',
+    'created_at {timestamp} DEFAULT {now}'
+  ]
+};
+
+async function up(db) {
+  await createTable(db, USAGE_RECORDS);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_usage_records_user_created ON usage_records(user_id, created_at)');
+}
+
+async function down(db) {
+  await dropTable(db, USAGE_RECORDS.name);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+const { resolveTypes } = require('../lib/schema');
+const { toDateString } = require('../lib/recurrence');
+const { eventInstants } = require('../lib/timezones');
+
+/**
+ * Per-user IANA time zones, and start/end instants for calendar events next to their
+ * wall-clock date and time. Everything before this was effectively UTC, so existing
+ * users and events get 'UTC' and their instants are backfilled from date and time.
+ */
+async function up(db) {
+  await db.query("ALTER TABLE users ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'");
+  await db.query("ALTER TABLE calendar_events ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'");
+  await db.query(resolveTypes('ALTER TABLE calendar_events ADD COLUMN start_at {timestamp}', db.dialect));
+  await db.query(resolveTypes('ALTER TABLE calendar_events ADD COLUMN end_at {timestamp}', db.dialect));
+
+  const { rows } = await db.query('SELECT id, date, time, all_day FROM calendar_events');
+  for (const row of rows) {
+    const { startAt, endAt } = eventInstants({ date: toDateString(row.date), time: row.time, allDay: Boolean(row.all_day) });
+    await db.query('UPDATE calendar_events SET start_at = ?, end_at = ? WHERE id = ?', [startAt, endAt, row.id]);
+  }
+
+  await db.query('CREATE INDEX IF NOT EXISTS idx_calendar_events_user_start ON calendar_events(user_id, start_at)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_calendar_events_user_start');
+  await db.query('ALTER TABLE calendar_events DROP COLUMN end_at');
+  await db.query('ALTER TABLE calendar_events DROP COLUMN start_at');
+  await db.query('ALTER TABLE calendar_events DROP COLUMN timezone');
+  await db.query('ALTER TABLE users DROP COLUMN timezone');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+const { toDateString } = require('../lib/recurrence');
+const { zonedParts } = require('../lib/timezones');
+
+/**
+ * Wall-clock end date and time for calendar events, next to date and time, so events
+ * can last several days. Existing events end where their end_at instant says.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE calendar_events ADD COLUMN end_date DATE');
+  await db.query('ALTER TABLE calendar_events ADD COLUMN end_time TIME');
+
+  const { rows } = await db.query('SELECT id, date, time, all_day, timezone, end_at FROM calendar_events');
+  for (const row of rows) {
+    const timed = row.time && !row.all_day && row.end_at;
+    const end = timed ? zonedParts(new Date(row.end_at), row.timezone) : { date: toDateString(row.date), time: null };
+    await db.query('UPDATE calendar_events SET end_date = ?, end_time = ? WHERE id = ?', [end.date, end.time, row.id]);
+  }
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE calendar_events DROP COLUMN end_time');
+  await db.query('ALTER TABLE calendar_events DROP COLUMN end_date');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+/**
+ * Effort estimates for tasks, and a link from calendar events back to the task they
+ * set time aside for, so the task scheduler does not plan the same task twice.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE tasks ADD COLUMN estimated_minutes INTEGER');
+  await db.query('ALTER TABLE calendar_events ADD COLUMN task_id TEXT');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_calendar_events_task_id ON calendar_events(task_id)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_calendar_events_task_id');
+  await db.query('ALTER TABLE calendar_events DROP COLUMN task_id');
+  await db.query('ALTER TABLE tasks DROP COLUMN estimated_minutes');
+}
+
+module.exports = { up, down };
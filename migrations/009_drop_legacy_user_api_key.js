@@ -0,0 +1,13 @@
+/**
+ * Drops the plaintext users.api_key column. API access goes through the hashed,
+ * scoped keys in api_keys; the old values were never checked and are not kept.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE users DROP COLUMN api_key');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE users ADD COLUMN api_key TEXT');
+}
+
+module.exports = { up, down };
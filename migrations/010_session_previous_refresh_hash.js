@@ -0,0 +1,13 @@
+/**
+ * Keeps the refresh token hash a session had before its last rotation, so two tabs that
+ * refresh at the same moment both succeed instead of tripping reuse detection.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE sessions ADD COLUMN previous_refresh_token_hash TEXT');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE sessions DROP COLUMN previous_refresh_token_hash');
+}
+
+module.exports = { up, down };
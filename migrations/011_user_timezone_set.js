@@ -0,0 +1,14 @@
+/**
+ * Whether the user chose their time zone. Accounts still on the 'UTC' default adopt the
+ * browser's zone once at sign-in; any other zone was picked on purpose.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE users ADD COLUMN timezone_set BOOLEAN DEFAULT FALSE');
+  await db.query("UPDATE users SET timezone_set = TRUE WHERE timezone <> 'UTC'");
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE users DROP COLUMN timezone_set');
+}
+
+module.exports = { up, down };
@@ -3,6 +3,8 @@ const { defineConfig } = require('@playwright/test');
 
 module.exports = defineConfig({
   testDir: './tests',
+  // Node-only specs run on their own through playwright.unit.config.js
+  testIgnore: ['unit/**', 'helpers/**'],
   timeout: 30_000,
   retries: 0,
   use: {
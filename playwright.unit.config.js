@@ -0,0 +1,10 @@
+// @ts-check
+const { defineConfig } = require('@playwright/test');
+
+// Node-only specs for lib/ and the API handlers: no browser and no dev server
+module.exports = defineConfig({
+  testDir: './tests/unit',
+  timeout: 30_000,
+  retries: 0,
+  reporter: [['list']]
+});
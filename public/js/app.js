@@ -15,6 +15,7 @@ class TaskFlowApp {
         this.isRendering = false;
         this.currentUser = JSON.parse(localStorage.getItem('currentUser')) || null;
         this.authToken = localStorage.getItem('authToken') || null;
+        this.refreshPromise = null;
         
         // Enhanced performance caches
         this.styleCache = new Map();
@@ -40,6 +41,7 @@ class TaskFlowApp {
         this.setupEventListeners();
         this.setupAuthEventListeners();
         this.updateAuthUI();
+        this.showEmailVerificationResult();
         
         // Load calendar events for dashboard
         await this.loadUpcomingEvents();
@@ -443,7 +445,7 @@ class TaskFlowApp {
             
             // Auto-populate date and time fields as expected by tests
             const now = new Date();
-            const today = now.toISOString().split('T')[0];
+            const today = this.toDateKey(now);
             const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
             
             const dueDateField = this.domCache.get('taskDueDate');
@@ -570,7 +572,7 @@ class TaskFlowApp {
                         if (task.dueDateTime) {
                             value = task.dueDateTime.split('T')[0];
                         } else {
-                            value = new Date().toISOString().split('T')[0];
+                            value = this.toDateKey(new Date());
                         }
                         break;
                     case 'dueTime':
@@ -711,12 +713,8 @@ class TaskFlowApp {
             formData.append('files', file);
         });
 
-        if (this.currentUser) {
-            formData.append('userId', this.currentUser.id);
-        }
-
         try {
-            const response = await fetch('/api/upload', {
+            const response = await this.authFetch('/api/upload', {
                 method: 'POST',
                 body: formData,
                 headers: this.authToken ? {
@@ -750,7 +748,7 @@ class TaskFlowApp {
             let dueTime = null;
             if (taskData.dueDateTime) {
                 const dueDateTime = new Date(taskData.dueDateTime);
-                dueDate = dueDateTime.toISOString().split('T')[0];
+                dueDate = this.toDateKey(dueDateTime);
                 dueTime = dueDateTime.toTimeString().split(' ')[0].substring(0, 5);
             }
 
@@ -766,7 +764,7 @@ class TaskFlowApp {
                 dueDateTime: taskData.dueDateTime
             };
 
-            const response = await fetch('/api/tasks', {
+            const response = await this.authFetch('/api/tasks', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -824,7 +822,7 @@ class TaskFlowApp {
             let dueTime = null;
             if (taskData.dueDateTime) {
                 const dueDateTime = new Date(taskData.dueDateTime);
-                dueDate = dueDateTime.toISOString().split('T')[0];
+                dueDate = this.toDateKey(dueDateTime);
                 dueTime = dueDateTime.toTimeString().split(' ')[0].substring(0, 5);
             }
 
@@ -839,7 +837,7 @@ class TaskFlowApp {
                 dueDateTime: taskData.dueDateTime
             };
 
-            const response = await fetch(`/api/tasks/${taskId}`, {
+            const response = await this.authFetch(`/api/tasks/${taskId}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
@@ -879,7 +877,7 @@ class TaskFlowApp {
 
     async updateTaskStatus(taskId, newStatus) {
         try {
-            const response = await fetch(`/api/tasks/${taskId}`, {
+            const response = await this.authFetch(`/api/tasks/${taskId}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
@@ -910,7 +908,7 @@ class TaskFlowApp {
     async deleteTask(taskId) {
         // Delete immediately without confirmation
         try {
-            const response = await fetch(`/api/tasks/${taskId}`, {
+            const response = await this.authFetch(`/api/tasks/${taskId}`, {
                 method: 'DELETE',
                 headers: {
                     ...(this.authToken && { 'Authorization': 'Bearer ' + this.authToken })
@@ -1084,7 +1082,7 @@ class TaskFlowApp {
         const attachmentsHtml = task.attachments && task.attachments.length > 0 ? 
             `<div class="task-attachments">
                 ${task.attachments.map(file => 
-                    `<div class="attachment-item" onclick="window.open('${file.url}', '_blank')" title="${file.originalname}">
+                    `<div class="attachment-item" onclick="app.openAttachment(${file.id})" title="${file.originalname}">
                         <i class="fas fa-paperclip" aria-hidden="true"></i>
                         <span>${file.originalname}</span>
                     </div>`
@@ -1481,7 +1479,7 @@ class TaskFlowApp {
         this.showTaskModal();
         
         // Set the date field to the clicked date
-        const dateString = date.toISOString().split('T')[0];
+        const dateString = this.toDateKey(date);
         const dueDateField = this.domCache.get('taskDueDate');
         if (dueDateField) {
             dueDateField.value = dateString;
@@ -1699,10 +1697,12 @@ class TaskFlowApp {
                 this.authToken = data.token;
                 localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
                 localStorage.setItem('authToken', this.authToken);
+                localStorage.setItem('refreshToken', data.refreshToken);
                 
                 this.updateAuthUI();
                 this.hideLoginModal();
                 this.showToast(`Welcome back, ${this.currentUser.name}!`, 'success');
+                await this.syncTimezone();
                 
                 // Load user's tasks from server
                 await this.loadUserTasks();
@@ -1715,6 +1715,87 @@ class TaskFlowApp {
         }
     }
 
+    clearAuth() {
+        this.currentUser = null;
+        this.authToken = null;
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+    }
+
+    // Fetch with the current access token, refreshing it once if it has expired
+    async authFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...(this.authToken && { 'Authorization': 'Bearer ' + this.authToken })
+            }
+        });
+
+        let response = await send();
+        if (response.status === 401 && await this.refreshAuthToken()) {
+            response = await send();
+        }
+        return response;
+    }
+
+    // The audio WebSocket only accepts a one-time ticket minted for the signed-in user
+    async fetchAudioTicket() {
+        const response = await this.authFetch('/api/assistant/audio-ticket', { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Sign in to use voice features');
+        }
+        return data.ticket;
+    }
+
+    refreshAuthToken() {
+        // Share one refresh between concurrent requests: a refresh token is single-use
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async performTokenRefresh() {
+        // Another tab may already have rotated the tokens
+        const storedToken = localStorage.getItem('authToken');
+        if (storedToken && storedToken !== this.authToken) {
+            this.authToken = storedToken;
+            return true;
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.clearAuth();
+                this.updateAuthUI();
+                return false;
+            }
+
+            this.authToken = data.token;
+            localStorage.setItem('authToken', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            return false;
+        }
+    }
+
     async handleRegister(e) {
         e.preventDefault();
         
@@ -1739,13 +1820,13 @@ class TaskFlowApp {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ name, email, password })
+                body: JSON.stringify({ name, email, password, timezone: this.browserTimezone() })
             });
 
             const data = await response.json();
 
             if (data.success) {
-                this.showToast('Registration successful! Please login.', 'success');
+                this.showToast(data.message || 'Registration successful! Please login.', 'success');
                 this.hideRegisterModal();
                 this.showLoginModal();
                 
@@ -1760,11 +1841,33 @@ class TaskFlowApp {
         }
     }
 
+    // The verification email links back here with ?emailVerified=1 (or 0 when the link was bad)
+    showEmailVerificationResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('emailVerified');
+        if (result === null) return;
+
+        if (result === '1') {
+            this.showToast('Email verified! You can now login.', 'success');
+        } else {
+            this.showToast('That verification link is invalid or has expired.', 'error');
+        }
+
+        params.delete('emailVerified');
+        const query = params.toString();
+        window.history.replaceState({}, '', window.location.pathname + (query ? `?${query}` : ''));
+    }
+
     logout() {
-        this.currentUser = null;
-        this.authToken = null;
-        localStorage.removeItem('currentUser');
-        localStorage.removeItem('authToken');
+        // Revoke the session server-side; the local sign-out happens regardless
+        if (this.authToken) {
+            fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + this.authToken }
+            }).catch(() => {});
+        }
+
+        this.clearAuth();
         
         this.updateAuthUI();
         this.showToast('You have been logged out', 'success');
@@ -1829,7 +1932,7 @@ class TaskFlowApp {
     async loadUserTasks() {
         try {
             const userId = this.currentUser?.id || 'default';
-            const response = await fetch(`/api/tasks?userId=${userId}&withAttachments=true`, {
+            const response = await this.authFetch(`/api/tasks?userId=${userId}&withAttachments=true`, {
                 headers: {
                     ...(this.authToken && { 'Authorization': 'Bearer ' + this.authToken })
                 }
@@ -1868,7 +1971,7 @@ class TaskFlowApp {
     async loadUpcomingEvents() {
         try {
             const userId = this.currentUser?.id || 'default';
-            const response = await fetch(`/api/events?userId=${userId}`, {
+            const response = await this.authFetch(`/api/events?userId=${userId}`, {
                 headers: {
                     ...(this.authToken && { 'Authorization': 'Bearer ' + this.authToken })
                 }
@@ -1889,17 +1992,12 @@ class TaskFlowApp {
         const container = document.getElementById('upcomingEventsContainer');
         if (!container) return;
 
-        // Filter to show only today and future events
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // Filter to show only today and future events; dates are YYYY-MM-DD, so they compare as strings
+        const today = this.toDateKey(new Date());
         
-        const upcomingEvents = events.filter(event => {
-            const eventDate = new Date(event.date);
-            // Handle timezone issues by comparing just the date parts
-            const eventDateOnly = new Date(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate());
-            const todayDateOnly = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-            return eventDateOnly >= todayDateOnly;
-        }).sort((a, b) => new Date(a.date) - new Date(b.date));
+        const upcomingEvents = events
+            .filter(event => this.eventDateKey(event) >= today)
+            .sort((a, b) => this.eventStartTime(a) - this.eventStartTime(b));
 
         // Show only the next 5 events
         const eventsToShow = upcomingEvents.slice(0, 5);
@@ -1918,7 +2016,7 @@ class TaskFlowApp {
         }
 
         container.innerHTML = eventsToShow.map(event => {
-            const eventDate = new Date(event.date);
+            const eventDate = this.parseDateKey(this.eventDateKey(event));
             const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
             
             return `
@@ -1957,32 +2055,21 @@ class TaskFlowApp {
     }
 
     updateEventStats(events) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        const weekFromToday = new Date(today);
-        weekFromToday.setDate(weekFromToday.getDate() + 7);
+        const now = new Date();
+        const today = this.toDateKey(now);
+        const tomorrow = this.toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1));
+        const weekFromToday = this.toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 7));
 
         // Calculate stats
         const totalEvents = events.length;
-        const todayEvents = events.filter(event => {
-            const eventDate = new Date(event.date);
-            eventDate.setHours(0, 0, 0, 0);
-            return eventDate.getTime() === today.getTime();
-        }).length;
+        const todayEvents = events.filter(event => this.eventDateKey(event) === today).length;
         
         const thisWeekEvents = events.filter(event => {
-            const eventDate = new Date(event.date);
+            const eventDate = this.eventDateKey(event);
             return eventDate >= today && eventDate < weekFromToday;
         }).length;
         
-        const upcomingEvents = events.filter(event => {
-            const eventDate = new Date(event.date);
-            return eventDate >= tomorrow;
-        }).length;
+        const upcomingEvents = events.filter(event => this.eventDateKey(event) >= tomorrow).length;
 
         // Update DOM elements
         const totalEventsEl = document.getElementById('totalEvents');
@@ -1996,6 +2083,59 @@ class TaskFlowApp {
         if (upcomingEventsEl) upcomingEventsEl.textContent = upcomingEvents;
     }
 
+    // Local calendar date as YYYY-MM-DD; toISOString() would give the UTC date instead
+    toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Events carry their wall-clock date in the event's zone; older responses may send a full timestamp
+    eventDateKey(event) {
+        return String(event.date).slice(0, 10);
+    }
+
+    // The event's instant when the server sent one, for ordering events across zones
+    eventStartTime(event) {
+        return event.start_at ? new Date(event.start_at).getTime() : this.parseDateKey(this.eventDateKey(event)).getTime();
+    }
+
+    browserTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Accounts that never chose a zone (e.g. created before time zones) sit on UTC; adopt the
+    // browser's zone once signed in. Saving it marks it as chosen, and so does picking UTC.
+    async syncTimezone() {
+        const timezone = this.browserTimezone();
+        if (!timezone || !this.currentUser || this.currentUser.timezoneSet || this.currentUser.timezone !== 'UTC' || timezone === 'UTC') {
+            return;
+        }
+
+        try {
+            const response = await this.authFetch('/api/auth/preferences', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timezone })
+            });
+
+            if (response.ok) {
+                this.currentUser.timezone = timezone;
+                this.currentUser.timezoneSet = true;
+                localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+            }
+        } catch (error) {
+            console.error('Error updating time zone:', error);
+        }
+    }
+
     formatTime(timeString) {
         if (!timeString) return '';
         const [hours, minutes] = timeString.split(':');
@@ -2067,7 +2207,7 @@ class TaskFlowApp {
 
     async addTaskAttachment(taskId, fileId) {
         try {
-            const response = await fetch(`/api/tasks/${taskId}/attachments/${fileId}`, {
+            const response = await this.authFetch(`/api/tasks/${taskId}/attachments/${fileId}`, {
                 method: 'POST',
                 headers: {
                     ...(this.authToken && { 'Authorization': 'Bearer ' + this.authToken })
@@ -2086,7 +2226,7 @@ class TaskFlowApp {
 
     async removeTaskAttachment(taskId, fileId) {
         try {
-            const response = await fetch(`/api/tasks/${taskId}/attachments/${fileId}`, {
+            const response = await this.authFetch(`/api/tasks/${taskId}/attachments/${fileId}`, {
                 method: 'DELETE',
                 headers: {
                     ...(this.authToken && { 'Authorization': 'Bearer ' + this.authToken })
@@ -2103,6 +2243,26 @@ class TaskFlowApp {
         }
     }
 
+    // Files are only served to their owner, so they are fetched with the session token
+    // and opened from a local object URL rather than linked directly
+    async openAttachment(fileId) {
+        const tab = window.open('', '_blank');
+        try {
+            const response = await this.authFetch(`/api/files/${fileId}`);
+            if (!response.ok) {
+                throw new Error('Attachment not found');
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            tab.location.href = url;
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            tab.close();
+            console.error('Open attachment error:', error);
+            this.showToast('Failed to open attachment: ' + error.message, 'error');
+        }
+    }
+
     // New navigation system
     setupNavigation() {
         // Get all navigation elements
@@ -2392,7 +2552,7 @@ class AIChatWidget {
 
         try {
             // Send to AI assistant API
-            const response = await fetch('/api/assistant/chat', {
+            const response = await window.app.authFetch('/api/assistant/chat', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -2415,11 +2575,11 @@ class AIChatWidget {
                 
                 // Handle actions if any
                 if (data.action) {
-                    this.handleAction(data.action, data.data, data.actionResult);
+                    this.handleAction(data.action, data.data, data.actionResult, data);
                 }
 
-                // If an event was created, force calendar refresh
-                if (data.action === 'EVENT_CREATED' && window.app) {
+                // If an event was created or a change reverted, force calendar refresh
+                if (['EVENT_CREATED', 'ACTION_CONFIRMED', 'ACTION_UNDONE'].includes(data.action) && window.app) {
                     setTimeout(() => {
                         console.log('AI: Force refreshing calendar after event creation');
                         window.app.loadUpcomingEvents();
@@ -2532,7 +2692,7 @@ class AIChatWidget {
         this.isTyping = false;
     }
 
-    handleAction(action, data, actionResult) {
+    handleAction(action, data, actionResult, response = {}) {
         switch (action) {
             case 'EVENT_CREATED':
                 this.showEventCreatedNotification(data);
@@ -2545,6 +2705,80 @@ class AIChatWidget {
                 this.showDateTimePicker(action, data);
                 break;
         }
+
+        // Changes the assistant is waiting on need a yes; executed ones can be undone for a while
+        if (response.pendingAction) {
+            this.addActionButtons([
+                { label: 'Confirm', icon: 'fa-check', onClick: () => this.settleAction(response.pendingAction.token, true) },
+                { label: 'Cancel', icon: 'fa-times', onClick: () => this.settleAction(response.pendingAction.token, false) }
+            ], response.pendingAction.expiresIn);
+        }
+        if (response.undo) {
+            this.addActionButtons([
+                { label: 'Undo', icon: 'fa-undo', onClick: () => this.undoAction(response.undo.id) }
+            ], response.undo.expiresIn);
+        }
+    }
+
+    // Buttons under the newest assistant message; they go away once used or expired
+    addActionButtons(buttons, expiresIn) {
+        const messages = this.chatMessages.querySelectorAll('.ai-message .message-content');
+        const content = messages[messages.length - 1];
+        if (!content) return;
+
+        const container = document.createElement('div');
+        container.className = 'message-actions';
+        buttons.forEach(({ label, icon, onClick }) => {
+            const button = document.createElement('button');
+            button.className = 'action-btn';
+            button.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+            button.addEventListener('click', () => {
+                container.remove();
+                onClick();
+            });
+            container.appendChild(button);
+        });
+        content.appendChild(container);
+        setTimeout(() => container.remove(), expiresIn * 1000);
+    }
+
+    async settleAction(token, confirmed) {
+        try {
+            const response = await window.app.authFetch(`/api/assistant/actions/${encodeURIComponent(token)}${confirmed ? '/confirm' : ''}`, {
+                method: confirmed ? 'POST' : 'DELETE'
+            });
+            const data = await response.json();
+            this.addMessage(data.response || data.error, 'ai');
+
+            if (data.undo) {
+                this.handleAction(data.action, data.data, data.actionResult, data);
+            }
+            if (data.action === 'ACTION_CONFIRMED' && window.app) {
+                window.app.loadUpcomingEvents();
+            }
+        } catch (error) {
+            console.error('Assistant action error:', error);
+            this.addMessage('I couldn\'t reach the server to do that. Please try again.', 'ai');
+        }
+    }
+
+    async undoAction(id) {
+        try {
+            const response = await window.app.authFetch('/api/assistant/undo', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id })
+            });
+            const data = await response.json();
+            this.addMessage(data.response || data.error, 'ai');
+
+            if (data.action === 'ACTION_UNDONE' && window.app) {
+                window.app.loadUpcomingEvents();
+            }
+        } catch (error) {
+            console.error('Assistant undo error:', error);
+            this.addMessage('I couldn\'t reach the server to undo that. Please try again.', 'ai');
+        }
     }
 
     showEventCreatedNotification(data) {
@@ -2573,7 +2807,7 @@ class AIChatWidget {
         const lastConversation = this.conversationHistory[this.conversationHistory.length - 1];
         
         try {
-            await fetch('/api/assistant/feedback', {
+            await window.app.authFetch('/api/assistant/feedback', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -2634,7 +2868,7 @@ class AIChatWidget {
                 // Connect and start recording
                 if (!this.audioClient.isConnected) {
                     this.updateStatus('Connecting to audio service...', 'processing');
-                    await this.audioClient.connect('user123'); // TODO: Use real user ID
+                    await this.audioClient.connect(await this.fetchAudioTicket());
                     
                     // Wait a bit for connection to stabilize
                     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -2680,7 +2914,8 @@ class AIChatWidget {
         // Test connection immediately for debugging
         if (window.location.search.includes('debug=audio')) {
             console.log('Debug mode: Testing audio connection...');
-            RealtimeAudioClient.testConnection()
+            this.fetchAudioTicket()
+                .then(ticket => RealtimeAudioClient.testConnection(ticket))
                 .then(() => {
                     console.log('✅ Audio connection test passed');
                     this.showToast('Audio connection test successful', 'success');
@@ -2730,6 +2965,12 @@ class AIChatWidget {
             this.showToast('✅ Session renewed - you can continue your conversation', 'success');
             this.updateStatus('Ready to help', 'connected');
         };
+
+        // Events and tasks created by voice are saved server-side; refresh the lists
+        this.audioClient.onCalendarUpdated = () => {
+            this.loadUserTasks();
+            this.loadUpcomingEvents();
+        };
     }
 
     updateStatus(status, cssClass = null) {
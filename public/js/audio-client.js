@@ -15,6 +15,7 @@ class RealtimeAudioClient {
         this.onAudioResponse = null;
         this.onConnectionChange = null;
         this.onError = null;
+        this.onCalendarUpdated = null;
         
         // Audio settings
         this.audioFormat = 'pcm16';
@@ -79,15 +80,15 @@ class RealtimeAudioClient {
     }
 
     /**
-     * Connect to WebSocket server
+     * Connect to WebSocket server using a one-time ticket from /api/assistant/audio-ticket
      */
-    async connect(userId = 'anonymous') {
+    async connect(ticket) {
         try {
             const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
             const host = window.location.host;
-            const wsUrl = `${protocol}//${host}/api/realtime-audio?userId=${userId}`;
+            const wsUrl = `${protocol}//${host}/api/realtime-audio?ticket=${encodeURIComponent(ticket)}`;
             
-            console.log('Connecting to WebSocket:', wsUrl);
+            console.log('Connecting to WebSocket:', `${protocol}//${host}/api/realtime-audio`);
             console.log('Browser WebSocket support:', typeof WebSocket !== 'undefined');
             
             // Check if running on Vercel (serverless)
@@ -353,6 +354,11 @@ class RealtimeAudioClient {
                 this.onSessionRenewed?.(message);
                 break;
 
+            case 'calendar.updated':
+                console.log('Calendar updated by voice:', message.function);
+                this.onCalendarUpdated?.(message);
+                break;
+
             case 'error':
                 console.error('Server error:', message.error);
                 this.onError?.(message.error?.message || 'Server error');
@@ -558,7 +564,7 @@ class RealtimeAudioClient {
     /**
      * Test connection without full initialization
      */
-    static async testConnection() {
+    static async testConnection(ticket) {
         try {
             const protocol = window.location.protocol;
             const host = window.location.host;
@@ -583,9 +589,9 @@ class RealtimeAudioClient {
             
             // For local development, test WebSocket
             const wsProtocol = protocol === 'https:' ? 'wss:' : 'ws:';
-            const wsUrl = `${wsProtocol}//${host}/api/realtime-audio?userId=test`;
+            const wsUrl = `${wsProtocol}//${host}/api/realtime-audio?ticket=${encodeURIComponent(ticket)}`;
             
-            console.log('Testing WebSocket connection to:', wsUrl);
+            console.log('Testing WebSocket connection to:', `${wsProtocol}//${host}/api/realtime-audio`);
             
             return new Promise((resolve, reject) => {
                 const ws = new WebSocket(wsUrl);
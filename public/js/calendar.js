@@ -5,6 +5,7 @@ let currentYear = currentDate.getFullYear();
 let selectedDate = null;
 let events = [];
 let editingEventId = null;
+let editingEvent = null;
 let isInitialized = false;
 
 // Initialize calendar on page load
@@ -49,6 +50,7 @@ function setupEventListeners() {
             }
             renderCalendar();
             updateMonthYearDisplay();
+            loadEvents();
         });
     }
 
@@ -64,6 +66,7 @@ function setupEventListeners() {
             }
             renderCalendar();
             updateMonthYearDisplay();
+            loadEvents();
         });
     }
 
@@ -77,6 +80,7 @@ function setupEventListeners() {
             currentYear = today.getFullYear();
             renderCalendar();
             updateMonthYearDisplay();
+            loadEvents();
         });
     }
 
@@ -125,6 +129,25 @@ function setupEventListeners() {
         newEventForm.addEventListener('submit', handleEventSubmit);
     }
 
+    const repeatSelect = document.getElementById('eventRepeat');
+    const repeatEndsSelect = document.getElementById('eventRepeatEnds');
+    if (repeatSelect) repeatSelect.addEventListener('change', updateRecurrenceFields);
+    if (repeatEndsSelect) repeatEndsSelect.addEventListener('change', updateRecurrenceFields);
+
+    // Moving the start moves the end with it, so the event keeps its length
+    const startDateInput = document.getElementById('eventDate');
+    const startTimeInput = document.getElementById('eventTime');
+    const allDayInput = document.getElementById('eventAllDay');
+    if (startDateInput) {
+        startDateInput.addEventListener('focus', () => { startDateInput.dataset.previous = startDateInput.value; });
+        startDateInput.addEventListener('change', () => shiftEventEnd('date', startDateInput));
+    }
+    if (startTimeInput) {
+        startTimeInput.addEventListener('focus', () => { startTimeInput.dataset.previous = startTimeInput.value; });
+        startTimeInput.addEventListener('change', () => shiftEventEnd('time', startTimeInput));
+    }
+    if (allDayInput) allDayInput.addEventListener('change', updateTimeFields);
+
     if (deleteEventBtn) {
         const newDeleteBtn = deleteEventBtn.cloneNode(true);
         deleteEventBtn.parentNode.replaceChild(newDeleteBtn, deleteEventBtn);
@@ -226,9 +249,8 @@ function createDayElement(day, isOtherMonth, isToday) {
                 }
                 
                 try {
-                    // Handle both formats: "2025-08-31" and "2025-08-31T04:00:00.000Z"
-                    const eventDateStr = event.date.split('T')[0]; // Extract date part
-                    const matches = eventDateStr === dateStr;
+                    // Multi-day events show on every day they cover
+                    const matches = eventCoversDate(event, dateStr);
                     if (matches) {
                         console.log(`🗓️ Event "${event.title}" matches date ${dateStr}`);
                     }
@@ -281,10 +303,11 @@ function createDayElement(day, isOtherMonth, isToday) {
                 const eventDetails = document.createElement('div');
                 eventDetails.className = 'event-preview-details';
                 
-                if (firstEvent.time) {
+                const firstEventTime = formatEventTime(firstEvent, dateStr);
+                if (firstEventTime) {
                     const eventTime = document.createElement('div');
                     eventTime.className = 'event-preview-time';
-                    eventTime.textContent = formatTime(firstEvent.time);
+                    eventTime.textContent = firstEventTime;
                     eventDetails.appendChild(eventTime);
                 }
                 
@@ -414,9 +437,7 @@ function displayDayEvents(date) {
             }
             
             try {
-                // Handle both formats: "2025-08-31" and "2025-08-31T04:00:00.000Z"
-                const eventDateStr = event.date.split('T')[0]; // Extract date part
-                return eventDateStr === dateStr;
+                return eventCoversDate(event, dateStr);
             } catch (error) {
                 console.warn('❌ Error processing event date in day display:', event, error);
                 return false;
@@ -439,11 +460,12 @@ function displayDayEvents(date) {
 
         dayEventsContainer.innerHTML = '';
         uniqueDayEvents.forEach(event => {
+            const eventTime = formatEventTime(event, dateStr);
             const eventCard = document.createElement('div');
             eventCard.className = `event-card ${event.color || 'blue'}`;
             eventCard.innerHTML = `
                 <div class="event-card-title">${escapeHtml(event.title || '')}</div>
-                ${event.time ? `<div class="event-card-time">${escapeHtml(event.time)}</div>` : ''}
+                ${eventTime ? `<div class="event-card-time">${escapeHtml(eventTime)}</div>` : ''}
                 ${event.location ? `<div class="event-card-location"><i class="fas fa-map-marker-alt"></i> ${escapeHtml(event.location)}</div>` : ''}
             `;
             eventCard.addEventListener('click', (e) => {
@@ -469,9 +491,12 @@ function openEventModal(date = null) {
             const deleteBtn = document.getElementById('deleteEvent');
             
             if (eventForm) eventForm.reset();
+            updateRecurrenceFields();
+            updateTimeFields();
             if (modalTitle) modalTitle.textContent = 'Add New Event';
             if (deleteBtn) deleteBtn.style.display = 'none';
             editingEventId = null;
+            editingEvent = null;
 
             // Set date if provided
             const eventDateInput = document.getElementById('eventDate');
@@ -496,6 +521,7 @@ function closeEventModal() {
             modal.style.display = 'none';
         }
         editingEventId = null;
+        editingEvent = null;
     } catch (error) {
         console.error('Error closing event modal:', error);
     }
@@ -511,6 +537,9 @@ function editEvent(event) {
         const eventDescription = safeGetElement('eventDescription');
         const eventDate = safeGetElement('eventDate');
         const eventTime = safeGetElement('eventTime');
+        const eventEndDate = safeGetElement('eventEndDate');
+        const eventEndTime = safeGetElement('eventEndTime');
+        const eventAllDay = safeGetElement('eventAllDay');
         const eventType = safeGetElement('eventType');
         const eventColor = safeGetElement('eventColor');
         const eventLocation = safeGetElement('eventLocation');
@@ -520,13 +549,19 @@ function editEvent(event) {
         if (eventTitle) eventTitle.value = event.title || '';
         if (eventDescription) eventDescription.value = event.description || '';
         if (eventDate) eventDate.value = event.date || '';
-        if (eventTime) eventTime.value = event.time || '';
+        if (eventTime) eventTime.value = event.time ? event.time.slice(0, 5) : '';
+        if (eventEndDate) eventEndDate.value = event.end_date || event.date || '';
+        if (eventEndTime) eventEndTime.value = event.end_time ? event.end_time.slice(0, 5) : '';
+        if (eventAllDay) eventAllDay.checked = !!event.all_day;
+        updateTimeFields();
         if (eventType) eventType.value = event.type || 'other';
         if (eventColor) eventColor.value = event.color || 'blue';
         if (eventLocation) eventLocation.value = event.location || '';
         if (deleteEvent) deleteEvent.style.display = 'block';
+        populateRecurrenceFields(event.rrule);
         
         editingEventId = event.id;
+        editingEvent = event;
     } catch (error) {
         console.error('Error editing event:', error);
     }
@@ -537,24 +572,35 @@ async function handleEventSubmit(e) {
     
     const formData = new FormData(e.target);
     const eventData = {
-        userId: 'default',
         title: formData.get('title'),
         description: formData.get('description'),
         date: formData.get('date'),
         time: formData.get('time'),
+        endDate: formData.get('endDate') || undefined,
+        endTime: formData.get('endTime') || undefined,
         type: formData.get('type'),
         color: formData.get('color'),
         location: formData.get('location'),
         allDay: formData.get('allDay') === 'on',
-        recurring: formData.get('recurring') === 'on',
-        recurringType: formData.get('recurringType')
+        recurrence: buildRecurrence(formData)
     };
 
+    if (isRecurringInstance(editingEvent)) {
+        const scope = await promptRecurrenceScope('Edit recurring event');
+        if (!scope) return;
+        eventData.scope = scope;
+
+        // A moved single occurrence has no rule of its own; leave the series rule alone
+        if (!editingEvent.rrule && !eventData.recurrence) {
+            delete eventData.recurrence;
+        }
+    }
+
     try {
         const url = editingEventId ? `/api/events/${editingEventId}` : '/api/events';
         const method = editingEventId ? 'PUT' : 'POST';
         
-        const response = await fetch(url, {
+        const response = await authFetch(url, {
             method: method,
             headers: {
                 'Content-Type': 'application/json'
@@ -584,7 +630,13 @@ async function handleEventSubmit(e) {
             if (selectedDate) {
                 displayDayEvents(selectedDate);
             }
-            showNotification(editingEventId ? 'Event updated successfully' : 'Event created successfully', 'success');
+            // New events that overlap others are still saved; say what they clash with
+            const conflicts = responseData.conflicts || [];
+            if (conflicts.length) {
+                showNotification(`Event created, but it overlaps ${conflicts.map(conflict => conflict.title).join(', ')}`, 'warning');
+            } else {
+                showNotification(editingEventId ? 'Event updated successfully' : 'Event created successfully', 'success');
+            }
             
             // Notify dashboard about the event change
             notifyDashboardUpdate();
@@ -603,10 +655,17 @@ async function handleEventSubmit(e) {
 async function handleDeleteEvent() {
     if (!editingEventId) return;
     
-    if (!confirm('Are you sure you want to delete this event?')) return;
+    let url = `/api/events/${editingEventId}`;
+    if (isRecurringInstance(editingEvent)) {
+        const scope = await promptRecurrenceScope('Delete recurring event');
+        if (!scope) return;
+        url += `?scope=${scope}`;
+    } else if (!confirm('Are you sure you want to delete this event?')) {
+        return;
+    }
 
     try {
-        const response = await fetch(`/api/events/${editingEventId}`, {
+        const response = await authFetch(url, {
             method: 'DELETE'
         });
 
@@ -638,9 +697,215 @@ async function handleDeleteEvent() {
     }
 }
 
+// Fetch with the Bearer token saved by the dashboard login, refreshing it once if it has expired
+async function authFetch(url, options = {}) {
+    const send = () => {
+        const token = localStorage.getItem('authToken');
+        return fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...(token && { 'Authorization': `Bearer ${token}` })
+            }
+        });
+    };
+
+    let response = await send();
+    if (response.status === 401 && await refreshAuthToken()) {
+        response = await send();
+    }
+    return response;
+}
+
+let refreshPromise = null;
+
+// A refresh token is single-use, so concurrent requests share one refresh
+function refreshAuthToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const data = await response.json();
+                if (!data.success) return false;
+
+                localStorage.setItem('authToken', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                return true;
+            } catch (error) {
+                console.warn('Token refresh failed:', error);
+                return false;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+// Occurrences expanded from a series, and overrides of a single occurrence, carry series_id
+function isRecurringInstance(event) {
+    return !!(event && event.series_id);
+}
+
+// Ask whether a change applies to this occurrence, this and following, or the whole series
+function promptRecurrenceScope(title) {
+    return new Promise(resolve => {
+        const modal = document.getElementById('recurrenceScopeModal');
+        if (!modal) {
+            resolve('all');
+            return;
+        }
+
+        const titleEl = document.getElementById('recurrenceScopeTitle');
+        if (titleEl) titleEl.textContent = title;
+
+        const buttons = modal.querySelectorAll('[data-scope]');
+        const choose = (e) => {
+            e.preventDefault();
+            buttons.forEach(button => button.removeEventListener('click', choose));
+            modal.classList.remove('show');
+            resolve(e.currentTarget.dataset.scope || null);
+        };
+
+        buttons.forEach(button => button.addEventListener('click', choose));
+        modal.classList.add('show');
+    });
+}
+
+// All-day events have no start or end time
+function updateTimeFields() {
+    const allDay = document.getElementById('eventAllDay')?.checked;
+    ['eventTime', 'eventEndTime'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.disabled = !!allDay;
+            if (allDay) input.value = '';
+        }
+    });
+}
+
+/**
+ * Shift the end date or time by however far the start just moved. An end that was
+ * empty is filled in: the start date, or an hour after the start time.
+ */
+function shiftEventEnd(field, startInput) {
+    const endInput = document.getElementById(field === 'date' ? 'eventEndDate' : 'eventEndTime');
+    const previous = startInput.dataset.previous;
+    startInput.dataset.previous = startInput.value;
+    if (!endInput || !startInput.value) return;
+
+    if (field === 'date') {
+        const days = previous && endInput.value ? daysBetween(previous, endInput.value) : 0;
+        endInput.value = shiftDateString(startInput.value, Math.max(0, days));
+        return;
+    }
+
+    const minutes = previous && endInput.value ? toMinutes(endInput.value) - toMinutes(previous) : 60;
+    // Wrapping past midnight is fine: the server reads an earlier end time as the next day
+    const end = (toMinutes(startInput.value) + (minutes > 0 ? minutes : 60)) % (24 * 60);
+    endInput.value = `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+}
+
+// Show only the recurrence inputs that apply to the selected frequency and end condition
+function updateRecurrenceFields() {
+    const freq = document.getElementById('eventRepeat')?.value || '';
+    const ends = document.getElementById('eventRepeatEnds')?.value || 'never';
+    const options = document.getElementById('recurrenceOptions');
+    const weekdaysGroup = document.getElementById('repeatWeekdaysGroup');
+    const countGroup = document.getElementById('repeatCountGroup');
+    const untilGroup = document.getElementById('repeatUntilGroup');
+
+    if (options) options.classList.toggle('active', !!freq);
+    if (weekdaysGroup) weekdaysGroup.style.display = freq === 'WEEKLY' ? 'block' : 'none';
+    if (countGroup) countGroup.style.display = ends === 'count' ? 'block' : 'none';
+    if (untilGroup) untilGroup.style.display = ends === 'until' ? 'block' : 'none';
+}
+
+// Build the recurrence object sent to the API, or null for one-off events
+function buildRecurrence(formData) {
+    const freq = formData.get('repeat');
+    if (!freq) return null;
+
+    const recurrence = {
+        freq,
+        interval: parseInt(formData.get('repeatInterval'), 10) || 1
+    };
+
+    if (freq === 'WEEKLY') {
+        const byDay = formData.getAll('byDay');
+        if (byDay.length > 0) recurrence.byDay = byDay;
+    }
+
+    const ends = formData.get('repeatEnds');
+    if (ends === 'count') {
+        recurrence.count = parseInt(formData.get('repeatCount'), 10) || 1;
+    } else if (ends === 'until' && formData.get('repeatUntil')) {
+        recurrence.until = formData.get('repeatUntil');
+    }
+
+    return recurrence;
+}
+
+// Fill the recurrence inputs from a stored RRULE string
+function populateRecurrenceFields(rrule) {
+    const parts = {};
+    (rrule || '').replace(/^RRULE:/i, '').split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        if (key && value) parts[key.toUpperCase()] = value.toUpperCase();
+    });
+
+    const repeatSelect = document.getElementById('eventRepeat');
+    const intervalInput = document.getElementById('eventRepeatInterval');
+    const endsSelect = document.getElementById('eventRepeatEnds');
+    const countInput = document.getElementById('eventRepeatCount');
+    const untilInput = document.getElementById('eventRepeatUntil');
+
+    if (repeatSelect) repeatSelect.value = parts.FREQ || '';
+    if (intervalInput) intervalInput.value = parts.INTERVAL || 1;
+
+    const byDay = (parts.BYDAY || '').split(',');
+    document.querySelectorAll('input[name="byDay"]').forEach(checkbox => {
+        checkbox.checked = byDay.includes(checkbox.value);
+    });
+
+    if (endsSelect) {
+        if (parts.COUNT) {
+            endsSelect.value = 'count';
+            if (countInput) countInput.value = parts.COUNT;
+        } else if (parts.UNTIL) {
+            endsSelect.value = 'until';
+            if (untilInput) {
+                untilInput.value = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+            }
+        } else {
+            endsSelect.value = 'never';
+        }
+    }
+
+    updateRecurrenceFields();
+}
+
+// Date range covered by the visible month grid, including leading/trailing days
+function getVisibleRange() {
+    const start = new Date(currentYear, currentMonth, 1);
+    start.setDate(start.getDate() - start.getDay());
+    const end = new Date(start);
+    end.setDate(end.getDate() + 41);
+    return { startDate: formatDateInput(start), endDate: formatDateInput(end) };
+}
+
 async function loadEvents(skipRender = false) {
     try {
-        const response = await fetch('/api/events?userId=default');
+        // Request the visible range so the server expands recurring events into occurrences
+        const { startDate, endDate } = getVisibleRange();
+        const response = await authFetch(`/api/events?startDate=${startDate}&endDate=${endDate}`);
         if (response.ok) {
             const data = await response.json();
             let rawEvents = data.events || [];
@@ -716,6 +981,54 @@ function formatDateInput(date) {
     return formatDateString(date.getFullYear(), date.getMonth(), date.getDate());
 }
 
+function shiftDateString(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return formatDateInput(new Date(year, month - 1, day + days));
+}
+
+function daysBetween(fromDate, toDate) {
+    const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+    return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / 86400000);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Last day an event covers; a timed event ending at midnight stops the day before
+function eventLastDay(event) {
+    const start = event.date.split('T')[0];
+    const end = (event.end_date || start).split('T')[0];
+    if (end > start && !event.all_day && event.time && String(event.end_time || '').startsWith('00:00')) {
+        return shiftDateString(end, -1);
+    }
+    return end < start ? start : end;
+}
+
+// Handles both "2025-08-31" and "2025-08-31T04:00:00.000Z" dates
+function eventCoversDate(event, dateStr) {
+    return event.date.split('T')[0] <= dateStr && dateStr <= eventLastDay(event);
+}
+
+/**
+ * The time to show for an event on one day: "9:00 AM - 10:30 AM" for same-day
+ * events; multi-day ones show when they start and end on their first and last days.
+ */
+function formatEventTime(event, dateStr) {
+    if (event.all_day || !event.time) return '';
+
+    const start = event.date.split('T')[0];
+    const last = eventLastDay(event);
+    if (start === last) {
+        return event.end_time ? `${formatTime(event.time)} - ${formatTime(event.end_time)}` : formatTime(event.time);
+    }
+    if (dateStr === start) return `Starts ${formatTime(event.time)}`;
+    if (dateStr === last) return `Ends ${formatTime(event.end_time)}`;
+    return 'All day';
+}
+
 function formatDateDisplay(date) {
     const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
     return date.toLocaleDateString('en-US', options);
@@ -829,6 +1142,11 @@ notificationStyles.textContent = `
         color: white;
     }
 
+    .notification.warning {
+        background: var(--warning);
+        color: white;
+    }
+
     .no-events {
         text-align: center;
         color: var(--text-muted);
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migrations for SQLite and Postgres/Neon (uses DATABASE_URL)
+ *
+ *   npm run migrate -- status
+ *   npm run migrate -- up [--to=003]
+ *   npm run migrate -- down [--steps=1 | --to=001]
+ */
+
+require('dotenv').config();
+const { createRepository } = require('../lib/repository');
+const { Migrator } = require('../lib/migrator');
+
+function parseOptions(args) {
+  return args.reduce((options, arg) => {
+    const match = arg.match(/^--(\w+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    options[match[1]] = match[2];
+    return options;
+  }, {});
+}
+
+async function migrate() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const database = createRepository();
+
+  try {
+    const options = parseOptions(args);
+    await database.initialize({ migrate: false });
+    const migrator = new Migrator(database);
+
+    if (command === 'up') {
+      const applied = await migrator.up({ to: options.to || null });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrator.down({
+        steps: options.steps ? parseInt(options.steps, 10) : 1,
+        to: options.to || null
+      });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const migrations = await migrator.status();
+      console.log(`📋 Migrations (${database.dialect}):`);
+      migrations.forEach(migration => {
+        const state = migration.missing ? 'applied, file missing' : migration.applied ? 'applied' : 'pending';
+        console.log(`  ${migration.version}_${migration.name}: ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+    }
+
+    await database.close();
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
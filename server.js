@@ -4,20 +4,54 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const http = require('http');
+const crypto = require('crypto');
 require('dotenv').config();
 
-const DatabaseService = require('./lib/database-neon');
+const { createRepository } = require('./lib/repository');
 const { EncryptionService } = require('./lib/encryption');
 const { UserManager } = require('./lib/user-manager');
 const { Logger } = require('./lib/logger');
 const { ConfigManager } = require('./lib/config-manager');
 const { RealtimeAudioService } = require('./lib/realtime-audio-service');
+const { MemoryService } = require('./lib/memory-service');
+const { AIAssistant } = require('./lib/ai-assistant');
+const { needsConfirmation } = require('./lib/assistant-actions');
+const {
+  handleDirectIntent,
+  runAssistantAction,
+  settleAssistantAction,
+  trackAssistantAction,
+  undoAssistantAction
+} = require('./lib/assistant-handlers');
+const {
+  findConflicts,
+  getAvailability,
+  getWorkingHours,
+  normalizeWorkingHours,
+  suggestSlots
+} = require('./lib/availability');
+const { UsageMeter } = require('./lib/usage-meter');
+const { authenticateRequest, requireAuth, requireScope } = require('./lib/auth-middleware');
+const { MemoryStore, createRateLimiter, defaultKeyGenerator } = require('./lib/rate-limiter');
+const { API_KEY_SCOPES, ApiKeyManager } = require('./lib/api-key-manager');
+const { createMailer } = require('./lib/mailer');
+const { RecurrenceRule, formatExdates } = require('./lib/recurrence');
+const { buildICalendar, parseICalendar } = require('./lib/icalendar');
+const { acceptPlan, planTasks } = require('./lib/task-scheduler');
+const { eventDurationMinutes, isValidTimeZone, todayInZone, withEventTimes } = require('./lib/timezones');
+const {
+  EVENT_SCOPES,
+  deleteEventInScope,
+  eventOwnerId,
+  resolveEventTarget,
+  updateEventInScope
+} = require('./lib/event-scope');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize services
-let database, encryption, userManager, logger, configManager, realtimeAudio;
+let database, encryption, userManager, apiKeyManager, logger, configManager, realtimeAudio, usageMeter, aiAssistant;
 let servicesInitialized = false;
 
 async function initializeServices() {
@@ -29,10 +63,22 @@ async function initializeServices() {
     logger = new Logger();
     configManager = new ConfigManager();
     encryption = new EncryptionService();
-    database = new DatabaseService();
+    database = createRepository();
     await database.initialize();
-    userManager = new UserManager(database, encryption);
-    realtimeAudio = new RealtimeAudioService();
+    userManager = new UserManager(database, encryption, {
+      mailer: createMailer(configManager.getMailConfig()),
+      requireEmailVerification: configManager.isFeatureEnabled('emailVerification')
+    });
+    apiKeyManager = new ApiKeyManager(database, encryption);
+    usageMeter = new UsageMeter(database, configManager.getUsageConfig());
+    // Shared so chat sessions keep their dialogue state between requests
+    aiAssistant = new AIAssistant(database, null, { usageMeter });
+    realtimeAudio = new RealtimeAudioService(null, {
+      database,
+      memoryService: new MemoryService(database),
+      usageMeter,
+      authenticate: req => authenticateRequest(req, userManager)
+    });
     
     servicesInitialized = true;
     logger.info('All services initialized successfully');
@@ -53,6 +99,11 @@ async function ensureServices(req, res, next) {
   }
 }
 
+// Behind a reverse proxy (e.g. Vercel), req.ip must come from X-Forwarded-For so rate limits are per client
+if (process.env.VERCEL || process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
@@ -106,6 +157,63 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Authenticate the caller from the Bearer token or an X-API-Key header and set req.user
+const authenticate = requireAuth(
+  () => userManager,
+  () => (configManager.isFeatureEnabled('apiKeys') ? apiKeyManager : null)
+);
+
+// Account management (sessions, API keys) needs a signed-in session, not an API key
+const authenticateSession = requireAuth(() => userManager);
+
+// Rate limit buckets follow the authenticated user or API key, falling back to the client IP
+async function rateLimitKey(req) {
+  try {
+    await initializeServices();
+    const user = await authenticateRequest(
+      req,
+      userManager,
+      configManager.isFeatureEnabled('apiKeys') ? apiKeyManager : null
+    );
+    return defaultKeyGenerator({ ip: req.ip, user });
+  } catch (error) {
+    return defaultKeyGenerator({ ip: req.ip });
+  }
+}
+
+// One shared store for every bucket; swap MemoryStore for a shared store when running multiple instances
+const rateLimitStore = new MemoryStore();
+const rateLimitConfig = new ConfigManager().getSecurityConfig().rateLimit;
+
+const apiLimiter = createRateLimiter({
+  name: 'api',
+  windowMs: rateLimitConfig.windowMs,
+  max: rateLimitConfig.max,
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey
+});
+const loginLimiter = createRateLimiter({
+  name: 'login',
+  ...rateLimitConfig.login,
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey,
+  message: 'Too many login attempts, please try again later.'
+});
+const assistantChatLimiter = createRateLimiter({
+  name: 'assistant-chat',
+  ...rateLimitConfig.assistantChat,
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey,
+  message: 'Too many assistant messages, please slow down.'
+});
+
+app.use('/api', apiLimiter);
+
+// Task, event and assistant data is scoped to the signed-in user; API keys also need the matching scope
+app.use('/api/tasks', ensureServices, authenticate, requireScope('tasks'));
+app.use(['/api/events', '/api/availability', '/api/calendar/feed'], ensureServices, authenticate, requireScope('events'));
+app.use('/api/assistant', ensureServices, authenticate, requireScope('assistant'));
+
 // Routes
 
 // Health check
@@ -132,29 +240,115 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Authentication endpoints
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', ensureServices, async (req, res) => {
   try {
-    const { email, password, name } = req.body;
-    const result = await userManager.createUser({ email, password, name });
-    res.json({ success: true, user: result });
+    const { email, password, name, timezone } = req.body;
+    const result = await userManager.createUser({ email, password, name, timezone });
+
+    if (!result.emailVerified) {
+      await userManager.sendVerificationEmail(result, getBaseUrl(req)).catch(error => {
+        // The user can ask for a new link, so a mail failure does not fail registration
+        logger.error('Failed to send verification email:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      user: result,
+      message: result.emailVerified
+        ? 'Registration successful! Please login.'
+        : 'Registration successful! Check your email to verify your account before logging in.'
+    });
   } catch (error) {
     logger.error('Registration error:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginLimiter, ensureServices, async (req, res) => {
   try {
     const { email, password } = req.body;
-    const result = await userManager.authenticate(email, password);
+    const result = await userManager.authenticate(email, password, getClientInfo(req));
     res.json({ success: true, ...result });
   } catch (error) {
+    if (error.code === 'EMAIL_NOT_VERIFIED') {
+      return res.status(403).json({ error: 'Please verify your email address before logging in', code: error.code });
+    }
     logger.error('Login error:', error);
     res.status(401).json({ error: 'Invalid credentials' });
   }
 });
 
-app.post('/api/auth/verify', async (req, res) => {
+// Request a password reset link; the response is the same whether or not the account exists
+app.post('/api/auth/forgot', ensureServices, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await userManager.requestPasswordReset(email, getBaseUrl(req));
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Set a new password from an emailed reset token; all existing sessions are revoked
+app.post('/api/auth/reset', ensureServices, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    await userManager.resetPassword(token, password);
+    res.json({ success: true, message: 'Password updated. Please login with your new password.' });
+  } catch (error) {
+    logger.error('Password reset error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Link target from the verification email
+app.get('/api/auth/verify-email', ensureServices, async (req, res) => {
+  try {
+    await userManager.verifyEmail(req.query.token);
+    res.redirect('/?emailVerified=1');
+  } catch (error) {
+    res.redirect('/?emailVerified=0');
+  }
+});
+
+app.post('/api/auth/verify-email', ensureServices, async (req, res) => {
+  try {
+    const user = await userManager.verifyEmail(req.body.token);
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/resend-verification', ensureServices, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await userManager.resendVerificationEmail(email, getBaseUrl(req));
+    res.json({ success: true, message: 'If the account still needs verification, a new link has been sent.' });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+app.post('/api/auth/verify', ensureServices, async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     const user = await userManager.verifyToken(token);
@@ -164,23 +358,177 @@ app.post('/api/auth/verify', async (req, res) => {
   }
 });
 
-// File upload endpoint
-app.post('/api/upload', upload.array('files', 10), async (req, res) => {
+// Exchange a refresh token for a new access token; the refresh token is rotated
+app.post('/api/auth/refresh', ensureServices, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await userManager.refresh(refreshToken, getClientInfo(req));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid refresh token' });
+  }
+});
+
+app.post('/api/auth/logout', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    await userManager.revokeSession(req.user.id, req.user.session_id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// List the signed-in user's active sessions (logged-in devices)
+app.get('/api/auth/sessions', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    const sessions = await userManager.listSessions(req.user.id);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.session_id
+      }))
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+// Revoke a session; its access and refresh tokens stop working immediately
+app.delete('/api/auth/sessions/:id', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    const revoked = await userManager.revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Account preferences. `timezone` is an IANA name; events and relative dates like "tomorrow" use it.
+// `workingHours` ({ start, end, days }) bounds the free time availability reports
+app.get('/api/auth/preferences', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    const timezone = await database.getUserTimezone(req.user.id);
+    const workingHours = await getWorkingHours(database, req.user.id);
+    res.json({ success: true, preferences: { timezone, workingHours } });
+  } catch (error) {
+    logger.error('Get preferences error:', error);
+    res.status(500).json({ error: 'Failed to retrieve preferences' });
+  }
+});
+
+app.put('/api/auth/preferences', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    const { timezone, workingHours } = req.body;
+
+    if (timezone === undefined && workingHours === undefined) {
+      return res.status(400).json({ error: 'Nothing to update; send timezone or workingHours' });
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: `Unknown time zone: ${timezone}` });
+    }
+
+    if (workingHours !== undefined) {
+      await database.updateUserPreference(req.user.id, 'workingHours', normalizeWorkingHours(workingHours));
+    }
+    if (timezone !== undefined) {
+      await database.setUserTimezone(req.user.id, timezone);
+    }
+
+    res.json({
+      success: true,
+      preferences: {
+        timezone: await database.getUserTimezone(req.user.id),
+        workingHours: await getWorkingHours(database, req.user.id)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_AVAILABILITY') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Update preferences error:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// API keys for scripts; send them as an X-API-Key header
+
+app.get('/api/auth/api-keys', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    const keys = await apiKeyManager.listKeys(req.user.id);
+    res.json({ success: true, keys, availableScopes: API_KEY_SCOPES });
+  } catch (error) {
+    logger.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to retrieve API keys' });
+  }
+});
+
+// The plaintext key is only returned in this response; just its hash is stored
+app.post('/api/auth/api-keys', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    if (!configManager.isFeatureEnabled('apiKeys')) {
+      return res.status(403).json({ error: 'API keys are disabled' });
+    }
+
+    const { name, scopes } = req.body;
+    const key = await apiKeyManager.createKey(req.user.id, { name, scopes });
+    res.status(201).json({ success: true, ...key });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/api-keys/:id', ensureServices, authenticateSession, async (req, res) => {
+  try {
+    const revoked = await apiKeyManager.revokeKey(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// File upload endpoint; files belong to the signed-in user and are attached to their tasks
+app.post('/api/upload', ensureServices, authenticate, requireScope('tasks'), upload.array('files', 10), async (req, res) => {
   try {
-    const files = req.files.map(file => ({
-      filename: file.filename,
-      originalname: file.originalname,
-      path: file.path,
-      size: file.size,
-      mimetype: file.mimetype,
-      url: `/uploads/${file.filename}`
-    }));
-    
     // Store file metadata in database
-    for (const file of files) {
-      await database.storeFile({
-        ...file,
-        userId: req.body.userId || 'default'
+    const files = [];
+    for (const file of req.files) {
+      const stored = await database.storeFile({
+        filename: file.filename,
+        originalname: file.originalname,
+        path: file.path,
+        size: file.size,
+        mimetype: file.mimetype,
+        url: `/uploads/${file.filename}`,
+        userId: req.user.id
+      });
+      files.push({
+        id: stored.id,
+        filename: stored.filename,
+        originalname: stored.originalname,
+        size: stored.size,
+        mimetype: stored.mimetype,
+        url: `/api/files/${stored.id}`
       });
     }
     
@@ -191,11 +539,27 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
   }
 });
 
-// User data endpoints
-app.get('/api/user/data', async (req, res) => {
+// Download an uploaded file; only its owner can read it
+app.get('/api/files/:fileId', ensureServices, authenticate, requireScope('tasks'), async (req, res) => {
+  try {
+    const file = await findOwnedFile(req.params.fileId, req.user.id);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.type(file.mimetype || 'application/octet-stream');
+    res.sendFile(path.resolve(file.path));
+  } catch (error) {
+    logger.error('Get file error:', error);
+    res.status(500).json({ error: 'Failed to retrieve file' });
+  }
+});
+
+// User data endpoints; the key/value store belongs to the signed-in user
+app.get('/api/user/data', ensureServices, authenticateSession, async (req, res) => {
   try {
-    const userId = req.query.userId || 'default';
-    const data = await database.getUserData(userId);
+    const data = await database.getUserData(req.user.id);
     res.json({ success: true, data });
   } catch (error) {
     logger.error('Get user data error:', error);
@@ -203,10 +567,13 @@ app.get('/api/user/data', async (req, res) => {
   }
 });
 
-app.post('/api/user/data', async (req, res) => {
+app.post('/api/user/data', ensureServices, authenticateSession, async (req, res) => {
   try {
-    const { userId = 'default', key, value } = req.body;
-    await database.setUserData(userId, key, value);
+    const { key, value } = req.body;
+    if (!key) {
+      return res.status(400).json({ error: 'key is required' });
+    }
+    await database.setUserData(req.user.id, key, value);
     res.json({ success: true });
   } catch (error) {
     logger.error('Set user data error:', error);
@@ -220,13 +587,24 @@ app.get('/api/config', (req, res) => {
   res.json({ success: true, config });
 });
 
+// AI and voice usage for the current day and month, with the configured quotas
+app.get('/api/usage', ensureServices, authenticate, requireScope('assistant'), async (req, res) => {
+  try {
+    const usage = await usageMeter.getUsage(req.user.id);
+    res.json({ success: true, usage });
+  } catch (error) {
+    logger.error('Usage API error:', error);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
 // Task Management endpoints
 
 // Create a new task
-app.post('/api/tasks', ensureServices, async (req, res) => {
+app.post('/api/tasks', async (req, res) => {
   try {
-    const userId = req.body.userId || 'default';
-    const { title, description, priority, category, status, dueDate, dueTime, dueDateTime } = req.body;
+    const userId = req.user.id;
+    const { title, description, priority, category, status, dueDate, dueTime, dueDateTime, estimatedMinutes } = req.body;
     
     if (!title) {
       return res.status(400).json({ error: 'Task title is required' });
@@ -244,7 +622,8 @@ app.post('/api/tasks', ensureServices, async (req, res) => {
       status: status || 'todo',
       dueDate,
       dueTime,
-      dueDateTime
+      dueDateTime,
+      estimatedMinutes
     };
 
     const result = await database.createTask(taskData);
@@ -256,12 +635,12 @@ app.post('/api/tasks', ensureServices, async (req, res) => {
 });
 
 // Get all tasks for a user
-app.get('/api/tasks', ensureServices, async (req, res) => {
+app.get('/api/tasks', async (req, res) => {
+  const userId = req.user.id;
+  const status = req.query.status;
+  const withAttachments = req.query.withAttachments === 'true';
+
   try {
-    const userId = req.query.userId || 'default';
-    const status = req.query.status;
-    const withAttachments = req.query.withAttachments === 'true';
-    
     let tasks;
     if (withAttachments) {
       tasks = await database.getTasksWithAttachments(userId, status);
@@ -282,11 +661,45 @@ app.get('/api/tasks', ensureServices, async (req, res) => {
   }
 });
 
+// Propose time blocks for open tasks in the user's free time, without booking anything.
+// ?startDate&endDate (default today, at most 14 days) and ?taskIds=a,b to plan only those tasks
+app.get('/api/tasks/plan', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const startDate = req.query.startDate || todayInZone(await database.getUserTimezone(userId));
+    const plan = await planTasks(database, userId, {
+      startDate,
+      endDate: req.query.endDate || startDate,
+      taskIds: req.query.taskIds ? req.query.taskIds.split(',') : null
+    });
+    res.json({ success: true, plan });
+  } catch (error) {
+    if (error.code === 'INVALID_PLAN') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Plan tasks error:', error);
+    res.status(500).json({ error: 'Failed to plan tasks' });
+  }
+});
+
+// Book the blocks of a plan the user kept (as returned by GET /api/tasks/plan, possibly edited) as events
+app.post('/api/tasks/plan/accept', requireScope('events'), async (req, res) => {
+  try {
+    const { events, conflicts } = await acceptPlan(database, req.user.id, req.body.blocks);
+    res.json({ success: true, events, conflicts });
+  } catch (error) {
+    if (error.code === 'INVALID_PLAN') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Accept plan error:', error);
+    res.status(500).json({ error: 'Failed to book the plan' });
+  }
+});
+
 // Get a specific task
 app.get('/api/tasks/:taskId', async (req, res) => {
   try {
-    const { taskId } = req.params;
-    const task = await database.getTaskById(taskId);
+    const task = await findOwnedTask(req.params.taskId, req.user.id);
     
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
@@ -304,25 +717,18 @@ app.put('/api/tasks/:taskId', async (req, res) => {
   try {
     const { taskId } = req.params;
     const updates = req.body;
+
+    if (!await findOwnedTask(taskId, req.user.id)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
     
-    // Convert camelCase to snake_case for database fields
-    const dbUpdates = {};
-    if (updates.title !== undefined) dbUpdates.title = updates.title;
-    if (updates.description !== undefined) dbUpdates.description = updates.description;
-    if (updates.priority !== undefined) dbUpdates.priority = updates.priority;
-    if (updates.category !== undefined) dbUpdates.category = updates.category;
-    if (updates.status !== undefined) dbUpdates.status = updates.status;
-    if (updates.dueDate !== undefined) dbUpdates.due_date = updates.dueDate;
-    if (updates.dueTime !== undefined) dbUpdates.due_time = updates.dueTime;
-    if (updates.dueDateTime !== undefined) dbUpdates.due_datetime = updates.dueDateTime;
-    
-    const result = await database.updateTask(taskId, dbUpdates);
+    const task = await database.updateTask(taskId, updates);
     
-    if (result.rowCount === 0) {
+    if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
     
-    res.json({ success: true, task: result.rows[0] });
+    res.json({ success: true, task });
   } catch (error) {
     logger.error('Update task error:', error);
     res.status(500).json({ error: 'Failed to update task' });
@@ -333,9 +739,14 @@ app.put('/api/tasks/:taskId', async (req, res) => {
 app.delete('/api/tasks/:taskId', async (req, res) => {
   try {
     const { taskId } = req.params;
-    const result = await database.deleteTask(taskId);
+
+    if (!await findOwnedTask(taskId, req.user.id)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const deleted = await database.deleteTask(taskId);
     
-    if (result.rowCount === 0) {
+    if (!deleted) {
       return res.status(404).json({ error: 'Task not found' });
     }
     
@@ -350,6 +761,11 @@ app.delete('/api/tasks/:taskId', async (req, res) => {
 app.get('/api/tasks/stats/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
+
+    if (userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     const stats = await database.getTaskStats(userId);
     res.json({ success: true, stats });
   } catch (error) {
@@ -363,6 +779,10 @@ app.get('/api/tasks/date-range/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     const { startDate, endDate } = req.query;
+
+    if (userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
     if (!startDate || !endDate) {
       return res.status(400).json({ error: 'Start date and end date are required' });
@@ -380,6 +800,14 @@ app.get('/api/tasks/date-range/:userId', async (req, res) => {
 app.post('/api/tasks/:taskId/attachments/:fileId', async (req, res) => {
   try {
     const { taskId, fileId } = req.params;
+
+    if (!await findOwnedTask(taskId, req.user.id)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!await findOwnedFile(fileId, req.user.id)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
     await database.addTaskAttachment(taskId, parseInt(fileId));
     res.json({ success: true, message: 'Attachment added successfully' });
   } catch (error) {
@@ -392,6 +820,14 @@ app.post('/api/tasks/:taskId/attachments/:fileId', async (req, res) => {
 app.delete('/api/tasks/:taskId/attachments/:fileId', async (req, res) => {
   try {
     const { taskId, fileId } = req.params;
+
+    if (!await findOwnedTask(taskId, req.user.id)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!await findOwnedFile(fileId, req.user.id)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
     await database.removeTaskAttachment(taskId, parseInt(fileId));
     res.json({ success: true, message: 'Attachment removed successfully' });
   } catch (error) {
@@ -403,15 +839,26 @@ app.delete('/api/tasks/:taskId/attachments/:fileId', async (req, res) => {
 // Calendar Event Management endpoints
 
 // Create a new event
-app.post('/api/events', ensureServices, async (req, res) => {
+app.post('/api/events', async (req, res) => {
   try {
-    const userId = req.body.userId || 'default';
-    const { title, description, date, time, type, color, location, allDay, recurring, recurringType } = req.body;
+    const userId = req.user.id;
+    const { title, description, date, time, endDate, endTime, durationMinutes, type, color, location, allDay, timezone } = req.body;
     
     if (!title || !date) {
       return res.status(400).json({ error: 'Event title and date are required' });
     }
 
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: `Unknown time zone: ${timezone}` });
+    }
+
+    let recurrence;
+    try {
+      recurrence = resolveRecurrence(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid recurrence: ${error.message}` });
+    }
+
     const eventId = Date.now().toString(36) + Math.random().toString(36).substr(2);
     
     const eventData = {
@@ -421,26 +868,83 @@ app.post('/api/events', ensureServices, async (req, res) => {
       description,
       date,
       time: allDay ? null : time,
+      endDate,
+      endTime: allDay ? null : endTime,
+      durationMinutes,
       type: type || 'other',
       color: color || 'blue',
       location,
       allDay: !!allDay,
-      recurring: !!recurring,
-      recurringType
+      timezone,
+      ...recurrence
     };
 
-    const result = await database.createEvent(eventData);
-    res.json({ success: true, event: result });
+    const event = withEventTimes(await database.createEvent(eventData));
+    // Overlaps are a warning, not an error: the event is saved either way
+    const conflicts = await findConflicts(database, userId, event);
+    const suggestions = conflicts.length
+      ? await suggestSlots(database, userId, {
+        date: event.date,
+        time: event.time,
+        durationMinutes: eventDurationMinutes(event),
+        excludeEventId: event.id
+      })
+      : [];
+    res.json({ success: true, event, conflicts, suggestions });
   } catch (error) {
+    if (error.code === 'INVALID_EVENT_RANGE') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create event error:', error);
     res.status(500).json({ error: 'Failed to create event', details: error.message });
   }
 });
 
+// Import events (VEVENT) and tasks (VTODO) from an uploaded .ics file
+app.post('/api/events/import', upload.single('file'), async (req, res) => {
+  const file = req.file;
+
+  try {
+    if (!file) {
+      return res.status(400).json({ error: 'An .ics file is required' });
+    }
+
+    const isCalendarFile = path.extname(file.originalname).toLowerCase() === '.ics' ||
+      file.mimetype === 'text/calendar';
+    if (!isCalendarFile) {
+      return res.status(400).json({ error: 'Only iCalendar (.ics) files can be imported' });
+    }
+
+    let items;
+    try {
+      const timezone = await database.getUserTimezone(req.user.id);
+      items = parseICalendar(await fs.readFile(file.path, 'utf8'), { timezone });
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid iCalendar file: ${error.message}` });
+    }
+
+    const results = await importCalendarItems(items, req.user.id);
+    const summary = {
+      created: results.filter(item => item.status === 'created').length,
+      duplicates: results.filter(item => item.status === 'duplicate').length,
+      rejected: results.filter(item => item.status === 'rejected').length
+    };
+
+    res.json({ success: true, summary, items: results });
+  } catch (error) {
+    logger.error('Import events error:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  } finally {
+    if (file) {
+      await fs.remove(file.path).catch(() => {});
+    }
+  }
+});
+
 // Get all events for a user
-app.get('/api/events', ensureServices, async (req, res) => {
+app.get('/api/events', async (req, res) => {
   try {
-    const userId = req.query.userId || 'default';
+    const userId = req.user.id;
     const startDate = req.query.startDate;
     const endDate = req.query.endDate;
     
@@ -451,55 +955,178 @@ app.get('/api/events', ensureServices, async (req, res) => {
       events = await database.getUserEvents(userId);
     }
     
-    res.json({ success: true, events });
+    const timezone = await database.getUserTimezone(userId);
+    res.json({ success: true, timezone, events: events.map(withEventTimes) });
   } catch (error) {
     console.error('Get events error:', error);
     res.status(500).json({ error: 'Failed to retrieve events' });
   }
 });
 
-// Update an event
-app.put('/api/events/:eventId', ensureServices, async (req, res) => {
+// Free/busy from events and tasks with a due time, within the user's working hours.
+// ?startDate&endDate (default today, at most 31 days) and ?minimumMinutes for the shortest free slot
+app.get('/api/availability', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const startDate = req.query.startDate || todayInZone(await database.getUserTimezone(userId));
+    const endDate = req.query.endDate || startDate;
+
+    if (![startDate, endDate].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD dates' });
+    }
+
+    const availability = await getAvailability(database, userId, {
+      startDate,
+      endDate,
+      minimumMinutes: req.query.minimumMinutes ? Number(req.query.minimumMinutes) : undefined
+    });
+    res.json({ success: true, ...availability });
+  } catch (error) {
+    if (error.code === 'INVALID_AVAILABILITY') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Get availability error:', error);
+    res.status(500).json({ error: 'Failed to compute availability' });
+  }
+});
+
+// Calendar feed (ICS subscription) endpoints
+
+// Create or rotate the secret feed URL. The token is only returned once; just its hash is stored
+app.post('/api/calendar/feed', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const token = encryption.generateApiKey();
+
+    await database.setCalendarFeedToken(userId, encryption.hash(token));
+
+    const feedPath = `/api/calendar/${encodeURIComponent(userId)}/feed.ics?token=${encodeURIComponent(token)}`;
+    res.json({
+      success: true,
+      token,
+      url: `${req.protocol}://${req.get('host')}${feedPath}`
+    });
+  } catch (error) {
+    logger.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// Revoke the feed URL; existing subscriptions stop updating
+app.delete('/api/calendar/feed', async (req, res) => {
+  try {
+    const result = await database.deleteCalendarFeed(req.user.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'No calendar feed to revoke' });
+    }
+
+    res.json({ success: true, message: 'Calendar feed revoked' });
+  } catch (error) {
+    logger.error('Revoke calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// Live ICS feed of a user's events and dated tasks, authenticated by the feed token
+app.get('/api/calendar/:userId/feed.ics', ensureServices, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const token = req.query.token;
+    const feed = await database.getCalendarFeed(userId);
+
+    if (!token || !feed || !secureCompare(encryption.hash(String(token)), feed.token_hash)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const [events, tasks] = await Promise.all([
+      database.getUserEvents(userId),
+      database.getUserTasks(userId)
+    ]);
+
+    await database.touchCalendarFeed(userId);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="daily-vibe.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildICalendar({ name: 'Daily Vibe', events, tasks }));
+  } catch (error) {
+    logger.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to render calendar feed' });
+  }
+});
+
+// Update an event. For recurring events, `scope` picks "this", "following" or "all" occurrences
+app.put('/api/events/:eventId', async (req, res) => {
   try {
-    const { eventId } = req.params;
     const updates = req.body;
-    
+    const scope = updates.scope || 'all';
+
+    if (!EVENT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Invalid scope. Use one of: ${EVENT_SCOPES.join(', ')}` });
+    }
+
+    if (updates.timezone && !isValidTimeZone(updates.timezone)) {
+      return res.status(400).json({ error: `Unknown time zone: ${updates.timezone}` });
+    }
+
+    let recurrence = null;
+    if (hasRecurrenceFields(updates)) {
+      try {
+        recurrence = resolveRecurrence(updates);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid recurrence: ${error.message}` });
+      }
+    }
+
+    const target = await resolveEventTarget(database, req.params.eventId);
+    if (!target || eventOwnerId(target) !== req.user.id) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
     const eventData = {
       title: updates.title,
       description: updates.description,
       date: updates.date,
       time: updates.allDay ? null : updates.time,
+      endDate: updates.endDate,
+      endTime: updates.allDay ? null : updates.endTime,
+      durationMinutes: updates.durationMinutes,
       type: updates.type || 'other',
       color: updates.color || 'blue',
       location: updates.location,
       allDay: !!updates.allDay,
-      recurring: !!updates.recurring,
-      recurringType: updates.recurringType
+      timezone: updates.timezone
     };
-    
-    const result = await database.updateEvent(eventId, eventData);
-    
-    if (!result) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-    
-    res.json({ success: true, event: result });
+
+    const result = await updateEventInScope(database, target, eventData, recurrence, scope);
+    res.json({ success: true, event: withEventTimes(result) });
   } catch (error) {
+    if (error.code === 'INVALID_EVENT_RANGE') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update event error:', error);
     res.status(500).json({ error: 'Failed to update event' });
   }
 });
 
-// Delete an event
-app.delete('/api/events/:eventId', ensureServices, async (req, res) => {
+// Delete an event. For recurring events, `?scope=` picks "this", "following" or "all" occurrences
+app.delete('/api/events/:eventId', async (req, res) => {
   try {
-    const { eventId } = req.params;
-    const result = await database.deleteEvent(eventId);
-    
-    if (!result) {
+    const scope = req.query.scope || 'all';
+
+    if (!EVENT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Invalid scope. Use one of: ${EVENT_SCOPES.join(', ')}` });
+    }
+
+    const target = await resolveEventTarget(database, req.params.eventId);
+    if (!target || eventOwnerId(target) !== req.user.id) {
       return res.status(404).json({ error: 'Event not found' });
     }
-    
+
+    await deleteEventInScope(database, target, scope);
     res.json({ success: true, message: 'Event deleted successfully' });
   } catch (error) {
     console.error('Delete event error:', error);
@@ -513,11 +1140,8 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: error.message || 'Internal server error' });
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static('./uploads'));
-
 // AI Assistant routes
-app.post('/api/assistant/chat', ensureServices, async (req, res) => {
+app.post('/api/assistant/chat', assistantChatLimiter, async (req, res) => {
   try {
     const { message, sessionId = null } = req.body;
     
@@ -525,32 +1149,72 @@ app.post('/api/assistant/chat', ensureServices, async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Get user ID from token or use default
-    const userId = req.user?.id || 'default';
+    const userId = req.user.id;
+
+    const quota = await usageMeter.checkQuota(userId, ['tokens']);
+    if (quota) {
+      return res.status(429).json({ success: false, error: quota.message, quota });
+    }
 
-    // Import and initialize AI services
-    const { AIAssistant } = require('./lib/ai-assistant');
-    const { MemoryService } = require('./lib/memory-service');
-    const { NLPParser } = require('./lib/nlp-parser');
-    
-    const aiAssistant = new AIAssistant(database);
     const memoryService = new MemoryService(database);
-    const nlpParser = new NLPParser();
 
-    // First, try NLP parsing for quick response
-    const nlpResult = nlpParser.parse(message);
+    // Keyword parsing first, with the LLM as a fallback when the parser is unsure. Answers
+    // to an earlier question are merged into the request that asked it.
+    const understood = await aiAssistant.understandTurn(userId, message, sessionId);
+
+    // Ask for whatever the request still needs; nothing runs until it is complete
+    if (understood.prompt) {
+      await memoryService.storeConversation(userId, message, understood.prompt.text, understood.intent, understood.entities, sessionId);
+
+      return res.json({
+        success: true,
+        response: understood.prompt.text,
+        action: understood.prompt.action,
+        data: understood.entities,
+        intent: understood.intent,
+        entities: understood.entities,
+        missing: understood.missing,
+        source: understood.source
+      });
+    }
     
-    // If NLP parsing has high confidence and clear intent, handle directly
-    if (nlpResult.confidence > 0.8 && nlpResult.intent !== 'UNKNOWN') {
-      const response = await handleDirectIntent(nlpResult, userId, database);
+    // "undo that", or a yes or no to an action waiting for confirmation
+    if (['UNDO', 'CONFIRM', 'REJECT'].includes(understood.intent)) {
+      const response = understood.intent === 'UNDO'
+        ? await undoAssistantAction(aiAssistant.actions, userId, database)
+        : await settleAssistantAction(aiAssistant.actions, userId, understood.entities.token, understood.intent === 'CONFIRM', database);
+
+      await memoryService.storeConversation(userId, message, response.text, understood.intent, understood.entities, sessionId);
+
+      return res.json({
+        success: true,
+        response: response.text,
+        action: response.action,
+        data: response.data,
+        actionResult: response.actionResult,
+        undo: response.undo || null,
+        intent: understood.intent,
+        source: understood.source
+      });
+    }
+
+    // If the intent is clear and confident, handle directly
+    if (understood.confidence > 0.8 && understood.intent !== 'UNKNOWN') {
+      const response = await handleDirectIntent(understood, userId, database);
+      const { pendingAction, undo } = trackAssistantAction(aiAssistant.actions, response, userId, sessionId);
+
+      // Several events matched: keep the request so "the one on Friday" narrows it down
+      if (response.clarify) {
+        aiAssistant.getDialogue(userId, sessionId).hold(understood);
+      }
       
       // Store conversation
       await memoryService.storeConversation(
         userId, 
         message, 
         response.text, 
-        nlpResult.intent, 
-        nlpResult.entities, 
+        understood.intent, 
+        understood.entities, 
         sessionId
       );
       
@@ -559,15 +1223,17 @@ app.post('/api/assistant/chat', ensureServices, async (req, res) => {
         response: response.text,
         action: response.action,
         data: response.data,
-        intent: nlpResult.intent,
-        entities: nlpResult.entities,
-        confidence: nlpResult.confidence,
-        source: 'nlp'
+        pendingAction,
+        undo,
+        intent: understood.intent,
+        entities: understood.entities,
+        confidence: understood.confidence,
+        source: understood.source
       });
     }
 
-    // For complex queries or low confidence, use AI Assistant
-    const aiResponse = await aiAssistant.processMessage(userId, message, sessionId);
+    // For vague requests, let the AI Assistant reply from what was understood
+    const aiResponse = await aiAssistant.processMessage(userId, message, sessionId, understood);
     
     if (!aiResponse.success) {
       return res.status(400).json({
@@ -576,10 +1242,13 @@ app.post('/api/assistant/chat', ensureServices, async (req, res) => {
       });
     }
 
-    // Execute action if needed
-    if (aiResponse.action) {
-      const actionResult = await executeAction(aiResponse.action, aiResponse.data, userId, database);
-      aiResponse.actionResult = actionResult;
+    // Changes proposed from a vague request wait for a yes; anything else runs now
+    let pendingAction = null;
+    let undo = null;
+    if (needsConfirmation(aiResponse.action)) {
+      ({ pendingAction } = trackAssistantAction(aiAssistant.actions, { ...aiResponse, text: aiResponse.response }, userId, sessionId));
+    } else if (aiResponse.action) {
+      ({ actionResult: aiResponse.actionResult, undo } = await runAssistantAction(aiAssistant.actions, aiResponse.action, aiResponse.data, userId, database));
     }
 
     return res.json({
@@ -588,6 +1257,8 @@ app.post('/api/assistant/chat', ensureServices, async (req, res) => {
       action: aiResponse.action,
       data: aiResponse.data,
       actionResult: aiResponse.actionResult,
+      pendingAction,
+      undo,
       intent: aiResponse.intent,
       entities: aiResponse.entities,
       source: 'ai'
@@ -603,11 +1274,10 @@ app.post('/api/assistant/chat', ensureServices, async (req, res) => {
 });
 
 // AI Memory management
-app.get('/api/assistant/memory', ensureServices, async (req, res) => {
+app.get('/api/assistant/memory', async (req, res) => {
   try {
-    const { MemoryService } = require('./lib/memory-service');
     const memoryService = new MemoryService(database);
-    const userId = req.user?.id || 'default';
+    const userId = req.user.id;
     const { category, key } = req.query;
     
     if (key) {
@@ -638,15 +1308,16 @@ app.get('/api/assistant/memory', ensureServices, async (req, res) => {
 });
 
 // AI Audio Status
-app.get('/api/assistant/audio-status', ensureServices, async (req, res) => {
+app.get('/api/assistant/audio-status', async (req, res) => {
   try {
-    const stats = realtimeAudio ? realtimeAudio.getStats() : { activeConnections: 0 };
-    const openaiApiKeySet = !!process.env.OPENAI_API_KEY;
+    const stats = realtimeAudio ? realtimeAudio.getStats(req.user.id) : { activeConnections: 0 };
+    const provider = realtimeAudio ? realtimeAudio.provider : null;
 
     return res.json({
       success: true,
       audioEnabled: true,
-      openaiConfigured: openaiApiKeySet,
+      provider: provider ? provider.name : null,
+      openaiConfigured: provider ? provider.isConfigured() : !!process.env.OPENAI_API_KEY,
       websocketEndpoint: '/api/realtime-audio',
       stats: stats,
       supportedFormats: ['pcm16', 'g711_ulaw', 'g711_alaw'],
@@ -663,8 +1334,72 @@ app.get('/api/assistant/audio-status', ensureServices, async (req, res) => {
   }
 });
 
+// One-time ticket for opening the realtime audio WebSocket (browsers cannot set headers on the upgrade)
+app.post('/api/assistant/audio-ticket', async (req, res) => {
+  try {
+    const quota = await usageMeter.checkQuota(req.user.id);
+    if (quota) {
+      return res.status(429).json({ success: false, error: quota.message, quota });
+    }
+
+    const { ticket, expiresIn } = realtimeAudio.issueTicket(req.user.id);
+    return res.json({ success: true, ticket, expiresIn });
+  } catch (error) {
+    logger.error('Audio ticket error:', error);
+    return res.status(500).json({ error: 'Failed to issue audio ticket' });
+  }
+});
+
+// Confirm or cancel an action the assistant is waiting on (the chat's Confirm and Cancel buttons)
+app.post('/api/assistant/actions/:token/confirm', async (req, res) => {
+  try {
+    const response = await settleAssistantAction(aiAssistant.actions, req.user.id, req.params.token, true, database);
+    if (!response.action) {
+      return res.status(404).json({ error: response.text });
+    }
+    return res.json({
+      success: response.action === 'ACTION_CONFIRMED',
+      response: response.text,
+      action: response.action,
+      data: response.data,
+      actionResult: response.actionResult,
+      undo: response.undo || null
+    });
+  } catch (error) {
+    logger.error('Assistant action confirm error:', error);
+    return res.status(500).json({ error: 'Failed to run the action' });
+  }
+});
+
+app.delete('/api/assistant/actions/:token', async (req, res) => {
+  try {
+    const response = await settleAssistantAction(aiAssistant.actions, req.user.id, req.params.token, false, database);
+    if (!response.action) {
+      return res.status(404).json({ error: response.text });
+    }
+    return res.json({ success: true, response: response.text, action: response.action });
+  } catch (error) {
+    logger.error('Assistant action cancel error:', error);
+    return res.status(500).json({ error: 'Failed to cancel the action' });
+  }
+});
+
+// Revert the newest assistant action, or the one with undo `id`, inside the undo window
+app.post('/api/assistant/undo', async (req, res) => {
+  try {
+    const response = await undoAssistantAction(aiAssistant.actions, req.user.id, database, req.body.id || null);
+    if (!response.action) {
+      return res.status(404).json({ error: response.text });
+    }
+    return res.json({ success: response.action === 'ACTION_UNDONE', response: response.text, action: response.action, data: response.data });
+  } catch (error) {
+    logger.error('Assistant undo error:', error);
+    return res.status(500).json({ error: 'Failed to undo the action' });
+  }
+});
+
 // AI Feedback
-app.post('/api/assistant/feedback', ensureServices, async (req, res) => {
+app.post('/api/assistant/feedback', async (req, res) => {
   try {
     const { conversationId, feedbackType, feedbackText = null } = req.body;
     
@@ -680,7 +1415,7 @@ app.post('/api/assistant/feedback', ensureServices, async (req, res) => {
       });
     }
 
-    const userId = req.user?.id || 'default';
+    const userId = req.user.id;
 
     const feedback = {
       user_id: userId,
@@ -705,142 +1440,167 @@ app.post('/api/assistant/feedback', ensureServices, async (req, res) => {
   }
 });
 
-// Helper functions for AI chat
-async function handleDirectIntent(nlpResult, userId, database) {
-  const { intent, entities } = nlpResult;
+// Build the recurrence columns for an event from an API payload.
+// Accepts an RRULE string, a { freq, interval, byDay, count, until } object,
+// or the legacy recurring/recurringType pair.
+function resolveRecurrence(body) {
+  let rule = null;
+
+  if (body.rrule) {
+    rule = RecurrenceRule.parse(body.rrule);
+  } else if (body.recurrence && body.recurrence.freq) {
+    rule = RecurrenceRule.fromObject(body.recurrence);
+  } else if (body.recurring && body.recurringType) {
+    rule = RecurrenceRule.fromLegacy(body.recurringType);
+    if (!rule) {
+      throw new Error(`Unknown recurring type "${body.recurringType}"`);
+    }
+  }
 
-  switch (intent) {
-    case 'CREATE':
-      return await handleCreateEvent(entities, userId, database);
-    case 'QUERY':
-      return await handleQuerySchedule(entities, userId, database);
-    default:
-      return {
-        text: "I understand you want to " + intent.toLowerCase() + " something, but I need more details.",
-        action: null,
-        data: entities
-      };
+  if (!rule) {
+    return { recurring: false, recurringType: null, rrule: null };
   }
+
+  return {
+    recurring: true,
+    recurringType: rule.toLegacyType(),
+    rrule: rule.toString()
+  };
 }
 
-async function handleCreateEvent(entities, userId, database) {
-  if (!entities.date || !entities.time) {
-    return {
-      text: !entities.date ? "What day would you like to schedule this?" : "What time should it start?",
-      action: !entities.date ? 'REQUEST_DATE' : 'REQUEST_TIME',
-      data: entities
-    };
-  }
+// Absolute origin for links in outgoing email
+function getBaseUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
 
-  const eventData = {
-    id: 'evt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-    userId,
-    title: entities.title || 'New Event',
-    description: entities.description || '',
-    date: entities.date,
-    time: entities.time,
-    type: entities.eventType || 'other',
-    location: entities.location || null,
-    allDay: entities.duration >= 480
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
   };
+}
 
-  try {
-    const createdEvent = await database.createEvent(eventData);
-    const eventDate = new Date(entities.date + 'T' + entities.time);
-    const dateStr = eventDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-    const timeStr = eventDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-    
-    return {
-      text: `Perfect! I've scheduled "${entities.title}" for ${dateStr} at ${timeStr}.`,
-      action: 'EVENT_CREATED',
-      data: { event: createdEvent, original: entities }
-    };
-  } catch (error) {
-    return {
-      text: "I had trouble creating that event. Please try again.",
-      action: 'ERROR',
-      data: { error: error.message }
-    };
-  }
+// Tasks owned by someone else are reported as missing rather than forbidden
+async function findOwnedTask(taskId, userId) {
+  const task = await database.getTaskById(taskId);
+  return task && task.user_id === userId ? task : null;
 }
 
-async function handleQuerySchedule(entities, userId, database) {
-  try {
-    const startDate = entities.date || new Date().toISOString().split('T')[0];
-    const endDate = startDate;
-    
-    const events = await database.getEventsByDateRange(userId, startDate, endDate);
-    
-    if (events.length === 0) {
-      const dayStr = new Date(startDate).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-      return {
-        text: `You have no events scheduled for ${dayStr}. Would you like to add something?`,
-        action: 'SHOW_EMPTY_SCHEDULE',
-        data: { startDate, endDate }
-      };
-    }
-    
-    let responseText = `Here's your schedule:\n\n`;
-    for (const event of events) {
-      const eventTime = event.time ? 
-        new Date('2000-01-01T' + event.time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) :
-        'All day';
-      responseText += `• ${event.title} at ${eventTime}\n`;
-    }
-    
-    return {
-      text: responseText,
-      action: 'SHOW_SCHEDULE',
-      data: { events, startDate, endDate }
-    };
-  } catch (error) {
-    return {
-      text: "I had trouble checking your schedule. Please try again.",
-      action: 'ERROR',
-      data: { error: error.message }
-    };
-  }
+async function findOwnedFile(fileId, userId) {
+  const file = await database.getFileById(parseInt(fileId));
+  return file && file.user_id === userId ? file : null;
 }
 
-async function executeAction(action, data, userId, database) {
-  switch (action) {
-    case 'CONFIRM_CREATE_EVENT':
-      return await createEventFromData(data, userId, database);
-    case 'SHOW_SCHEDULE':
-      return await getScheduleData(data, userId, database);
-    default:
-      return { type: 'no_action' };
-  }
+function secureCompare(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
 }
 
-async function createEventFromData(data, userId, database) {
-  try {
-    const eventData = {
-      id: 'evt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-      userId,
-      title: data.title || 'New Event',
-      description: data.description || '',
-      date: data.date,
-      time: data.time || '09:00',
-      type: data.eventType || 'other',
-      location: data.location || null,
-      allDay: data.duration >= 480
-    };
+function hasRecurrenceFields(body) {
+  return body.rrule !== undefined || body.recurrence !== undefined || body.recurring !== undefined;
+}
 
-    const createdEvent = await database.createEvent(eventData);
-    return { type: 'event_created', event: createdEvent, success: true };
-  } catch (error) {
-    return { type: 'error', success: false, error: error.message };
-  }
+function newEventId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-async function getScheduleData(data, userId, database) {
-  try {
-    const events = await database.getEventsByDateRange(userId, data.startDate, data.endDate);
-    return { type: 'schedule_data', events, dateRange: { start: data.startDate, end: data.endDate }, success: true };
-  } catch (error) {
-    return { type: 'error', success: false, error: error.message };
+/**
+ * Create events and tasks parsed from an .ics file, reporting each item as
+ * "created", "duplicate" (same UID already imported) or "rejected".
+ */
+async function importCalendarItems(items, userId) {
+  // Series masters first, so RECURRENCE-ID overrides can attach to them
+  const ordered = [...items].sort((a, b) => (a.data?.recurrenceId ? 1 : 0) - (b.data?.recurrenceId ? 1 : 0));
+  const results = [];
+
+  for (const item of ordered) {
+    if (item.error) {
+      results.push({ type: item.type, uid: item.uid, title: item.title, status: 'rejected', reason: item.error });
+      continue;
+    }
+
+    const { data } = item;
+    const report = { type: item.type, uid: data.uid, title: data.title };
+
+    try {
+      if (item.type === 'task') {
+        if (data.uid && await database.findTaskByUid(userId, data.uid)) {
+          results.push({ ...report, status: 'duplicate' });
+          continue;
+        }
+
+        const task = await database.createTask({
+          id: newEventId(),
+          userId,
+          title: data.title,
+          description: data.description,
+          priority: data.priority,
+          category: 'personal',
+          status: data.status,
+          dueDate: data.dueDate,
+          dueTime: data.dueTime,
+          dueDateTime: null,
+          icalUid: data.uid
+        });
+        results.push({ ...report, status: 'created', id: task.id });
+        continue;
+      }
+
+      if (data.uid && await database.findEventByUid(userId, data.uid, data.recurrenceId)) {
+        results.push({ ...report, status: 'duplicate' });
+        continue;
+      }
+
+      const series = data.recurrenceId && data.uid
+        ? await database.findEventByUid(userId, data.uid)
+        : null;
+
+      if (data.cancelled) {
+        if (series) {
+          await database.addEventExdate(series.id, data.recurrenceId);
+          results.push({ ...report, status: 'created', id: series.id, note: 'Occurrence cancelled' });
+        } else {
+          results.push({ ...report, status: 'rejected', reason: 'Event is cancelled' });
+        }
+        continue;
+      }
+
+      const rule = data.rrule ? RecurrenceRule.parse(data.rrule) : null;
+      const event = await database.createEvent({
+        id: newEventId(),
+        userId,
+        title: data.title,
+        description: data.description,
+        date: data.date,
+        time: data.allDay ? null : data.time,
+        type: 'other',
+        color: 'blue',
+        location: data.location,
+        allDay: data.allDay,
+        timezone: data.timezone,
+        endDate: data.endDate,
+        endTime: data.endTime,
+        durationMinutes: data.durationMinutes,
+        recurring: !!rule,
+        recurringType: rule ? rule.toLegacyType() : null,
+        rrule: rule ? rule.toString() : null,
+        exdates: formatExdates(data.exdates),
+        seriesId: series ? series.id : null,
+        recurrenceId: data.recurrenceId,
+        icalUid: data.uid
+      });
+
+      if (series) {
+        await database.addEventExdate(series.id, data.recurrenceId);
+      }
+      results.push({ ...report, status: 'created', id: event.id });
+    } catch (error) {
+      results.push({ ...report, status: 'rejected', reason: error.message });
+    }
   }
+
+  return results;
 }
 
 // Start server
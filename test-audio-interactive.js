@@ -1,3 +1,5 @@
+// Start the app first; use the mock realtime backend to run without an OpenAI key or network:
+//   REALTIME_PROVIDER=mock npm start
 const { chromium } = require('playwright');
 
 async function interactiveAudioTest() {
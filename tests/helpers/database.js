@@ -0,0 +1,42 @@
+// Throwaway SQLite databases for the unit specs, one file per test in the OS temp dir
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createRepository } = require('../../lib/repository');
+const { DatabaseService } = require('../../lib/database');
+
+const files = new WeakMap();
+let sequence = 0;
+
+function testDatabasePath(name) {
+  return path.join(os.tmpdir(), `daily-vibe-${name}-${process.pid}-${Date.now()}-${++sequence}.db`);
+}
+
+// A migrated Repository, as the app uses
+async function openTestRepository(name) {
+  const dbPath = testDatabasePath(name);
+  const repository = createRepository(`sqlite://${dbPath}`);
+  files.set(repository, dbPath);
+  await repository.initialize();
+  return repository;
+}
+
+// The bare adapter; `migrate: false` leaves the schema to the test's own Migrator
+async function openTestDatabase(name, { migrate = true } = {}) {
+  const dbPath = testDatabasePath(name);
+  const database = new DatabaseService(`sqlite://${dbPath}`);
+  files.set(database, dbPath);
+  await database.initialize({ migrate });
+  return database;
+}
+
+async function closeTestDatabase(database) {
+  await database.close();
+  await fs.remove(files.get(database));
+}
+
+module.exports = {
+  closeTestDatabase,
+  openTestDatabase,
+  openTestRepository
+};
@@ -0,0 +1,94 @@
+const { test, expect } = require('@playwright/test');
+const { UserManager } = require('../../lib/user-manager');
+const { EncryptionService } = require('../../lib/encryption');
+const { Mailer } = require('../../lib/mailer');
+const { ConfigManager } = require('../../lib/config-manager');
+const { closeTestDatabase, openTestDatabase } = require('../helpers/database');
+
+const BASE_URL = 'http://localhost:3000';
+
+function tokenFrom(message) {
+  return decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+}
+
+test.describe('password reset and email verification', () => {
+  let database;
+  let userManager;
+  let outbox;
+  let email;
+
+  test.beforeEach(async () => {
+    database = await openTestDatabase('recovery');
+
+    outbox = [];
+    const mailer = new Mailer({ send: async message => outbox.push(message) });
+    userManager = new UserManager(database, new EncryptionService(), { mailer, requireEmailVerification: true });
+
+    email = `user-${Date.now()}@example.com`;
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('unverified accounts cannot log in until the emailed link is used', async () => {
+    const user = await userManager.createUser({ email, password: 'correct horse', name: 'Test User' });
+    expect(user.emailVerified).toBe(false);
+
+    await expect(userManager.authenticate(email, 'correct horse')).rejects.toMatchObject({ code: 'EMAIL_NOT_VERIFIED' });
+
+    await userManager.sendVerificationEmail(user, BASE_URL);
+    expect(outbox[0].text).toContain(`${BASE_URL}/api/auth/verify-email?token=`);
+
+    await userManager.verifyEmail(tokenFrom(outbox[0]));
+    await expect(userManager.authenticate(email, 'correct horse')).resolves.toHaveProperty('token');
+  });
+
+  test('reset tokens work once and revoke existing sessions', async () => {
+    await userManager.createUser({ email, password: 'correct horse', name: 'Test User' });
+    await userManager.requestPasswordReset(email, BASE_URL);
+    const token = tokenFrom(outbox[0]);
+
+    // Resetting also verifies the address, since the user received the email
+    await userManager.resetPassword(token, 'battery staple');
+    const login = await userManager.authenticate(email, 'battery staple');
+
+    await expect(userManager.resetPassword(token, 'another password')).rejects.toThrow('Invalid or expired token');
+
+    await userManager.requestPasswordReset(email, BASE_URL);
+    await userManager.resetPassword(tokenFrom(outbox[1]), 'third password');
+    await expect(userManager.verifyToken(login.token)).rejects.toThrow();
+  });
+
+  test('tokens are rejected for the wrong purpose or when tampered with', async () => {
+    const user = await userManager.createUser({ email, password: 'correct horse', name: 'Test User' });
+    await userManager.sendVerificationEmail(user, BASE_URL);
+    const token = tokenFrom(outbox[0]);
+
+    await expect(userManager.resetPassword(token, 'battery staple')).rejects.toThrow('Invalid or expired token');
+    await expect(userManager.verifyEmail(`${token}0`)).rejects.toThrow('Invalid or expired token');
+    await expect(userManager.verifyEmail('garbage')).rejects.toThrow('Invalid or expired token');
+  });
+
+  test('reset requests for unknown addresses send nothing', async () => {
+    await userManager.requestPasswordReset('nobody@example.com', BASE_URL);
+    expect(outbox).toHaveLength(0);
+  });
+
+  test('verification is only enforced when REQUIRE_EMAIL_VERIFICATION is set', () => {
+    const previous = process.env.REQUIRE_EMAIL_VERIFICATION;
+    try {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+      expect(new ConfigManager().isFeatureEnabled('emailVerification')).toBe(false);
+
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      expect(new ConfigManager().isFeatureEnabled('emailVerification')).toBe(true);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.REQUIRE_EMAIL_VERIFICATION;
+      } else {
+        process.env.REQUIRE_EMAIL_VERIFICATION = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const { test, expect } = require('@playwright/test');
+const { UserManager } = require('../../lib/user-manager');
+const { EncryptionService } = require('../../lib/encryption');
+const { ApiKeyManager, hasScope } = require('../../lib/api-key-manager');
+const { authenticateRequest, requireScope } = require('../../lib/auth-middleware');
+const { closeTestDatabase, openTestDatabase } = require('../helpers/database');
+
+test.describe('API keys', () => {
+  let database;
+  let userManager;
+  let apiKeyManager;
+  let user;
+
+  test.beforeEach(async () => {
+    database = await openTestDatabase('keys');
+
+    const encryption = new EncryptionService();
+    userManager = new UserManager(database, encryption);
+    apiKeyManager = new ApiKeyManager(database, encryption);
+    user = await userManager.createUser({ email: `user-${Date.now()}@example.com`, password: 'correct horse', name: 'Test User' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('keys are stored hashed and authenticate via X-API-Key', async () => {
+    const created = await apiKeyManager.createKey(user.id, { name: 'import script', scopes: ['tasks'] });
+
+    const row = await database.get('SELECT * FROM api_keys WHERE id = ?', [created.id]);
+    expect(row.key_hash).not.toBe(created.key);
+    expect(JSON.stringify(row)).not.toContain(created.key);
+
+    const resolved = await authenticateRequest({ headers: { 'x-api-key': created.key } }, userManager, apiKeyManager);
+    expect(resolved).toMatchObject({ id: user.id, api_key: { id: created.id, scopes: ['tasks'] } });
+
+    // Without a key manager the header is ignored (session-only routes)
+    expect(await authenticateRequest({ headers: { 'x-api-key': created.key } }, userManager)).toBeNull();
+  });
+
+  test('lookup failures reject instead of reading as no user, and are not cached', async () => {
+    const req = { headers: { authorization: 'Bearer not-a-jwt' } };
+    expect(await authenticateRequest(req, userManager)).toBeNull();
+
+    const created = await apiKeyManager.createKey(user.id, { name: 'flaky', scopes: ['tasks'] });
+    const keyReq = { headers: { 'x-api-key': created.key } };
+    const failing = { verifyKey: async () => { throw new Error('database is down'); } };
+    await expect(authenticateRequest(keyReq, userManager, failing)).rejects.toThrow('database is down');
+    expect(await authenticateRequest(keyReq, userManager, apiKeyManager)).toMatchObject({ id: user.id });
+  });
+
+  test('revoked keys stop working and only the owner can revoke', async () => {
+    const created = await apiKeyManager.createKey(user.id, { name: 'ci', scopes: 'read,events' });
+
+    expect(await apiKeyManager.revokeKey('someone-else', created.id)).toBe(false);
+    expect(await apiKeyManager.listKeys(user.id)).toHaveLength(1);
+
+    expect(await apiKeyManager.revokeKey(user.id, created.id)).toBe(true);
+    expect(await apiKeyManager.verifyKey(created.key)).toBeNull();
+    expect(await apiKeyManager.listKeys(user.id)).toHaveLength(0);
+  });
+
+  test('scopes are validated and enforced per area', async () => {
+    await expect(apiKeyManager.createKey(user.id, { name: 'bad', scopes: ['admin'] })).rejects.toThrow('Unknown API key scope');
+    await expect(apiKeyManager.createKey(user.id, { name: 'none', scopes: [] })).rejects.toThrow('At least one scope');
+
+    expect(hasScope(['read'], 'tasks', 'GET')).toBe(true);
+    expect(hasScope(['read'], 'tasks', 'POST')).toBe(false);
+    expect(hasScope(['tasks'], 'tasks', 'DELETE')).toBe(true);
+    expect(hasScope(['tasks'], 'events', 'GET')).toBe(false);
+
+    const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; } };
+    let passed = false;
+    requireScope('events')({ method: 'POST', user: { id: user.id, api_key: { scopes: ['tasks'] } } }, res, () => { passed = true; });
+    expect(passed).toBe(false);
+    expect(res.code).toBe(403);
+
+    requireScope('events')({ method: 'POST', user: { id: user.id } }, res, () => { passed = true; });
+    expect(passed).toBe(true);
+
+    // Only a key record's scopes count, not a stray string such as the old plaintext column
+    passed = false;
+    requireScope('events')({ method: 'POST', user: { id: user.id, api_key: 'sk_legacy' } }, res, () => { passed = true; });
+    expect(passed).toBe(true);
+  });
+});
@@ -0,0 +1,103 @@
+const { test, expect } = require('@playwright/test');
+const { ActionLedger, applyInverse, needsConfirmation } = require('../../lib/assistant-actions');
+const { AIAssistant } = require('../../lib/ai-assistant');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Assistant confirmations and undo', () => {
+  let database;
+  const userId = 'actions-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('actions');
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('pending actions are single-use, per user and expire', async () => {
+    const ledger = new ActionLedger({ confirmationTtl: 20 });
+    expect(needsConfirmation('CONFIRM_DELETE_EVENT')).toBe(true);
+    expect(needsConfirmation('EVENT_CREATED')).toBe(false);
+
+    const { token, expiresIn } = ledger.propose(userId, { action: 'CONFIRM_DELETE_EVENT', data: { title: 'Standup' }, sessionId: 'chat-1' });
+    expect(expiresIn).toBe(0);
+    expect(ledger.latestPending(userId, 'chat-1')).toMatchObject({ token });
+    expect(ledger.latestPending(userId, 'chat-2')).toBeNull();
+
+    expect(ledger.take('someone-else', token)).toBeNull();
+    expect(ledger.take(userId, token)).toMatchObject({ action: 'CONFIRM_DELETE_EVENT', data: { title: 'Standup' } });
+    expect(ledger.take(userId, token)).toBeNull();
+
+    const late = ledger.propose(userId, { action: 'CONFIRM_CREATE_EVENT', data: {} });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(ledger.take(userId, late.token)).toBeNull();
+  });
+
+  test('undo reverts the newest action inside the window', async () => {
+    const ledger = new ActionLedger();
+    const event = await database.createEvent({ id: 'evt-undo', userId, title: 'Lunch', date: '2025-05-06', time: '12:00' });
+
+    ledger.record(userId, { action: 'EVENT_CREATED', description: 'scheduled "Lunch"', inverse: { type: 'delete_event', eventId: event.id } });
+    const entry = ledger.takeUndo(userId);
+    expect(entry).toMatchObject({ description: 'scheduled "Lunch"' });
+    expect(ledger.takeUndo(userId)).toBeNull();
+
+    const deleted = await applyInverse(database, userId, entry.inverse);
+    expect(deleted.id).toBe('evt-undo');
+    expect(await database.getEventById('evt-undo')).toBeNull();
+
+    // Undoing the delete brings the same row back
+    await applyInverse(database, userId, { type: 'restore_event', event: deleted });
+    expect(await database.getEventById('evt-undo')).toMatchObject({ title: 'Lunch', time: '12:00:00' });
+
+    await database.updateEvent('evt-undo', { title: 'Brunch', date: '2025-05-07', time: '11:00' });
+    await applyInverse(database, userId, { type: 'update_event', event: deleted });
+    expect(await database.getEventById('evt-undo')).toMatchObject({ title: 'Lunch', time: '12:00:00' });
+
+    await expect(applyInverse(database, 'someone-else', { type: 'delete_event', eventId: 'evt-undo' })).rejects.toThrow('no longer exists');
+
+    const expiring = new ActionLedger({ undoWindow: 1 });
+    expiring.record(userId, { action: 'EVENT_CREATED', description: 'x', inverse: { type: 'delete_event', eventId: 'evt-undo' } });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(expiring.takeUndo(userId)).toBeNull();
+  });
+
+  test('chat replies confirm, reject or undo', async () => {
+    const assistant = new AIAssistant(database, null, { classifier: { classify: async () => null } });
+
+    expect(await assistant.understandTurn(userId, 'undo that', 'chat-1')).toMatchObject({ intent: 'UNDO' });
+
+    // Without anything pending, "yes" is just a message
+    expect((await assistant.understandTurn(userId, 'yes', 'chat-1')).intent).not.toBe('CONFIRM');
+
+    const { token } = assistant.actions.propose(userId, { action: 'CONFIRM_CREATE_EVENT', data: {}, sessionId: 'chat-1' });
+    expect(await assistant.understandTurn(userId, 'Yes please', 'chat-1')).toMatchObject({ intent: 'CONFIRM', entities: { token } });
+    expect(await assistant.understandTurn(userId, 'no', 'chat-1')).toMatchObject({ intent: 'REJECT', entities: { token } });
+    expect((await assistant.understandTurn(userId, 'yes', 'chat-2')).intent).not.toBe('CONFIRM');
+  });
+
+  test('only standalone replies undo', async () => {
+    const assistant = new AIAssistant(database, null, { classifier: { classify: async () => null } });
+
+    for (const message of ['Undo', 'revert it please', 'Take that back!', 'undo that.']) {
+      expect((await assistant.understandTurn(userId, message, 'chat-1')).intent).toBe('UNDO');
+    }
+    for (const message of ['revert the meeting to 3pm', 'undo my 5pm block and add gym instead', 'take it back to Friday']) {
+      expect((await assistant.understandTurn(userId, message, 'chat-1')).intent).not.toBe('UNDO');
+    }
+  });
+
+  test('new requests that start with yes or no words are not replies', async () => {
+    const assistant = new AIAssistant(database, null, { classifier: { classify: async () => null } });
+    const { token } = assistant.actions.propose(userId, { action: 'CONFIRM_DELETE_EVENT', data: {}, sessionId: 'chat-1' });
+
+    for (const message of ["don't forget to call mom at 3pm", 'no meetings on Friday, move standup to Monday', 'ok, also add lunch tomorrow at noon', 'Sure, schedule a call with Sam tomorrow at 10am']) {
+      expect(['CONFIRM', 'REJECT']).not.toContain((await assistant.understandTurn(userId, message, 'chat-1')).intent);
+    }
+
+    // The proposal is still waiting for an answer
+    expect(await assistant.understandTurn(userId, 'OK.', 'chat-1')).toMatchObject({ intent: 'CONFIRM', entities: { token } });
+    expect(await assistant.understandTurn(userId, 'No thanks!', 'chat-1')).toMatchObject({ intent: 'REJECT', entities: { token } });
+  });
+});
@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { ActionLedger } = require('../../lib/assistant-actions');
+const {
+  handleDirectIntent,
+  settleAssistantAction,
+  trackAssistantAction,
+  undoAssistantAction
+} = require('../../lib/assistant-handlers');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Assistant chat handlers', () => {
+  let database;
+  let actions;
+  const userId = 'handlers-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('handlers');
+    await database.createUser({ id: userId, email: 'handlers@example.com', passwordHash: 'x', name: 'Handlers', timezone: 'America/New_York' });
+    actions = new ActionLedger();
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('created events can be undone', async () => {
+    const response = await handleDirectIntent({
+      intent: 'CREATE',
+      entities: { title: 'Dentist', date: '2030-05-07', time: '15:00', duration: 30 }
+    }, userId, database);
+
+    expect(response).toMatchObject({ action: 'EVENT_CREATED', description: 'scheduled "Dentist" on Tuesday, May 7 at 3:00 PM' });
+    const { pendingAction, undo } = trackAssistantAction(actions, response, userId, 'chat-1');
+    expect(pendingAction).toBeNull();
+    expect(undo).not.toBeNull();
+
+    expect(await undoAssistantAction(actions, userId, database)).toMatchObject({ action: 'ACTION_UNDONE' });
+    expect(await database.getEventsByDateRange(userId, '2030-05-07', '2030-05-07')).toEqual([]);
+    expect((await undoAssistantAction(actions, userId, database)).action).toBeNull();
+  });
+
+  test('planned tasks are booked once confirmed', async () => {
+    await database.createTask({ id: 'report', userId, title: 'Write report', estimatedMinutes: 60 });
+
+    const response = await handleDirectIntent({ intent: 'PLAN', entities: { date: '2030-05-07', period: 'day' } }, userId, database);
+    expect(response.action).toBe('CONFIRM_SCHEDULE_TASKS');
+    expect(response.text).toContain('• 9:00 AM - 10:00 AM: Write report');
+
+    const { pendingAction } = trackAssistantAction(actions, response, userId, 'chat-1');
+    const settled = await settleAssistantAction(actions, userId, pendingAction.token, true, database);
+    expect(settled).toMatchObject({ action: 'ACTION_CONFIRMED', text: 'Done. Added time for 1 task to your calendar.' });
+
+    const [event] = await database.getEventsByDateRange(userId, '2030-05-07', '2030-05-07');
+    expect(event).toMatchObject({ title: 'Write report', task_id: 'report' });
+    expect((await settleAssistantAction(actions, userId, pendingAction.token, true, database)).action).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const { UserManager } = require('../../lib/user-manager');
+const { EncryptionService } = require('../../lib/encryption');
+const { closeTestDatabase, openTestDatabase } = require('../helpers/database');
+
+test.describe('refresh tokens and sessions', () => {
+  let database;
+  let userManager;
+  let email;
+
+  test.beforeEach(async () => {
+    database = await openTestDatabase('auth');
+    userManager = new UserManager(database, new EncryptionService());
+
+    email = `user-${Date.now()}@example.com`;
+    await userManager.createUser({ email, password: 'correct horse', name: 'Test User' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('login issues an access token bound to a session', async () => {
+    const login = await userManager.authenticate(email, 'correct horse', { userAgent: 'spec' });
+    const user = await userManager.verifyToken(login.token);
+
+    expect(login.refreshToken.startsWith(`${user.session_id}.`)).toBe(true);
+    // API access uses hashed keys from /api/auth/api-keys; users carry no key of their own
+    expect(login.user).not.toHaveProperty('apiKey');
+    expect(user).not.toHaveProperty('api_key');
+
+    const sessions = await userManager.listSessions(user.id);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].user_agent).toBe('spec');
+  });
+
+  test('refresh rotates the refresh token', async () => {
+    const login = await userManager.authenticate(email, 'correct horse');
+    const refreshed = await userManager.refresh(login.refreshToken);
+
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+    await expect(userManager.verifyToken(refreshed.token)).resolves.toMatchObject({ email });
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    userManager.refreshGraceMs = 0;
+    const login = await userManager.authenticate(email, 'correct horse');
+    const refreshed = await userManager.refresh(login.refreshToken);
+
+    await expect(userManager.refresh(login.refreshToken)).rejects.toThrow('reuse detected');
+    await expect(userManager.refresh(refreshed.refreshToken)).rejects.toThrow('Invalid refresh token');
+    await expect(userManager.verifyToken(refreshed.token)).rejects.toThrow();
+  });
+
+  test('tabs refreshing at the same moment keep the session', async () => {
+    const login = await userManager.authenticate(email, 'correct horse');
+
+    const [first, second] = await Promise.all([userManager.refresh(login.refreshToken), userManager.refresh(login.refreshToken)]);
+    await expect(userManager.verifyToken(second.token)).resolves.toMatchObject({ email });
+    // Both tabs' new refresh tokens still work
+    await expect(userManager.refresh(first.refreshToken)).resolves.toHaveProperty('refreshToken');
+
+    // Older tokens are reuse
+    await expect(userManager.refresh(login.refreshToken)).rejects.toThrow('reuse detected');
+  });
+
+  test('revoking a session only affects the owner', async () => {
+    const login = await userManager.authenticate(email, 'correct horse');
+    const user = await userManager.verifyToken(login.token);
+
+    expect(await userManager.revokeSession('someone-else', user.session_id)).toBe(false);
+    expect(await userManager.revokeSession(user.id, user.session_id)).toBe(true);
+    await expect(userManager.verifyToken(login.token)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,119 @@
+const { test, expect } = require('@playwright/test');
+const { NLPParser } = require('../../lib/nlp-parser');
+const {
+  checkTimeSlot,
+  describeConflicts,
+  findConflicts,
+  getAvailability,
+  normalizeWorkingHours,
+  suggestSlots
+} = require('../../lib/availability');
+const { withEventTimes } = require('../../lib/timezones');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Availability', () => {
+  let database;
+  const userId = 'availability-user';
+  // Monday, May 5 2025, before the working day starts in New York
+  const now = new Date('2025-05-05T12:00:00Z');
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('availability');
+    await database.createUser({ id: userId, email: 'free@example.com', passwordHash: 'x', name: 'Free', timezone: 'America/New_York' });
+
+    await database.createEvent({ id: 'standup', userId, title: 'Standup', date: '2025-05-06', time: '09:00', durationMinutes: 30 });
+    await database.createEvent({ id: 'review', userId, title: 'Design review', date: '2025-05-06', time: '13:00', endTime: '15:00' });
+    await database.createEvent({ id: 'holiday', userId, title: 'Office closed', date: '2025-05-07', allDay: true });
+    await database.createTask({ id: 'report', userId, title: 'Send report', dueDate: '2025-05-06', dueTime: '11:00' });
+    await database.createTask({ id: 'done', userId, title: 'Old task', dueDate: '2025-05-06', dueTime: '16:00', status: 'completed' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('working hours default to weekdays 9 to 5 and are validated', () => {
+    expect(normalizeWorkingHours()).toEqual({ start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] });
+    expect(normalizeWorkingHours({ start: '08:30', days: [6, 0, 6] })).toEqual({ start: '08:30', end: '17:00', days: [0, 6] });
+
+    expect(() => normalizeWorkingHours({ start: '18:00' })).toThrow('Working hours must end after they start');
+    expect(() => normalizeWorkingHours({ end: '5pm' })).toThrow(expect.objectContaining({ code: 'INVALID_AVAILABILITY' }));
+    expect(() => normalizeWorkingHours({ days: [7] })).toThrow('Working days must be numbers');
+  });
+
+  test('free time is working hours minus timed events and open tasks', async () => {
+    const availability = await getAvailability(database, userId, { startDate: '2025-05-06', endDate: '2025-05-07' });
+    const [tuesday, wednesday] = availability.days;
+
+    expect(availability.timezone).toBe('America/New_York');
+    expect(tuesday.busy.map(block => [block.type, block.title, block.start])).toEqual([
+      ['event', 'Standup', '2025-05-06T09:00:00-04:00'],
+      ['task', 'Send report', '2025-05-06T11:00:00-04:00'],
+      ['event', 'Design review', '2025-05-06T13:00:00-04:00']
+    ]);
+    expect(tuesday.free).toEqual([
+      { start: '2025-05-06T09:30:00-04:00', end: '2025-05-06T11:00:00-04:00' },
+      { start: '2025-05-06T11:30:00-04:00', end: '2025-05-06T13:00:00-04:00' },
+      { start: '2025-05-06T15:00:00-04:00', end: '2025-05-06T17:00:00-04:00' }
+    ]);
+
+    // All-day events are listed without blocking the day
+    expect(wednesday.allDay).toEqual([{ id: 'holiday', title: 'Office closed' }]);
+    expect(wednesday.free).toEqual([{ start: '2025-05-07T09:00:00-04:00', end: '2025-05-07T17:00:00-04:00' }]);
+
+    const longSlots = await getAvailability(database, userId, { startDate: '2025-05-06', minimumMinutes: 120 });
+    expect(longSlots.days[0].free).toEqual([{ start: '2025-05-06T15:00:00-04:00', end: '2025-05-06T17:00:00-04:00' }]);
+
+    await expect(getAvailability(database, userId, { startDate: '2025-05-06', endDate: '2025-07-01' }))
+      .rejects.toThrow('Availability covers at most 31 days');
+  });
+
+  test('working hours come from the user\'s preferences', async () => {
+    await database.updateUserPreference(userId, 'workingHours', { start: '10:00', end: '12:00', days: [6] });
+
+    const { days } = await getAvailability(database, userId, { startDate: '2025-05-09', endDate: '2025-05-10' });
+    expect(days.map(day => [day.date, day.working, day.free.length])).toEqual([
+      ['2025-05-09', false, 0],
+      ['2025-05-10', true, 1]
+    ]);
+  });
+
+  test('new events report what they overlap and the nearest open slots', async () => {
+    const lunch = withEventTimes(await database.createEvent({ id: 'lunch', userId, title: 'Lunch', date: '2025-05-06', time: '10:45' }));
+
+    const conflicts = await findConflicts(database, userId, lunch);
+    expect(conflicts).toEqual([
+      { type: 'task', id: 'report', title: 'Send report', start: '2025-05-06T11:00:00-04:00', end: '2025-05-06T11:30:00-04:00' }
+    ]);
+
+    const suggestions = await suggestSlots(database, userId, { date: '2025-05-06', time: '10:45', durationMinutes: 60, excludeEventId: 'lunch', now });
+    expect(suggestions.map(slot => slot.start)).toEqual([
+      '2025-05-06T10:00:00-04:00',
+      '2025-05-06T11:30:00-04:00',
+      '2025-05-06T15:00:00-04:00'
+    ]);
+    expect(describeConflicts(conflicts, suggestions.slice(0, 1)))
+      .toBe('Heads up: it overlaps "Send report" (11:00 AM - 11:30 AM). The nearest open times are Tuesday, May 6 at 10:00 AM.');
+
+    expect(await findConflicts(database, userId, withEventTimes(await database.getEventById('holiday')))).toEqual([]);
+  });
+
+  test('checks whether a time is free', async () => {
+    expect(await checkTimeSlot(database, userId, { date: '2025-05-06', time: '16:00', now }))
+      .toEqual({ free: true, conflicts: [], suggestions: [] });
+
+    const busy = await checkTimeSlot(database, userId, { date: '2025-05-06', time: '14:00', durationMinutes: 30, now });
+    expect(busy.free).toBe(false);
+    expect(busy.conflicts.map(block => block.title)).toEqual(['Design review']);
+    expect(busy.suggestions[0].start).toBe('2025-05-06T15:00:00-04:00');
+  });
+
+  test('the parser marks free-time questions', () => {
+    const parser = new NLPParser();
+    const result = parser.parse('Am I free tomorrow at 3pm?', { now, timezone: 'America/New_York' });
+
+    expect(result.intent).toBe('QUERY');
+    expect(result.entities).toMatchObject({ availability: true, date: '2025-05-06', time: '15:00' });
+    expect(parser.parse('What do I have today?', { now }).entities.availability).toBeUndefined();
+  });
+});
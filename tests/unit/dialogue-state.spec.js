@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { AIAssistant } = require('../../lib/ai-assistant');
+const { DialogueState } = require('../../lib/dialogue-state');
+
+test.describe('Chat slot filling', () => {
+  let assistant;
+  const userId = 'dialogue-user';
+
+  test.beforeEach(() => {
+    // No LLM: every message is understood by the keyword parser
+    assistant = new AIAssistant(null, null, { classifier: { classify: async () => null } });
+  });
+
+  test('asks for each missing slot and merges the answers', async () => {
+    const first = await assistant.understandTurn(userId, 'Book a haircut', 'chat-1');
+    expect(first).toMatchObject({ intent: 'CREATE', missing: ['date', 'time'], prompt: { action: 'REQUEST_DATE' }, continued: false });
+
+    const second = await assistant.understandTurn(userId, 'tomorrow', 'chat-1');
+    expect(second).toMatchObject({ intent: 'CREATE', missing: ['time'], prompt: { action: 'REQUEST_TIME' }, continued: true });
+
+    const third = await assistant.understandTurn(userId, '3pm', 'chat-1');
+    expect(third).toMatchObject({ intent: 'CREATE', missing: [], prompt: null, continued: true });
+    expect(third.entities).toMatchObject({ title: 'Haircut', date: second.entities.date, time: '15:00' });
+    expect(third.confidence).toBe(first.confidence);
+
+    expect(assistant.getDialogue(userId, 'chat-1').state).toBe('idle');
+  });
+
+  test('keeps sessions apart and lets a new request replace a pending one', async () => {
+    await assistant.understandTurn(userId, 'Book a haircut', 'chat-1');
+
+    const elsewhere = await assistant.understandTurn(userId, 'Friday', 'chat-2');
+    expect(elsewhere).toMatchObject({ continued: false, missing: ['time'] });
+
+    const query = await assistant.understandTurn(userId, 'What do I have tomorrow?', 'chat-1');
+    expect(query).toMatchObject({ intent: 'QUERY', prompt: null, continued: false });
+    expect(assistant.getDialogue(userId, 'chat-1').state).toBe('idle');
+  });
+
+  test('asks which event to cancel, and drops the request on "never mind"', async () => {
+    const cancel = await assistant.understandTurn(userId, 'Cancel it', 'chat-1');
+    expect(cancel).toMatchObject({ intent: 'DELETE', missing: ['title'], prompt: { action: 'REQUEST_EVENT_SELECTION' } });
+
+    const dropped = await assistant.understandTurn(userId, 'never mind', 'chat-1');
+    expect(dropped).toMatchObject({ intent: 'UNKNOWN', prompt: { text: "Okay, I've dropped that.", action: null } });
+    expect(assistant.getDialogue(userId, 'chat-1').state).toBe('idle');
+  });
+
+  test('forgets a pending request once it expires', async () => {
+    const dialogue = new DialogueState({ ttl: 1 });
+    dialogue.start({ intent: 'DELETE', entities: {}, confidence: 0.9 });
+    expect(dialogue.state).toBe('collecting');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(dialogue.state).toBe('idle');
+  });
+});
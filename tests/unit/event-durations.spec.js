@@ -0,0 +1,188 @@
+const { test, expect } = require('@playwright/test');
+const { Migrator } = require('../../lib/migrator');
+const { NLPParser } = require('../../lib/nlp-parser');
+const { buildICalendar, parseICalendar } = require('../../lib/icalendar');
+const { eventTimingFromEntities } = require('../../lib/assistant-actions');
+const { describeEvent } = require('../../lib/event-resolver');
+const { VoiceToolRegistry } = require('../../lib/voice-tools');
+const { eventInstants } = require('../../lib/timezones');
+const { closeTestDatabase, openTestDatabase, openTestRepository } = require('../helpers/database');
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test.describe('Event end times', () => {
+  test('ends come from an end date and time, a duration or the default hour', () => {
+    const overnight = eventInstants({ date: '2025-05-06', time: '22:00', endTime: '01:30', timezone: 'Europe/Paris' });
+    expect(overnight).toMatchObject({ endDate: '2025-05-07', endTime: '01:30:00' });
+    expect(overnight.endAt.toISOString()).toBe('2025-05-06T23:30:00.000Z');
+
+    expect(eventInstants({ date: '2025-05-06', time: '09:00', durationMinutes: 90 })).toMatchObject({ endDate: '2025-05-06', endTime: '10:30:00' });
+    expect(eventInstants({ date: '2025-05-06', time: '09:00' }).endTime).toBe('10:00:00');
+
+    const trip = eventInstants({ date: '2025-05-12', allDay: true, endDate: '2025-05-14' });
+    expect(trip.endAt.toISOString()).toBe('2025-05-15T00:00:00.000Z');
+    expect(trip).toMatchObject({ endDate: '2025-05-14', endTime: null });
+
+    expect(() => eventInstants({ date: '2025-05-06', time: '09:00', endDate: '2025-05-05', endTime: '10:00' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_EVENT_RANGE' }));
+    expect(() => eventInstants({ date: '2025-05-06', allDay: true, endDate: '2025-05-01' }))
+      .toThrow('An event must end after it starts');
+  });
+
+  test('parsed durations become end times or all-day spans', () => {
+    const parser = new NLPParser();
+    const now = new Date('2025-05-07T12:00:00Z');
+
+    const conference = parser.parse('Conference for 3 days starting next monday', { now }).entities;
+    expect(conference).toMatchObject({ date: '2025-05-12', duration: 3 * 24 * 60 });
+    expect(eventTimingFromEntities(conference)).toEqual({ time: null, allDay: true, endDate: '2025-05-14' });
+
+    const workshop = parser.parse('Workshop tomorrow from 2pm to 5pm', { now }).entities;
+    expect(workshop).toMatchObject({ time: '14:00', endTime: '17:00' });
+    expect(eventTimingFromEntities(workshop)).toMatchObject({ time: '14:00', allDay: false, endTime: '17:00' });
+
+    expect(eventTimingFromEntities({ date: '2025-05-08', duration: 45 }, '09:00'))
+      .toEqual({ time: '09:00', allDay: false, endTime: null, durationMinutes: 45 });
+  });
+
+  test('multi-day events are described by their first and last day', () => {
+    expect(describeEvent({ title: 'Conference', date: '2025-05-12', all_day: 1, end_date: '2025-05-14' }))
+      .toBe('"Conference" from Monday, May 12 to Wednesday, May 14');
+    expect(describeEvent({ title: 'Night shift', date: '2025-05-12', time: '22:00:00', end_date: '2025-05-13', end_time: '06:00:00' }))
+      .toBe('"Night shift" from Monday, May 12 at 10:00 PM to Tuesday, May 13 at 6:00 AM');
+    expect(describeEvent({ title: 'Dentist', date: '2025-05-09', time: '15:00:00', end_date: '2025-05-09', end_time: '16:00:00' }))
+      .toBe('"Dentist" on Friday, May 9 at 3:00 PM');
+  });
+
+  test('iCalendar DTEND and DURATION are imported and DTEND is exported', () => {
+    const items = parseICalendar(ics(
+      'BEGIN:VEVENT',
+      'UID:trip',
+      'SUMMARY:Trip',
+      'DTSTART;VALUE=DATE:20250512',
+      'DTEND;VALUE=DATE:20250515',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:call',
+      'SUMMARY:Call',
+      'DTSTART:20250506T130000Z',
+      'DTEND:20250506T143000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:review',
+      'SUMMARY:Review',
+      'DTSTART:20250506T090000',
+      'DURATION:PT45M',
+      'END:VEVENT'
+    ), { timezone: 'Europe/Paris' });
+
+    expect(items.map(item => item.data)).toEqual([
+      expect.objectContaining({ date: '2025-05-12', allDay: true, endDate: '2025-05-14' }),
+      expect.objectContaining({ date: '2025-05-06', time: '15:00', endDate: '2025-05-06', endTime: '16:30' }),
+      expect.objectContaining({ date: '2025-05-06', time: '09:00', durationMinutes: 45 })
+    ]);
+
+    const feed = buildICalendar({
+      events: [
+        { id: 'trip', title: 'Trip', date: '2025-05-12', all_day: 1, end_date: '2025-05-14', timezone: 'UTC' },
+        { id: 'call', title: 'Call', date: '2025-05-06', time: '15:00:00', end_date: '2025-05-06', end_time: '16:30:00', timezone: 'Europe/Paris' }
+      ]
+    });
+    expect(feed).toContain('DTEND;VALUE=DATE:20250515');
+    expect(feed).toContain('DTEND;TZID=Europe/Paris:20250506T163000');
+  });
+});
+
+test.describe('Event end times in storage', () => {
+  let database;
+  const userId = 'duration-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('durations');
+    await database.createUser({ id: userId, email: 'durations@example.com', passwordHash: 'x', name: 'Durations', timezone: 'UTC' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('multi-day events show up in every range they overlap', async () => {
+    await database.createEvent({ id: 'trip', userId, title: 'Trip', date: '2025-05-12', allDay: true, endDate: '2025-05-14' });
+    await database.createEvent({ id: 'shift', userId, title: 'Night shift', date: '2025-05-15', time: '22:00', endTime: '06:00' });
+
+    const titles = async (start, end) => (await database.getEventsByDateRange(userId, start, end)).map(event => event.title);
+    expect(await titles('2025-05-13', '2025-05-13')).toEqual(['Trip']);
+    expect(await titles('2025-05-16', '2025-05-16')).toEqual(['Night shift']);
+    expect(await titles('2025-05-17', '2025-05-20')).toEqual([]);
+
+    // Weekend-long occurrences that start before the range still overlap it
+    await database.createEvent({
+      id: 'weekend', userId, title: 'Cabin', date: '2025-05-03', allDay: true, endDate: '2025-05-04', rrule: 'FREQ=WEEKLY;COUNT=3'
+    });
+    const cabin = (await database.getEventsByDateRange(userId, '2025-05-11', '2025-05-18')).filter(event => event.title === 'Cabin');
+    expect(cabin.map(event => [event.date, event.end_date])).toEqual([
+      ['2025-05-10', '2025-05-11'],
+      ['2025-05-17', '2025-05-18']
+    ]);
+  });
+
+  test('moving an event keeps its length unless a new end is given', async () => {
+    await database.createEvent({ id: 'workshop', userId, title: 'Workshop', date: '2025-05-06', time: '14:00', durationMinutes: 150 });
+    await database.updateEvent('workshop', { title: 'Workshop', date: '2025-05-08', time: '09:00' });
+    expect(await database.getEventById('workshop')).toMatchObject({ end_date: '2025-05-08', end_time: '11:30:00' });
+
+    await database.updateEvent('workshop', { title: 'Workshop', date: '2025-05-08', time: '09:00', endTime: '10:00' });
+    expect(await database.getEventById('workshop')).toMatchObject({ end_time: '10:00:00', end_at: '2025-05-08T10:00:00.000Z' });
+
+    await database.createEvent({ id: 'trip', userId, title: 'Trip', date: '2025-05-12', allDay: true, endDate: '2025-05-14' });
+    await database.updateEvent('trip', { title: 'Trip', date: '2025-06-01', allDay: true });
+    expect(await database.getEventById('trip')).toMatchObject({ end_date: '2025-06-03' });
+  });
+
+  test('voice tools create timed ranges and find free time around them', async () => {
+    const tools = new VoiceToolRegistry();
+    const run = (name, args) => tools.execute(name, { database, userId }, args);
+
+    const created = await run('create_calendar_event', { title: 'Planning', date: '2025-05-08', time: '13:00', duration: 90 });
+    expect(created.event).toMatchObject({ time: '13:00', end_date: '2025-05-08', end_time: '14:30' });
+    await run('create_calendar_event', { title: 'On call', date: '2025-05-07', time: '20:00', end_date: '2025-05-08', end_time: '12:30' });
+
+    const result = await run('find_free_time', { date: '2025-05-08', period: 'day', duration_minutes: 30 });
+    // The overnight event is busy from midnight, where this day starts
+    expect(result.busy).toEqual([
+      { title: 'On call', start: '00:00', end: '12:30' },
+      { title: 'Planning', start: '13:00', end: '14:30' }
+    ]);
+    expect(result.free).toEqual([{ start: '12:30', end: '13:00' }, { start: '14:30', end: '18:00' }]);
+  });
+});
+
+test.describe('End date migration', () => {
+  let database;
+
+  test.beforeEach(async () => {
+    database = await openTestDatabase('end-date-migration', { migrate: false });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('backfills end dates and times from the stored end instant', async () => {
+    const migrator = new Migrator(database, { logger: { log: () => {} } });
+    await migrator.up({ to: '006' });
+
+    await database.run(
+      "INSERT INTO calendar_events (id, user_id, title, date, time, all_day, timezone, start_at, end_at) VALUES ('late', 'u1', 'Late', '2025-05-06', '23:30:00', 0, 'Europe/Paris', '2025-05-06T21:30:00.000Z', '2025-05-06T22:30:00.000Z')"
+    );
+    await database.run(
+      "INSERT INTO calendar_events (id, user_id, title, date, time, all_day) VALUES ('holiday', 'u1', 'Holiday', '2025-05-08', NULL, 1)"
+    );
+    await migrator.up();
+
+    expect(await database.get('SELECT end_date, end_time FROM calendar_events WHERE id = ?', ['late']))
+      .toEqual({ end_date: '2025-05-07', end_time: '00:30:00' });
+    expect(await database.get('SELECT end_date, end_time FROM calendar_events WHERE id = ?', ['holiday']))
+      .toEqual({ end_date: '2025-05-08', end_time: null });
+  });
+});
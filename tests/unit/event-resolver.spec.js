@@ -0,0 +1,99 @@
+const { test, expect } = require('@playwright/test');
+const { findMatchingEvents, describeEvent } = require('../../lib/event-resolver');
+const { applyInverse, cancelEvent, rescheduleEvent } = require('../../lib/assistant-actions');
+const { NLPParser } = require('../../lib/nlp-parser');
+const { DialogueState } = require('../../lib/dialogue-state');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Resolving and changing events from chat', () => {
+  let database;
+  const userId = 'resolver-user';
+  const today = '2025-05-05';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('resolver');
+
+    await database.createEvent({ id: 'evt-dentist', userId, title: 'Dentist', date: '2025-05-09', time: '15:00', type: 'appointment' });
+    await database.createEvent({ id: 'evt-sync-1', userId, title: 'Team sync', date: '2025-05-06', time: '10:00', type: 'meeting' });
+    await database.createEvent({ id: 'evt-sync-2', userId, title: 'Team sync', date: '2025-05-08', time: '14:00', type: 'meeting' });
+    await database.createEvent({ id: 'evt-other', userId: 'someone-else', title: 'Dentist', date: '2025-05-09', time: '15:00' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('matches by title, date and time and reports ambiguity', async () => {
+    const dentist = await findMatchingEvents(database, userId, { title: 'Dentist' }, { today });
+    expect(dentist.map(event => event.id)).toEqual(['evt-dentist']);
+    expect(describeEvent(dentist[0])).toBe('"Dentist" on Friday, May 9 at 3:00 PM');
+
+    expect(await findMatchingEvents(database, userId, { title: 'Team sync' }, { today })).toHaveLength(2);
+    expect((await findMatchingEvents(database, userId, { title: 'Team sync', date: '2025-05-08' }, { today })).map(event => event.id)).toEqual(['evt-sync-2']);
+    expect((await findMatchingEvents(database, userId, { title: 'Sync', time: '10:00' }, { today })).map(event => event.id)).toEqual(['evt-sync-1']);
+
+    // "Cancel my meeting" names the type, and a guessed time no event has is ignored
+    expect(await findMatchingEvents(database, userId, { title: 'Meeting', eventType: 'meeting' }, { today })).toHaveLength(2);
+    expect(await findMatchingEvents(database, userId, { title: 'Dentist', time: '12:00' }, { today })).toHaveLength(1);
+
+    expect(await findMatchingEvents(database, userId, { title: 'Haircut' }, { today })).toEqual([]);
+    expect(await findMatchingEvents(database, userId, {}, { today })).toEqual([]);
+  });
+
+  test('reschedules and cancels with undo', async () => {
+    const moved = await rescheduleEvent(database, userId, { eventId: 'evt-dentist' }, { time: '16:00' });
+    expect(moved.event).toMatchObject({ id: 'evt-dentist', time: '16:00:00' });
+    expect(moved.previous).toMatchObject({ time: '15:00:00' });
+
+    await applyInverse(database, userId, moved.inverse);
+    expect(await database.getEventById('evt-dentist')).toMatchObject({ time: '15:00:00' });
+
+    await expect(rescheduleEvent(database, 'someone-else', { eventId: 'evt-dentist' }, { time: '16:00' })).rejects.toThrow('Event not found');
+    await expect(cancelEvent(database, userId, { title: 'Haircut', date: '2025-05-06' })).rejects.toThrow('No matching');
+    await expect(cancelEvent(database, userId, { title: 'Sync', time: '14:00', date: '2025-05-08' })).resolves.toMatchObject({ event: { id: 'evt-sync-2' } });
+
+    const cancelled = await cancelEvent(database, userId, { eventId: 'evt-dentist' });
+    expect(await database.getEventById('evt-dentist')).toBeNull();
+    await applyInverse(database, userId, cancelled.inverse);
+    expect(await database.getEventById('evt-dentist')).toMatchObject({ title: 'Dentist' });
+  });
+
+  test('changes a single occurrence of a recurring event', async () => {
+    await database.createEvent({ id: 'evt-standup', userId, title: 'Standup', date: '2025-05-05', time: '09:00', rrule: 'FREQ=DAILY;COUNT=5' });
+    const occurrence = 'evt-standup::2025-05-07';
+
+    const moved = await rescheduleEvent(database, userId, { eventId: occurrence }, { time: '09:30' });
+    expect(moved.event).toMatchObject({ series_id: 'evt-standup', time: '09:30:00' });
+    await applyInverse(database, userId, moved.inverse);
+
+    let day = await database.getEventsByDateRange(userId, '2025-05-07', '2025-05-07');
+    expect(day).toHaveLength(1);
+    expect(day[0]).toMatchObject({ id: occurrence, time: '09:00:00' });
+
+    const cancelled = await cancelEvent(database, userId, { eventId: occurrence });
+    expect(await database.getEventsByDateRange(userId, '2025-05-07', '2025-05-07')).toEqual([]);
+    await applyInverse(database, userId, cancelled.inverse);
+
+    day = await database.getEventsByDateRange(userId, '2025-05-07', '2025-05-07');
+    expect(day.map(event => event.id)).toEqual([occurrence]);
+  });
+
+  test('parses what to change and asks for it when missing', async () => {
+    const parser = new NLPParser();
+
+    const move = parser.parse('Move the 3pm meeting to 4pm');
+    expect(move.intent).toBe('MODIFY');
+    expect(move.entities).toMatchObject({ time: '15:00', newTime: '16:00' });
+
+    expect(parser.parse('Rename the standup to Daily sync').entities).toMatchObject({ title: 'Standup', newTitle: 'Daily sync' });
+    expect(parser.parse('Cancel my dentist appointment')).toMatchObject({ intent: 'DELETE', entities: { title: 'Dentist' } });
+
+    const dialogue = new DialogueState();
+    const asked = dialogue.start({ intent: 'MODIFY', entities: { title: 'Dentist' }, confidence: 1, source: 'nlp' });
+    expect(asked.prompt.action).toBe('REQUEST_CHANGE');
+
+    const answered = dialogue.answer('4pm', parser.parse('4pm'));
+    expect(answered.prompt).toBeNull();
+    expect(answered.entities).toMatchObject({ title: 'Dentist', newTime: '16:00' });
+  });
+});
@@ -0,0 +1,107 @@
+const { test, expect } = require('@playwright/test');
+const { buildICalendar, parseICalendar } = require('../../lib/icalendar');
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test.describe('iCalendar parsing and feeds', () => {
+  test('parses VEVENT with folded lines, escapes and recurrence', () => {
+    const items = parseICalendar(ics(
+      'BEGIN:VEVENT',
+      'UID:standup@example.com',
+      'SUMMARY:Team standup\\, daily',
+      'DESCRIPTION:Line one\\nline',
+      '  two',
+      'DTSTART:20250106T090000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO',
+      'EXDATE:20250113T090000',
+      'END:VEVENT'
+    ));
+
+    expect(items).toHaveLength(1);
+    expect(items[0].type).toBe('event');
+    expect(items[0].data).toMatchObject({
+      uid: 'standup@example.com',
+      title: 'Team standup, daily',
+      description: 'Line one\nline two',
+      date: '2025-01-06',
+      time: '09:00',
+      allDay: false,
+      rrule: 'FREQ=WEEKLY;BYDAY=MO',
+      exdates: ['2025-01-13']
+    });
+  });
+
+  test('parses VTODO priority, status and due date', () => {
+    const [item] = parseICalendar(ics(
+      'BEGIN:VTODO',
+      'UID:taxes',
+      'SUMMARY:File taxes',
+      'DUE;VALUE=DATE:20250415',
+      'PRIORITY:1',
+      'STATUS:IN-PROCESS',
+      'END:VTODO'
+    ));
+
+    expect(item.type).toBe('task');
+    expect(item.data).toMatchObject({
+      title: 'File taxes',
+      priority: 'high',
+      status: 'progress',
+      dueDate: '2025-04-15',
+      dueTime: null
+    });
+  });
+
+  test('reports components that cannot be imported instead of throwing', () => {
+    const items = parseICalendar(ics(
+      'BEGIN:VEVENT',
+      'UID:broken',
+      'SUMMARY:No start date',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Bad rule',
+      'DTSTART;VALUE=DATE:20250101',
+      'RRULE:FREQ=SECONDLY',
+      'END:VEVENT'
+    ));
+
+    expect(items.map(item => item.error)).toEqual([
+      'VEVENT is missing DTSTART',
+      'Unsupported recurrence frequency: SECONDLY'
+    ]);
+  });
+
+  test('feed output round-trips series, overrides and dated tasks', () => {
+    const output = buildICalendar({
+      events: [
+        { id: 'series', title: 'Standup; team', date: '2025-01-06', time: '09:00:00', rrule: 'FREQ=WEEKLY', exdates: '2025-01-13' },
+        { id: 'moved', series_id: 'series', recurrence_id: '2025-01-20', title: 'Standup', date: '2025-01-21', time: '10:00:00' }
+      ],
+      tasks: [
+        { id: 'taxes', title: 'File taxes', due_date: '2025-04-15', status: 'todo' },
+        { id: 'someday', title: 'No due date', status: 'todo' }
+      ]
+    });
+
+    expect(output.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const items = parseICalendar(output).map(item => item.data);
+    expect(items).toHaveLength(3);
+    expect(items[0]).toMatchObject({ uid: 'series@daily-vibe', title: 'Standup; team', rrule: 'FREQ=WEEKLY', exdates: ['2025-01-13'] });
+    expect(items[1]).toMatchObject({ uid: 'series@daily-vibe', recurrenceId: '2025-01-20', date: '2025-01-21', time: '10:00' });
+    expect(items[2]).toMatchObject({ title: 'File taxes', date: '2025-04-15', allDay: true });
+  });
+
+  test('long lines are folded', () => {
+    const output = buildICalendar({
+      events: [{ id: 'long', title: 'x'.repeat(200), date: '2025-01-01', all_day: true }]
+    });
+
+    expect(output.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(parseICalendar(output)[0].data.title).toBe('x'.repeat(200));
+  });
+
+  test('rejects files without a VCALENDAR', () => {
+    expect(() => parseICalendar('hello')).toThrow('No VCALENDAR found in file');
+  });
+});
@@ -0,0 +1,115 @@
+const { test, expect } = require('@playwright/test');
+const { IntentClassifier, INTENT_SCHEMA } = require('../../lib/intent-classifier');
+const { AIAssistant } = require('../../lib/ai-assistant');
+const { UsageMeter } = require('../../lib/usage-meter');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+// Stands in for the OpenAI SDK: answers every completion with `result` and remembers the requests
+function fakeClient(result, usage = { prompt_tokens: 180, completion_tokens: 40, total_tokens: 220 }) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async request => {
+          requests.push(request);
+          if (result instanceof Error) {
+            throw result;
+          }
+          return { model: 'gpt-4o-mini-2024-07-18', usage, choices: [{ message: { content: JSON.stringify(result) } }] };
+        }
+      }
+    }
+  };
+}
+
+const emptyEntities = Object.fromEntries(INTENT_SCHEMA.properties.entities.required.map(key => [key, key === 'participants' ? [] : null]));
+
+test.describe('LLM intent fallback', () => {
+  let database;
+  const userId = 'intent-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('intent');
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('asks for schema-constrained JSON and returns the NLPParser shape', async () => {
+    const client = fakeClient({
+      intent: 'CREATE',
+      confidence: 0.92,
+      entities: { ...emptyEntities, title: 'Dentist', date: '2025-05-06', time: '09:30', duration: 45 }
+    });
+    const classifier = new IntentClassifier({ client });
+
+    const result = await classifier.classify('could you sort out the dentist thing tuesday morning', { now: new Date('2025-05-05T08:00:00Z') });
+
+    expect(result).toEqual({
+      intent: 'CREATE',
+      entities: { title: 'Dentist', date: '2025-05-06', time: '09:30', duration: 45 },
+      confidence: 0.92,
+      rawInput: 'could you sort out the dentist thing tuesday morning',
+      source: 'llm'
+    });
+    const [request] = client.requests;
+    expect(request.temperature).toBe(0);
+    expect(request.response_format).toMatchObject({ type: 'json_schema', json_schema: { strict: true, schema: INTENT_SCHEMA } });
+    expect(request.messages[0].content).toContain('Today is Monday 2025-05-05');
+  });
+
+  test('drops invalid values and unknown intents', async () => {
+    const classifier = new IntentClassifier({
+      client: fakeClient({ intent: 'DANCE', confidence: 7, entities: { ...emptyEntities, date: 'soon', time: '25:99' } })
+    });
+
+    const result = await classifier.classify('hmm');
+
+    expect(result).toMatchObject({ intent: 'UNKNOWN', entities: {}, confidence: 1 });
+  });
+
+  test('returns null without a key or when the call fails', async () => {
+    const previousKey = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+      const unconfigured = new IntentClassifier();
+      expect(unconfigured.isAvailable()).toBe(false);
+      expect(await unconfigured.classify('anything')).toBeNull();
+    } finally {
+      if (previousKey !== undefined) {
+        process.env.OPENAI_API_KEY = previousKey;
+      }
+    }
+
+    const failing = new IntentClassifier({ client: fakeClient(new Error('503 Service Unavailable')) });
+    expect(await failing.classify('anything')).toBeNull();
+  });
+
+  test('records the completion against the user\'s usage', async () => {
+    const usageMeter = new UsageMeter(database, {});
+    const classifier = new IntentClassifier({ client: fakeClient({ intent: 'QUERY', confidence: 0.8, entities: emptyEntities }), usageMeter });
+
+    await classifier.classify('am I around later', { userId });
+
+    const usage = await usageMeter.getUsage(userId);
+    expect(usage.daily.channels).toEqual([{ channel: 'chat', requests: 1, tokens: 220, audioSeconds: 0 }]);
+  });
+
+  test('the assistant only calls the model when the parser is unsure', async () => {
+    const client = fakeClient({ intent: 'CREATE', confidence: 0.9, entities: { ...emptyEntities, title: 'Dentist' } });
+    const assistant = new AIAssistant(database, null, { classifier: new IntentClassifier({ client }) });
+
+    const confident = await assistant.understand('Schedule a meeting with John tomorrow at 3pm', userId);
+    expect(confident).toMatchObject({ intent: 'CREATE', source: 'nlp' });
+    expect(client.requests).toHaveLength(0);
+
+    const vague = await assistant.understand('could you sort out the dentist thing', userId);
+    expect(vague).toMatchObject({ intent: 'CREATE', entities: { title: 'Dentist' }, source: 'llm' });
+    expect(client.requests).toHaveLength(1);
+
+    const offline = new AIAssistant(database, null, { classifier: new IntentClassifier({ client: fakeClient(new Error('offline')) }) });
+    expect(await offline.understand('could you sort out the dentist thing', userId)).toMatchObject({ intent: 'CREATE', source: 'nlp' });
+  });
+});
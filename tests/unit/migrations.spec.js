@@ -0,0 +1,148 @@
+const { test, expect } = require('@playwright/test');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { MIGRATIONS_DIR, Migrator } = require('../../lib/migrator');
+const { closeTestDatabase, openTestDatabase } = require('../helpers/database');
+
+const quietLogger = { log: () => {} };
+// Every migration shipped in migrations/, oldest first
+const versions = fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+  .map(file => file.split('_')[0])
+  .sort();
+
+test.describe('Schema migrations', () => {
+  let database;
+
+  test.beforeEach(async () => {
+    database = await openTestDatabase('migrations', { migrate: false });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  async function tableNames() {
+    const rows = await database.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    return rows.map(row => row.name);
+  }
+
+  async function columnNames(table) {
+    return (await database.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+  }
+
+  test('up applies every migration once and status reports it', async () => {
+    const migrator = new Migrator(database, { logger: quietLogger });
+
+    const applied = await migrator.up();
+    expect(applied.map(migration => migration.version)).toEqual(versions);
+    expect(await tableNames()).toEqual(expect.arrayContaining(['users', 'tasks', 'calendar_events', 'schema_migrations']));
+
+    expect(await migrator.up()).toEqual([]);
+    const status = await migrator.status();
+    expect(status.every(migration => migration.applied)).toBe(true);
+    expect(status[0].appliedAt).not.toBeNull();
+  });
+
+  test('down reverts the newest migrations and up can reapply them', async () => {
+    const migrator = new Migrator(database, { logger: quietLogger });
+    await migrator.up();
+
+    const reverted = await migrator.down({ to: '0' });
+    expect(reverted.map(migration => migration.version)).toEqual([...versions].reverse());
+    expect(await tableNames()).toEqual(['schema_migrations']);
+
+    await migrator.up({ to: '001' });
+    expect((await migrator.status()).map(migration => migration.applied)).toEqual(versions.map(version => version === '001'));
+  });
+
+  test('008 adds task estimates and links events to tasks', async () => {
+    const migrator = new Migrator(database, { logger: quietLogger });
+    await migrator.up({ to: '008' });
+
+    expect(await columnNames('tasks')).toContain('estimated_minutes');
+    expect(await columnNames('calendar_events')).toContain('task_id');
+
+    await migrator.down({ to: '007' });
+    expect(await columnNames('tasks')).not.toContain('estimated_minutes');
+    expect(await columnNames('calendar_events')).not.toContain('task_id');
+  });
+
+  test('009 drops the plaintext users.api_key column', async () => {
+    const migrator = new Migrator(database, { logger: quietLogger });
+    await migrator.up({ to: '008' });
+    await database.run("INSERT INTO users (id, email, password_hash, name, api_key) VALUES ('u1', 'old@example.com', 'x', 'Old User', 'sk_plaintext')");
+
+    await migrator.up({ to: '009' });
+    expect(await columnNames('users')).not.toContain('api_key');
+    expect((await database.get('SELECT * FROM users WHERE id = ?', ['u1'])).email).toBe('old@example.com');
+
+    await migrator.down({ to: '008' });
+    expect(await columnNames('users')).toContain('api_key');
+  });
+
+  test('010 keeps the previous refresh token hash on sessions', async () => {
+    const migrator = new Migrator(database, { logger: quietLogger });
+    await migrator.up({ to: '010' });
+    expect(await columnNames('sessions')).toContain('previous_refresh_token_hash');
+
+    await migrator.down({ to: '009' });
+    expect(await columnNames('sessions')).not.toContain('previous_refresh_token_hash');
+  });
+
+  test('011 marks zones other than the UTC default as chosen', async () => {
+    const migrator = new Migrator(database, { logger: quietLogger });
+    await migrator.up({ to: '010' });
+    await database.run("INSERT INTO users (id, email, password_hash, name, timezone) VALUES ('utc', 'utc@example.com', 'x', 'UTC User', 'UTC')");
+    await database.run("INSERT INTO users (id, email, password_hash, name, timezone) VALUES ('paris', 'paris@example.com', 'x', 'Paris User', 'Europe/Paris')");
+
+    await migrator.up({ to: '011' });
+    const rows = await database.all('SELECT id, timezone_set FROM users ORDER BY id');
+    expect(rows.map(row => [row.id, Boolean(row.timezone_set)])).toEqual([['paris', true], ['utc', false]]);
+
+    await migrator.down({ to: '010' });
+    expect(await columnNames('users')).not.toContain('timezone_set');
+  });
+
+  test('baseline adopts a database created before migrations existed', async () => {
+    await database.run('CREATE TABLE users (id TEXT PRIMARY KEY, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, name TEXT NOT NULL)');
+    await database.run("INSERT INTO users (id, email, password_hash, name) VALUES ('u1', 'old@example.com', 'x', 'Old User')");
+
+    await new Migrator(database, { logger: quietLogger }).up();
+
+    const user = await database.get('SELECT * FROM users WHERE id = ?', ['u1']);
+    expect(user.email).toBe('old@example.com');
+    expect(user.email_verified).toBe(1);
+  });
+
+  test('a failing migration is rolled back and left pending', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-vibe-migration-files-'));
+    await fs.writeFile(path.join(directory, '001_widgets.js'), `
+      module.exports = {
+        up: db => db.query('CREATE TABLE widgets (id TEXT PRIMARY KEY)'),
+        down: db => db.query('DROP TABLE widgets')
+      };
+    `);
+    await fs.writeFile(path.join(directory, '002_broken.js'), `
+      module.exports = {
+        up: async db => {
+          await db.query('CREATE TABLE gadgets (id TEXT PRIMARY KEY)');
+          await db.query('INSERT INTO missing_table VALUES (1)');
+        },
+        down: async () => {}
+      };
+    `);
+
+    try {
+      const migrator = new Migrator(database, { directory, logger: quietLogger });
+      await expect(migrator.up()).rejects.toThrow('Migration 002_broken (up) failed');
+
+      expect(await tableNames()).toEqual(expect.arrayContaining(['widgets']));
+      expect(await tableNames()).not.toContain('gadgets');
+      expect((await migrator.status()).map(migration => migration.applied)).toEqual([true, false]);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
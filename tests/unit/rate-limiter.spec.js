@@ -0,0 +1,76 @@
+const { test, expect } = require('@playwright/test');
+const { MemoryStore, createRateLimiter, defaultKeyGenerator } = require('../../lib/rate-limiter');
+
+function mockResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function hit(limiter, req) {
+  const res = mockResponse();
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test.describe('rate limiter', () => {
+  test('sets RateLimit headers and rejects once the bucket is empty', async () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2, store: new MemoryStore() });
+    const req = { ip: '10.0.0.1' };
+
+    const first = await hit(limiter, req);
+    expect(first.passed).toBe(true);
+    expect(first.res.headers).toMatchObject({ 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Policy': '2;w=60' });
+
+    await hit(limiter, req);
+    const third = await hit(limiter, req);
+    expect(third.passed).toBe(false);
+    expect(third.res.statusCode).toBe(429);
+    expect(third.res.headers['RateLimit-Remaining']).toBe('0');
+    expect(Number(third.res.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+
+  test('keys by API key, then user, then IP', () => {
+    expect(defaultKeyGenerator({ ip: '10.0.0.1', user: { id: 'u1', api_key: { id: 'k1' } } })).toBe('key:k1');
+    expect(defaultKeyGenerator({ ip: '10.0.0.1', user: { id: 'u1' } })).toBe('user:u1');
+    // A string api_key (the old plaintext users column) is not a key record
+    expect(defaultKeyGenerator({ ip: '10.0.0.1', user: { id: 'u1', api_key: 'dv_legacy' } })).toBe('user:u1');
+    expect(defaultKeyGenerator({ ip: '10.0.0.1', user: { id: 'u2', api_key: 'dv_legacy' } })).toBe('user:u2');
+    expect(defaultKeyGenerator({ ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+  });
+
+  test('named buckets sharing a store are counted separately', async () => {
+    const store = new MemoryStore();
+    const strict = createRateLimiter({ name: 'login', windowMs: 60000, max: 1, store });
+    const general = createRateLimiter({ name: 'api', windowMs: 60000, max: 5, store });
+    const req = { ip: '10.0.0.2' };
+
+    await hit(strict, req);
+    expect((await hit(strict, req)).passed).toBe(false);
+    expect((await hit(general, req)).passed).toBe(true);
+  });
+
+  test('windows reset after they expire and custom stores are used', async () => {
+    const calls = [];
+    const store = {
+      async increment(key, windowMs) {
+        calls.push(key);
+        return { count: 1, resetTime: Date.now() + windowMs };
+      },
+      async reset() {}
+    };
+    const limiter = createRateLimiter({ name: 'custom', max: 1, store });
+    await hit(limiter, { ip: '10.0.0.3' });
+    expect(calls).toEqual(['custom:ip:10.0.0.3']);
+
+    const memory = new MemoryStore();
+    await memory.increment('a', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect((await memory.increment('a', 1000)).count).toBe(1);
+  });
+});
@@ -0,0 +1,95 @@
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+const WebSocket = require('ws');
+const { RealtimeAudioService } = require('../../lib/realtime-audio-service');
+
+// Resolves with the open socket, or rejects with the HTTP status of a refused upgrade
+function openSocket(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers });
+    ws.on('open', () => resolve(ws));
+    ws.on('unexpected-response', (req, res) => {
+      res.resume();
+      reject(Object.assign(new Error('Upgrade refused'), { status: res.statusCode }));
+    });
+    ws.on('error', reject);
+  });
+}
+
+test.describe('Realtime audio WebSocket authentication', () => {
+  let server;
+  let wss;
+  let service;
+  let baseUrl;
+  let openaiConnections;
+
+  test.beforeEach(async () => {
+    service = new RealtimeAudioService('test-key', {
+      authenticate: async req => (req.headers.authorization === 'Bearer valid-jwt' ? { id: 'jwt-user' } : null)
+    });
+    openaiConnections = 0;
+    service.connectToOpenAI = async () => { openaiConnections++; };
+
+    server = http.createServer();
+    wss = service.createWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}/api/realtime-audio`;
+  });
+
+  test.afterEach(async () => {
+    wss.clients.forEach(client => client.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function connectedUsers() {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return [...service.connections.values()].map(connection => connection.userId);
+  }
+
+  test('rejects upgrades without credentials or with a spoofed userId', async () => {
+    await expect(openSocket(baseUrl)).rejects.toMatchObject({ status: 401 });
+    await expect(openSocket(`${baseUrl}?userId=someone-else`)).rejects.toMatchObject({ status: 401 });
+    await expect(openSocket(baseUrl, { Authorization: 'Bearer forged' })).rejects.toMatchObject({ status: 401 });
+
+    expect(service.connections.size).toBe(0);
+    expect(openaiConnections).toBe(0);
+  });
+
+  test('accepts a one-time ticket exactly once', async () => {
+    const { ticket, expiresIn } = service.issueTicket('ticket-user');
+    expect(expiresIn).toBe(60);
+
+    const ws = await openSocket(`${baseUrl}?ticket=${encodeURIComponent(ticket)}`);
+    expect(await connectedUsers()).toEqual(['ticket-user']);
+    ws.close();
+
+    await expect(openSocket(`${baseUrl}?ticket=${encodeURIComponent(ticket)}`)).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('rejects expired tickets', async () => {
+    service.ticketTtl = -1;
+    const { ticket } = service.issueTicket('ticket-user');
+
+    await expect(openSocket(`${baseUrl}?ticket=${encodeURIComponent(ticket)}`)).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('accepts a bearer JWT on the upgrade request', async () => {
+    await openSocket(baseUrl, { Authorization: 'Bearer valid-jwt' });
+
+    expect(await connectedUsers()).toEqual(['jwt-user']);
+  });
+
+  test('stats only list the caller\'s own connections', async () => {
+    await openSocket(baseUrl, { Authorization: 'Bearer valid-jwt' });
+    await openSocket(`${baseUrl}?ticket=${encodeURIComponent(service.issueTicket('ticket-user').ticket)}`);
+    await connectedUsers();
+
+    const own = service.getStats('jwt-user');
+    expect(own.activeConnections).toBe(2);
+    expect(own.connections).toHaveLength(1);
+    expect(own.connections[0]).not.toHaveProperty('userId');
+
+    expect(service.getStats()).toMatchObject({ activeConnections: 2, connections: [], sessions: [] });
+  });
+});
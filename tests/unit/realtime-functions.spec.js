@@ -0,0 +1,104 @@
+const { test, expect } = require('@playwright/test');
+const WebSocket = require('ws');
+const { RealtimeAudioService } = require('../../lib/realtime-audio-service');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+// Records what the service sends instead of talking to a real socket
+function recordingSocket() {
+  return {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    close() {}
+  };
+}
+
+test.describe('Realtime voice function calls', () => {
+  let database;
+  let service;
+  let clientWs;
+  let openaiWs;
+  const clientId = 'client_test';
+  const userId = 'voice-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('realtime');
+
+    service = new RealtimeAudioService('test-key', { database });
+    clientWs = recordingSocket();
+    openaiWs = recordingSocket();
+    service.connections.set(clientId, { ws: clientWs, isActive: true, startTime: Date.now(), userId });
+    service.openaiConnections.set(clientId, openaiWs);
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  function functionCall(name, args, callId = 'call_1') {
+    return service.handleFunctionCall(clientId, {
+      type: 'response.function_call_arguments.done',
+      name,
+      call_id: callId,
+      arguments: JSON.stringify(args)
+    });
+  }
+
+  function functionOutputs() {
+    return openaiWs.sent
+      .filter(message => message.type === 'conversation.item.create')
+      .map(message => ({ ...message.item, output: JSON.parse(message.item.output) }));
+  }
+
+  test('create_calendar_event saves the event for the connection user', async () => {
+    const output = await functionCall('create_calendar_event', { title: 'Dentist', date: '2025-05-02', time: '9:30' });
+
+    expect(output).toMatchObject({ success: true, event: { title: 'Dentist', date: '2025-05-02', time: '09:30', all_day: false } });
+    const saved = await database.getUserEvents(userId);
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({ title: 'Dentist', time: '09:30:00' });
+
+    expect(functionOutputs()).toEqual([{ type: 'function_call_output', call_id: 'call_1', output }]);
+    expect(openaiWs.sent[1]).toEqual({ type: 'response.create', response: {} });
+    expect(clientWs.sent).toContainEqual(expect.objectContaining({ type: 'calendar.updated', function: 'create_calendar_event' }));
+  });
+
+  test('query_calendar_events reads events and tasks in the range', async () => {
+    await functionCall('create_calendar_event', { title: 'Standup', date: '2025-05-05', time: '09:00' });
+    await functionCall('create_task', { title: 'Send invoice', due_date: '2025-05-06', priority: 'high' });
+    await functionCall('create_calendar_event', { title: 'Later', date: '2025-06-01' });
+
+    const output = await functionCall('query_calendar_events', { start_date: '2025-05-01', end_date: '2025-05-31' }, 'call_q');
+
+    expect(output.events.map(event => event.title)).toEqual(['Standup']);
+    expect(output.tasks).toEqual([expect.objectContaining({ title: 'Send invoice', due_date: '2025-05-06', priority: 'high' })]);
+    expect(functionOutputs().find(item => item.call_id === 'call_q').output).toEqual(output);
+  });
+
+  test('failures are returned to the model and nothing is saved', async () => {
+    const invalid = await functionCall('create_calendar_event', { title: 'Trip', date: 'next friday' });
+    expect(invalid).toEqual({ success: false, error: 'date must be a date in YYYY-MM-DD format' });
+
+    service.connections.get(clientId).userId = 'anonymous';
+    const anonymous = await functionCall('create_task', { title: 'Sneaky' }, 'call_2');
+    expect(anonymous.success).toBe(false);
+
+    expect(await database.getUserEvents(userId)).toEqual([]);
+    expect(await database.getUserTasks('anonymous')).toEqual([]);
+    expect(functionOutputs().map(item => item.output.success)).toEqual([false, false]);
+    expect(clientWs.sent.filter(message => message.type === 'calendar.updated')).toEqual([]);
+  });
+
+  test('answers after the response that made the call has finished', async () => {
+    service.handleOpenAIMessage(clientId, { type: 'response.created' });
+    await functionCall('create_task', { title: 'Water plants' });
+
+    expect(openaiWs.sent.map(message => message.type)).toEqual(['conversation.item.create']);
+
+    service.handleOpenAIMessage(clientId, { type: 'response.done' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(openaiWs.sent.map(message => message.type)).toEqual(['conversation.item.create', 'response.create']);
+  });
+});
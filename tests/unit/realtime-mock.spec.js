@@ -0,0 +1,216 @@
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+const WebSocket = require('ws');
+const { RealtimeAudioService } = require('../../lib/realtime-audio-service');
+const { MemoryService } = require('../../lib/memory-service');
+const { MockRealtimeServer } = require('../../lib/mock-realtime-server');
+const { MockRealtimeProvider, createRealtimeProvider } = require('../../lib/realtime-providers');
+const { UsageMeter } = require('../../lib/usage-meter');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Realtime voice against the mock provider', () => {
+  let database;
+  let mock;
+  let service;
+  let writes;
+  let server;
+  let wss;
+  let baseUrl;
+  const userId = 'voice-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('realtime-mock');
+
+    mock = new MockRealtimeServer();
+    const mockUrl = await mock.listen();
+    // Transcripts are stored in the background; keep hold of the writes so the database outlives them
+    const memoryService = new MemoryService(database);
+    const storeConversation = memoryService.storeConversation.bind(memoryService);
+    writes = [];
+    memoryService.storeConversation = (...args) => {
+      writes.push(storeConversation(...args));
+      return writes[writes.length - 1];
+    };
+    service = new RealtimeAudioService(null, {
+      database,
+      memoryService,
+      provider: new MockRealtimeProvider({ url: mockUrl })
+    });
+
+    server = http.createServer();
+    wss = service.createWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}/api/realtime-audio`;
+  });
+
+  test.afterEach(async () => {
+    wss.clients.forEach(client => client.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    await Promise.all(writes);
+    await closeTestDatabase(database);
+  });
+
+  // Opens a browser-style client and records every event it receives
+  async function openClient() {
+    const { ticket } = service.issueTicket(userId);
+    const ws = new WebSocket(`${baseUrl}?ticket=${encodeURIComponent(ticket)}`);
+    const events = [];
+    const waiters = [];
+
+    ws.on('message', data => {
+      const event = JSON.parse(data.toString());
+      events.push(event);
+      waiters.filter(waiter => waiter.matches(events)).forEach(waiter => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    });
+
+    return {
+      events,
+      send: event => ws.send(JSON.stringify(event)),
+      // Resolves once `count` events of the given type have arrived
+      waitFor(type, count = 1) {
+        const matches = received => received.filter(event => event.type === type).length >= count;
+        if (matches(events)) {
+          return Promise.resolve();
+        }
+        return new Promise(resolve => waiters.push({ matches, resolve }));
+      }
+    };
+  }
+
+  test('streams a spoken reply through to the browser', async () => {
+    mock.queue({ text: 'Good morning!' });
+    const client = await openClient();
+
+    client.send({ type: 'session.update', data: { voice: 'alloy' } });
+    await client.waitFor('session.updated');
+    client.send({ type: 'input_audio_buffer.append', data: { audio: Buffer.alloc(960).toString('base64') } });
+    // The service asks for a response as soon as the audio is committed
+    client.send({ type: 'input_audio_buffer.commit' });
+    await client.waitFor('response.done');
+
+    const types = client.events.map(event => event.type);
+    expect(types).toEqual(expect.arrayContaining(['session.created', 'response.audio.delta', 'response.audio.done']));
+    expect(client.events.find(event => event.type === 'response.audio_transcript.done').transcript).toBe('Good morning!');
+
+    const session = mock.received.find(event => event.type === 'session.update').session;
+    expect(session.tools.map(tool => tool.name)).toContain('create_task');
+  });
+
+  test('runs a function call and answers with its result', async () => {
+    mock.queue(
+      { functionCalls: [{ name: 'create_task', arguments: { title: 'Water plants', due_date: '2025-05-06' } }] },
+      { text: 'Added it to your tasks.' }
+    );
+    const client = await openClient();
+
+    client.send({ type: 'session.update', data: {} });
+    client.send({ type: 'response.create' });
+    await client.waitFor('response.done', 2);
+
+    expect(client.events).toContainEqual(expect.objectContaining({ type: 'calendar.updated', function: 'create_task' }));
+    expect(client.events.filter(event => event.type === 'response.audio_transcript.done').map(event => event.transcript))
+      .toEqual(['Added it to your tasks.']);
+
+    const output = mock.received.find(event => event.type === 'conversation.item.create').item;
+    expect(output).toMatchObject({ type: 'function_call_output' });
+    expect(JSON.parse(output.output)).toMatchObject({ success: true, task: { title: 'Water plants' } });
+    expect(await database.getUserTasks(userId)).toEqual([expect.objectContaining({ title: 'Water plants' })]);
+  });
+
+  test('stores each answered voice turn as a voice conversation', async () => {
+    mock.hear('Remind me to water the plants on Tuesday');
+    mock.queue(
+      { functionCalls: [{ name: 'create_task', arguments: { title: 'Water plants', due_date: '2025-05-06' } }] },
+      { text: 'Added it to your tasks.' }
+    );
+    const client = await openClient();
+
+    client.send({ type: 'session.update', data: {} });
+    client.send({ type: 'input_audio_buffer.append', data: { audio: Buffer.alloc(960).toString('base64') } });
+    // The service asks for a response as soon as the audio is committed
+    client.send({ type: 'input_audio_buffer.commit' });
+    await client.waitFor('response.done', 2);
+
+    await expect.poll(() => writes.length).toBe(1);
+    await Promise.all(writes);
+    const [conversation] = await database.getConversationHistory(userId);
+    expect(conversation).toMatchObject({
+      channel: 'voice',
+      user_message: 'Remind me to water the plants on Tuesday',
+      assistant_response: 'Added it to your tasks.',
+      intent: 'create_task',
+      entities: { title: 'Water plants', date: '2025-05-06', functions: ['create_task'] }
+    });
+    expect(conversation.session_id).toMatch(/^client_/);
+  });
+
+  test('a failed transcript write is logged instead of left unhandled', async () => {
+    const failing = new RealtimeAudioService(null, {
+      memoryService: { storeConversation: async () => { throw new Error('database is down'); } },
+      provider: new MockRealtimeProvider({ url: 'ws://127.0.0.1:1' })
+    });
+    const errors = [];
+    failing.logger.error = (...args) => errors.push(args);
+    failing.connections.set('client_1', { userId });
+    failing.recordTranscript('client_1', 'user', 'Remind me to water the plants');
+
+    await expect(failing.storeTranscript('client_1')).resolves.toBeNull();
+    expect(errors).toEqual([['Error storing transcript for client_1:', expect.objectContaining({ message: 'database is down' })]]);
+  });
+
+  test('meters tokens and audio and ends the session when the quota runs out', async () => {
+    service.usageMeter = new UsageMeter(database, { daily: { tokens: 150 } });
+    mock.queue({ text: 'Good morning!' }, { text: 'Still here.' });
+    const client = await openClient();
+
+    client.send({ type: 'input_audio_buffer.append', data: { audio: Buffer.alloc(48000).toString('base64') } });
+    client.send({ type: 'input_audio_buffer.commit' });
+    await client.waitFor('response.done');
+    await expect.poll(async () => (await service.usageMeter.getUsage(userId)).daily.requests).toBe(1);
+
+    const usage = await service.usageMeter.getUsage(userId);
+    expect(usage.daily.tokens).toBe(104);
+    expect(usage.daily.audioSeconds).toBe(1.1); // One second spoken plus 100ms of reply
+    expect(service.connections.size).toBe(1);
+
+    client.send({ type: 'response.create' });
+    await client.waitFor('error');
+    expect(client.events.find(event => event.type === 'error').error.message).toContain("today's assistant allowance");
+    await expect.poll(() => service.connections.size).toBe(0);
+
+    const { ticket } = service.issueTicket(userId);
+    const status = await new Promise(resolve => {
+      const ws = new WebSocket(`${baseUrl}?ticket=${encodeURIComponent(ticket)}`);
+      ws.on('unexpected-response', (req, res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      ws.on('open', () => resolve('open'));
+    });
+    expect(status).toBe(429);
+  });
+
+  test('providers are chosen by name and the mock starts its own server', async () => {
+    expect(createRealtimeProvider({ name: 'openai', apiKey: 'sk-test' })).toMatchObject({ name: 'openai', model: expect.any(String) });
+    expect(() => createRealtimeProvider({ name: 'nope' })).toThrow('Unknown realtime provider: nope');
+
+    const provider = createRealtimeProvider({ name: 'mock' });
+    try {
+      const ws = await provider.connect();
+      const first = await new Promise(resolve => ws.once('message', data => resolve(JSON.parse(data.toString()))));
+      expect(first.type).toBe('session.created');
+      ws.close();
+    } finally {
+      await provider.close();
+    }
+  });
+});
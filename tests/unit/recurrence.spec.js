@@ -0,0 +1,111 @@
+const { test, expect } = require('@playwright/test');
+const { RecurrenceRule, expandEvent, formatExdates, parseOccurrenceId } = require('../../lib/recurrence');
+
+test.describe('recurrence expansion', () => {
+  test('weekly BYDAY rule expands within the requested range', () => {
+    const rule = RecurrenceRule.parse('FREQ=WEEKLY;BYDAY=MO,WE');
+    const dates = rule.between('2025-01-06', '2025-01-06', '2025-01-19');
+
+    expect(dates).toEqual(['2025-01-06', '2025-01-08', '2025-01-13', '2025-01-15']);
+  });
+
+  test('COUNT is counted from the series start, not the range start', () => {
+    const rule = RecurrenceRule.parse('FREQ=DAILY;COUNT=5');
+    const dates = rule.between('2025-03-01', '2025-03-04', '2025-03-31');
+
+    expect(dates).toEqual(['2025-03-04', '2025-03-05']);
+  });
+
+  test('UNTIL and INTERVAL are honoured', () => {
+    const rule = RecurrenceRule.parse('FREQ=DAILY;INTERVAL=2;UNTIL=20250107');
+    const dates = rule.between('2025-01-01', '2025-01-01', '2025-01-31');
+
+    expect(dates).toEqual(['2025-01-01', '2025-01-03', '2025-01-05', '2025-01-07']);
+  });
+
+  test('monthly rules skip months without a matching day', () => {
+    const rule = RecurrenceRule.parse('FREQ=MONTHLY');
+    const dates = rule.between('2025-01-31', '2025-01-01', '2025-05-31');
+
+    expect(dates).toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+  });
+
+  test('ordinal BYDAY selects the last Friday of the month', () => {
+    const rule = RecurrenceRule.parse('FREQ=MONTHLY;BYDAY=-1FR');
+    const dates = rule.between('2025-01-31', '2025-01-01', '2025-03-31');
+
+    expect(dates).toEqual(['2025-01-31', '2025-02-28', '2025-03-28']);
+  });
+
+  test('BYMONTHDAY and BYDAY together keep only days matching both', () => {
+    const rule = RecurrenceRule.parse('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13');
+    const dates = rule.between('2025-01-01', '2025-01-01', '2026-12-31');
+
+    expect(dates).toEqual(['2025-06-13', '2026-02-13', '2026-03-13', '2026-11-13']);
+  });
+
+  test('series that started long before the range still expand', () => {
+    expect(RecurrenceRule.parse('FREQ=DAILY').between('1990-01-01', '2025-06-01', '2025-06-03'))
+      .toEqual(['2025-06-01', '2025-06-02', '2025-06-03']);
+    expect(RecurrenceRule.parse('FREQ=DAILY;INTERVAL=3').between('1990-01-01', '2025-06-01', '2025-06-06'))
+      .toEqual(['2025-06-02', '2025-06-05']);
+    expect(RecurrenceRule.parse('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU').between('1900-01-02', '2025-06-01', '2025-06-30'))
+      .toEqual(['2025-06-03', '2025-06-17']);
+    expect(RecurrenceRule.parse('FREQ=MONTHLY;BYDAY=-1FR').between('1900-01-26', '2025-06-01', '2025-07-31'))
+      .toEqual(['2025-06-27', '2025-07-25']);
+  });
+
+  test('invalid rules are rejected', () => {
+    expect(() => RecurrenceRule.parse('FREQ=HOURLY')).toThrow();
+    expect(() => RecurrenceRule.parse('FREQ=WEEKLY;BYDAY=XX')).toThrow();
+  });
+
+  test('expanded occurrences carry stable occurrence ids', () => {
+    const event = { id: 'evt-1', title: 'Standup', date: '2025-01-06', rrule: 'FREQ=WEEKLY' };
+    const occurrences = expandEvent(event, '2025-01-01', '2025-01-20');
+
+    expect(occurrences.map(o => o.id)).toEqual([
+      'evt-1::2025-01-06',
+      'evt-1::2025-01-13',
+      'evt-1::2025-01-20'
+    ]);
+    expect(occurrences[1].series_id).toBe('evt-1');
+    expect(parseOccurrenceId(occurrences[1].id)).toEqual({ seriesId: 'evt-1', date: '2025-01-13' });
+  });
+
+  test('EXDATE entries are skipped during expansion', () => {
+    const event = {
+      id: 'evt-3',
+      title: 'Standup',
+      date: '2025-01-06',
+      rrule: 'FREQ=WEEKLY',
+      exdates: formatExdates(['2025-01-13', '2025-01-13'])
+    };
+    const occurrences = expandEvent(event, '2025-01-01', '2025-01-20');
+
+    expect(occurrences.map(o => o.date)).toEqual(['2025-01-06', '2025-01-20']);
+  });
+
+  test('splitting a series keeps the remaining COUNT for the new series', () => {
+    const rule = RecurrenceRule.parse('FREQ=WEEKLY;COUNT=5');
+    const { before, after } = rule.splitAt('2025-01-06', '2025-01-20');
+
+    expect(before.toString()).toBe('FREQ=WEEKLY;UNTIL=20250119');
+    expect(after.toString()).toBe('FREQ=WEEKLY;COUNT=3');
+  });
+
+  test('splitting at the first occurrence leaves nothing before it', () => {
+    const rule = RecurrenceRule.parse('FREQ=DAILY');
+    const { before, after } = rule.splitAt('2025-01-06', '2025-01-06');
+
+    expect(before).toBeNull();
+    expect(after.toString()).toBe('FREQ=DAILY');
+  });
+
+  test('legacy recurring_type columns still expand', () => {
+    const event = { id: 'evt-2', title: 'Gym', date: '2025-01-01', recurring: true, recurring_type: 'daily' };
+    const occurrences = expandEvent(event, '2025-01-01', '2025-01-03');
+
+    expect(occurrences).toHaveLength(3);
+  });
+});
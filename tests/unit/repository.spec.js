@@ -0,0 +1,182 @@
+const { test, expect } = require('@playwright/test');
+const { createRepository } = require('../../lib/repository');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+/**
+ * Conformance suite for the Repository. Every adapter must pass it; SQLite
+ * always runs, Postgres/Neon runs when TEST_DATABASE_URL points at a scratch database.
+ */
+function repositoryConformance(name, setup) {
+  test.describe(`Repository conformance (${name})`, () => {
+    let context;
+    let repository;
+    let userId;
+
+    test.beforeEach(async () => {
+      context = await setup();
+      repository = context.repository;
+      userId = `user-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    });
+
+    test.afterEach(async () => {
+      await context.teardown();
+    });
+
+    test('tasks round-trip with normalized columns', async () => {
+      const created = await repository.createTask({
+        id: `task-${userId}`,
+        userId,
+        title: 'Write report',
+        dueDate: '2025-03-10',
+        dueTime: '09:30',
+        dueDateTime: new Date('2025-03-10T09:30:00Z')
+      });
+
+      expect(created).toMatchObject({
+        id: `task-${userId}`,
+        user_id: userId,
+        title: 'Write report',
+        priority: 'medium',
+        category: 'personal',
+        status: 'todo',
+        due_date: '2025-03-10',
+        due_time: '09:30:00',
+        due_datetime: '2025-03-10T09:30:00.000Z'
+      });
+      expect(new Date(created.created_at).toISOString()).toBe(created.created_at);
+
+      const updated = await repository.updateTask(created.id, { status: 'completed', dueDate: '2025-03-11' });
+      expect(updated).toMatchObject({ status: 'completed', due_date: '2025-03-11', title: 'Write report' });
+      expect(await repository.updateTask('missing', { status: 'todo' })).toBeNull();
+      await expect(repository.updateTask(created.id, { unknown: true })).rejects.toThrow('No valid fields');
+
+      await repository.createTask({ id: `task2-${userId}`, userId, title: 'Call bank', dueDate: '2025-04-01' });
+      expect(await repository.getTaskStats(userId)).toEqual({ total: 2, todo: 1, progress: 0, completed: 1 });
+      expect(await repository.getUserTasks(userId, 'todo')).toHaveLength(1);
+
+      const inRange = await repository.getTasksByDateRange(userId, '2025-03-01', '2025-03-31');
+      expect(inRange.map(task => task.id)).toEqual([created.id]);
+
+      expect((await repository.deleteTask(created.id)).id).toBe(created.id);
+      expect(await repository.deleteTask(created.id)).toBeNull();
+      expect(await repository.getTaskById(created.id)).toBeNull();
+    });
+
+    test('task attachments link files and are removed with the task', async () => {
+      const task = await repository.createTask({ id: `task-${userId}`, userId, title: 'Attach' });
+      const file = await repository.storeFile({
+        filename: 'scan.pdf', originalname: 'Scan.pdf', mimetype: 'application/pdf',
+        size: 1024, path: '/tmp/scan.pdf', url: '/uploads/scan.pdf', userId
+      });
+
+      await repository.addTaskAttachment(task.id, file.id);
+      const [withAttachments] = await repository.getTasksWithAttachments(userId);
+      expect(withAttachments.attachments).toEqual([{
+        id: file.id, filename: 'scan.pdf', originalname: 'Scan.pdf',
+        // Served by the owner-only download route rather than the stored path
+        url: `/api/files/${file.id}`, size: 1024, mimetype: 'application/pdf'
+      }]);
+
+      expect(await repository.removeTaskAttachment(task.id, file.id)).not.toBeNull();
+      expect(await repository.getTaskAttachments(task.id)).toEqual([]);
+
+      await repository.addTaskAttachment(task.id, file.id);
+      await repository.deleteTask(task.id);
+      const { n } = await repository.get('SELECT COUNT(*) AS n FROM task_attachments WHERE task_id = ?', [task.id]);
+      expect(Number(n)).toBe(0);
+    });
+
+    test('events expand recurrences and honour exceptions', async () => {
+      const series = await repository.createEvent({
+        id: `event-${userId}`,
+        userId,
+        title: 'Standup',
+        date: '2025-01-06',
+        time: '09:00',
+        rrule: 'FREQ=DAILY;COUNT=5'
+      });
+      expect(series).toMatchObject({ date: '2025-01-06', time: '09:00:00', all_day: false, recurring: false });
+
+      await repository.addEventExdate(series.id, '2025-01-08');
+      await repository.createEvent({
+        id: `override-${userId}`,
+        userId,
+        title: 'Standup (moved)',
+        date: '2025-01-09',
+        time: '11:00',
+        seriesId: series.id,
+        recurrenceId: '2025-01-09'
+      });
+      await repository.addEventExdate(series.id, '2025-01-09');
+
+      const occurrences = await repository.getEventsByDateRange(userId, '2025-01-01', '2025-01-31');
+      expect(occurrences.map(event => `${event.date} ${event.time}`)).toEqual([
+        '2025-01-06 09:00:00',
+        '2025-01-07 09:00:00',
+        '2025-01-09 11:00:00',
+        '2025-01-10 09:00:00'
+      ]);
+
+      const moved = await repository.moveEventOverrides(series.id, `split-${userId}`, '2025-01-09');
+      expect(moved.map(event => event.recurrence_id)).toEqual(['2025-01-09']);
+      expect(await repository.deleteEventOverrides(`split-${userId}`, '2025-01-01')).toHaveLength(1);
+
+      const found = await repository.findEventByUid(userId, 'missing-uid');
+      expect(found).toBeNull();
+
+      expect((await repository.deleteEvent(series.id)).id).toBe(series.id);
+      expect(await repository.getUserEvents(userId)).toEqual([]);
+    });
+
+    test('calendar feeds keep one token per user', async () => {
+      await repository.setCalendarFeedToken(userId, 'hash-1');
+      await repository.touchCalendarFeed(userId);
+      expect((await repository.getCalendarFeed(userId)).last_accessed_at).not.toBeNull();
+
+      const rotated = await repository.setCalendarFeedToken(userId, 'hash-2');
+      expect(rotated).toMatchObject({ user_id: userId, token_hash: 'hash-2', last_accessed_at: null });
+
+      expect(await repository.deleteCalendarFeed(userId)).not.toBeNull();
+      expect(await repository.getCalendarFeed(userId)).toBeNull();
+    });
+
+    test('memories, conversations and user data', async () => {
+      const memory = { user_id: userId, memory_key: 'coffee', memory_value: 'oat latte', category: 'preferences', relevance_score: 3 };
+      await repository.storeUserMemory(memory);
+      const stored = await repository.storeUserMemory({ ...memory, memory_value: 'flat white' });
+      expect(stored).toMatchObject({ context_value: 'flat white', relevance_score: 3, access_count: 2 });
+      expect(await repository.getUserMemoriesByCategory(userId, 'preferences')).toHaveLength(1);
+
+      const context = await repository.getUserContext(userId);
+      expect(context.memories.coffee).toEqual({ value: 'flat white', category: 'preferences', relevance: 3 });
+
+      const first = await repository.storeConversation({
+        user_id: userId, session_id: 's1', user_message: 'hi', assistant_response: 'hello', entities: { a: 1 }
+      });
+      await repository.storeConversation({ user_id: userId, session_id: 's1', user_message: 'bye', assistant_response: 'later', channel: 'voice' });
+      const history = await repository.getConversationHistory(userId, 's1');
+      expect(history.map(row => row.user_message)).toEqual(['hi', 'bye']);
+      expect(history[0]).toMatchObject({ id: first, entities: { a: 1 }, channel: 'text' });
+      expect(history[1].channel).toBe('voice');
+
+      await repository.setUserData(userId, 'theme', { mode: 'dark' });
+      await repository.setUserData(userId, 'theme', { mode: 'light' });
+      expect(await repository.getUserData(userId)).toEqual({ theme: { mode: 'light' } });
+      expect(await repository.deleteUserData(userId, 'theme')).toBe(true);
+      expect(await repository.getUserData(userId)).toEqual({});
+    });
+  });
+}
+
+repositoryConformance('sqlite', async () => {
+  const repository = await openTestRepository('repository');
+  return { repository, teardown: () => closeTestDatabase(repository) };
+});
+
+if (process.env.TEST_DATABASE_URL) {
+  repositoryConformance('postgres', async () => {
+    const repository = createRepository(process.env.TEST_DATABASE_URL);
+    await repository.initialize();
+    return { repository, teardown: async () => repository.close() };
+  });
+}
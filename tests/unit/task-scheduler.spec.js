@@ -0,0 +1,128 @@
+const { test, expect } = require('@playwright/test');
+const { NLPParser } = require('../../lib/nlp-parser');
+const { applyInverse } = require('../../lib/assistant-actions');
+const { acceptPlan, describePlan, planTasks } = require('../../lib/task-scheduler');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Task scheduler', () => {
+  let database;
+  const userId = 'planner-user';
+  // Monday, May 5 2025, before the working day starts in New York
+  const now = new Date('2025-05-05T12:00:00Z');
+
+  function blockTimes(plan) {
+    return plan.blocks.map(block => [block.taskId, block.date, block.time, block.durationMinutes]);
+  }
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('planner');
+    await database.createUser({ id: userId, email: 'plan@example.com', passwordHash: 'x', name: 'Plan', timezone: 'America/New_York' });
+
+    await database.createEvent({ id: 'standup', userId, title: 'Standup', date: '2025-05-06', time: '09:00', durationMinutes: 30 });
+    await database.createEvent({ id: 'review', userId, title: 'Design review', date: '2025-05-06', time: '13:00', endTime: '15:00' });
+
+    await database.createTask({ id: 'email', userId, title: 'Answer email', priority: 'medium' });
+    await database.createTask({ id: 'invoice', userId, title: 'Send invoice', priority: 'medium', dueDate: '2025-05-08', estimatedMinutes: 45 });
+    await database.createTask({ id: 'deck', userId, title: 'Finish deck', priority: 'high', dueDate: '2025-05-09', estimatedMinutes: 60 });
+    await database.createTask({ id: 'call', userId, title: 'Call bank', dueDate: '2025-05-06', dueTime: '11:00' });
+    await database.createTask({ id: 'done', userId, title: 'Old task', status: 'completed' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('places tasks by priority and due date in the earliest free time', async () => {
+    const plan = await planTasks(database, userId, { startDate: '2025-05-06', now });
+
+    expect(plan.timezone).toBe('America/New_York');
+    // Tasks with a due time already hold it (11:00 here), and completed tasks are left out.
+    // The invoice does not fit the half hour left before 11:00; the email does
+    expect(blockTimes(plan)).toEqual([
+      ['deck', '2025-05-06', '09:30', 60],
+      ['email', '2025-05-06', '10:30', 30],
+      ['invoice', '2025-05-06', '11:30', 45]
+    ]);
+    expect(plan.blocks[0]).toMatchObject({
+      title: 'Finish deck',
+      priority: 'high',
+      dueDate: '2025-05-09',
+      start: '2025-05-06T09:30:00-04:00',
+      end: '2025-05-06T10:30:00-04:00'
+    });
+    expect(plan.unscheduled).toEqual([]);
+    expect(describePlan(plan)).toBe('• 9:30 AM - 10:30 AM: Finish deck\n• 10:30 AM - 11:00 AM: Answer email\n• 11:30 AM - 12:15 PM: Send invoice');
+
+    const chosen = await planTasks(database, userId, { startDate: '2025-05-06', taskIds: ['email'], now });
+    expect(blockTimes(chosen)).toEqual([['email', '2025-05-06', '09:30', 30]]);
+  });
+
+  test('says why tasks do not fit', async () => {
+    await database.createTask({ id: 'essay', userId, title: 'Write essay', priority: 'high', dueDate: '2025-05-06', estimatedMinutes: 180 });
+    await database.createTask({ id: 'novel', userId, title: 'Write novel', priority: 'low', estimatedMinutes: 600 });
+
+    const plan = await planTasks(database, userId, { startDate: '2025-05-06', endDate: '2025-05-07', now });
+
+    // Tuesday has no three free hours in a row, and the essay is due that day
+    expect(plan.unscheduled).toEqual([
+      { taskId: 'essay', title: 'Write essay', reason: 'No free time before it is due' },
+      { taskId: 'novel', title: 'Write novel', reason: 'No free 600-minute slot' }
+    ]);
+    expect(plan.blocks.map(block => block.taskId)).toEqual(['deck', 'email', 'invoice']);
+
+    await expect(planTasks(database, userId, { startDate: '2025-05-06', endDate: '2025-05-31', now }))
+      .rejects.toThrow('Plans cover at most 14 days');
+    await expect(planTasks(database, userId, { startDate: 'tomorrow', now }))
+      .rejects.toThrow(expect.objectContaining({ code: 'INVALID_PLAN' }));
+  });
+
+  test('accepted plans book linked events that later plans skip', async () => {
+    const plan = await planTasks(database, userId, { startDate: '2025-05-06', now });
+    // The user keeps the deck and the email, and moves the email to the afternoon
+    const kept = [plan.blocks[0], { ...plan.blocks[1], time: '15:00' }];
+
+    const { events, conflicts, inverse } = await acceptPlan(database, userId, kept);
+    expect(events.map(event => [event.title, event.date, event.time, event.end_time, event.task_id])).toEqual([
+      ['Finish deck', '2025-05-06', '09:30:00', '10:30:00', 'deck'],
+      ['Answer email', '2025-05-06', '15:00:00', '15:30:00', 'email']
+    ]);
+    expect(events[1].start).toBe('2025-05-06T15:00:00-04:00');
+    expect(conflicts).toEqual([]);
+
+    const replan = await planTasks(database, userId, { startDate: '2025-05-06', now });
+    expect(blockTimes(replan)).toEqual([['invoice', '2025-05-06', '11:30', 45]]);
+
+    await applyInverse(database, userId, inverse);
+    expect(await database.getEventsByDateRange(userId, '2025-05-06', '2025-05-06')).toHaveLength(2);
+  });
+
+  test('accepting checks every block before booking any', async () => {
+    await database.createUser({ id: 'someone-else', email: 'else@example.com', passwordHash: 'x', name: 'Else' });
+    await database.createTask({ id: 'theirs', userId: 'someone-else', title: 'Their task' });
+
+    await expect(acceptPlan(database, userId, [
+      { taskId: 'deck', date: '2025-05-06', time: '09:30', durationMinutes: 60 },
+      { taskId: 'theirs', date: '2025-05-06', time: '11:30', durationMinutes: 30 }
+    ])).rejects.toThrow('Task not found: theirs');
+    await expect(acceptPlan(database, userId, [{ taskId: 'deck', date: '2025-05-06', time: '9am', durationMinutes: 60 }]))
+      .rejects.toThrow('The block for "Finish deck" needs a date, a time and durationMinutes');
+    await expect(acceptPlan(database, userId, [])).rejects.toThrow(expect.objectContaining({ code: 'INVALID_PLAN' }));
+    expect(await database.getEventsByDateRange(userId, '2025-05-06', '2025-05-06')).toHaveLength(2);
+
+    // Time taken since the plan was made is reported, and the block is still booked
+    const { conflicts } = await acceptPlan(database, userId, [{ taskId: 'deck', date: '2025-05-06', time: '14:00', durationMinutes: 60 }]);
+    expect(conflicts).toEqual([expect.objectContaining({ title: 'Finish deck', overlaps: [expect.objectContaining({ title: 'Design review' })] })]);
+  });
+
+  test('the parser recognizes planning requests', () => {
+    const parser = new NLPParser();
+
+    const today = parser.parse('Plan my day', { now, timezone: 'America/New_York' });
+    expect(today.intent).toBe('PLAN');
+    expect(today.entities).toEqual({ date: '2025-05-05', period: 'day' });
+
+    expect(parser.parse('Can you organize my week starting Monday?', { now }).entities)
+      .toEqual({ date: '2025-05-12', period: 'week' });
+    expect(parser.parse('Schedule a meeting tomorrow at 3pm', { now }).intent).toBe('CREATE');
+  });
+});
@@ -0,0 +1,156 @@
+const { test, expect } = require('@playwright/test');
+const { Migrator } = require('../../lib/migrator');
+const { NLPParser } = require('../../lib/nlp-parser');
+const { UserManager } = require('../../lib/user-manager');
+const { EncryptionService } = require('../../lib/encryption');
+const { buildICalendar, parseICalendar } = require('../../lib/icalendar');
+const {
+  eventInstants,
+  isValidTimeZone,
+  todayInZone,
+  toZonedISOString,
+  zonedTimeToUtc
+} = require('../../lib/timezones');
+const { closeTestDatabase, openTestDatabase, openTestRepository } = require('../helpers/database');
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test.describe('Time zone helpers', () => {
+  test('converts wall-clock times across DST changes', () => {
+    expect(zonedTimeToUtc('2025-05-06', '15:00', 'Europe/Paris').toISOString()).toBe('2025-05-06T13:00:00.000Z');
+    expect(zonedTimeToUtc('2025-01-06', '15:00', 'Europe/Paris').toISOString()).toBe('2025-01-06T14:00:00.000Z');
+
+    // 02:30 does not exist on the spring-forward night and moves forward by the gap
+    expect(zonedTimeToUtc('2025-03-09', '02:30', 'America/New_York').toISOString()).toBe('2025-03-09T07:30:00.000Z');
+    // 01:30 happens twice on the fall-back night; the first (daylight) one wins
+    expect(zonedTimeToUtc('2025-11-02', '01:30', 'America/New_York').toISOString()).toBe('2025-11-02T05:30:00.000Z');
+
+    expect(toZonedISOString('2025-05-06T13:00:00Z', 'Europe/Paris')).toBe('2025-05-06T15:00:00+02:00');
+    expect(toZonedISOString('2025-05-06T13:00:00Z', 'Asia/Kolkata')).toBe('2025-05-06T18:30:00+05:30');
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+
+  test('all-day events span the local day, including 23-hour DST days', () => {
+    const { startAt, endAt } = eventInstants({ date: '2025-03-30', allDay: true, timezone: 'Europe/Paris' });
+    expect(startAt.toISOString()).toBe('2025-03-29T23:00:00.000Z');
+    expect(endAt.toISOString()).toBe('2025-03-30T22:00:00.000Z');
+  });
+
+  test('relative dates resolve in the user\'s zone', () => {
+    // 23:30 UTC on Monday is already Tuesday morning in Tokyo and still Monday afternoon in Los Angeles
+    const now = new Date('2025-05-05T23:30:00Z');
+    const parser = new NLPParser();
+
+    expect(todayInZone('Asia/Tokyo', now)).toBe('2025-05-06');
+    expect(parser.parse('Lunch with Sam tomorrow at noon', { timezone: 'Asia/Tokyo', now }).entities.date).toBe('2025-05-07');
+    expect(parser.parse('Lunch with Sam tomorrow at noon', { timezone: 'America/Los_Angeles', now }).entities.date).toBe('2025-05-06');
+  });
+
+  test('iCalendar imports convert UTC times and keep TZIDs, and feeds write them back', () => {
+    const items = parseICalendar(ics(
+      'BEGIN:VEVENT',
+      'UID:utc',
+      'SUMMARY:Call',
+      'DTSTART:20250506T130000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:paris',
+      'SUMMARY:Dinner',
+      'DTSTART;TZID=Europe/Paris:20250506T193000',
+      'END:VEVENT'
+    ), { timezone: 'America/New_York' });
+
+    expect(items.map(item => item.data)).toEqual([
+      expect.objectContaining({ date: '2025-05-06', time: '09:00', timezone: 'America/New_York' }),
+      expect.objectContaining({ date: '2025-05-06', time: '19:30', timezone: 'Europe/Paris' })
+    ]);
+
+    const feed = buildICalendar({
+      events: [
+        { id: 'dinner', title: 'Dinner', date: '2025-05-06', time: '19:30:00', timezone: 'Europe/Paris' },
+        { id: 'call', title: 'Call', date: '2025-05-06', time: '13:00:00', timezone: 'UTC' }
+      ]
+    });
+    expect(feed).toContain('DTSTART;TZID=Europe/Paris:20250506T193000');
+    expect(feed).toContain('DTSTART:20250506T130000Z');
+  });
+});
+
+test.describe('Event instants in storage', () => {
+  let database;
+  const userId = 'tz-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('timezones');
+    await database.createUser({ id: userId, email: 'tz@example.com', passwordHash: 'x', name: 'TZ', timezone: 'America/New_York' });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('events are stored in the user\'s zone with explicit offsets', async () => {
+    expect(await database.getUserTimezone(userId)).toBe('America/New_York');
+
+    const created = await database.createEvent({ id: 'evt-1', userId, title: 'Dentist', date: '2025-05-06', time: '15:00' });
+    expect(created).toMatchObject({ timezone: 'America/New_York', start_at: '2025-05-06T19:00:00.000Z', end_at: '2025-05-06T20:00:00.000Z' });
+
+    // Moving the event keeps its zone and length
+    await database.updateEvent('evt-1', { title: 'Dentist', date: '2025-11-03', time: '15:00' });
+    expect(await database.getEventById('evt-1')).toMatchObject({ start_at: '2025-11-03T20:00:00.000Z', end_at: '2025-11-03T21:00:00.000Z' });
+
+    await database.createEvent({ id: 'evt-2', userId, title: 'Standup', date: '2025-03-07', time: '09:00', rrule: 'FREQ=DAILY;COUNT=4', timezone: 'Europe/London' });
+    const occurrences = await database.getEventsByDateRange(userId, '2025-03-07', '2025-03-10');
+    expect(occurrences.filter(event => event.title === 'Standup').map(event => event.start)).toEqual([
+      '2025-03-07T09:00:00+00:00',
+      '2025-03-08T09:00:00+00:00',
+      '2025-03-09T09:00:00+00:00',
+      '2025-03-10T09:00:00+00:00'
+    ]);
+
+    await database.setUserTimezone(userId, 'Asia/Tokyo');
+    expect((await database.getUserContext(userId)).timezone).toBe('Asia/Tokyo');
+  });
+
+  test('a chosen zone is remembered, including UTC', async () => {
+    const userManager = new UserManager(database, new EncryptionService());
+    const signIn = async email => (await userManager.authenticate(email, 'correct horse')).user;
+
+    // No zone at sign-up: the app may adopt the browser's
+    const legacy = await userManager.createUser({ email: 'legacy@example.com', password: 'correct horse', name: 'Legacy' });
+    expect(await signIn('legacy@example.com')).toMatchObject({ timezone: 'UTC', timezoneSet: false });
+
+    await database.setUserTimezone(legacy.id, 'UTC');
+    expect(await signIn('legacy@example.com')).toMatchObject({ timezone: 'UTC', timezoneSet: true });
+
+    await userManager.createUser({ email: 'paris@example.com', password: 'correct horse', name: 'Paris', timezone: 'Europe/Paris' });
+    expect(await signIn('paris@example.com')).toMatchObject({ timezone: 'Europe/Paris', timezoneSet: true });
+  });
+});
+
+test.describe('Time zone migration', () => {
+  let database;
+
+  test.beforeEach(async () => {
+    database = await openTestDatabase('tz-migration', { migrate: false });
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('backfills start and end instants for existing events as UTC', async () => {
+    const migrator = new Migrator(database, { logger: { log: () => {} } });
+    await migrator.up({ to: '005' });
+
+    await database.run(
+      "INSERT INTO calendar_events (id, user_id, title, date, time, all_day) VALUES ('old', 'u1', 'Old event', '2025-05-06', '15:00:00', 0)"
+    );
+    await migrator.up();
+
+    const event = await database.get('SELECT timezone, start_at, end_at FROM calendar_events WHERE id = ?', ['old']);
+    expect(event.timezone).toBe('UTC');
+    expect(new Date(event.start_at).toISOString()).toBe('2025-05-06T15:00:00.000Z');
+    expect(new Date(event.end_at).toISOString()).toBe('2025-05-06T16:00:00.000Z');
+  });
+});
@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+const { UsageMeter, periodBounds } = require('../../lib/usage-meter');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Usage metering', () => {
+  let database;
+  const userId = 'metered-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('usage');
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('sums chat and voice usage per period and channel', async () => {
+    const meter = new UsageMeter(database, { daily: { tokens: 1000 }, monthly: { tokens: 0 } });
+
+    await meter.recordChatCompletion(userId, { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }, 'gpt-4o-mini');
+    await meter.recordRealtimeResponse(userId, { input_tokens: 200, output_tokens: 50, total_tokens: 250 }, 12.5);
+    await meter.recordRealtimeResponse('someone-else', { total_tokens: 999 }, 60);
+    await database.recordUsage({ userId, channel: 'chat', totalTokens: 500, createdAt: new Date('2020-01-01T00:00:00Z') });
+
+    const usage = await meter.getUsage(userId);
+
+    expect(usage.daily).toMatchObject({ tokens: 400, audioSeconds: 12.5, requests: 2, limits: { tokens: 1000, audioSeconds: null } });
+    expect(usage.daily.channels).toEqual(expect.arrayContaining([
+      { channel: 'chat', requests: 1, tokens: 150, audioSeconds: 0 },
+      { channel: 'voice', requests: 1, tokens: 250, audioSeconds: 12.5 }
+    ]));
+    expect(usage.monthly.tokens).toBe(400);
+    expect(usage.monthly.limits.tokens).toBeNull();
+  });
+
+  test('refuses once a daily or monthly quota is used up', async () => {
+    const meter = new UsageMeter(database, { daily: { tokens: 300, audioSeconds: 60 }, monthly: { tokens: 1000 } });
+    const now = new Date('2025-03-15T12:00:00Z');
+
+    await database.recordUsage({ userId, channel: 'voice', totalTokens: 100, audioSeconds: 61, createdAt: new Date('2025-03-15T09:00:00Z') });
+    expect(await meter.checkQuota(userId, ['tokens'], now)).toBeNull();
+
+    const voice = await meter.checkQuota(userId, ['tokens', 'audioSeconds'], now);
+    expect(voice).toMatchObject({ period: 'daily', metric: 'audioSeconds', used: 61, limit: 60, resetsAt: '2025-03-16T00:00:00.000Z' });
+    expect(voice.message).toContain("today's voice allowance");
+    expect(voice.message).toContain('midnight UTC');
+
+    await database.recordUsage({ userId, channel: 'chat', totalTokens: 950, createdAt: new Date('2025-03-02T10:00:00Z') });
+    const monthly = await meter.checkQuota(userId, ['tokens'], now);
+    expect(monthly).toMatchObject({ period: 'monthly', metric: 'tokens', used: 1050, limit: 1000 });
+    expect(monthly.message).toContain("this month's assistant allowance");
+    expect(monthly.message).toContain('April 1');
+  });
+
+  test('periods are UTC days and months', async () => {
+    const now = new Date('2025-03-31T23:30:00Z');
+
+    expect(periodBounds('daily', now)).toEqual({ start: new Date('2025-03-31T00:00:00Z'), end: new Date('2025-04-01T00:00:00Z') });
+    expect(periodBounds('monthly', now)).toEqual({ start: new Date('2025-03-01T00:00:00Z'), end: new Date('2025-04-01T00:00:00Z') });
+  });
+});
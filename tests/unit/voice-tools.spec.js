@@ -0,0 +1,97 @@
+const { test, expect } = require('@playwright/test');
+const { VoiceToolRegistry } = require('../../lib/voice-tools');
+const { closeTestDatabase, openTestRepository } = require('../helpers/database');
+
+test.describe('Voice tools', () => {
+  let database;
+  let tools;
+  const userId = 'voice-user';
+
+  test.beforeEach(async () => {
+    database = await openTestRepository('voice-tools');
+    tools = new VoiceToolRegistry();
+  });
+
+  test.afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  function run(name, args, asUser = userId) {
+    return tools.execute(name, { database, userId: asUser }, args);
+  }
+
+  test('every tool has a schema for session.update', async () => {
+    const definitions = tools.getDefinitions();
+
+    expect(definitions.map(tool => tool.name)).toEqual(expect.arrayContaining([
+      'create_calendar_event', 'query_calendar_events', 'update_calendar_event', 'delete_calendar_event',
+      'create_task', 'list_tasks', 'complete_task', 'update_task', 'delete_task', 'find_free_time'
+    ]));
+    definitions.forEach(tool => {
+      expect(tool).toMatchObject({ type: 'function', parameters: { type: 'object' } });
+      expect(tool.execute).toBeUndefined();
+    });
+    expect(tools.isMutation('update_calendar_event')).toBe(true);
+    expect(tools.isMutation('find_free_time')).toBe(false);
+  });
+
+  test('reschedules and cancels events found by title and date', async () => {
+    await run('create_calendar_event', { title: 'Dentist', date: '2025-05-02', time: '09:30' });
+
+    const moved = await run('update_calendar_event', { title: 'dentist', date: '2025-05-02', new_date: '2025-05-03', new_time: '14:00' });
+    expect(moved.event).toMatchObject({ title: 'Dentist', date: '2025-05-03', time: '14:00' });
+
+    await expect(run('delete_calendar_event', { title: 'Dentist', date: '2025-05-02' })).rejects.toThrow('No event matching');
+    await run('delete_calendar_event', { event_id: moved.event.id });
+    expect(await database.getUserEvents(userId)).toEqual([]);
+  });
+
+  test('changes a single occurrence of a repeating event by default', async () => {
+    await database.createEvent({ id: 'standup', userId, title: 'Standup', date: '2025-05-05', time: '09:00', rrule: 'FREQ=DAILY;COUNT=3' });
+
+    await run('update_calendar_event', { title: 'Standup', date: '2025-05-06', new_time: '10:30' });
+    await run('delete_calendar_event', { event_id: 'standup::2025-05-07' });
+
+    const occurrences = await database.getEventsByDateRange(userId, '2025-05-01', '2025-05-31');
+    expect(occurrences.map(event => `${event.date} ${event.time}`)).toEqual(['2025-05-05 09:00:00', '2025-05-06 10:30:00']);
+  });
+
+  test('does not touch other users\' events and reports ambiguous matches', async () => {
+    await database.createEvent({ id: 'theirs', userId: 'someone-else', title: 'Private', date: '2025-05-02' });
+    await expect(run('delete_calendar_event', { event_id: 'theirs' })).rejects.toThrow('Event not found');
+
+    await run('create_calendar_event', { title: 'Call mum', date: '2025-05-02', time: '09:00' });
+    await run('create_calendar_event', { title: 'Call bank', date: '2025-05-02', time: '11:00' });
+    await expect(run('delete_calendar_event', { title: 'call', date: '2025-05-02' })).rejects.toThrow('Several events match');
+  });
+
+  test('creates, completes, edits and deletes tasks', async () => {
+    await run('create_task', { title: 'Send invoice', due_date: '2025-05-06', priority: 'high' });
+    await run('create_task', { title: 'Send invoice reminder' });
+
+    const completed = await run('complete_task', { title: 'send invoice' });
+    expect(completed.task).toMatchObject({ title: 'Send invoice', status: 'completed' });
+    expect((await run('list_tasks', { status: 'todo' })).tasks.map(task => task.title)).toEqual(['Send invoice reminder']);
+
+    const edited = await run('update_task', { title: 'reminder', due_date: '2025-05-09', due_time: '08:00' });
+    expect(edited.task).toMatchObject({ due_date: '2025-05-09', due_time: '08:00', status: 'todo' });
+    await expect(run('update_task', { title: 'reminder' })).rejects.toThrow('Nothing to change');
+
+    await run('delete_task', { task_id: edited.task.id });
+    expect((await run('list_tasks', {})).tasks).toHaveLength(1);
+    await expect(run('complete_task', { task_id: completed.task.id }, 'someone-else')).rejects.toThrow('Task not found');
+  });
+
+  test('finds free time around timed events', async () => {
+    await run('create_calendar_event', { title: 'Lunch', date: '2025-05-08', time: '12:30' });
+    await run('create_calendar_event', { title: 'Review', date: '2025-05-08', time: '15:00' });
+    await run('create_calendar_event', { title: 'Holiday', date: '2025-05-08' });
+
+    const result = await run('find_free_time', { date: '2025-05-08', period: 'afternoon', duration_minutes: 45 });
+
+    expect(result.window).toEqual({ start: '12:00', end: '17:00' });
+    expect(result.free).toEqual([{ start: '13:30', end: '15:00' }, { start: '16:00', end: '17:00' }]);
+    expect(result.busy.map(slot => slot.title)).toEqual(['Lunch', 'Review']);
+    expect(result.all_day_events).toEqual(['Holiday']);
+  });
+});